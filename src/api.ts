@@ -5,36 +5,88 @@
  * Provides methods for fetching ratings, efficiency stats, player stats, and more.
  *
  * Uses a tiered HTTP client approach:
+ * - Fetch: Node's built-in fetch with a cookie jar (no extra dependencies)
  * - Tier 1: Lightweight HTTP client (handles Cloudflare protection)
  * - Tier 2: Headless browser with stealth (most reliable, heavier)
  *
+ * Each tier is a Transport (see transports.ts); custom transports can be
+ * passed with the `transport` option. The `record` and `replay` options save
+ * every fetched page to a directory and serve them back offline.
+ *
+ * If the KenPom session expires mid-run, the next request logs in again
+ * once and retries, emitting a 'sessionRefresh' event. If Cloudflare
+ * challenges the live transport, the instance escalates to the next tier,
+ * emitting a 'tierChange' event. Logins, requests, cache lookups, retries
+ * and parsing emit lifecycle events too (see KenpomAPIEvents), for metrics,
+ * progress bars and audit logs.
+ *
+ * Requests are paced by a per-instance rate limiter (20 requests/minute
+ * with jitter by default), so callers do not need their own pauses. The
+ * `concurrency` option lets several requests be in flight at once; tier 2
+ * fetches them on a pool of browser pages.
+ *
+ * Every endpoint method takes a trailing options object; `signal` and
+ * `timeoutMs` bound a call, which then rejects with AbortError or TimeoutError.
+ *
+ * The optional `cache` option keeps fetched pages on disk; completed
+ * seasons are served from it indefinitely and current pages briefly.
+ *
  * @example
  * const api = new KenpomAPI();
  * await api.login();
  * const ratings = await api.getPomeroyRatings(2025);
  */
 
+import { EventEmitter } from 'events';
 import winston from 'winston';
 import {
   getKenpomCredentials,
   BASE_URL,
   ENDPOINTS,
   validateSeason,
+  validateArchiveDate,
+  seasonForDay,
   validatePlayerMetric,
   validateGameAttribMetric,
   validateConference,
-  encodeTeamName,
   buildUrl,
+  DEFAULT_RETRY_OPTIONS,
+  DEFAULT_CACHE_TTLS,
+  DEFAULT_ESCALATION_OPTIONS,
+  cacheTtl,
+  isLoggedOutPage,
+  isChallengePage,
   PLAYER_METRICS,
 } from './config.js';
+import {
+  KenpomError,
+  AuthenticationError,
+  CloudflareError,
+  HttpError,
+  RateLimitError,
+  ParseError,
+  ValidationError,
+  TimeoutError,
+  toKenpomError,
+  toAbortError,
+  retryableKind,
+} from './errors.js';
 import {
   extractSeason,
-  createCloudscraperClient,
-  createPuppeteerClient,
-  randomPause,
+  RequestScheduler,
+  ConcurrencyLimiter,
+  ResponseCache,
+  pause,
+  backoffDelay,
+  loadSession,
+  saveSession,
+  generateDateRange,
 } from './utils.js';
+import { resolveTransports, RecordingTransport, ReplayTransport } from './transports.js';
+import { resolveTeam, normalizeTeamName, teamNameForSeason } from './teams.js';
 import {
   parsePomeroyRatings,
+  parseRatingsArchive,
   parseEfficiency,
   parseFourFactors,
   parseTeamStats,
@@ -49,21 +101,44 @@ import {
   parseGameAttribs,
   parseProgramRatings,
   parseTrends,
+  parseTeamPage,
   parseSchedule,
+  parseRoster,
+  parseScoutingReport,
+  parseTeamHistory,
+  parseCoach,
+  buildCoachingChanges,
+  parsePlayer,
+  parseGame,
   parseFanMatch,
   parseValidTeams,
-  parseScoutingReport,
   parseConferenceStandings,
   parseConferenceOffense,
   parseConferenceDefense,
   parseConferenceAggregateStats,
+  getParseWarnings,
+  attachParseWarnings,
 } from './parsers.js';
 import type {
   KenpomAPIOptions,
   LogLevel,
   ClientTier,
-  CloudscraperClient,
-  PuppeteerClient,
+  Transport,
+  TransportOption,
+  KenpomAPIEvents,
+  Logger,
+  SessionRefreshEvent,
+  TierChangeEvent,
+  EscalationOptions,
+  BrowserOptions,
+  RequestContext,
+  ErrorContext,
+  Endpoints,
+  RetryOptions,
+  CacheOptions,
+  RequestOptions,
+  ParseOptions,
+  Coerced,
   PomeroyRating,
   EfficiencyData,
   FourFactorsData,
@@ -79,6 +154,19 @@ import type {
   ProgramRatingData,
   TrendsData,
   ScheduleGame,
+  RosterPlayer,
+  TeamPage,
+  TeamPageResult,
+  TeamHistorySeason,
+  CoachPage,
+  CoachResult,
+  CoachingChange,
+  PlayerPage,
+  PlayerPageResult,
+  PlayerLookup,
+  GameDetail,
+  GameDetailResult,
+  FanMatchResult,
   FanMatchResponse,
   ScoutingReportStats,
   ConferenceStandingsData,
@@ -86,10 +174,142 @@ import type {
   ConferenceAggregateData,
   PlayerMetric,
   GameAttribMetric,
+  NumericPomeroyRating,
+  ArchivedPomeroyRating,
+  NumericArchivedPomeroyRating,
+  NumericEfficiencyData,
+  NumericFourFactorsData,
+  NumericTeamStatsData,
+  NumericPointDistData,
+  NumericHeightData,
+  NumericPlayerStats,
+  NumericKpoyResult,
+  NumericRefData,
+  NumericHcaData,
+  NumericArenaData,
+  NumericGameAttribData,
+  NumericProgramRatingData,
+  NumericTrendsData,
+  NumericScheduleGame,
+  NumericRosterPlayer,
+  NumericTeamPage,
+  NumericTeamPageResult,
+  NumericTeamHistorySeason,
+  NumericCoachPage,
+  NumericCoachResult,
+  NumericPlayerPage,
+  NumericPlayerPageResult,
+  NumericGameDetail,
+  NumericGameDetailResult,
+  NumericFanMatchResult,
+  NumericFanMatchResponse,
+  NumericScoutingReportStats,
+  NumericConferenceStandingsData,
+  NumericConferenceStatsData,
+  NumericConferenceAggregateData,
 } from './types.js';
 
-type ClientType = 'tier1' | 'tier2' | null;
-type Client = CloudscraperClient['client'] | { browser: PuppeteerClient['browser']; page: PuppeteerClient['page'] } | null;
+/** Player stats (ORtg has one table per possession threshold) */
+type PlayerStatsResult<C extends boolean> =
+  | Coerced<C, PlayerStats, NumericPlayerStats>[]
+  | Coerced<C, PlayerStats, NumericPlayerStats>[][];
+
+/**
+ * Check a fetched page for Cloudflare challenges and HTTP error statuses.
+ * @throws CloudflareError, RateLimitError or HttpError
+ */
+function checkResponse(html: string, status: number | null, context: ErrorContext): void {
+  if (isChallengePage(html)) {
+    throw new CloudflareError(`Cloudflare challenge served for ${context.url}`, context);
+  }
+  if (status === 429) {
+    throw new RateLimitError(`Rate limited (HTTP 429) fetching ${context.url}`, { ...context, status });
+  }
+  if (status !== null && status >= 400) {
+    throw new HttpError(`HTTP ${status} fetching ${context.url}`, { ...context, status });
+  }
+}
+
+/**
+ * Combine a call's AbortSignal and timeout into one signal.
+ * @returns The signal (undefined when neither is set) and a function that clears the timer
+ * @throws ValidationError if timeoutMs is not a positive number
+ */
+function requestSignal({ signal, timeoutMs }: RequestOptions): { signal: AbortSignal | undefined; clear: () => void } {
+  if (timeoutMs === undefined) return { signal, clear: () => {} };
+  if (!(timeoutMs > 0)) {
+    throw new ValidationError(`timeoutMs must be a positive number of milliseconds (got ${timeoutMs})`);
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => {
+    controller.abort(new TimeoutError(`Request timed out after ${timeoutMs}ms`, { timeoutMs }));
+  }, timeoutMs);
+
+  return {
+    signal: signal ? AbortSignal.any([signal, controller.signal]) : controller.signal,
+    clear: () => clearTimeout(timer),
+  };
+}
+
+/**
+ * Settle with an operation, or reject as soon as the signal aborts.
+ * The operation itself stops at its next abort check.
+ */
+function untilAborted<T>(operation: Promise<T>, signal: AbortSignal | undefined, context: ErrorContext): Promise<T> {
+  if (!signal) return operation;
+
+  return new Promise((resolve, reject) => {
+    const onAbort = (): void => reject(toAbortError(signal.reason, context));
+    signal.addEventListener('abort', onAbort, { once: true });
+    operation.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Create the default logger: winston writing to the console, with
+ * metadata appended to each line as key=value pairs.
+ */
+function createConsoleLogger(logLevel: string): winston.Logger {
+  const level = logLevel.toUpperCase() as LogLevel;
+  const isSilent = level === 'NONE';
+  return winston.createLogger({
+    level: isSilent ? 'error' : level === 'WARNING' ? 'warn' : level.toLowerCase(),
+    format: winston.format.combine(
+      winston.format.timestamp(),
+      winston.format.printf(({ timestamp, level: lvl, message, ...meta }) => {
+        const fields = Object.entries(meta)
+          .filter(([, value]) => value !== undefined && value !== null)
+          .map(([key, value]) => `${key}=${value}`);
+        const suffix = fields.length > 0 ? ` (${fields.join(', ')})` : '';
+        return `${timestamp} - ${(lvl as string).toUpperCase()} - ${message}${suffix}`;
+      })
+    ),
+    transports: [
+      new winston.transports.Console({
+        silent: isSilent
+      })
+    ]
+  });
+}
+
+/**
+ * Count the table rows in a parsed result, summing nested tables and the
+ * array properties of result objects.
+ * @returns Row count, or null when the result holds no tables
+ */
+function countRows(result: unknown): number | null {
+  if (Array.isArray(result)) {
+    return result.every(Array.isArray)
+      ? result.reduce((sum: number, table: unknown[]) => sum + table.length, 0)
+      : result.length;
+  }
+  if (result && typeof result === 'object') {
+    const tables = Object.values(result).filter(Array.isArray);
+    return tables.length > 0 ? tables.reduce((sum: number, table) => sum + (countRows(table) ?? 0), 0) : null;
+  }
+  return null;
+}
 
 /**
  * Wrapper class for KenPom.com statistics scraping.
@@ -97,15 +317,31 @@ type Client = CloudscraperClient['client'] | { browser: PuppeteerClient['browser
  * Provides methods to fetch college basketball statistics
  * including ratings, efficiency, player stats, team schedules, and more.
  */
-export class KenpomAPI {
+export class KenpomAPI<C extends boolean = false> extends EventEmitter<KenpomAPIEvents> {
   private email: string;
   private password: string;
   private clientTier: ClientTier;
-  private client: Client = null;
-  private clientType: ClientType = null;
+  private transportOption: TransportOption | TransportOption[] | null;
+  private transport: Transport | null = null;
+  private transports: Transport[] = [];
+  private baseTransport: Transport | null = null;
+  private escalation: Required<EscalationOptions> | null;
+  private escalatedAt: number | null = null;
   private isLoggedIn: boolean = false;
-  private logger: winston.Logger;
-  private _closePuppeteer?: () => Promise<void>;
+  private sessionFile: string | null;
+  private recordDir: string | null;
+  private replayDir: string | null;
+  private retry: Required<RetryOptions>;
+  private scheduler: RequestScheduler | null;
+  private limiter: ConcurrencyLimiter;
+  private browser: BrowserOptions;
+  private cache: ResponseCache | null;
+  private cacheTtls: Required<Omit<CacheOptions, 'dir'>>;
+  private logger: Logger;
+  private parseOptions: ParseOptions<C>;
+  private _relogin: Promise<void> | null = null;
+  private _tierSwitch: Promise<void> | null = null;
+  private _inflight = new Map<string, Promise<string>>();
 
   /**
    * Initialize KenpomAPI instance.
@@ -113,37 +349,89 @@ export class KenpomAPI {
    * @param options - Configuration options
    * @param options.email - KenPom email. If null, reads from environment.
    * @param options.password - KenPom password. If null, reads from environment.
-   * @param options.logLevel - Logging level (DEBUG, INFO, WARNING, ERROR, NONE)
-   * @param options.clientTier - Force specific client tier ('tier1', 'tier2', or 'auto')
+   * @param options.logLevel - Logging level (DEBUG, INFO, WARNING, ERROR, NONE) for the default logger
+   * @param options.logger - Logger with debug/info/warn/error methods, or a factory returning one
+   * @param options.clientTier - Force specific client tier ('fetch', 'tier1', 'tier2', or 'auto')
+   * @param options.transport - Transport, tier name, or ordered list of them; overrides clientTier
+   * @param options.sessionFile - Path to persist the authenticated session between runs
+   * @param options.record - Directory to save every fetched page to
+   * @param options.replay - Directory to serve recorded pages from (no network or credentials needed)
+   * @param options.retry - Retry policy for endpoint requests, or false to disable retries
+   * @param options.rateLimit - Request rate limit, or false to disable pacing
+   * @param options.cache - Response cache options or directory (default: no cache)
+   * @param options.escalation - Tier escalation after a Cloudflare challenge, or false to disable
+   * @param options.concurrency - Maximum requests in flight at once (default: 1)
+   * @param options.browser - Tier 2 browser settings; the page pool defaults to the concurrency
+   * @param options.coerce - Return numbers instead of text for numeric columns (default: false)
+   * @param options.lenient - Return data with warnings when a page's table structure changed (default: throw)
    */
-  constructor(options: KenpomAPIOptions = {}) {
-    const { email = null, password = null, logLevel = 'INFO', clientTier = 'auto' } = options;
+  constructor(options: KenpomAPIOptions & ParseOptions<C> = {}) {
+    super();
+
+    const {
+      email = null,
+      password = null,
+      logLevel = 'INFO',
+      logger = null,
+      clientTier = 'auto',
+      transport = null,
+      sessionFile = null,
+      record = null,
+      replay = null,
+      retry = {},
+      rateLimit = {},
+      cache = null,
+      escalation = {},
+      concurrency = 1,
+      browser = {},
+      coerce = false,
+      lenient = false,
+    } = options;
 
     // Setup logging
-    const level = (typeof logLevel === 'string' ? logLevel : 'INFO').toUpperCase() as LogLevel;
-    const isSilent = level === 'NONE';
-    this.logger = winston.createLogger({
-      level: isSilent ? 'error' : level.toLowerCase(),
-      format: winston.format.combine(
-        winston.format.timestamp(),
-        winston.format.printf(({ timestamp, level: lvl, message }) => {
-          return `${timestamp} - ${(lvl as string).toUpperCase()} - ${message}`;
-        })
-      ),
-      transports: [
-        new winston.transports.Console({
-          silent: isSilent
-        })
-      ]
-    });
+    if (typeof logger === 'function') {
+      this.logger = logger({ name: 'kenpom-api' });
+    } else {
+      this.logger = logger ?? createConsoleLogger(typeof logLevel === 'string' ? logLevel : 'INFO');
+    }
+
+    if (record && replay) {
+      throw new ValidationError('The record and replay options cannot be used together.');
+    }
 
-    // Store credentials
-    const credentials = getKenpomCredentials({ email, password });
+    // Store credentials (replay never logs in, so they are optional there)
+    const credentials = replay
+      ? { email: email ?? '', password: password ?? '' }
+      : getKenpomCredentials({ email, password });
     this.email = credentials.email;
     this.password = credentials.password;
 
     // Client configuration
     this.clientTier = clientTier;
+    this.transportOption = transport;
+    this.sessionFile = sessionFile;
+    this.recordDir = record;
+    this.replayDir = replay;
+    this.retry = retry === false
+      ? { ...DEFAULT_RETRY_OPTIONS, maxAttempts: 1 }
+      : { ...DEFAULT_RETRY_OPTIONS, ...retry };
+    this.scheduler = rateLimit === false || replay ? null : new RequestScheduler(rateLimit);
+    this.escalation = escalation === false ? null : { ...DEFAULT_ESCALATION_OPTIONS, ...escalation };
+    this.limiter = new ConcurrencyLimiter(concurrency);
+    this.browser = { pages: this.limiter.limit, ...browser };
+
+    // Replay already serves pages from disk, so it bypasses the cache
+    const cacheOptions: CacheOptions | null = typeof cache === 'string' ? { dir: cache } : cache || null;
+    this.cache = cacheOptions && !replay ? new ResponseCache(cacheOptions.dir) : null;
+    this.cacheTtls = {
+      currentTtlMs: cacheOptions?.currentTtlMs ?? DEFAULT_CACHE_TTLS.currentTtlMs,
+      liveTtlMs: cacheOptions?.liveTtlMs ?? DEFAULT_CACHE_TTLS.liveTtlMs,
+    };
+
+    this.parseOptions = {
+      ...(coerce ? { coerce: true } : {}),
+      ...(lenient ? { lenient: true } : {}),
+    } as ParseOptions<C>;
 
     this.logger.info('KenpomAPI initialized');
   }
@@ -153,203 +441,635 @@ export class KenpomAPI {
   // ============================================================================
 
   /**
-   * Login to KenPom.com with tiered client approach.
+   * Login to KenPom.com, trying each configured transport in order.
    *
-   * Tries clients in order: tier1 (lightweight) → tier2 (headless browser)
-   * Stops when login succeeds.
+   * With the default 'auto' tier: fetch (native) → tier1 (lightweight) → tier2 (headless browser).
+   * Stops when login succeeds. If a session file is configured, a saved
+   * session for the transport is reused when it is still authenticated.
+   * In replay mode the only transport is the recording directory.
+   * Transports after the one that logged in are kept for tier escalation.
+   * Logging in again closes the transport already open.
    *
-   * @throws Error if all login attempts fail
+   * @throws AuthenticationError if all login attempts fail (cause holds the last transport's error)
+   * @throws ValidationError if a tier name is unknown
    */
   async login(): Promise<void> {
-    // Map legacy client tier names to new names
-    const tierMap: Record<string, string> = {
-      'cloudscraper': 'tier1',
-      'puppeteer': 'tier2',
-      'tier1': 'tier1',
-      'tier2': 'tier2',
-      'auto': 'auto'
-    };
-    const normalizedTier = tierMap[this.clientTier] ?? this.clientTier;
+    if (this.transport) await this._closeTransport();
 
-    const tiers = normalizedTier === 'auto'
-      ? ['tier1', 'tier2']
-      : [normalizedTier];
+    const transports = this._resolveTransports();
+    this.transports = transports;
 
     let lastError: Error | null = null;
+    let lastTier: string | null = null;
 
-    for (const tier of tiers) {
+    for (const transport of transports) {
       try {
-        const tierLabel = tier === 'tier1' ? 'Tier 1 (lightweight)' : 'Tier 2 (headless browser)';
-        this.logger.info(`Attempting login with ${tierLabel}...`);
-        await this._loginWithTier(tier);
-        this.logger.info(`Successfully logged in with ${tierLabel}`);
+        this.logger.info(`Attempting login with ${transport.description}...`, { tier: transport.name });
+        await this._loginWithTransport(transport);
+        this.logger.info(`Successfully logged in with ${transport.description}`, { tier: transport.name });
+        this.baseTransport = transport;
+        this.escalatedAt = null;
+        await this._saveSession();
         return;
       } catch (error) {
-        const tierLabel = tier === 'tier1' ? 'Tier 1' : 'Tier 2';
-        this.logger.warn(`Login with ${tierLabel} failed: ${(error as Error).message}`);
+        this.logger.warn(`Login with ${transport.description} failed`, {
+          tier: transport.name,
+          error: (error as Error).message,
+        });
         lastError = error as Error;
+        lastTier = transport.name;
 
-        // Clean up failed client
-        if (this._closePuppeteer) {
-          await this._closePuppeteer();
-        }
-        this.client = null;
+        // Clean up failed transport
+        await this._closeTransport();
       }
     }
 
-    throw new Error(`All login attempts failed. Last error: ${lastError?.message}`);
+    throw new AuthenticationError(`All login attempts failed. Last error: ${lastError?.message}`, {
+      tier: lastTier,
+      cause: lastError,
+    });
   }
 
   /**
-   * Login with a specific client tier.
+   * Resolve the transports to try, applying record or replay mode.
    * @private
    */
-  private async _loginWithTier(tier: string): Promise<void> {
-    switch (tier) {
-      case 'tier1':
-        await this._loginWithTier1();
-        break;
-      case 'tier2':
-        await this._loginWithTier2();
-        break;
-      default:
-        throw new Error(`Unknown client tier: '${tier}'. Valid tiers are: 'tier1', 'tier2', or 'auto'.`);
+  private _resolveTransports(): Transport[] {
+    if (this.replayDir) {
+      return [new ReplayTransport(this.replayDir)];
     }
+
+    const transports = resolveTransports(this.transportOption ?? this.clientTier, this.browser);
+    const recordDir = this.recordDir;
+    return recordDir
+      ? transports.map(transport => new RecordingTransport(transport, recordDir))
+      : transports;
   }
 
   /**
-   * Login using Tier 1 lightweight HTTP client for Cloudflare bypass.
+   * Login with a single transport, reusing a saved session when possible.
+   * Emits loginStart, then loginSuccess or loginFailure.
    * @private
    */
-  private async _loginWithTier1(): Promise<void> {
-    const { client } = await createCloudscraperClient();
-    this.clientType = 'tier1';
+  private async _loginWithTransport(transport: Transport): Promise<void> {
+    this.transport = transport;
+    const tier = transport.name;
+    const started = Date.now();
+    this.emit('loginStart', { tier });
+
+    let restored: boolean;
+    try {
+      restored = await this._restoreSession();
+      if (!restored) {
+        this.logger.debug('Submitting login form...', { tier });
+        await transport.login({ email: this.email, password: this.password });
+
+        await this._verifyLogin();
+      }
+    } catch (error) {
+      this.emit('loginFailure', { tier, durationMs: Date.now() - started, error: error as Error });
+      throw error;
+    }
+
+    this.emit('loginSuccess', { tier, durationMs: Date.now() - started, restored });
+  }
 
-    // Create HTTP session
-    const session = client.create_scraper ? client.create_scraper() : client;
-    this.client = session;
+  /**
+   * Verify login was successful by checking for "Logged in as" text.
+   * Fetches without _getHtml's session refresh: a logged-out page here means
+   * the login failed, and refreshing from inside a re-login would wait on itself.
+   * @private
+   */
+  private async _verifyLogin(): Promise<void> {
+    let html: string;
+    try {
+      html = await this._fetchHtml(BASE_URL);
+    } catch (error) {
+      throw toKenpomError(error, { url: BASE_URL, tier: this.transport?.name ?? null }, HttpError);
+    }
 
-    // Step 1: GET initial page
-    this.logger.debug('Fetching initial page...');
-    await new Promise<string>((resolve, reject) => {
-      session.get(`${BASE_URL}/index.php`, (err: Error | null, response: unknown, body: string) => {
-        if (err) reject(err);
-        else resolve(body);
+    if (!html.includes('Logged in as')) {
+      throw new AuthenticationError('Login verification failed - "Logged in as" not found. Check credentials.', {
+        tier: this.transport?.name ?? null,
       });
-    });
+    }
 
-    // Step 2: POST login credentials
-    this.logger.debug('Submitting login form...');
-    await new Promise<string>((resolve, reject) => {
-      session.post({
-        uri: `${BASE_URL}${ENDPOINTS.LOGIN_HANDLER}`,
-        formData: {
-          email: this.email,
-          password: this.password,
-          submit: 'Login!',
-        },
-        followAllRedirects: true,
-      }, (err: Error | null, response: unknown, body: string) => {
-        if (err) reject(err);
-        else resolve(body);
+    this.isLoggedIn = true;
+  }
+
+  /**
+   * Restore a saved session into the current transport.
+   * @returns true if the saved session is still logged in
+   * @private
+   */
+  private async _restoreSession(): Promise<boolean> {
+    const transport = this.transport;
+    if (!this.sessionFile || !transport?.importCookies) return false;
+
+    const saved = loadSession(this.sessionFile);
+    if (!saved || saved.tier !== transport.name || saved.cookies.length === 0) return false;
+
+    this.logger.debug('Restoring saved session...', { tier: transport.name, file: this.sessionFile });
+    await transport.importCookies(saved.cookies);
+
+    try {
+      await this._verifyLogin();
+      this.logger.info('Reusing saved session', { tier: transport.name, savedAt: saved.savedAt });
+      return true;
+    } catch {
+      this.logger.info('Saved session is stale, logging in with credentials', { tier: transport.name });
+      return false;
+    }
+  }
+
+  /**
+   * Save the current transport's cookies to the session file.
+   * @private
+   */
+  private async _saveSession(): Promise<void> {
+    const transport = this.transport;
+    if (!this.sessionFile || !this.isLoggedIn || !transport?.exportCookies) return;
+
+    try {
+      const cookies = await transport.exportCookies();
+      if (cookies.length === 0) return;
+
+      saveSession(this.sessionFile, {
+        tier: transport.name,
+        savedAt: new Date().toISOString(),
+        cookies,
       });
-    });
+      this.logger.debug('Session saved', { tier: transport.name, file: this.sessionFile });
+    } catch (error) {
+      this.logger.warn('Could not save session', { tier: transport.name, error: (error as Error).message });
+    }
+  }
+
+  /**
+   * Close and drop the current transport.
+   * @private
+   */
+  private async _closeTransport(): Promise<void> {
+    const transport = this.transport;
+    this.transport = null;
+    this.isLoggedIn = false;
+    if (transport) await this._disposeTransport(transport);
+  }
 
-    // Step 3: Verify login
-    await this._verifyLogin();
+  /**
+   * Close a transport that is no longer in use, logging failures.
+   * @private
+   */
+  private async _disposeTransport(transport: Transport): Promise<void> {
+    try {
+      await transport.close();
+    } catch (error) {
+      this.logger.warn(`Could not close ${transport.description}`, {
+        tier: transport.name,
+        error: (error as Error).message,
+      });
+    }
   }
 
   /**
-   * Login using Tier 2 headless browser with stealth.
+   * Verify session is active, first waiting for any re-login or tier switch
+   * in progress: both drop the session while the next transport logs in.
    * @private
    */
-  private async _loginWithTier2(): Promise<void> {
-    const { browser, page, close } = await createPuppeteerClient();
-    this.client = { browser, page };
-    this.clientType = 'tier2';
-    this._closePuppeteer = close;
+  private async _verifySession(): Promise<void> {
+    await this._awaitSessionChange();
+    if (!this.transport || !this.isLoggedIn) {
+      throw new AuthenticationError('Not logged in. Call login() first.');
+    }
+  }
 
-    // Step 1: Navigate to homepage
-    this.logger.debug('Navigating to KenPom...');
-    await page.goto(`${BASE_URL}/index.php`, { waitUntil: 'networkidle2' });
+  /**
+   * Wait until no re-login or tier switch is in progress. Their failures are
+   * left to the callers that started them.
+   * @private
+   */
+  private async _awaitSessionChange(): Promise<void> {
+    for (let pending = this._relogin ?? this._tierSwitch; pending; pending = this._relogin ?? this._tierSwitch) {
+      await pending.catch(() => {});
+    }
+  }
 
-    // Step 2: Fill login form
-    this.logger.debug('Filling login form...');
-    await page.type('input[name="email"]', this.email);
-    await page.type('input[name="password"]', this.password);
+  /**
+   * Get HTML content from a URL.
+   * Logs in again and retries once if the session has expired.
+   * @private
+   */
+  private async _getHtml(
+    url: string,
+    context: RequestContext | null = null,
+    signal?: AbortSignal
+  ): Promise<string> {
+    try {
+      await this._awaitSessionChange();
+      const html = await this._fetchHtml(url, signal);
+      // A re-login in progress counts as logged in, so concurrent requests join it
+      if (!(this.isLoggedIn || this._relogin) || !isLoggedOutPage(html)) {
+        return html;
+      }
 
-    // Step 3: Submit form
-    await Promise.all([
-      page.click('input[type="submit"]'),
-      page.waitForNavigation({ waitUntil: 'networkidle2' }),
-    ]);
+      await this._refreshSession(url);
 
-    // Step 4: Verify login
-    const content = await page.content();
-    if (!content.includes('Logged in as')) {
-      throw new Error('Login verification failed - "Logged in as" not found');
+      const retried = await this._fetchHtml(url, signal);
+      if (isLoggedOutPage(retried)) {
+        throw new AuthenticationError(`Session expired and re-login did not restore access to ${url}`);
+      }
+      return retried;
+    } catch (error) {
+      throw toKenpomError(error, { ...context, url, tier: this.transport?.name ?? null }, HttpError);
     }
+  }
 
-    this.isLoggedIn = true;
+  /**
+   * Fetch a page and parse it, attaching the request context to any error.
+   * Parser failures surface as ParseError. Retryable failures are retried
+   * according to the retry policy.
+   *
+   * With a response cache, a fresh cached copy is parsed instead of fetching,
+   * and fetched pages are stored only after they parse, so error and
+   * logged-out pages are never cached.
+   *
+   * The call's signal and timeout cover queueing, retries and re-logins;
+   * when either fires the call rejects at once with AbortError or TimeoutError.
+   * @private
+   */
+  private async _fetchPage<T>(
+    request: { endpoint: keyof Endpoints; url: string; season?: number | string | null },
+    parse: (html: string) => T,
+    options: RequestOptions = {}
+  ): Promise<T> {
+    const context: RequestContext = {
+      endpoint: request.endpoint,
+      url: request.url,
+      season: request.season ? parseInt(String(request.season)) : null,
+    };
+
+    const { signal, clear } = requestSignal(options);
+    try {
+      if (signal?.aborted) throw toAbortError(signal.reason, context);
+
+      const cache = options.cache === false ? null : this.cache;
+      // Record mode must hit the network so every page lands in the fixtures
+      const cached = cache && !options.refresh && !this.recordDir ? cache.get(context.url) : null;
+      if (cached !== null) {
+        try {
+          const result = this._parse(context, parse, cached, true);
+          this.logger.debug('Served from cache', { ...context });
+          this.emit('cacheHit', { url: context.url, endpoint: context.endpoint });
+          return result;
+        } catch (error) {
+          this.logger.debug('Cached copy failed to parse, fetching it again', {
+            ...context,
+            error: (error as Error).message,
+          });
+        }
+      }
+      if (cache) this.emit('cacheMiss', { url: context.url, endpoint: context.endpoint });
+
+      this.logger.debug('Fetching page', { ...context });
+
+      const fetched = this._withRetry(context, async () => {
+        const html = await this._getHtmlShared(context, signal);
+        const result = this._parse(context, parse, html, false);
+
+        if (cache) this._storeInCache(cache, context, html);
+        return result;
+      }, signal);
+
+      return await untilAborted(fetched, signal, { ...context, tier: this.transport?.name ?? null });
+    } finally {
+      clear();
+    }
   }
 
   /**
-   * Verify login was successful by checking for "Logged in as" text.
+   * Fetch a page, joining a request for the same URL that is already in
+   * flight, so concurrent calls reading one page (getSchedule and
+   * getScoutingReport, say) send a single request. Calls with their own
+   * signal or timeout fetch separately, so one caller's cancellation cannot
+   * fail another.
    * @private
    */
-  private async _verifyLogin(): Promise<void> {
-    const html = await this._getHtml(BASE_URL);
+  private _getHtmlShared(context: RequestContext, signal?: AbortSignal): Promise<string> {
+    if (signal) return this._getHtmlEscalating(context, signal);
 
-    if (!html.includes('Logged in as')) {
-      throw new Error('Login verification failed - "Logged in as" not found. Check credentials.');
+    const pending = this._inflight.get(context.url);
+    if (pending) return pending;
+
+    const request = this._getHtmlEscalating(context).finally(() => {
+      this._inflight.delete(context.url);
+    });
+    this._inflight.set(context.url, request);
+    return request;
+  }
+
+  /**
+   * Run a parser on a page, emitting parseStart and parseEnd, and
+   * parseWarning when a lenient parse found structure changes.
+   * @throws ParseError if the parser fails (StructureChangedError when the page layout changed)
+   * @private
+   */
+  private _parse<T>(context: RequestContext, parse: (html: string) => T, html: string, fromCache: boolean): T {
+    const event = { url: context.url, endpoint: context.endpoint, fromCache };
+    this.emit('parseStart', event);
+    const started = Date.now();
+
+    let result: T;
+    try {
+      result = parse(html);
+    } catch (error) {
+      const failure = toKenpomError(error, { ...context, tier: this.transport?.name ?? null }, ParseError);
+      this.emit('parseEnd', { ...event, rows: null, durationMs: Date.now() - started, error: failure });
+      throw failure;
     }
 
-    this.isLoggedIn = true;
+    this.emit('parseEnd', { ...event, rows: countRows(result), durationMs: Date.now() - started, error: null });
+
+    const warnings = getParseWarnings(result);
+    if (warnings.length > 0) {
+      this.logger.warn('Page structure changed', {
+        ...context,
+        warnings: warnings.map(warning => warning.message).join('; '),
+      });
+      this.emit('parseWarning', { ...event, warnings });
+    }
+    return result;
   }
 
   /**
-   * Verify session is active.
+   * Store a fetched page with the lifetime its endpoint and season allow.
+   * Cache write failures are logged and do not fail the request.
    * @private
    */
-  private _verifySession(): void {
-    if (!this.client || !this.isLoggedIn) {
-      throw new Error('Not logged in. Call login() first.');
+  private _storeInCache(cache: ResponseCache, context: RequestContext, html: string): void {
+    try {
+      cache.set(context.url, html, cacheTtl(context, this.cacheTtls));
+    } catch (error) {
+      this.logger.warn('Could not cache page', { ...context, error: (error as Error).message });
     }
   }
 
   /**
-   * Get HTML content from a URL.
+   * Get HTML for an endpoint request, moving to the next transport when
+   * Cloudflare challenges the current one. Login verification does not go
+   * through here; login() handles fallback while authenticating.
+   * @private
+   */
+  private async _getHtmlEscalating(context: RequestContext, signal?: AbortSignal): Promise<string> {
+    await this._awaitSessionChange();
+    await this._deescalateAfterCooldown(context.url);
+
+    for (;;) {
+      const transport = this.transport;
+      try {
+        return await this._getHtml(context.url, context, signal);
+      } catch (error) {
+        if (!(error instanceof CloudflareError) || !this.escalation || !transport) throw error;
+        await this._escalate(context.url, transport, error);
+      }
+    }
+  }
+
+  /**
+   * Replace a challenged transport with the next one that logs in.
+   * Concurrent callers share a single escalation.
+   * @throws The original CloudflareError when no later transport logs in
+   * @private
+   */
+  private async _escalate(url: string, challenged: Transport, cause: CloudflareError): Promise<void> {
+    if (!this._tierSwitch && this.transport === challenged) {
+      this._tierSwitch = (async () => {
+        const remaining = this.transports.slice(this.transports.indexOf(challenged) + 1);
+        for (const next of remaining) {
+          this.logger.warn(
+            `Cloudflare challenge on ${challenged.description}, escalating to ${next.description}...`,
+            { url, tier: challenged.name, to: next.name }
+          );
+          if (await this._switchTransport(next, url, 'challenge')) {
+            this.escalatedAt = Date.now();
+            return;
+          }
+        }
+        throw cause;
+      })().finally(() => {
+        this._tierSwitch = null;
+      });
+    }
+
+    await this._tierSwitch;
+  }
+
+  /**
+   * Return to the transport login() chose once the escalation cool-down has passed.
+   * Stays escalated, and restarts the cool-down, if that transport fails to log in.
+   * @private
+   */
+  private async _deescalateAfterCooldown(url: string): Promise<void> {
+    const cooldownMs = this.escalation?.cooldownMs ?? null;
+    const base = this.baseTransport;
+    if (cooldownMs === null || this.escalatedAt === null || !base || this.transport === base) return;
+    if (Date.now() - this.escalatedAt < cooldownMs || this._tierSwitch) return;
+
+    this._tierSwitch = (async () => {
+      this.logger.info(`Escalation cool-down passed, returning to ${base.description}...`, {
+        url,
+        tier: this.transport?.name ?? null,
+        to: base.name,
+      });
+      if (await this._switchTransport(base, url, 'cooldown')) {
+        this.escalatedAt = null;
+      } else {
+        this.escalatedAt = Date.now();
+      }
+    })().finally(() => {
+      this._tierSwitch = null;
+    });
+
+    await this._tierSwitch;
+  }
+
+  /**
+   * Log in with another transport and make it the live one.
+   * The previous transport stays live if the new one fails to log in.
+   * @returns true if the switch succeeded
+   * @private
+   */
+  private async _switchTransport(
+    next: Transport,
+    url: string,
+    reason: TierChangeEvent['reason']
+  ): Promise<boolean> {
+    const previous = this.transport;
+    this.isLoggedIn = false;
+
+    try {
+      await this._loginWithTransport(next);
+    } catch (error) {
+      this.logger.warn(`Login with ${next.description} failed`, {
+        tier: next.name,
+        error: (error as Error).message,
+      });
+      await this._disposeTransport(next);
+      this.transport = previous;
+      this.isLoggedIn = previous !== null;
+      return false;
+    }
+
+    if (previous) await this._disposeTransport(previous);
+    await this._saveSession();
+    this.logger.info(`Switched from ${previous?.description ?? 'no transport'} to ${next.description}`, {
+      url,
+      tier: next.name,
+      reason,
+    });
+
+    const event: TierChangeEvent = { from: previous?.name ?? '', to: next.name, url, reason };
+    this.emit('tierChange', event);
+    return true;
+  }
+
+  /**
+   * Run an operation, retrying retryable failures with exponential backoff.
+   * Stops before the next attempt once the signal aborts. Emits 'retry'
+   * before each wait.
    * @private
    */
-  private async _getHtml(url: string): Promise<string> {
-    if (this.clientType === 'tier1') {
-      const session = this.client as CloudscraperClient['client'];
-      return new Promise((resolve, reject) => {
-        session.get(url, (err: Error | null, response: unknown, body: string) => {
-          if (err) reject(err);
-          else resolve(body);
+  private async _withRetry<T>(
+    context: RequestContext,
+    operation: () => Promise<T>,
+    signal?: AbortSignal
+  ): Promise<T> {
+    const { maxAttempts, baseDelayMs, maxDelayMs, retryOn } = this.retry;
+
+    for (let attempt = 1; ; attempt++) {
+      if (signal?.aborted) throw toAbortError(signal.reason, context);
+      try {
+        return await operation();
+      } catch (error) {
+        const kind = retryableKind(error);
+        if (attempt >= maxAttempts || !kind || !retryOn.includes(kind)) {
+          throw error;
+        }
+
+        const delay = backoffDelay(attempt, baseDelayMs, maxDelayMs);
+        this.logger.warn(`Attempt ${attempt}/${maxAttempts} failed, retrying in ${delay}ms`, {
+          ...context,
+          tier: this.transport?.name ?? null,
+          error: (error as Error).message,
         });
+        this.emit('retry', {
+          url: context.url,
+          endpoint: context.endpoint,
+          attempt,
+          maxAttempts,
+          delayMs: delay,
+          error: error as Error,
+        });
+        await pause(delay);
+      }
+    }
+  }
+
+  /**
+   * Log in again after the session expired.
+   * Concurrent callers share a single re-login.
+   * @private
+   */
+  private async _refreshSession(url: string): Promise<void> {
+    if (!this._relogin) {
+      this._relogin = (async () => {
+        this.logger.warn('Session expired, logging in again...', { url, tier: this.transport?.name ?? null });
+        await this._closeTransport();
+
+        await this.login();
+
+        const event: SessionRefreshEvent = { url, tier: this.transport?.name ?? null };
+        this.emit('sessionRefresh', event);
+      })().finally(() => {
+        this._relogin = null;
+      });
+    }
+
+    await this._relogin;
+  }
+
+  /**
+   * Fetch HTML content with the active transport.
+   * Waits for a concurrency slot, then for the rate limiter, before each request.
+   * An aborted signal surfaces as AbortError or TimeoutError.
+   * Emits requestStart once the request is sent and requestEnd when it settles.
+   * @private
+   */
+  private async _fetchHtml(url: string, signal?: AbortSignal): Promise<string> {
+    const transport = this.transport;
+    if (!transport) {
+      throw new KenpomError('No active transport. This is an internal error - please ensure login() was called successfully before making API requests.');
+    }
+
+    const context: ErrorContext = { url, tier: transport.name };
+    const release = await this.limiter.acquire();
+
+    let started = 0;
+    const end = (status: number | null, body: string, error: Error | null): void => {
+      this.emit('requestEnd', {
+        url,
+        tier: transport.name,
+        status,
+        bytes: Buffer.byteLength(body),
+        durationMs: Date.now() - started,
+        error,
       });
+    };
+
+    let response;
+    try {
+      await this.scheduler?.acquire();
+      signal?.throwIfAborted();
+      started = Date.now();
+      this.emit('requestStart', { url, tier: transport.name });
+      response = signal ? await transport.get(url, { signal }) : await transport.get(url);
+    } catch (error) {
+      const failure = signal?.aborted
+        ? toAbortError(signal.reason, context)
+        : toKenpomError(error, context, HttpError);
+      if (started) end(null, '', failure);
+      throw failure;
+    } finally {
+      release();
     }
 
-    if (this.clientType === 'tier2') {
-      const { page } = this.client as { page: PuppeteerClient['page'] };
-      await page.goto(url, { waitUntil: 'networkidle2' });
-      return await page.content();
+    try {
+      checkResponse(response.body, response.status, context);
+    } catch (error) {
+      end(response.status, response.body, error as Error);
+      throw error;
     }
+    end(response.status, response.body, null);
+    return response.body;
+  }
 
-    throw new Error(`Unknown client type: '${this.clientType}'. This is an internal error - please ensure login() was called successfully before making API requests.`);
+  /**
+   * Remove every page from the response cache.
+   *
+   * @returns Number of pages removed (0 when no cache is configured)
+   */
+  clearCache(): number {
+    const removed = this.cache?.clear() ?? 0;
+    this.logger.info(`Cleared ${removed} cached pages`, { dir: this.cache?.dir ?? null });
+    return removed;
   }
 
   /**
    * Close the client connection.
+   * Saves the session first when a session file is configured.
    */
   async close(): Promise<void> {
-    if (this.clientType === 'tier2' && this._closePuppeteer) {
-      await this._closePuppeteer();
-    }
-    this.client = null;
-    this.isLoggedIn = false;
+    await this._saveSession();
+    await this._closeTransport();
     this.logger.info('Client closed');
   }
 
@@ -361,89 +1081,153 @@ export class KenpomAPI {
    * Get Pomeroy college basketball ratings.
    *
    * @param season - Season year (default: current season)
+   * @param options - Per-call request options (cache, refresh, signal, timeoutMs)
    * @returns Array of team ratings with columns:
    *   Rk, Team, Conf, W-L, AdjEM, AdjO, AdjO.Rank, AdjD, AdjD.Rank,
    *   AdjT, AdjT.Rank, Luck, Luck.Rank, SOS-AdjEM, SOS-AdjEM.Rank,
    *   SOS-OppO, SOS-OppO.Rank, SOS-OppD, SOS-OppD.Rank,
    *   NCSOS-AdjEM, NCSOS-AdjEM.Rank, Seed
    */
-  async getPomeroyRatings(season: number | string | null = null): Promise<PomeroyRating[]> {
-    this._verifySession();
+  async getPomeroyRatings(
+    season: number | string | null = null,
+    options: RequestOptions = {}
+  ): Promise<Coerced<C, PomeroyRating, NumericPomeroyRating>[]> {
+    await this._verifySession();
     if (season) validateSeason(season, 'POMEROY_RATINGS');
 
     const url = buildUrl(ENDPOINTS.POMEROY_RATINGS, season ? { y: season } : {});
-    this.logger.debug(`Fetching Pomeroy ratings: ${url}`);
 
-    const html = await this._getHtml(url);
-    return parsePomeroyRatings(html);
+    return this._fetchPage(
+      { endpoint: 'POMEROY_RATINGS', url, season },
+      html => parsePomeroyRatings(html, this.parseOptions),
+      options
+    );
+  }
+
+  /**
+   * Get the Pomeroy ratings as they stood on a given date, for backtesting
+   * with only the information available before each game.
+   *
+   * @param date - Archive date in YYYY-MM-DD format (2011-11-01 or later)
+   * @param options - Per-call request options (cache, refresh, signal, timeoutMs)
+   * @returns Array of team ratings with the getPomeroyRatings columns plus
+   *   AsOf (the archive date); columns the archive page lacks are empty
+   */
+  async getRatingsArchive(
+    date: string,
+    options: RequestOptions = {}
+  ): Promise<Coerced<C, ArchivedPomeroyRating, NumericArchivedPomeroyRating>[]> {
+    await this._verifySession();
+    validateArchiveDate(date);
+
+    const url = buildUrl(ENDPOINTS.ARCHIVE, { d: date });
+
+    return this._fetchPage(
+      { endpoint: 'ARCHIVE', url, season: seasonForDay(date) },
+      html => parseRatingsArchive(html, date, this.parseOptions),
+      options
+    );
+  }
+
+  /**
+   * Iterate over the archived ratings for every date from start to end
+   * (inclusive), fetching one date at a time.
+   *
+   * @param startDate - First date in YYYY-MM-DD format
+   * @param endDate - Last date in YYYY-MM-DD format
+   * @param options - Per-call request options, applied to every date
+   * @returns Async iterator of { date, ratings } in date order
+   *
+   * @example
+   * for await (const { date, ratings } of api.getRatingsArchiveRange('2025-01-01', '2025-01-07')) {
+   *   console.log(date, ratings[0]?.Team);
+   * }
+   */
+  async *getRatingsArchiveRange(
+    startDate: string,
+    endDate: string,
+    options: RequestOptions = {}
+  ): AsyncGenerator<{ date: string; ratings: Coerced<C, ArchivedPomeroyRating, NumericArchivedPomeroyRating>[] }> {
+    await this._verifySession();
+    validateArchiveDate(startDate);
+    validateArchiveDate(endDate);
+    if (startDate > endDate) {
+      throw new ValidationError(`Start date ${startDate} is after end date ${endDate}`, { endpoint: 'ARCHIVE' });
+    }
+
+    for (const date of generateDateRange(startDate, endDate)) {
+      yield { date, ratings: await this.getRatingsArchive(date, options) };
+    }
   }
 
   /**
    * Get statistical trends.
    *
+   * @param options - Per-call request options (cache, refresh, signal, timeoutMs)
    * @returns Trends data
    */
-  async getTrends(): Promise<TrendsData[]> {
-    this._verifySession();
+  async getTrends(options: RequestOptions = {}): Promise<Coerced<C, TrendsData, NumericTrendsData>[]> {
+    await this._verifySession();
 
     const url = buildUrl(ENDPOINTS.TRENDS);
-    this.logger.debug(`Fetching trends: ${url}`);
 
-    const html = await this._getHtml(url);
-    return parseTrends(html);
+    return this._fetchPage({ endpoint: 'TRENDS', url }, html => parseTrends(html, this.parseOptions), options);
   }
 
   /**
    * Get referee rankings.
    *
    * @param season - Season year (2016+)
+   * @param options - Per-call request options (cache, refresh, signal, timeoutMs)
    * @returns Referee stats with columns:
    *   Rank, Name, Rating, Games, Last Game, Game Score
    */
-  async getRefs(season: number | string | null = null): Promise<RefData[]> {
-    this._verifySession();
+  async getRefs(
+    season: number | string | null = null,
+    options: RequestOptions = {}
+  ): Promise<Coerced<C, RefData, NumericRefData>[]> {
+    await this._verifySession();
     if (season) validateSeason(season, 'REFS');
 
     const url = buildUrl(ENDPOINTS.REFS, season ? { y: season } : {});
-    this.logger.debug(`Fetching refs: ${url}`);
 
-    const html = await this._getHtml(url);
-    return parseRefs(html);
+    return this._fetchPage({ endpoint: 'REFS', url, season }, html => parseRefs(html, this.parseOptions), options);
   }
 
   /**
    * Get home court advantage statistics.
    *
+   * @param options - Per-call request options (cache, refresh, signal, timeoutMs)
    * @returns HCA data with columns:
    *   Team, Conference, HCA, HCA.Rank, PF, PF.Rank, Pts, Pts.Rank,
    *   NST, NST.Rank, Blk, Blk.Rank, Elev, Elev.Rank
    */
-  async getHca(): Promise<HcaData[]> {
-    this._verifySession();
+  async getHca(options: RequestOptions = {}): Promise<Coerced<C, HcaData, NumericHcaData>[]> {
+    await this._verifySession();
 
     const url = buildUrl(ENDPOINTS.HCA);
-    this.logger.debug(`Fetching HCA: ${url}`);
 
-    const html = await this._getHtml(url);
-    return parseHca(html);
+    return this._fetchPage({ endpoint: 'HCA', url }, html => parseHca(html, this.parseOptions), options);
   }
 
   /**
    * Get arena statistics.
    *
    * @param season - Season year (2010+)
+   * @param options - Per-call request options (cache, refresh, signal, timeoutMs)
    * @returns Arena data with columns:
    *   Rank, Team, Conference, Arena, Arena.Capacity, Alternate, Alternate.Capacity
    */
-  async getArenas(season: number | string | null = null): Promise<ArenaData[]> {
-    this._verifySession();
+  async getArenas(
+    season: number | string | null = null,
+    options: RequestOptions = {}
+  ): Promise<Coerced<C, ArenaData, NumericArenaData>[]> {
+    await this._verifySession();
     if (season) validateSeason(season, 'ARENAS');
 
     const url = buildUrl(ENDPOINTS.ARENAS, season ? { y: season } : {});
-    this.logger.debug(`Fetching arenas: ${url}`);
 
-    const html = await this._getHtml(url);
-    return parseArenas(html);
+    return this._fetchPage({ endpoint: 'ARENAS', url, season }, html => parseArenas(html, this.parseOptions), options);
   }
 
   /**
@@ -451,14 +1235,16 @@ export class KenpomAPI {
    *
    * @param season - Season year (2010+)
    * @param metric - Metric: Excitement, Tension, Dominance, ComeBack, FanMatch, Upsets, Busts
+   * @param options - Per-call request options (cache, refresh, signal, timeoutMs)
    * @returns Game attributes with columns:
    *   Rank, Date, Game, Location, Arena, Conf.Matchup, Value
    */
   async getGameAttribs(
     season: number | string | null = null,
-    metric: GameAttribMetric = 'Excitement'
-  ): Promise<GameAttribData[]> {
-    this._verifySession();
+    metric: GameAttribMetric = 'Excitement',
+    options: RequestOptions = {}
+  ): Promise<Coerced<C, GameAttribData, NumericGameAttribData>[]> {
+    await this._verifySession();
     if (season) validateSeason(season, 'GAME_ATTRIBS');
     validateGameAttribMetric(metric);
 
@@ -466,29 +1252,36 @@ export class KenpomAPI {
     if (season) params['y'] = season;
 
     const url = buildUrl(ENDPOINTS.GAME_ATTRIBS, params);
-    this.logger.debug(`Fetching game attribs: ${url}`);
 
-    const html = await this._getHtml(url);
-    return parseGameAttribs(html);
+    return this._fetchPage(
+      { endpoint: 'GAME_ATTRIBS', url, season },
+      html => parseGameAttribs(html, this.parseOptions),
+      options
+    );
   }
 
   /**
    * Get all-time program ratings.
    *
+   * @param options - Per-call request options (cache, refresh, signal, timeoutMs)
    * @returns Program ratings with columns:
    *   Rank, Team, Conference, Rating, kenpom.Best.Rank, kenpom.Best.Season,
    *   kenpom.Worst.Rank, kenpom.Worst.Season, kenpom.Median.Rank,
    *   kenpom.Top10.Finishes, kenpom.Top25.Finishes, kenpom.Top50.Finishes,
    *   NCAA.Champs, NCAA.F4, NCAA.S16, NCAA.R1, Change
    */
-  async getProgramRatings(): Promise<ProgramRatingData[]> {
-    this._verifySession();
+  async getProgramRatings(
+    options: RequestOptions = {}
+  ): Promise<Coerced<C, ProgramRatingData, NumericProgramRatingData>[]> {
+    await this._verifySession();
 
     const url = buildUrl(ENDPOINTS.PROGRAM_RATINGS);
-    this.logger.debug(`Fetching program ratings: ${url}`);
 
-    const html = await this._getHtml(url);
-    return parseProgramRatings(html);
+    return this._fetchPage(
+      { endpoint: 'PROGRAM_RATINGS', url },
+      html => parseProgramRatings(html, this.parseOptions),
+      options
+    );
   }
 
   // ============================================================================
@@ -499,34 +1292,46 @@ export class KenpomAPI {
    * Get efficiency and tempo statistics.
    *
    * @param season - Season year (1999+)
+   * @param options - Per-call request options (cache, refresh, signal, timeoutMs)
    * @returns Efficiency stats (columns vary by year)
    */
-  async getEfficiency(season: number | string | null = null): Promise<EfficiencyData[]> {
-    this._verifySession();
+  async getEfficiency(
+    season: number | string | null = null,
+    options: RequestOptions = {}
+  ): Promise<Coerced<C, EfficiencyData, NumericEfficiencyData>[]> {
+    await this._verifySession();
     if (season) validateSeason(season, 'EFFICIENCY');
 
     const url = buildUrl(ENDPOINTS.EFFICIENCY, season ? { y: season } : {});
-    this.logger.debug(`Fetching efficiency: ${url}`);
 
-    const html = await this._getHtml(url);
-    return parseEfficiency(html, season ? parseInt(String(season)) : null);
+    return this._fetchPage(
+      { endpoint: 'EFFICIENCY', url, season },
+      html => parseEfficiency(html, season ? parseInt(String(season)) : null, this.parseOptions),
+      options
+    );
   }
 
   /**
    * Get Four Factors statistics.
    *
    * @param season - Season year (1999+)
+   * @param options - Per-call request options (cache, refresh, signal, timeoutMs)
    * @returns Four factors with 24 columns
    */
-  async getFourFactors(season: number | string | null = null): Promise<FourFactorsData[]> {
-    this._verifySession();
+  async getFourFactors(
+    season: number | string | null = null,
+    options: RequestOptions = {}
+  ): Promise<Coerced<C, FourFactorsData, NumericFourFactorsData>[]> {
+    await this._verifySession();
     if (season) validateSeason(season, 'FOUR_FACTORS');
 
     const url = buildUrl(ENDPOINTS.FOUR_FACTORS, season ? { y: season } : {});
-    this.logger.debug(`Fetching four factors: ${url}`);
 
-    const html = await this._getHtml(url);
-    return parseFourFactors(html);
+    return this._fetchPage(
+      { endpoint: 'FOUR_FACTORS', url, season },
+      html => parseFourFactors(html, this.parseOptions),
+      options
+    );
   }
 
   /**
@@ -534,13 +1339,15 @@ export class KenpomAPI {
    *
    * @param season - Season year (1999+)
    * @param defense - If true, get defensive stats
+   * @param options - Per-call request options (cache, refresh, signal, timeoutMs)
    * @returns Team stats with 20 columns
    */
   async getTeamStats(
     season: number | string | null = null,
-    defense: boolean = false
-  ): Promise<TeamStatsData[]> {
-    this._verifySession();
+    defense: boolean = false,
+    options: RequestOptions = {}
+  ): Promise<Coerced<C, TeamStatsData, NumericTeamStatsData>[]> {
+    await this._verifySession();
     if (season) validateSeason(season, 'TEAM_STATS');
 
     const params: Record<string, string | number> = {};
@@ -548,44 +1355,58 @@ export class KenpomAPI {
     if (defense) params['od'] = 'd';
 
     const url = buildUrl(ENDPOINTS.TEAM_STATS, params);
-    this.logger.debug(`Fetching team stats: ${url}`);
 
-    const html = await this._getHtml(url);
-    return parseTeamStats(html, defense);
+    return this._fetchPage(
+      { endpoint: 'TEAM_STATS', url, season },
+      html => parseTeamStats(html, defense, this.parseOptions),
+      options
+    );
   }
 
   /**
    * Get team points distribution.
    *
    * @param season - Season year (1999+)
+   * @param options - Per-call request options (cache, refresh, signal, timeoutMs)
    * @returns Point distribution with 14 columns
    */
-  async getPointDist(season: number | string | null = null): Promise<PointDistData[]> {
-    this._verifySession();
+  async getPointDist(
+    season: number | string | null = null,
+    options: RequestOptions = {}
+  ): Promise<Coerced<C, PointDistData, NumericPointDistData>[]> {
+    await this._verifySession();
     if (season) validateSeason(season, 'POINT_DIST');
 
     const url = buildUrl(ENDPOINTS.POINT_DIST, season ? { y: season } : {});
-    this.logger.debug(`Fetching point dist: ${url}`);
 
-    const html = await this._getHtml(url);
-    return parsePointDist(html);
+    return this._fetchPage(
+      { endpoint: 'POINT_DIST', url, season },
+      html => parsePointDist(html, this.parseOptions),
+      options
+    );
   }
 
   /**
    * Get height and experience statistics.
    *
    * @param season - Season year (2007+)
+   * @param options - Per-call request options (cache, refresh, signal, timeoutMs)
    * @returns Height/experience data (columns vary by year)
    */
-  async getHeight(season: number | string | null = null): Promise<HeightData[]> {
-    this._verifySession();
+  async getHeight(
+    season: number | string | null = null,
+    options: RequestOptions = {}
+  ): Promise<Coerced<C, HeightData, NumericHeightData>[]> {
+    await this._verifySession();
     if (season) validateSeason(season, 'HEIGHT');
 
     const url = buildUrl(ENDPOINTS.HEIGHT, season ? { y: season } : {});
-    this.logger.debug(`Fetching height: ${url}`);
 
-    const html = await this._getHtml(url);
-    return parseHeight(html, season ? parseInt(String(season)) : null);
+    return this._fetchPage(
+      { endpoint: 'HEIGHT', url, season },
+      html => parseHeight(html, season ? parseInt(String(season)) : null, this.parseOptions),
+      options
+    );
   }
 
   /**
@@ -595,6 +1416,7 @@ export class KenpomAPI {
    * @param metric - Metric (ORtg, Min, eFG, etc.)
    * @param conf - Conference code (optional)
    * @param confOnly - Only conference games
+   * @param options - Per-call request options (cache, refresh, signal, timeoutMs)
    * @returns Player stats
    *   (ORtg returns array of 4 tables for different possession thresholds)
    */
@@ -602,9 +1424,10 @@ export class KenpomAPI {
     season: number | string | null = null,
     metric: PlayerMetric = 'eFG',
     conf: string | null = null,
-    confOnly: boolean = false
-  ): Promise<PlayerStats[] | PlayerStats[][]> {
-    this._verifySession();
+    confOnly: boolean = false,
+    options: RequestOptions = {}
+  ): Promise<PlayerStatsResult<C>> {
+    await this._verifySession();
     if (season) validateSeason(season, 'PLAYER_STATS');
     validatePlayerMetric(metric);
     if (conf) validateConference(conf);
@@ -615,16 +1438,15 @@ export class KenpomAPI {
     if (confOnly && conf) params['f'] = conf;
 
     const url = buildUrl(ENDPOINTS.PLAYER_STATS, params);
-    this.logger.debug(`Fetching player stats: ${url}`);
 
-    const html = await this._getHtml(url);
-
-    // ORtg has 4 tables (different possession thresholds)
-    if (metric === 'ORtg') {
-      return parseAllPlayerStatsTables(html);
-    }
+    return this._fetchPage({ endpoint: 'PLAYER_STATS', url, season }, html => {
+      // ORtg has 4 tables (different possession thresholds)
+      if (metric === 'ORtg') {
+        return parseAllPlayerStatsTables(html, this.parseOptions);
+      }
 
-    return parsePlayerStats(html, metric);
+      return parsePlayerStats(html, metric, this.parseOptions);
+    }, options);
   }
 
   /**
@@ -633,19 +1455,29 @@ export class KenpomAPI {
    * @param season - Season year (2004+)
    * @param conf - Conference code (optional)
    * @param confOnly - Only conference games
+   * @param options - Per-call request options (cache, refresh, signal, timeoutMs)
    * @returns Object with metric names as keys
    */
   async getAllPlayerStats(
     season: number | string | null = null,
     conf: string | null = null,
-    confOnly: boolean = false
-  ): Promise<Record<string, PlayerStats[] | PlayerStats[][]>> {
-    const results: Record<string, PlayerStats[] | PlayerStats[][]> = {};
-
-    for (const metric of PLAYER_METRICS) {
-      this.logger.info(`Fetching player stats: ${metric}`);
-      results[metric] = await this.getPlayerStats(season, metric, conf, confOnly);
-      await randomPause(2000, 5000);
+    confOnly: boolean = false,
+    options: RequestOptions = {}
+  ): Promise<Record<string, PlayerStatsResult<C>>> {
+    const results: Record<string, PlayerStatsResult<C>> = {};
+
+    // One signal and timeout cover all metrics
+    const { signal, clear } = requestSignal(options);
+    const { timeoutMs: _timeoutMs, ...rest } = options;
+    const metricOptions: RequestOptions = signal ? { ...rest, signal } : rest;
+
+    try {
+      for (const metric of PLAYER_METRICS) {
+        this.logger.info(`Fetching player stats: ${metric}`, { endpoint: 'PLAYER_STATS', season, metric });
+        results[metric] = await this.getPlayerStats(season, metric, conf, confOnly, metricOptions);
+      }
+    } finally {
+      clear();
     }
 
     return results;
@@ -655,17 +1487,105 @@ export class KenpomAPI {
    * Get Player of the Year data.
    *
    * @param season - Season year (2011+)
+   * @param options - Per-call request options (cache, refresh, signal, timeoutMs)
    * @returns KPOY data with parsed player details (Team, Height, Weight, Year, Hometown)
    */
-  async getKpoy(season: number | string | null = null): Promise<KpoyResult> {
-    this._verifySession();
+  async getKpoy(
+    season: number | string | null = null,
+    options: RequestOptions = {}
+  ): Promise<Coerced<C, KpoyResult, NumericKpoyResult>> {
+    await this._verifySession();
     if (season) validateSeason(season, 'KPOY');
 
     const url = buildUrl(ENDPOINTS.KPOY, season ? { y: season } : {});
-    this.logger.debug(`Fetching KPOY: ${url}`);
 
-    const html = await this._getHtml(url);
-    return parseKpoy(html, season ? parseInt(String(season)) : null);
+    return this._fetchPage(
+      { endpoint: 'KPOY', url, season },
+      html => parseKpoy(html, season ? parseInt(String(season)) : null, this.parseOptions),
+      options
+    );
+  }
+
+  /**
+   * Get a player's page: bio, season-by-season lines and game log.
+   * Players are found by ID (the PlayerID column of getPlayerStats and
+   * getRoster rows), or by name and team, which reads the team roster first.
+   *
+   * @param player - Player ID, or { name, team }
+   * @param season - Season year for the game log (2004+)
+   * @param options - Per-call request options (cache, refresh, signal, timeoutMs)
+   * @returns Player page with:
+   *   - playerId, season, url: request metadata
+   *   - bio: Name, Team, Number, Ht, Wt, Yr, Hometown
+   *   - seasons: career table rows (Season, Team, stats)
+   *   - games: game log rows (Date, Opponent, Result, Min, ORtg, %Poss, shooting)
+   */
+  async getPlayer(
+    player: string | number | PlayerLookup,
+    season: number | string | null = null,
+    options: RequestOptions = {}
+  ): Promise<Coerced<C, PlayerPage, NumericPlayerPage>> {
+    await this._verifySession();
+    if (season) validateSeason(season, 'PLAYER_STATS');
+
+    // One signal and timeout cover the roster lookup and the player page
+    const { signal, clear } = requestSignal(options);
+    const { timeoutMs: _timeoutMs, ...rest } = options;
+    const pageOptions: RequestOptions = signal ? { ...rest, signal } : rest;
+
+    try {
+      const playerId = typeof player === 'object' && player !== null
+        ? await this._findPlayerId(player, season, pageOptions)
+        : String(player ?? '').trim();
+      if (!playerId) throw new ValidationError('Player ID is required', { endpoint: 'PLAYER' });
+
+      const params: Record<string, string | number> = { p: playerId };
+      if (season) params['y'] = season;
+
+      const url = buildUrl(ENDPOINTS.PLAYER, params);
+
+      const result = await this._fetchPage(
+        { endpoint: 'PLAYER', url, season },
+        html => parsePlayer(html, this.parseOptions) as PlayerPageResult | NumericPlayerPageResult,
+        pageOptions
+      );
+
+      return {
+        playerId,
+        season: season ? parseInt(String(season)) : null,
+        url,
+        ...result,
+      } as Coerced<C, PlayerPage, NumericPlayerPage>;
+    } finally {
+      clear();
+    }
+  }
+
+  /**
+   * Find a player's ID on their team's roster (case-insensitive name match).
+   * @throws ValidationError if the name or team is missing, or the player is not on the roster
+   * @private
+   */
+  private async _findPlayerId(
+    lookup: PlayerLookup,
+    season: number | string | null,
+    options: RequestOptions
+  ): Promise<string> {
+    if (!lookup.name || !lookup.team) {
+      throw new ValidationError('Player name and team are required', { endpoint: 'PLAYER' });
+    }
+
+    const name = lookup.name.trim().toLowerCase();
+    const roster = await this.getRoster(lookup.team, season, options);
+    const match = roster.find(row => row.Player.toLowerCase() === name);
+
+    if (!match?.PlayerID) {
+      throw new ValidationError(`Player '${lookup.name}' not found on the ${lookup.team} roster`, {
+        endpoint: 'PLAYER',
+        season: season ? parseInt(String(season)) : null,
+      });
+    }
+    return match.PlayerID;
   }
 
   // ============================================================================
@@ -676,44 +1596,218 @@ export class KenpomAPI {
    * Get list of valid team names for a season.
    *
    * @param season - Season year (1999+)
+   * @param options - Per-call request options (cache, refresh, signal, timeoutMs)
    * @returns Array of team names (seeds stripped)
    */
-  async getValidTeams(season: number | string | null = null): Promise<string[]> {
-    this._verifySession();
+  async getValidTeams(
+    season: number | string | null = null,
+    options: RequestOptions = {}
+  ): Promise<string[]> {
+    await this._verifySession();
     if (season) validateSeason(season, 'VALID_TEAMS');
 
     const url = buildUrl(ENDPOINTS.VALID_TEAMS, season ? { y: season } : {});
-    this.logger.debug(`Fetching valid teams: ${url}`);
 
-    const html = await this._getHtml(url);
-    return parseValidTeams(html);
+    return this._fetchPage({ endpoint: 'VALID_TEAMS', url, season }, parseValidTeams, options);
   }
 
   /**
-   * Get team schedule.
+   * Get everything on a team page from a single fetch.
+   * getSchedule, getRoster and getScoutingReport read the same page but parse
+   * only their own section, so a layout change in one section only breaks the
+   * methods that read it. Concurrent calls share one request; later calls
+   * reuse the page only through the response cache. Aliases and former names are resolved
+   * through the team registry to the name KenPom used that season.
    *
-   * @param team - Team name (required)
+   * @param team - Team name or alias, e.g. 'UConn' (required)
    * @param season - Season year (1999+)
-   * @returns Team schedule with columns:
-   *   Date, Team Rank, Opponent Rank, Opponent Name, Result,
-   *   Possession Number, Location, Record, Conference, Tournament
+   * @param options - Per-call request options (cache, refresh, signal, timeoutMs)
+   * @returns Team page with:
+   *   - team, teamId, season, url: request metadata (team is the current
+   *     KenPom name, as in the rows, and teamId the registry ID; url holds
+   *     the name KenPom used that season)
+   *   - coach, conference: head coach name and conference code
+   *   - record, conferenceRecord: current "W-L" records
+   *   - schedule: same rows as getSchedule
+   *   - scouting: { all, conference } scouting report stats
+   *   - roster: same rows as getRoster (empty before 2004)
+   */
+  async getTeamPage(
+    team: string,
+    season: number | string | null = null,
+    options: RequestOptions = {}
+  ): Promise<Coerced<C, TeamPage, NumericTeamPage>> {
+    const { result, url, year, name, id } = await this._fetchTeamPage(
+      team,
+      season,
+      (html, pageSeason) => parseTeamPage(html, pageSeason, this.parseOptions) as TeamPageResult | NumericTeamPageResult,
+      options
+    );
+
+    const response = { team: name, teamId: id, season: year, url, ...result };
+    if (this.parseOptions.lenient) attachParseWarnings(response, getParseWarnings(result));
+    return response as Coerced<C, TeamPage, NumericTeamPage>;
+  }
+
+  /**
+   * Fetch a team page and run one parser on it. The team-page methods each
+   * parse only the section they return, so a layout change in one section
+   * does not break the others. They share the page with concurrent calls
+   * (see _getHtmlShared) and, when enabled, through the response cache.
+   * Without a season the page shows the current one, read from the page
+   * and returned as year.
+   * @private
    */
-  async getSchedule(team: string, season: number | string | null = null): Promise<ScheduleGame[]> {
-    this._verifySession();
-    if (!team) throw new Error('Team name is required');
+  private async _fetchTeamPage<T>(
+    team: string,
+    season: number | string | null,
+    parse: (html: string, season: number | null) => T,
+    options: RequestOptions
+  ): Promise<{ result: T; url: string; year: number | null; name: string; id: string }> {
+    await this._verifySession();
+    if (!team?.trim()) throw new ValidationError('Team name is required', { endpoint: 'TEAM' });
     if (season) validateSeason(season, 'SCHEDULE');
 
-    const encodedTeam = encodeTeamName(team);
-    const params: Record<string, string | number> = { team: encodedTeam };
+    const year = season ? parseInt(String(season)) : null;
+    const params: Record<string, string | number> = { team: teamNameForSeason(team, year) };
     if (season) params['y'] = season;
 
     const url = buildUrl(ENDPOINTS.TEAM, params);
-    this.logger.debug(`Fetching schedule for ${team}: ${url}`);
+    let pageSeason = year;
+    const result = await this._fetchPage(
+      { endpoint: 'TEAM', url, season },
+      html => {
+        pageSeason = year ?? extractSeason(html);
+        return parse(html, pageSeason);
+      },
+      options
+    );
+
+    const { id, name } = resolveTeam(team) ?? { id: '', name: team };
+    return { result, url, year: pageSeason, name, id };
+  }
 
-    const html = await this._getHtml(url);
+  /**
+   * Get team schedule.
+   *
+   * @param team - Team name or alias, e.g. 'UConn' (required)
+   * @param season - Season year (1999+)
+   * @param options - Per-call request options (cache, refresh, signal, timeoutMs)
+   * @returns Team schedule with columns:
+   *   Date, Team Rank, Opponent Rank, Opponent Name, Result,
+   *   Possession Number, Location, Record, Conference, Tournament, GameID,
+   *   and the structured results GameDate, Outcome, TeamScore, OpponentScore,
+   *   Overtimes, Margin, Venue, Possessions, Unplayed, OffEff, DefEff
+   */
+  async getSchedule(
+    team: string, season: number | string | null = null,
+    options: RequestOptions = {}
+  ): Promise<Coerced<C, ScheduleGame, NumericScheduleGame>[]> {
+    const { result } = await this._fetchTeamPage(
+      team,
+      season,
+      (html, pageSeason) => parseSchedule(html, pageSeason, this.parseOptions),
+      options
+    );
+    return result;
+  }
 
-    // Schedule is the SECOND table on team page (index 1)
-    return parseSchedule(html, season ? parseInt(String(season)) : null);
+  /**
+   * Get team roster with per-player stats.
+   *
+   * @param team - Team name or alias, e.g. 'UConn' (required)
+   * @param season - Season year (2004+)
+   * @param options - Per-call request options (cache, refresh, signal, timeoutMs)
+   * @returns Roster with columns:
+   *   Number, Player, Ht, Wt, Yr, G, %Min, ORtg, %Poss, %Shots, eFG%, TS%,
+   *   OR%, DR%, ARate, TORate, Blk%, Stl%, FC/40, FD/40, FTRate,
+   *   FTM, FTA, FT%, 2PM, 2PA, 2P%, 3PM, 3PA, 3P%
+   */
+  async getRoster(
+    team: string,
+    season: number | string | null = null,
+    options: RequestOptions = {}
+  ): Promise<Coerced<C, RosterPlayer, NumericRosterPlayer>[]> {
+    await this._verifySession();
+    if (season) validateSeason(season, 'ROSTER');
+
+    const { result } = await this._fetchTeamPage(
+      team,
+      season,
+      (html, pageSeason) => parseRoster(html, pageSeason, this.parseOptions),
+      options
+    );
+    return result;
+  }
+
+  /**
+   * Get a program's season-by-season history.
+   *
+   * @param team - Team name or alias, e.g. 'UConn' (required)
+   * @param options - Per-call request options (cache, refresh, signal, timeoutMs)
+   * @returns One row per season with columns:
+   *   Season, Rank, AdjEM, AdjO, AdjD, AdjT (with ranks), W-L, Conference,
+   *   Coach, Tournament
+   */
+  async getTeamHistory(
+    team: string,
+    options: RequestOptions = {}
+  ): Promise<Coerced<C, TeamHistorySeason, NumericTeamHistorySeason>[]> {
+    await this._verifySession();
+    if (!team) throw new ValidationError('Team name is required', { endpoint: 'HISTORY' });
+
+    const url = buildUrl(ENDPOINTS.HISTORY, { t: normalizeTeamName(team) });
+
+    return this._fetchPage(
+      { endpoint: 'HISTORY', url },
+      html => parseTeamHistory(html, this.parseOptions),
+      options
+    );
+  }
+
+  /**
+   * Get a program's coaching changes, built from its history page.
+   *
+   * @param team - Team name or alias, e.g. 'UConn' (required)
+   * @param options - Per-call request options (cache, refresh, signal, timeoutMs)
+   * @returns One row per change, oldest first: Season (the new coach's
+   *   first), Coach, PreviousCoach, PreviousTenure
+   */
+  async getCoachingChanges(team: string, options: RequestOptions = {}): Promise<CoachingChange[]> {
+    const history = await this.getTeamHistory(team, options);
+    return buildCoachingChanges(history);
+  }
+
+  /**
+   * Get a coach's career: every season coached, with career totals.
+   * Coach names are listed as the coach field of getTeamPage and the
+   * Coach column of getTeamHistory.
+   *
+   * @param name - Coach name (required)
+   * @param options - Per-call request options (cache, refresh, signal, timeoutMs)
+   * @returns Coach page with:
+   *   - name, url: request metadata
+   *   - seasons: Season, Team, Conference, Rank, AdjEM, AdjO, AdjD, AdjT, W-L, Tournament
+   *   - career: Seasons, Wins, Losses, Teams
+   */
+  async getCoach(
+    name: string,
+    options: RequestOptions = {}
+  ): Promise<Coerced<C, CoachPage, NumericCoachPage>> {
+    await this._verifySession();
+    if (!name?.trim()) throw new ValidationError('Coach name is required', { endpoint: 'COACH' });
+
+    const url = buildUrl(ENDPOINTS.COACH, { c: name.trim() });
+
+    const result = await this._fetchPage(
+      { endpoint: 'COACH', url },
+      html => parseCoach(html, this.parseOptions) as CoachResult | NumericCoachResult,
+      options
+    );
+
+    const response = { name: name.trim(), url, ...result };
+    if (this.parseOptions.lenient) attachParseWarnings(response, getParseWarnings(result));
+    return response as Coerced<C, CoachPage, NumericCoachPage>;
   }
 
   // ============================================================================
@@ -724,27 +1818,83 @@ export class KenpomAPI {
    * Get FanMatch data for a specific date.
    *
    * @param date - Date in YYYY-MM-DD format (default: today)
+   * @param options - Per-call request options (cache, refresh, signal, timeoutMs)
    * @returns FanMatch data with:
    *   - date: requested date
    *   - games: array of game objects with parsed predictions
    *   - summary: summary stats (if games completed)
    */
-  async getFanMatch(date: string | null = null): Promise<FanMatchResponse> {
-    this._verifySession();
+  async getFanMatch(
+    date: string | null = null,
+    options: RequestOptions = {}
+  ): Promise<Coerced<C, FanMatchResponse, NumericFanMatchResponse>> {
+    await this._verifySession();
 
     const targetDate = date ?? new Date().toISOString().split('T')[0] ?? '';
     const url = buildUrl(ENDPOINTS.FANMATCH, { d: targetDate });
-    this.logger.debug(`Fetching FanMatch for ${targetDate}: ${url}`);
 
-    const html = await this._getHtml(url);
-    const { games, summary } = parseFanMatch(html);
+    const result = await this._fetchPage(
+      { endpoint: 'FANMATCH', url },
+      html => parseFanMatch(html, this.parseOptions) as FanMatchResult | NumericFanMatchResult,
+      options
+    );
 
-    return {
+    const response = {
       date: targetDate,
       url,
-      games,
-      summary,
+      games: result.games,
+      summary: result.summary,
     };
+    if (this.parseOptions.lenient) attachParseWarnings(response, getParseWarnings(result));
+    return response as Coerced<C, FanMatchResponse, NumericFanMatchResponse>;
+  }
+
+  // ============================================================================
+  // GAME ENDPOINTS
+  // ============================================================================
+
+  /**
+   * Get a game's detail page: win probability chart data, box scores and
+   * the excitement/tension breakdown. Game IDs come from the GameID column
+   * of getSchedule and getFanMatch rows.
+   *
+   * @param gameId - Game ID (required)
+   * @param season - Season year the game was played in (2010+)
+   * @param options - Per-call request options (cache, refresh, signal, timeoutMs)
+   * @returns Game details with:
+   *   - gameId, season, url: request metadata
+   *   - Game: game title from the page
+   *   - winProbability: chart points (Elapsed, WinProb, Score1, Score2)
+   *   - boxScores: one { Team, players } entry per team
+   *   - attributes: Excitement, Tension, Dominance, ComeBack, FanMatch
+   */
+  async getGame(
+    gameId: string | number,
+    season: number | string | null = null,
+    options: RequestOptions = {}
+  ): Promise<Coerced<C, GameDetail, NumericGameDetail>> {
+    await this._verifySession();
+    const id = String(gameId ?? '').trim();
+    if (!id) throw new ValidationError('Game ID is required', { endpoint: 'GAME' });
+    if (season) validateSeason(season, 'GAME');
+
+    const params: Record<string, string | number> = { g: id };
+    if (season) params['y'] = season;
+
+    const url = buildUrl(ENDPOINTS.GAME, params);
+
+    const result = await this._fetchPage(
+      { endpoint: 'GAME', url, season },
+      html => parseGame(html, this.parseOptions) as GameDetailResult | NumericGameDetailResult,
+      options
+    );
+
+    return {
+      gameId: id,
+      season: season ? parseInt(String(season)) : null,
+      url,
+      ...result,
+    } as Coerced<C, GameDetail, NumericGameDetail>;
   }
 
   // ============================================================================
@@ -755,29 +1905,25 @@ export class KenpomAPI {
    * Get detailed scouting report for a team.
    * Parses stats from inline JavaScript on the team page.
    *
-   * @param team - Team name (required)
+   * @param team - Team name or alias, e.g. 'UConn' (required)
    * @param season - Season year (1999+)
    * @param conferenceOnly - If true, get conference-only stats
+   * @param options - Per-call request options (cache, refresh, signal, timeoutMs)
    * @returns Scouting report with 70+ stats and ranks
    */
   async getScoutingReport(
     team: string,
     season: number | string | null = null,
-    conferenceOnly: boolean = false
-  ): Promise<ScoutingReportStats> {
-    this._verifySession();
-    if (!team) throw new Error('Team name is required');
-    if (season) validateSeason(season, 'SCHEDULE');
-
-    const encodedTeam = encodeTeamName(team);
-    const params: Record<string, string | number> = { team: encodedTeam };
-    if (season) params['y'] = season;
-
-    const url = buildUrl(ENDPOINTS.TEAM, params);
-    this.logger.debug(`Fetching scouting report for ${team}: ${url}`);
-
-    const html = await this._getHtml(url);
-    return parseScoutingReport(html, conferenceOnly);
+    conferenceOnly: boolean = false,
+    options: RequestOptions = {}
+  ): Promise<Coerced<C, ScoutingReportStats, NumericScoutingReportStats>> {
+    const { result } = await this._fetchTeamPage(
+      team,
+      season,
+      html => parseScoutingReport(html, conferenceOnly, this.parseOptions),
+      options
+    );
+    return result;
   }
 
   // ============================================================================
@@ -789,24 +1935,28 @@ export class KenpomAPI {
    *
    * @param conf - Conference code (required)
    * @param season - Season year
+   * @param options - Per-call request options (cache, refresh, signal, timeoutMs)
    * @returns Conference standings
    */
   async getConferenceStandings(
     conf: string,
-    season: number | string | null = null
-  ): Promise<ConferenceStandingsData[]> {
-    this._verifySession();
-    if (!conf) throw new Error('Conference code is required');
+    season: number | string | null = null,
+    options: RequestOptions = {}
+  ): Promise<Coerced<C, ConferenceStandingsData, NumericConferenceStandingsData>[]> {
+    await this._verifySession();
+    if (!conf) throw new ValidationError('Conference code is required', { endpoint: 'CONFERENCE' });
     validateConference(conf);
 
     const params: Record<string, string | number> = { c: conf };
     if (season) params['y'] = season;
 
     const url = buildUrl(ENDPOINTS.CONFERENCE, params);
-    this.logger.debug(`Fetching conference standings for ${conf}: ${url}`);
 
-    const html = await this._getHtml(url);
-    return parseConferenceStandings(html);
+    return this._fetchPage(
+      { endpoint: 'CONFERENCE', url, season },
+      html => parseConferenceStandings(html, this.parseOptions),
+      options
+    );
   }
 
   /**
@@ -814,24 +1964,28 @@ export class KenpomAPI {
    *
    * @param conf - Conference code (required)
    * @param season - Season year
+   * @param options - Per-call request options (cache, refresh, signal, timeoutMs)
    * @returns Conference offense stats
    */
   async getConferenceOffense(
     conf: string,
-    season: number | string | null = null
-  ): Promise<ConferenceStatsData[]> {
-    this._verifySession();
-    if (!conf) throw new Error('Conference code is required');
+    season: number | string | null = null,
+    options: RequestOptions = {}
+  ): Promise<Coerced<C, ConferenceStatsData, NumericConferenceStatsData>[]> {
+    await this._verifySession();
+    if (!conf) throw new ValidationError('Conference code is required', { endpoint: 'CONFERENCE' });
     validateConference(conf);
 
     const params: Record<string, string | number> = { c: conf };
     if (season) params['y'] = season;
 
     const url = buildUrl(ENDPOINTS.CONFERENCE, params);
-    this.logger.debug(`Fetching conference offense for ${conf}: ${url}`);
 
-    const html = await this._getHtml(url);
-    return parseConferenceOffense(html);
+    return this._fetchPage(
+      { endpoint: 'CONFERENCE', url, season },
+      html => parseConferenceOffense(html, this.parseOptions),
+      options
+    );
   }
 
   /**
@@ -839,24 +1993,28 @@ export class KenpomAPI {
    *
    * @param conf - Conference code (required)
    * @param season - Season year
+   * @param options - Per-call request options (cache, refresh, signal, timeoutMs)
    * @returns Conference defense stats
    */
   async getConferenceDefense(
     conf: string,
-    season: number | string | null = null
-  ): Promise<ConferenceStatsData[]> {
-    this._verifySession();
-    if (!conf) throw new Error('Conference code is required');
+    season: number | string | null = null,
+    options: RequestOptions = {}
+  ): Promise<Coerced<C, ConferenceStatsData, NumericConferenceStatsData>[]> {
+    await this._verifySession();
+    if (!conf) throw new ValidationError('Conference code is required', { endpoint: 'CONFERENCE' });
     validateConference(conf);
 
     const params: Record<string, string | number> = { c: conf };
     if (season) params['y'] = season;
 
     const url = buildUrl(ENDPOINTS.CONFERENCE, params);
-    this.logger.debug(`Fetching conference defense for ${conf}: ${url}`);
 
-    const html = await this._getHtml(url);
-    return parseConferenceDefense(html);
+    return this._fetchPage(
+      { endpoint: 'CONFERENCE', url, season },
+      html => parseConferenceDefense(html, this.parseOptions),
+      options
+    );
   }
 
   /**
@@ -864,13 +2022,19 @@ export class KenpomAPI {
    *
    * @param conf - Conference code (optional, omit for all conferences)
    * @param season - Season year
+   * @param options - Per-call request options (cache, refresh, signal, timeoutMs)
    * @returns Aggregate stats
    */
   async getConferenceStats(
     conf: string | null = null,
-    season: number | string | null = null
-  ): Promise<(ConferenceAggregateData | ConferenceStatsData)[]> {
-    this._verifySession();
+    season: number | string | null = null,
+    options: RequestOptions = {}
+  ): Promise<Coerced<
+    C,
+    ConferenceAggregateData | ConferenceStatsData,
+    NumericConferenceAggregateData | NumericConferenceStatsData
+  >[]> {
+    await this._verifySession();
     if (conf) validateConference(conf);
 
     let url: string;
@@ -884,10 +2048,12 @@ export class KenpomAPI {
       url = buildUrl(ENDPOINTS.CONFERENCE_STATS, params);
     }
 
-    this.logger.debug(`Fetching conference stats: ${url}`);
 
-    const html = await this._getHtml(url);
-    return parseConferenceAggregateStats(html, !!conf);
+    return this._fetchPage(
+      { endpoint: conf ? 'CONFERENCE' : 'CONFERENCE_STATS', url, season },
+      html => parseConferenceAggregateStats(html, !!conf, this.parseOptions),
+      options
+    );
   }
 
   // ============================================================================
@@ -897,21 +2063,42 @@ export class KenpomAPI {
   /**
    * Get the current/latest published season.
    *
+   * @param options - Per-call request options (cache, refresh, signal, timeoutMs)
    * @returns Current season year
    */
-  async getCurrentSeason(): Promise<number> {
-    this._verifySession();
+  async getCurrentSeason(options: RequestOptions = {}): Promise<number> {
+    await this._verifySession();
 
-    const html = await this._getHtml(BASE_URL);
-    const season = extractSeason(html);
+    return this._fetchPage({ endpoint: 'INDEX', url: BASE_URL }, html => {
+      const season = extractSeason(html);
 
-    if (!season) {
-      throw new Error('Could not determine current season');
-    }
+      if (!season) {
+        throw new ParseError('Could not determine current season');
+      }
 
-    return season;
+      return season;
+    }, options);
   }
 }
 
+// Error classes
+export {
+  KenpomError,
+  AuthenticationError,
+  CloudflareError,
+  HttpError,
+  RateLimitError,
+  ParseError,
+  ValidationError,
+  StructureChangedError,
+  AbortError,
+  TimeoutError,
+} from './errors.js';
+export {
+  FetchTransport,
+  CloudscraperTransport,
+  PuppeteerTransport,
+} from './transports.js';
+
 // Default export
 export default KenpomAPI;
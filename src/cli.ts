@@ -13,12 +13,15 @@
  */
 
 import { createRequire } from 'module';
+import os from 'os';
+import path from 'path';
 import { program } from 'commander';
 import { KenpomAPI } from './api.js';
 import {
   PLAYER_METRICS,
   GAME_ATTRIB_METRICS,
   CONFERENCES,
+  DEFAULT_CACHE_DIR,
 } from './config.js';
 import {
   writeToFile,
@@ -26,15 +29,22 @@ import {
   generateDateRange,
   ncaamStartDate,
   ncaamEndDate,
-  randomPause,
+  ResponseCache,
 } from './utils.js';
-import type { CliOptions, GameAttribMetric } from './types.js';
+import type {
+  CliOptions,
+  ClientTier,
+  GameAttribMetric,
+  RateLimitOptions,
+  EscalationOptions,
+} from './types.js';
 
 // Dynamic version import to prevent drift between package.json and CLI
 const require = createRequire(import.meta.url);
 const { version } = require('../package.json') as { version: string };
 
 const DEFAULT_DATA_DIR = 'datasets';
+const DEFAULT_SESSION_FILE = path.join(os.homedir(), '.kenpom', 'session.json');
 
 program
   .name('kenpom')
@@ -83,7 +93,9 @@ program
 
 program
   .option('--valid-teams', 'Fetch list of valid team names')
-  .option('--schedule', 'Fetch team schedules');
+  .option('--schedule', 'Fetch team schedules')
+  .option('--roster', 'Fetch team rosters (2004+)')
+  .option('--history', 'Fetch season-by-season program history');
 
 // ============================================================================
 // DATE-BASED ENDPOINTS
@@ -114,7 +126,21 @@ program
 program
   .option('--output-dir <path>', 'Output directory', DEFAULT_DATA_DIR)
   .option('--log-level <level>', 'Log level (DEBUG, INFO, WARNING, ERROR)', 'INFO')
-  .option('--client <tier>', 'HTTP client tier (tier1, tier2, auto)', 'auto')
+  .option('--client <tier>', 'HTTP client tier (fetch, tier1, tier2, auto)', 'auto')
+  .option('--session-file <path>', 'File to save and reuse the login session', DEFAULT_SESSION_FILE)
+  .option('--no-session', 'Always log in with credentials, without saving the session')
+  .option('--rate <rpm>', 'Maximum requests per minute (default: 20)', parseFloat)
+  .option('--burst <n>', 'Requests allowed back-to-back before pacing (default: 1)', parseInt)
+  .option('--jitter <min-max>', 'Random extra delay per request in ms (default: 0-4000)')
+  .option('--no-rate-limit', 'Disable request pacing')
+  .option('--concurrency <n>', 'Requests in flight at once; tier 2 opens this many pages (default: 1)', parseInt)
+  .option('--no-escalation', 'Fail instead of switching tiers when Cloudflare challenges a request')
+  .option('--cooldown <minutes>', 'Return to the original tier this long after escalating', parseFloat)
+  .option('--record <dir>', 'Save every fetched page to a fixtures directory')
+  .option('--replay <dir>', 'Serve pages from a fixtures directory (no network or credentials)')
+  .option('--cache-dir <path>', 'Directory for cached pages', DEFAULT_CACHE_DIR)
+  .option('--no-cache', 'Fetch every page without reading or writing the cache')
+  .option('--clear-cache', 'Remove all cached pages before running')
   .option('--dry-run', 'Preview what would be fetched')
   .option('--examples', 'Show usage examples');
 
@@ -158,6 +184,12 @@ kenpom --player-stats --conference ACC --year 2025
 # Fetch team schedule
 kenpom --schedule --team Duke --year 2025
 
+# Fetch every team's roster
+kenpom --roster --year 2025
+
+# Fetch a program's season-by-season history
+kenpom --history --team Duke
+
 # Fetch FanMatch for a season
 kenpom --fanmatch --year 2025
 
@@ -167,6 +199,28 @@ kenpom --all --year 2025 --dry-run
 # Use specific HTTP client tier
 kenpom --ratings --year 2025 --client tier2
 
+# Log in fresh without reusing the saved session
+kenpom --ratings --no-session
+
+# Slow down to 10 requests per minute with 1-3 second jitter
+kenpom --all-yearly --start 2015 --end 2025 --rate 10 --jitter 1000-3000
+
+# Pull every team's schedule on 4 browser pages at up to 60 requests per minute
+kenpom --all-teams --year 2025 --client tier2 --concurrency 4 --rate 60
+
+# Long backfill that drops back to the lighter tier 30 minutes after escalating
+kenpom --all-yearly --start 2002 --end 2025 --cooldown 30
+
+# Record a run, then reproduce it offline
+kenpom --all --year 2025 --record fixtures/2025
+kenpom --all --year 2025 --replay fixtures/2025
+
+# Re-download everything instead of using cached pages
+kenpom --ratings --start 2010 --end 2025 --no-cache
+
+# Clear the page cache (optionally followed by a run)
+kenpom --clear-cache
+
 Valid Metrics:
   Player Stats: ${PLAYER_METRICS.join(', ')}
   Game Attribs: ${GAME_ATTRIB_METRICS.join(', ')}
@@ -193,6 +247,41 @@ async function main(): Promise<void> {
     process.exit(1);
   }
 
+  if (opts.record && opts.replay) {
+    console.error('Error: --record and --replay cannot be used together');
+    process.exit(1);
+  }
+
+  if (opts.rate !== undefined && !(opts.rate > 0)) {
+    console.error('Error: --rate must be a positive number');
+    process.exit(1);
+  }
+
+  if (opts.cooldown !== undefined && !(opts.cooldown >= 0)) {
+    console.error('Error: --cooldown must be a non-negative number of minutes');
+    process.exit(1);
+  }
+
+  if (opts.concurrency !== undefined && !(opts.concurrency >= 1)) {
+    console.error('Error: --concurrency must be at least 1');
+    process.exit(1);
+  }
+
+  if (opts.burst !== undefined && !(opts.burst >= 1)) {
+    console.error('Error: --burst must be at least 1');
+    process.exit(1);
+  }
+
+  let jitterMs: [number, number] | undefined;
+  if (opts.jitter !== undefined) {
+    const match = /^(\d+)-(\d+)$/.exec(opts.jitter);
+    if (!match || Number(match[1]) > Number(match[2])) {
+      console.error(`Error: --jitter must be <min>-<max> in milliseconds (got "${opts.jitter}")`);
+      process.exit(1);
+    }
+    jitterMs = [Number(match[1]), Number(match[2])];
+  }
+
   // Expand category flags
   if (opts.all) {
     opts.allSingle = true;
@@ -225,16 +314,22 @@ async function main(): Promise<void> {
     opts.schedule = true;
   }
 
+  if (opts.clearCache) {
+    const removed = new ResponseCache(opts.cacheDir ?? DEFAULT_CACHE_DIR).clear();
+    console.log(`✓ Cleared ${removed} cached pages from ${opts.cacheDir ?? DEFAULT_CACHE_DIR}`);
+  }
+
   // Check if any endpoint is selected
   const endpoints = [
     opts.arenas, opts.programRatings, opts.trends, opts.hca,
     opts.ratings, opts.efficiency, opts.fourFactors, opts.teamStats,
     opts.pointDist, opts.height, opts.playerStats, opts.kpoy,
-    opts.refs, opts.gameAttribs, opts.validTeams, opts.schedule, opts.fanmatch,
+    opts.refs, opts.gameAttribs, opts.validTeams, opts.schedule, opts.roster, opts.history, opts.fanmatch,
     opts.fanmatchDate
   ];
 
   if (!endpoints.some(Boolean)) {
+    if (opts.clearCache) return;
     console.error('Error: At least one endpoint must be specified');
     console.log('Run: kenpom --examples for usage');
     process.exit(1);
@@ -287,6 +382,8 @@ async function main(): Promise<void> {
   if (opts.gameAttribs) console.log('  ✓ Game Attributes (2010+)');
   if (opts.validTeams) console.log('  ✓ Valid Teams (1999+)');
   if (opts.schedule) console.log('  ✓ Team Schedules (1999+)');
+  if (opts.roster) console.log('  ✓ Team Rosters (2004+)');
+  if (opts.history) console.log('  ✓ Team History');
   if (opts.fanmatch) console.log('  ✓ FanMatch');
   if (opts.fanmatchDate) console.log(`  ✓ FanMatch (single date: ${opts.fanmatchDate})`);
   console.log();
@@ -305,19 +402,55 @@ async function main(): Promise<void> {
   // Build options object, only including defined values to satisfy exactOptionalPropertyTypes
   const apiOptions: {
     logLevel?: string;
-    clientTier?: 'tier1' | 'tier2' | 'auto';
+    clientTier?: ClientTier;
+    sessionFile?: string;
+    record?: string;
+    replay?: string;
+    rateLimit?: RateLimitOptions | false;
+    cache?: string;
+    escalation?: EscalationOptions | false;
+    concurrency?: number;
   } = {};
   if (opts.logLevel !== undefined) {
     apiOptions.logLevel = opts.logLevel;
   }
   if (opts.client !== undefined) {
-    apiOptions.clientTier = opts.client as 'tier1' | 'tier2' | 'auto';
+    apiOptions.clientTier = opts.client as ClientTier;
+  }
+  if (opts.session !== false && opts.sessionFile !== undefined && opts.replay === undefined) {
+    apiOptions.sessionFile = opts.sessionFile;
+  }
+  if (opts.record !== undefined) {
+    apiOptions.record = opts.record;
+  }
+  if (opts.replay !== undefined) {
+    apiOptions.replay = opts.replay;
+  }
+  if (opts.rateLimit === false) {
+    apiOptions.rateLimit = false;
+  } else {
+    const rateLimit: RateLimitOptions = {};
+    if (opts.rate !== undefined) rateLimit.requestsPerMinute = opts.rate;
+    if (opts.burst !== undefined) rateLimit.burst = opts.burst;
+    if (jitterMs !== undefined) rateLimit.jitterMs = jitterMs;
+    apiOptions.rateLimit = rateLimit;
+  }
+  if (opts.cache !== false && opts.cacheDir !== undefined) {
+    apiOptions.cache = opts.cacheDir;
+  }
+  if (opts.concurrency !== undefined) {
+    apiOptions.concurrency = opts.concurrency;
+  }
+  if (opts.escalation === false) {
+    apiOptions.escalation = false;
+  } else if (opts.cooldown !== undefined) {
+    apiOptions.escalation = { cooldownMs: opts.cooldown * 60 * 1000 };
   }
   const api = new KenpomAPI(apiOptions);
 
   try {
     await api.login();
-    console.log('✓ Logged in to KenPom\n');
+    console.log(opts.replay ? `✓ Replaying from ${opts.replay}\n` : '✓ Logged in to KenPom\n');
 
     const outputDir = opts.outputDir ?? DEFAULT_DATA_DIR;
     const metric = opts.metric ?? 'eFG';
@@ -331,7 +464,6 @@ async function main(): Promise<void> {
       const data = await api.getArenas();
       writeToFile(data, `${outputDir}/arenas/arenas.json`);
       console.log('✓ Arenas saved\n');
-      await randomPause(2000, 7000);
     }
 
     if (opts.programRatings) {
@@ -339,7 +471,6 @@ async function main(): Promise<void> {
       const data = await api.getProgramRatings();
       writeToFile(data, `${outputDir}/program_ratings/program_ratings.json`);
       console.log('✓ Program ratings saved\n');
-      await randomPause(2000, 7000);
     }
 
     if (opts.trends) {
@@ -347,7 +478,6 @@ async function main(): Promise<void> {
       const data = await api.getTrends();
       writeToFile(data, `${outputDir}/trends/trends.json`);
       console.log('✓ Trends saved\n');
-      await randomPause(2000, 7000);
     }
 
     if (opts.hca) {
@@ -355,7 +485,29 @@ async function main(): Promise<void> {
       const data = await api.getHca();
       writeToFile(data, `${outputDir}/hca/hca.json`);
       console.log('✓ HCA saved\n');
-      await randomPause(2000, 7000);
+    }
+
+    if (opts.history) {
+      if (opts.team) {
+        console.log(`Fetching history for ${opts.team}...`);
+        const data = await api.getTeamHistory(opts.team);
+        writeToFile(data, `${outputDir}/history/${opts.team}_history.json`);
+        console.log(`✓ History saved for ${opts.team}\n`);
+      } else {
+        console.log('Fetching history for all teams...');
+        const teams = await api.getValidTeams();
+        console.log(`Found ${teams.length} teams`);
+
+        await Promise.all(teams.map(async team => {
+          try {
+            const data = await api.getTeamHistory(team);
+            writeToFile(data, `${outputDir}/history/${team}_history.json`);
+            console.log(`✓ ${team}`);
+          } catch (e) {
+            console.log(`✗ ${team}: ${(e as Error).message}`);
+          }
+        }));
+      }
     }
 
     if (opts.fanmatchDate) {
@@ -369,7 +521,6 @@ async function main(): Promise<void> {
       } catch {
         console.log(`✗ No FanMatch data for ${date}\n`);
       }
-      await randomPause(2000, 7000);
     }
 
     // ========================================================================
@@ -384,7 +535,6 @@ async function main(): Promise<void> {
         const data = await api.getPomeroyRatings(year);
         writeToFile(data, `${outputDir}/ratings/ratings_${year}.json`);
         console.log(`✓ Ratings saved for ${year}`);
-        await randomPause(2000, 7000);
       }
 
       if (opts.efficiency) {
@@ -392,7 +542,6 @@ async function main(): Promise<void> {
         const data = await api.getEfficiency(year);
         writeToFile(data, `${outputDir}/efficiency/efficiency_${year}.json`);
         console.log(`✓ Efficiency saved for ${year}`);
-        await randomPause(2000, 7000);
       }
 
       if (opts.fourFactors) {
@@ -400,7 +549,6 @@ async function main(): Promise<void> {
         const data = await api.getFourFactors(year);
         writeToFile(data, `${outputDir}/four_factors/four_factors_${year}.json`);
         console.log(`✓ Four factors saved for ${year}`);
-        await randomPause(2000, 7000);
       }
 
       if (opts.teamStats) {
@@ -409,7 +557,6 @@ async function main(): Promise<void> {
         const suffix = opts.defense ? '_defense' : '';
         writeToFile(data, `${outputDir}/team_stats/team_stats${suffix}_${year}.json`);
         console.log(`✓ Team stats saved for ${year}`);
-        await randomPause(2000, 7000);
       }
 
       if (opts.pointDist) {
@@ -417,7 +564,6 @@ async function main(): Promise<void> {
         const data = await api.getPointDist(year);
         writeToFile(data, `${outputDir}/point_dist/point_dist_${year}.json`);
         console.log(`✓ Point distribution saved for ${year}`);
-        await randomPause(2000, 7000);
       }
 
       if (opts.height && year >= 2007) {
@@ -425,7 +571,6 @@ async function main(): Promise<void> {
         const data = await api.getHeight(year);
         writeToFile(data, `${outputDir}/height/height_${year}.json`);
         console.log(`✓ Height saved for ${year}`);
-        await randomPause(2000, 7000);
       }
 
       if (opts.playerStats && year >= 2004) {
@@ -440,7 +585,6 @@ async function main(): Promise<void> {
           writeToFile(data, `${outputDir}/player_stats/player_stats_${metric}_${year}.json`);
           console.log(`✓ Player stats saved for ${year}`);
         }
-        await randomPause(2000, 7000);
       }
 
       if (opts.kpoy && year >= 2011) {
@@ -448,7 +592,6 @@ async function main(): Promise<void> {
         const data = await api.getKpoy(year);
         writeToFile(data, `${outputDir}/kpoy/kpoy_${year}.json`);
         console.log(`✓ KPOY saved for ${year}`);
-        await randomPause(2000, 7000);
       }
 
       if (opts.refs && year >= 2016) {
@@ -456,7 +599,6 @@ async function main(): Promise<void> {
         const data = await api.getRefs(year);
         writeToFile(data, `${outputDir}/refs/refs_${year}.json`);
         console.log(`✓ Refs saved for ${year}`);
-        await randomPause(2000, 7000);
       }
 
       if (opts.gameAttribs && year >= 2010) {
@@ -468,7 +610,6 @@ async function main(): Promise<void> {
         const data = await api.getGameAttribs(year, gameMetric);
         writeToFile(data, `${outputDir}/game_attribs/game_attribs_${year}.json`);
         console.log(`✓ Game attributes saved for ${year}`);
-        await randomPause(2000, 7000);
       }
 
       if (opts.validTeams) {
@@ -476,7 +617,6 @@ async function main(): Promise<void> {
         const data = await api.getValidTeams(year);
         writeToFile(data, `${outputDir}/valid_teams/valid_teams_${year}.json`);
         console.log(`✓ Valid teams saved for ${year}`);
-        await randomPause(2000, 7000);
       }
 
       // ======================================================================
@@ -490,24 +630,45 @@ async function main(): Promise<void> {
           const data = await api.getSchedule(opts.team, year);
           writeToFile(data, `${outputDir}/schedule/${year}/${opts.team}_schedule_${year}.json`);
           console.log(`✓ Schedule saved for ${opts.team}`);
-          await randomPause(2000, 7000);
         } else {
           // All teams - need valid teams first
           console.log(`Fetching schedules for all teams (${year})...`);
           const teams = await api.getValidTeams(year);
           console.log(`Found ${teams.length} teams`);
-          await randomPause(2000, 7000);
 
-          for (const team of teams) {
+          // Requests are queued by the API, which applies --concurrency and rate limiting
+          await Promise.all(teams.map(async team => {
             try {
               const data = await api.getSchedule(team, year);
               writeToFile(data, `${outputDir}/schedule/${year}/${team}_schedule_${year}.json`);
               console.log(`✓ ${team}`);
-              await randomPause(2000, 7000);
             } catch (e) {
               console.log(`✗ ${team}: ${(e as Error).message}`);
             }
-          }
+          }));
+        }
+      }
+
+      if (opts.roster && year >= 2004) {
+        if (opts.team) {
+          console.log(`Fetching roster for ${opts.team} (${year})...`);
+          const data = await api.getRoster(opts.team, year);
+          writeToFile(data, `${outputDir}/roster/${year}/${opts.team}_roster_${year}.json`);
+          console.log(`✓ Roster saved for ${opts.team}`);
+        } else {
+          console.log(`Fetching rosters for all teams (${year})...`);
+          const teams = await api.getValidTeams(year);
+          console.log(`Found ${teams.length} teams`);
+
+          await Promise.all(teams.map(async team => {
+            try {
+              const data = await api.getRoster(team, year);
+              writeToFile(data, `${outputDir}/roster/${year}/${team}_roster_${year}.json`);
+              console.log(`✓ ${team}`);
+            } catch (e) {
+              console.log(`✗ ${team}: ${(e as Error).message}`);
+            }
+          }));
         }
       }
 
@@ -529,7 +690,6 @@ async function main(): Promise<void> {
               writeToFile(data, `${outputDir}/fanmatch/${year}/fanmatch_${date}.json`);
               console.log(`✓ ${date} (${data.games.length} games)`);
             }
-            await randomPause(2000, 7000);
           } catch {
             // Skip dates with no games
           }
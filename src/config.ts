@@ -9,9 +9,16 @@ import dotenv from 'dotenv';
 import path from 'path';
 import os from 'os';
 import fs from 'fs';
+import { AuthenticationError, ValidationError } from './errors.js';
 import type {
   KenpomCredentials,
   CredentialOptions,
+  RetryOptions,
+  RateLimitOptions,
+  EscalationOptions,
+  BrowserOptions,
+  CacheOptions,
+  RequestContext,
   Endpoints,
   MinSeasons,
   EndpointKey,
@@ -72,12 +79,16 @@ export const ENDPOINTS: Endpoints = {
 
   // Misc endpoints
   POMEROY_RATINGS: '/index.php',        // ?y={season}
+  ARCHIVE: '/archive.php',              // ?d={YYYY-MM-DD}
   TRENDS: '/trends.php',
   REFS: '/officials.php',               // ?y={season}
   HCA: '/hca.php',
   ARENAS: '/arenas.php',                // ?y={season}
   GAME_ATTRIBS: '/game_attrs.php',      // ?s={metric}&y={season}
+  GAME: '/winprob.php',                 // ?g={game id}&y={season}
   PROGRAM_RATINGS: '/programs.php',
+  HISTORY: '/history.php',              // ?t={team}
+  COACH: '/coach.php',                  // ?c={coach name}
 
   // Summary endpoints
   EFFICIENCY: '/summary.php',           // ?y={season}
@@ -87,6 +98,7 @@ export const ENDPOINTS: Endpoints = {
   HEIGHT: '/height.php',                // ?y={season}
   PLAYER_STATS: '/playerstats.php',     // ?s={metric}&y={season}&c={conf}&f={conf}
   KPOY: '/kpoy.php',                    // ?y={season}
+  PLAYER: '/player.php',                // ?p={player id}&y={season}
 
   // Team endpoints
   VALID_TEAMS: '/',                     // Parse from homepage, ?y={season}
@@ -116,15 +128,174 @@ export const MIN_SEASONS: MinSeasons = {
   POINT_DIST: 1999,
   VALID_TEAMS: 1999,
   SCHEDULE: 1999,
+  ROSTER: 2004,
   PLAYER_STATS: 2004,
   HEIGHT: 2007,
   ARENAS: 2010,
   GAME_ATTRIBS: 2010,
+  GAME: 2010,
   KPOY: 2011,
   FANMATCH: 2014,
   REFS: 2016,
 };
 
+/** Earliest date the ratings archive covers (YYYY-MM-DD) */
+export const ARCHIVE_START_DATE = '2011-11-01';
+
+// ============================================================================
+// RETRY CONFIGURATION
+// ============================================================================
+
+/**
+ * Default retry policy for endpoint requests.
+ * Authentication and validation errors are never retried.
+ */
+export const DEFAULT_RETRY_OPTIONS: Required<RetryOptions> = {
+  maxAttempts: 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+  retryOn: ['http', 'rateLimit', 'cloudflare'],
+};
+
+// ============================================================================
+// RATE LIMIT CONFIGURATION
+// ============================================================================
+
+/**
+ * Default request rate limit.
+ * One request every 3 seconds plus up to 4 seconds of jitter keeps gaps
+ * between requests in the 3-7 second range.
+ */
+export const DEFAULT_RATE_LIMIT_OPTIONS: Required<RateLimitOptions> = {
+  requestsPerMinute: 20,
+  burst: 1,
+  jitterMs: [0, 4000],
+};
+
+// ============================================================================
+// TIER ESCALATION CONFIGURATION
+// ============================================================================
+
+/**
+ * Default tier escalation policy.
+ * An escalated instance stays on the heavier transport for the rest of the run.
+ */
+export const DEFAULT_ESCALATION_OPTIONS: Required<EscalationOptions> = {
+  cooldownMs: null,
+};
+
+// ============================================================================
+// BROWSER CONFIGURATION
+// ============================================================================
+
+/** Default tier 2 browser settings */
+export const DEFAULT_BROWSER_OPTIONS: Required<BrowserOptions> = {
+  pages: 1,
+  blockResources: true,
+  waitUntil: 'domcontentloaded',
+};
+
+/** Resource types tier 2 pages skip when resource blocking is on */
+export const BLOCKED_RESOURCE_TYPES: readonly string[] = ['image', 'font', 'media'];
+
+/** Analytics and ad hosts tier 2 pages skip when resource blocking is on */
+export const BLOCKED_HOSTS: readonly string[] = [
+  'google-analytics.com',
+  'googletagmanager.com',
+  'googlesyndication.com',
+  'doubleclick.net',
+  'quantserve.com',
+  'scorecardresearch.com',
+];
+
+/**
+ * Check whether a browser request can be skipped without affecting page content.
+ *
+ * @param resourceType - Puppeteer resource type (image, script, ...)
+ * @param url - Request URL
+ * @returns true for images, fonts, media and analytics/ad hosts
+ */
+export function isBlockedResource(resourceType: string, url: string): boolean {
+  if (BLOCKED_RESOURCE_TYPES.includes(resourceType)) return true;
+
+  let host: string;
+  try {
+    host = new URL(url).hostname;
+  } catch {
+    return false;
+  }
+  return BLOCKED_HOSTS.some(blocked => host === blocked || host.endsWith(`.${blocked}`));
+}
+
+// ============================================================================
+// CACHE CONFIGURATION
+// ============================================================================
+
+/** Default response cache directory used by the CLI */
+export const DEFAULT_CACHE_DIR = path.join(os.homedir(), '.kenpom', 'cache');
+
+/**
+ * Default response cache lifetimes.
+ * Pages for completed seasons and older FanMatch dates never expire.
+ */
+export const DEFAULT_CACHE_TTLS: Required<Omit<CacheOptions, 'dir'>> = {
+  currentTtlMs: 60 * 60 * 1000,
+  liveTtlMs: 5 * 60 * 1000,
+};
+
+/**
+ * Get the KenPom season a date falls in.
+ * Seasons are named for the year they end in and start in November.
+ *
+ * @param date - Date to check (default: now)
+ * @returns Season year
+ */
+export function seasonForDate(date: Date = new Date()): number {
+  return date.getMonth() >= 10 ? date.getFullYear() + 1 : date.getFullYear();
+}
+
+/**
+ * Get the KenPom season a calendar day falls in. Reads the day from the
+ * string itself, so the result does not depend on the local time zone.
+ *
+ * @param day - Date in YYYY-MM-DD format
+ * @returns Season year
+ */
+export function seasonForDay(day: string): number {
+  const [year = 0, month = 0] = day.split('-').map(Number);
+  return month >= 11 ? year + 1 : year;
+}
+
+/**
+ * Get how long a fetched page may be served from the cache.
+ *
+ * - FanMatch and ratings archive: dates before yesterday never expire, later dates use liveTtlMs
+ * - Seasons before the current one never expire
+ * - Current season and season-less pages use currentTtlMs
+ *
+ * @param context - Request the page was fetched for
+ * @param ttls - Cache lifetimes
+ * @param now - Current time
+ * @returns Lifetime in milliseconds (Infinity for pages that never change)
+ */
+export function cacheTtl(
+  context: RequestContext,
+  ttls: Required<Omit<CacheOptions, 'dir'>> = DEFAULT_CACHE_TTLS,
+  now: Date = new Date()
+): number {
+  if (context.endpoint === 'FANMATCH' || context.endpoint === 'ARCHIVE') {
+    const date = new URL(context.url).searchParams.get('d');
+    const yesterday = new Date(now.getTime() - 24 * 60 * 60 * 1000).toISOString().split('T')[0] ?? '';
+    return date && date < yesterday ? Infinity : ttls.liveTtlMs;
+  }
+
+  if (context.season !== null && context.season < seasonForDate(now)) {
+    return Infinity;
+  }
+
+  return ttls.currentTtlMs;
+}
+
 // ============================================================================
 // CREDENTIAL LOADING
 // ============================================================================
@@ -138,7 +309,7 @@ export const MIN_SEASONS: MinSeasons = {
  *
  * @param options - Optional credentials
  * @returns Credentials object
- * @throws Error if credentials are not found
+ * @throws AuthenticationError if credentials are not found
  */
 export function getKenpomCredentials(options: CredentialOptions = {}): KenpomCredentials {
   const { email = null, password = null } = options;
@@ -146,14 +317,14 @@ export function getKenpomCredentials(options: CredentialOptions = {}): KenpomCre
   const resolvedPassword = password ?? process.env.KENPOM_PASSWORD;
 
   if (!resolvedEmail) {
-    throw new Error(
+    throw new AuthenticationError(
       'KenPom email not found. Set KENPOM_EMAIL environment variable ' +
       'or provide email during initialization.'
     );
   }
 
   if (!resolvedPassword) {
-    throw new Error(
+    throw new AuthenticationError(
       'KenPom password not found. Set KENPOM_PASSWORD environment variable ' +
       'or provide password during initialization.'
     );
@@ -171,27 +342,56 @@ export function getKenpomCredentials(options: CredentialOptions = {}): KenpomCre
  *
  * @param season - Season year to validate
  * @param endpoint - Endpoint name for error message
- * @throws Error if season is before minimum year
+ * @throws ValidationError if season is before minimum year
  */
 export function validateSeason(season: number | string, endpoint: EndpointKey): void {
   const minYear = MIN_SEASONS[endpoint];
   if (minYear !== undefined && season && parseInt(String(season)) < minYear) {
-    throw new Error(
-      `Season ${season} is before minimum year ${minYear} for ${endpoint}`
+    throw new ValidationError(
+      `Season ${season} is before minimum year ${minYear} for ${endpoint}`,
+      { endpoint, season: parseInt(String(season)) }
+    );
+  }
+}
+
+/**
+ * Validate a ratings archive date: a real YYYY-MM-DD date between the
+ * start of the archive and today.
+ *
+ * @param date - Date to validate
+ * @param now - Current time
+ * @throws ValidationError if the date is malformed or outside the archive
+ */
+export function validateArchiveDate(date: string, now: Date = new Date()): void {
+  const parsed = /^\d{4}-\d{2}-\d{2}$/.test(date) ? new Date(`${date}T00:00:00Z`) : null;
+  if (!parsed || isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== date) {
+    throw new ValidationError(`Invalid date '${date}'. Must be YYYY-MM-DD`, { endpoint: 'ARCHIVE' });
+  }
+
+  if (date < ARCHIVE_START_DATE) {
+    throw new ValidationError(
+      `Date ${date} is before the ratings archive starts (${ARCHIVE_START_DATE})`,
+      { endpoint: 'ARCHIVE' }
     );
   }
+
+  const today = now.toISOString().slice(0, 10);
+  if (date > today) {
+    throw new ValidationError(`Date ${date} is in the future`, { endpoint: 'ARCHIVE' });
+  }
 }
 
 /**
  * Validate player stats metric.
  *
  * @param metric - Metric to validate
- * @throws Error if metric is invalid
+ * @throws ValidationError if metric is invalid
  */
 export function validatePlayerMetric(metric: string): asserts metric is PlayerMetric {
   if (!PLAYER_METRICS.includes(metric as PlayerMetric)) {
-    throw new Error(
-      `Invalid metric '${metric}'. Must be one of: ${PLAYER_METRICS.join(', ')}`
+    throw new ValidationError(
+      `Invalid metric '${metric}'. Must be one of: ${PLAYER_METRICS.join(', ')}`,
+      { endpoint: 'PLAYER_STATS' }
     );
   }
 }
@@ -200,12 +400,13 @@ export function validatePlayerMetric(metric: string): asserts metric is PlayerMe
  * Validate game attribute metric.
  *
  * @param metric - Metric to validate
- * @throws Error if metric is invalid
+ * @throws ValidationError if metric is invalid
  */
 export function validateGameAttribMetric(metric: string): asserts metric is GameAttribMetric {
   if (!GAME_ATTRIB_METRICS.includes(metric as GameAttribMetric)) {
-    throw new Error(
-      `Invalid metric '${metric}'. Must be one of: ${GAME_ATTRIB_METRICS.join(', ')}`
+    throw new ValidationError(
+      `Invalid metric '${metric}'. Must be one of: ${GAME_ATTRIB_METRICS.join(', ')}`,
+      { endpoint: 'GAME_ATTRIBS' }
     );
   }
 }
@@ -214,11 +415,11 @@ export function validateGameAttribMetric(metric: string): asserts metric is Game
  * Validate conference code.
  *
  * @param conf - Conference code to validate
- * @throws Error if conference is invalid
+ * @throws ValidationError if conference is invalid
  */
 export function validateConference(conf: string | null | undefined): asserts conf is Conference | null | undefined {
   if (conf && !CONFERENCES.includes(conf as Conference)) {
-    throw new Error(
+    throw new ValidationError(
       `Invalid conference '${conf}'. Must be one of: ${CONFERENCES.join(', ')}`
     );
   }
@@ -226,7 +427,8 @@ export function validateConference(conf: string | null | undefined): asserts con
 
 /**
  * Encode team name for URL.
- * Spaces become '+', '&' becomes '%26'.
+ * Spaces become '+', '&' becomes '%26'. For hand-built query strings only:
+ * buildUrl encodes its parameters itself.
  *
  * @param team - Team name to encode
  * @returns URL-encoded team name
@@ -254,6 +456,49 @@ export function buildUrl(endpoint: string, params: QueryParams = {}): string {
   return url.toString();
 }
 
+// ============================================================================
+// PAGE DETECTION
+// ============================================================================
+
+/**
+ * Markers that appear on pages served to logged-out or non-subscribed users.
+ * Logged-in pages always contain "Logged in as" instead.
+ */
+export const LOGGED_OUT_MARKERS: readonly string[] = [
+  'login_handler.php',
+  'register-kenpom.php',
+];
+
+/**
+ * Check whether a page was served to a logged-out or non-subscribed user.
+ *
+ * @param html - HTML content
+ * @returns true if the page shows the login form or paywall
+ */
+export function isLoggedOutPage(html: string): boolean {
+  if (html.includes('Logged in as')) return false;
+  return LOGGED_OUT_MARKERS.some(marker => html.includes(marker));
+}
+
+/**
+ * Markers that appear on Cloudflare challenge and block pages.
+ */
+export const CHALLENGE_MARKERS: readonly string[] = [
+  '<title>Just a moment...</title>',
+  'cf_chl_opt',
+  'Attention Required! | Cloudflare',
+];
+
+/**
+ * Check whether a page is a Cloudflare challenge or block page.
+ *
+ * @param html - HTML content
+ * @returns true if Cloudflare served a challenge instead of KenPom content
+ */
+export function isChallengePage(html: string): boolean {
+  return CHALLENGE_MARKERS.some(marker => html.includes(marker));
+}
+
 // ============================================================================
 // HTTP CLIENT CONFIGURATION
 // ============================================================================
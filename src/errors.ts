@@ -0,0 +1,219 @@
+/**
+ * KenPom API Errors
+ *
+ * Error classes thrown by the API wrapper, parsers and helpers.
+ * Each error carries the request context (URL, endpoint, season, client tier)
+ * when it is known, so callers can branch on `instanceof` instead of
+ * matching message strings.
+ *
+ * @example
+ * try {
+ *   await api.getPomeroyRatings(2025);
+ * } catch (error) {
+ *   if (error instanceof CloudflareError) {
+ *     // retry later or switch tiers
+ *   }
+ * }
+ */
+
+import type { ErrorContext, RetryableErrorKind } from './types.js';
+
+/**
+ * Base class for all errors thrown by this package.
+ */
+export class KenpomError extends Error {
+  override name = 'KenpomError';
+  /** URL being fetched, if any */
+  url: string | null;
+  /** Endpoint key (e.g. 'POMEROY_RATINGS'), if any */
+  endpoint: string | null;
+  /** Season requested, if any */
+  season: number | null;
+  /** Client tier in use, if any */
+  tier: string | null;
+
+  /**
+   * @param message - Error message
+   * @param context - Request context and optional cause
+   */
+  constructor(message: string, context: ErrorContext = {}) {
+    super(message, context.cause !== undefined ? { cause: context.cause } : undefined);
+    this.url = context.url ?? null;
+    this.endpoint = context.endpoint ?? null;
+    this.season = context.season ?? null;
+    this.tier = context.tier ?? null;
+  }
+
+  /**
+   * Fill in context fields that are not already set.
+   *
+   * @param context - Request context
+   * @returns This error
+   */
+  withContext(context: ErrorContext): this {
+    this.url ??= context.url ?? null;
+    this.endpoint ??= context.endpoint ?? null;
+    this.season ??= context.season ?? null;
+    this.tier ??= context.tier ?? null;
+    return this;
+  }
+}
+
+/**
+ * Login failed, credentials are missing, or the session is not logged in.
+ */
+export class AuthenticationError extends KenpomError {
+  override name = 'AuthenticationError';
+}
+
+/**
+ * Cloudflare served a challenge or block page instead of KenPom content.
+ */
+export class CloudflareError extends KenpomError {
+  override name = 'CloudflareError';
+}
+
+/**
+ * HTTP request failed (network error or non-success status).
+ */
+export class HttpError extends KenpomError {
+  override name = 'HttpError';
+  /** HTTP status code, or null for network failures */
+  status: number | null;
+
+  /**
+   * @param message - Error message
+   * @param context - Request context, HTTP status and optional cause
+   */
+  constructor(message: string, context: ErrorContext & { status?: number | null } = {}) {
+    super(message, context);
+    this.status = context.status ?? null;
+  }
+}
+
+/**
+ * KenPom responded with HTTP 429 Too Many Requests.
+ */
+export class RateLimitError extends HttpError {
+  override name = 'RateLimitError';
+}
+
+/**
+ * Page did not have the expected structure (missing tables, bad markup).
+ */
+export class ParseError extends KenpomError {
+  override name = 'ParseError';
+}
+
+/**
+ * A table on the page no longer matches the layout its parser expects
+ * (renamed or moved headers, added or removed columns).
+ */
+export class StructureChangedError extends ParseError {
+  override name = 'StructureChangedError';
+  /** Expected leading headers ('' matches any header) */
+  expected: string[];
+  /** Headers found on the page */
+  actual: string[];
+
+  /**
+   * @param message - Error message
+   * @param context - Request context, expected and actual headers
+   */
+  constructor(message: string, context: ErrorContext & { expected?: string[]; actual?: string[] } = {}) {
+    super(message, context);
+    this.expected = context.expected ?? [];
+    this.actual = context.actual ?? [];
+  }
+}
+
+/**
+ * Invalid argument (season, metric, conference, team, file path).
+ */
+export class ValidationError extends KenpomError {
+  override name = 'ValidationError';
+}
+
+/**
+ * Request was cancelled through its AbortSignal.
+ */
+export class AbortError extends KenpomError {
+  override name = 'AbortError';
+}
+
+/**
+ * Request did not finish within its timeoutMs.
+ */
+export class TimeoutError extends KenpomError {
+  override name = 'TimeoutError';
+  /** Timeout that expired, in milliseconds */
+  timeoutMs: number | null;
+
+  /**
+   * @param message - Error message
+   * @param context - Request context, timeout and optional cause
+   */
+  constructor(message: string, context: ErrorContext & { timeoutMs?: number | null } = {}) {
+    super(message, context);
+    this.timeoutMs = context.timeoutMs ?? null;
+  }
+}
+
+/**
+ * Classify an error for retry policies.
+ * HTTP errors count as 'http' only for network failures and 5xx statuses;
+ * authentication, validation, structure changes and other client errors return null.
+ *
+ * @param error - Thrown value
+ * @returns Retryable kind, or null if the error should fail fast
+ */
+export function retryableKind(error: unknown): RetryableErrorKind | null {
+  if (error instanceof RateLimitError) return 'rateLimit';
+  if (error instanceof CloudflareError) return 'cloudflare';
+  if (error instanceof HttpError) {
+    return error.status === null || error.status >= 500 ? 'http' : null;
+  }
+  // A changed page layout will not fix itself on retry
+  if (error instanceof StructureChangedError) return null;
+  if (error instanceof ParseError) return 'parse';
+  return null;
+}
+
+/**
+ * Convert the reason of an aborted signal into an AbortError or TimeoutError.
+ * KenpomErrors used as the reason (such as the TimeoutError set by a
+ * request timeout) are kept.
+ *
+ * @param reason - AbortSignal.reason
+ * @param context - Request context to attach
+ * @returns AbortError, TimeoutError or the KenpomError reason
+ */
+export function toAbortError(reason: unknown, context: ErrorContext): KenpomError {
+  if (reason instanceof KenpomError) {
+    return reason.withContext(context);
+  }
+  if (reason instanceof Error && reason.name === 'TimeoutError') {
+    return new TimeoutError(reason.message, { ...context, cause: reason });
+  }
+  return new AbortError('Request aborted', { ...context, cause: reason });
+}
+
+/**
+ * Wrap any thrown value as a KenpomError, keeping existing KenpomErrors.
+ *
+ * @param error - Thrown value
+ * @param context - Request context to attach
+ * @param Fallback - Error class for values that are not KenpomErrors
+ * @returns KenpomError with context filled in
+ */
+export function toKenpomError(
+  error: unknown,
+  context: ErrorContext,
+  Fallback: new (message: string, context?: ErrorContext) => KenpomError = KenpomError
+): KenpomError {
+  if (error instanceof KenpomError) {
+    return error.withContext(context);
+  }
+  const message = error instanceof Error ? error.message : String(error);
+  return new Fallback(message, { ...context, cause: error });
+}
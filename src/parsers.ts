@@ -7,6 +7,8 @@
  */
 
 import * as cheerio from 'cheerio';
+import { ParseError, StructureChangedError } from './errors.js';
+import { normalizeTeamName } from './teams.js';
 
 // Cheerio types - extract from cheerio module
 type CheerioAPI = ReturnType<typeof cheerio.load>;
@@ -16,6 +18,7 @@ type CheerioNode = any;
 import type {
   TableRow,
   PomeroyRating,
+  ArchivedPomeroyRating,
   EfficiencyData,
   FourFactorsData,
   TeamStatsData,
@@ -29,8 +32,15 @@ import type {
   ArenaData,
   GameAttribData,
   ProgramRatingData,
+  TeamHistorySeason,
+  CoachSeason,
+  CoachResult,
+  CoachingChange,
   TrendsData,
   ScheduleGame,
+  ScheduleResult,
+  GameVenue,
+  RosterPlayer,
   FanMatchGame,
   FanMatchSummary,
   FanMatchResult,
@@ -39,6 +49,47 @@ import type {
   ConferenceStandingsData,
   ConferenceStatsData,
   ConferenceAggregateData,
+  ParseOptions,
+  StructureWarning,
+  Coerced,
+  WinLoss,
+  NumericPomeroyRating,
+  NumericArchivedPomeroyRating,
+  NumericEfficiencyData,
+  NumericFourFactorsData,
+  NumericTeamStatsData,
+  NumericPointDistData,
+  NumericHeightData,
+  NumericPlayerStats,
+  NumericKpoyResult,
+  NumericRefData,
+  NumericHcaData,
+  NumericArenaData,
+  NumericGameAttribData,
+  NumericProgramRatingData,
+  NumericTeamHistorySeason,
+  NumericCoachResult,
+  NumericTrendsData,
+  NumericScheduleGame,
+  NumericRosterPlayer,
+  PlayerBio,
+  PlayerSeason,
+  PlayerGame,
+  PlayerPageResult,
+  NumericPlayerPageResult,
+  WinProbabilityPoint,
+  BoxScore,
+  BoxScoreLine,
+  GameAttributes,
+  GameDetailResult,
+  NumericGameDetailResult,
+  TeamPageResult,
+  NumericTeamPageResult,
+  NumericFanMatchResult,
+  NumericScoutingReportStats,
+  NumericConferenceStandingsData,
+  NumericConferenceStatsData,
+  NumericConferenceAggregateData,
 } from './types.js';
 
 // ============================================================================
@@ -77,24 +128,75 @@ function getTable(html: string, tableIndex: number = 0): { $: CheerioAPI; table:
   const tables = $('table');
 
   if (tables.length === 0) {
-    throw new Error('No tables found');
+    throw new ParseError('No tables found');
   }
 
   if (tableIndex >= tables.length) {
-    throw new Error(`Table index ${tableIndex} out of bounds. Found ${tables.length} tables.`);
+    throw new ParseError(`Table index ${tableIndex} out of bounds. Found ${tables.length} tables.`);
   }
 
   return { $, table: tables.eq(tableIndex) };
 }
 
+/**
+ * Read a query parameter from a link's href.
+ * @private
+ */
+function linkParam(href: string | undefined, name: string): string | null {
+  const query = href?.split('?')[1];
+  return query ? new URLSearchParams(query).get(name) : null;
+}
+
+/**
+ * An ID to copy out of the links in one column.
+ * @private
+ */
+interface LinkId {
+  /** Column whose cells hold the link */
+  column: string;
+  /** Row key for the ID ('' when the cell has no link) */
+  key: string;
+  /** Query parameter carrying the ID */
+  param: string;
+}
+
+// Player pages are linked as player.php?p={id}
+const PLAYER_ID: LinkId = { column: 'Player', key: 'PlayerID', param: 'p' };
+
+/**
+ * Read a linked ID from a cell.
+ * @private
+ */
+function cellLinkId($: CheerioAPI, cell: CheerioNode, link: LinkId): string {
+  return linkParam($(cell).find('a').first().attr('href'), link.param) ?? '';
+}
+
+/**
+ * Read the game ID from the first game link (box score or win probability) in a row.
+ * @private
+ */
+function rowGameId($: CheerioAPI, row: CheerioNode): string {
+  for (const link of $(row).find('a').toArray()) {
+    const id = linkParam($(link).attr('href'), 'g');
+    if (id) return id;
+  }
+  return '';
+}
+
 /**
  * Extract rows from a table with given column names.
  * @param $ - Cheerio instance
  * @param table - Table element
  * @param columns - Column names to use
+ * @param links - IDs to copy from links, stored next to their column
  * @returns Parsed rows
  */
-function extractRows($: CheerioAPI, table: CheerioElement, columns: string[]): TableRow[] {
+function extractRows(
+  $: CheerioAPI,
+  table: CheerioElement,
+  columns: string[],
+  links: readonly LinkId[] = []
+): TableRow[] {
   const rows: TableRow[] = [];
   const tbody = table.find('tbody');
   // If no tbody, skip first row (index 0) as it's typically the header row
@@ -109,6 +211,9 @@ function extractRows($: CheerioAPI, table: CheerioElement, columns: string[]): T
       const col = columns[j];
       if (col !== undefined) {
         rowData[col] = $(cell).text().trim();
+        for (const link of links) {
+          if (link.column === col) rowData[link.key] = cellLinkId($, cell, link);
+        }
       }
     });
 
@@ -120,39 +225,269 @@ function extractRows($: CheerioAPI, table: CheerioElement, columns: string[]): T
   return rows;
 }
 
+// ============================================================================
+// NUMERIC COERCION
+// ============================================================================
+
+/**
+ * Convert a KenPom cell to a number.
+ * Strips a leading '+', a trailing '%' and thousands separators.
+ *
+ * @param value - Cell text (numbers pass through)
+ * @returns Number, or null for blank and non-numeric cells
+ */
+export function toNumber(value: string | number | null | undefined): number | null {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (!value) return null;
+  const cleaned = value.trim().replace(/^\+/, '').replace(/%$/, '').replace(/,/g, '');
+  return /^-?(\d+(\.\d*)?|\.\d+)$/.test(cleaned) ? Number(cleaned) : null;
+}
+
+/**
+ * Split a "W-L" record into wins and losses.
+ *
+ * @param record - Record such as "31-3"
+ * @returns Wins and losses (null when the record is blank or malformed)
+ */
+export function splitRecord(record: string | null | undefined): WinLoss {
+  const match = record?.trim().match(/^(\d+)-(\d+)$/);
+  return {
+    Wins: match?.[1] ? parseInt(match[1]) : null,
+    Losses: match?.[2] ? parseInt(match[2]) : null,
+  };
+}
+
+/**
+ * Coerce a parsed row to numbers. A W-L column is split into Wins and Losses.
+ * With a list of text columns, those are kept and every other column becomes
+ * a number or null. Without one (tables with dynamic headers), numeric cells
+ * are converted, blanks become null and other text is kept.
+ *
+ * @param row - Parsed row
+ * @param textColumns - Columns to keep as text, or null to decide per cell
+ * @returns Coerced row
+ */
+export function coerceRow(
+  row: object,
+  textColumns: readonly string[] | null
+): Record<string, string | number | null> {
+  const result: Record<string, string | number | null> = {};
+
+  for (const [key, value] of Object.entries(row) as [string, string | number | null][]) {
+    if (key === 'W-L') {
+      Object.assign(result, splitRecord(typeof value === 'string' ? value : null));
+    } else if (textColumns?.includes(key)) {
+      result[key] = value;
+    } else {
+      const number = toNumber(value);
+      const keepText = !textColumns && number === null && typeof value === 'string' && value.trim() !== '';
+      result[key] = keepText ? value : number;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Apply the coerce option to parsed rows.
+ * @private
+ */
+function coerceRows(rows: object[], options: ParseOptions, textColumns: readonly string[] | null): unknown[] {
+  return options.coerce ? rows.map(row => coerceRow(row, textColumns)) : rows;
+}
+
+/**
+ * Rename the Team column of parsed rows to current KenPom names, so a team
+ * reads the same in every season (see normalizeTeamName).
+ * @private
+ */
+function normalizeTeams<T extends object>(rows: T[]): T[] {
+  return rows.map(row => {
+    const team: unknown = (row as TableRow)['Team'];
+    return typeof team === 'string' ? { ...row, Team: normalizeTeamName(team) } : row;
+  });
+}
+
+// Text columns shared by the team tables
+const TEAM_TEXT_COLUMNS = ['Team', 'Conference'];
+
+// ============================================================================
+// STRUCTURE VALIDATION
+// ============================================================================
+
+/**
+ * Expected layout of a KenPom table.
+ * @private
+ */
+interface TableSchema {
+  /** Leading header labels, matched by case-insensitive prefix ('' matches any header) */
+  headers: readonly string[];
+  /** Cells per data row, counting colspans (omit to skip the check) */
+  cells?: number;
+}
+
+/**
+ * Read a table's column headers from its last header row.
+ * Headers spanning several columns are repeated once per column.
+ * @private
+ */
+function readHeaders($: CheerioAPI, table: CheerioElement): string[] {
+  const headRows = table.find('thead tr');
+  const headerRow = headRows.length > 0 ? headRows.last() : table.find('tr').first();
+
+  const headers: string[] = [];
+  headerRow.find('th, td').each((_i: number, cell: CheerioNode) => {
+    const span = parseInt($(cell).attr('colspan') ?? '1') || 1;
+    const text = $(cell).text().trim();
+    for (let k = 0; k < span; k++) headers.push(text);
+  });
+  return headers;
+}
+
+/**
+ * Check a table's headers and row widths against its schema.
+ *
+ * @param $ - Cheerio instance
+ * @param table - Table element
+ * @param schema - Expected layout
+ * @param options - Parser options (lenient)
+ * @returns Warnings in lenient mode (empty when the table matches)
+ * @throws StructureChangedError if the table does not match and lenient is off
+ */
+function checkTable(
+  $: CheerioAPI,
+  table: CheerioElement,
+  schema: TableSchema,
+  options: ParseOptions
+): StructureWarning[] {
+  const expected = [...schema.headers];
+  const actual = readHeaders($, table);
+  const problems: string[] = [];
+
+  const headersMatch = expected.every((label, i) =>
+    !label || (actual[i] ?? '').toLowerCase().startsWith(label.toLowerCase())
+  );
+  if (!headersMatch) {
+    problems.push(`expected headers starting with [${expected.join(', ')}], found [${actual.join(', ')}]`);
+  }
+
+  if (schema.cells !== undefined) {
+    const tbody = table.find('tbody');
+    const bodyRows = tbody.length > 0 ? tbody.find('tr') : table.find('tr').slice(1);
+    const widths = new Set<number>();
+    let mismatched = 0;
+
+    bodyRows.each((_i: number, row: CheerioNode) => {
+      const cells = $(row).find('td');
+      if (cells.length === 0) return;
+
+      let width = 0;
+      cells.each((_j: number, cell: CheerioNode) => {
+        width += parseInt($(cell).attr('colspan') ?? '1') || 1;
+      });
+      if (width !== schema.cells) {
+        mismatched++;
+        widths.add(width);
+      }
+    });
+
+    if (mismatched > 0) {
+      problems.push(`${mismatched} row(s) have ${[...widths].join('/')} cells, expected ${schema.cells}`);
+    }
+  }
+
+  if (problems.length === 0) return [];
+
+  if (!options.lenient) {
+    throw new StructureChangedError(`Table structure changed: ${problems.join('; ')}`, { expected, actual });
+  }
+  return problems.map(problem => ({ message: `Table structure changed: ${problem}`, expected, actual }));
+}
+
+/**
+ * Attach structure warnings to a parsed result as a non-enumerable
+ * `warnings` property, so they do not show up in JSON output.
+ *
+ * @param result - Parsed rows or result object
+ * @param warnings - Warnings to attach
+ * @returns The same result
+ */
+export function attachParseWarnings<T extends object>(result: T, warnings: StructureWarning[]): T {
+  Object.defineProperty(result, 'warnings', { value: warnings, enumerable: false, configurable: true });
+  return result;
+}
+
+/**
+ * Get the structure warnings a lenient parse attached to its result.
+ *
+ * @param result - Parsed rows or result object
+ * @returns Warnings (empty for strict parses and clean pages)
+ */
+export function getParseWarnings(result: unknown): StructureWarning[] {
+  const warnings = (result as { warnings?: unknown } | null | undefined)?.warnings;
+  return Array.isArray(warnings) ? warnings as StructureWarning[] : [];
+}
+
+/**
+ * Finish a parse: attach warnings in lenient mode.
+ * @private
+ */
+function withWarnings<T extends object>(result: T, warnings: StructureWarning[], options: ParseOptions): T {
+  return options.lenient ? attachParseWarnings(result, warnings) : result;
+}
+
 // ============================================================================
 // POMEROY RATINGS PARSER
 // ============================================================================
 
+// Fixed column names matching kenpompy output
+const POMEROY_COLUMNS = [
+  'Rk', 'Team', 'Conf', 'W-L', 'AdjEM',
+  'AdjO', 'AdjO.Rank', 'AdjD', 'AdjD.Rank',
+  'AdjT', 'AdjT.Rank', 'Luck', 'Luck.Rank',
+  'SOS-AdjEM', 'SOS-AdjEM.Rank', 'SOS-OppO', 'SOS-OppO.Rank',
+  'SOS-OppD', 'SOS-OppD.Rank', 'NCSOS-AdjEM', 'NCSOS-AdjEM.Rank'
+];
+
 /**
  * Parse Pomeroy ratings table.
  * Handles MultiIndex headers and extracts Seed from team name.
  *
  * @param html - HTML content
+ * @param options - Parser options (coerce)
  * @returns Parsed ratings with columns:
  *   Rk, Team, Conf, W-L, AdjEM, AdjO, AdjO.Rank, AdjD, AdjD.Rank,
  *   AdjT, AdjT.Rank, Luck, Luck.Rank, SOS-AdjEM, SOS-AdjEM.Rank,
  *   SOS-OppO, SOS-OppO.Rank, SOS-OppD, SOS-OppD.Rank,
  *   NCSOS-AdjEM, NCSOS-AdjEM.Rank, Seed
+ *   (coerced rows have Wins and Losses in place of W-L)
  */
-export function parsePomeroyRatings(html: string): PomeroyRating[] {
+export function parsePomeroyRatings<C extends boolean = false>(
+  html: string,
+  options: ParseOptions<C> = {}
+): Coerced<C, PomeroyRating, NumericPomeroyRating>[] {
   const { $, table } = getTable(html, 0);
 
-  // Fixed column names matching kenpompy output
-  const columns = [
-    'Rk', 'Team', 'Conf', 'W-L', 'AdjEM',
-    'AdjO', 'AdjO.Rank', 'AdjD', 'AdjD.Rank',
-    'AdjT', 'AdjT.Rank', 'Luck', 'Luck.Rank',
-    'SOS-AdjEM', 'SOS-AdjEM.Rank', 'SOS-OppO', 'SOS-OppO.Rank',
-    'SOS-OppD', 'SOS-OppD.Rank', 'NCSOS-AdjEM', 'NCSOS-AdjEM.Rank'
-  ];
+  const warnings = checkTable(
+    $,
+    table,
+    { headers: ['Rk', 'Team', 'Conf', 'W-L'], cells: POMEROY_COLUMNS.length },
+    options
+  );
+  const ratings = ratingRows(extractRows($, table, POMEROY_COLUMNS));
 
-  const rows = extractRows($, table, columns);
+  const result = coerceRows(normalizeTeams(ratings), options, ['Team', 'Conf']);
+  return withWarnings(result, warnings, options) as Coerced<C, PomeroyRating, NumericPomeroyRating>[];
+}
 
-  // Post-process: filter and transform rows
-  // - KenPom tables have repeated header rows in tbody (Rk === 'Rk')
-  // - Empty Rk values indicate invalid/partial rows
-  // - Team names include seed suffix (e.g., "Duke 1") that needs extraction
+/**
+ * Turn extracted ratings rows into PomeroyRating rows.
+ * - KenPom tables have repeated header rows in tbody (Rk === 'Rk')
+ * - Empty Rk values indicate invalid/partial rows
+ * - Team names include seed suffix (e.g., "Duke 1") that needs extraction
+ * @private
+ */
+function ratingRows(rows: TableRow[]): PomeroyRating[] {
   return rows
     .filter(row => row['Rk'] !== 'Rk' && row['Rk'] !== '')
     .map(row => {
@@ -165,6 +500,71 @@ export function parsePomeroyRatings(html: string): PomeroyRating[] {
     });
 }
 
+/**
+ * Parse a ratings archive page: the Pomeroy ratings table as it stood on
+ * a given date, with that date added to every row.
+ *
+ * A page laid out like the ratings page (with W-L) is parsed as one. The
+ * archive's own layout has no record, luck or schedule columns, so only
+ * the leading Rk/Team/Conf columns are checked and the rating columns are
+ * named from its headers (see archiveColumns); columns the page does not
+ * show are left empty.
+ *
+ * @param html - HTML content
+ * @param asOf - Archive date (YYYY-MM-DD)
+ * @param options - Parser options (coerce)
+ * @returns Parsed ratings with the parsePomeroyRatings columns plus AsOf
+ */
+export function parseRatingsArchive<C extends boolean = false>(
+  html: string,
+  asOf: string,
+  options: ParseOptions<C> = {}
+): Coerced<C, ArchivedPomeroyRating, NumericArchivedPomeroyRating>[] {
+  const { $, table } = getTable(html, 0);
+  const headers = readHeaders($, table);
+
+  let rows: object[];
+  let warnings: StructureWarning[];
+  if (/^W-L/i.test(headers[3] ?? '')) {
+    rows = parsePomeroyRatings(html, options);
+    warnings = getParseWarnings(rows);
+  } else {
+    warnings = checkTable($, table, { headers: ['Rk', 'Team', 'Conf'] }, options);
+    const empty = Object.fromEntries(POMEROY_COLUMNS.map(column => [column, '']));
+    const ratings = ratingRows(extractRows($, table, archiveColumns(headers))).map(row => ({ ...empty, ...row }));
+    rows = coerceRows(normalizeTeams(ratings), options, ['Team', 'Conf']) as object[];
+  }
+
+  const archived = rows.map(row => ({ ...row, AsOf: asOf }));
+  return withWarnings(archived, warnings, options) as Coerced<
+    C,
+    ArchivedPomeroyRating,
+    NumericArchivedPomeroyRating
+  >[];
+}
+
+/**
+ * Name the archive table's columns from its headers, using the ratings
+ * page's names: a header spanning two cells is the value and its rank
+ * (AdjO, AdjO.Rank) and NetRtg is AdjEM. Columns after the first repeated
+ * group (the season's final ratings) are skipped.
+ * @private
+ */
+function archiveColumns(headers: string[]): string[] {
+  const columns: string[] = [];
+  for (const [i, header] of headers.entries()) {
+    const name = header === 'NetRtg' ? 'AdjEM' : header;
+    if (i > 0 && header === headers[i - 1]) {
+      columns.push(`${name}.Rank`);
+    } else if (columns.includes(name)) {
+      break;
+    } else {
+      columns.push(name);
+    }
+  }
+  return columns;
+}
+
 // ============================================================================
 // EFFICIENCY PARSER
 // ============================================================================
@@ -175,9 +575,14 @@ export function parsePomeroyRatings(html: string): PomeroyRating[] {
  *
  * @param html - HTML content
  * @param season - Season year
+ * @param options - Parser options (coerce)
  * @returns Parsed efficiency data
  */
-export function parseEfficiency(html: string, season: number | null): EfficiencyData[] {
+export function parseEfficiency<C extends boolean = false>(
+  html: string,
+  season: number | null,
+  options: ParseOptions<C> = {}
+): Coerced<C, EfficiencyData, NumericEfficiencyData>[] {
   const { $, table } = getTable(html, 0);
 
   // Column structure changed in 2010 when KenPom added Average Possession Length metrics
@@ -201,14 +606,18 @@ export function parseEfficiency(html: string, season: number | null): Efficiency
     ];
   }
 
+  const warnings = checkTable($, table, { headers: ['Team', 'Conf'], cells: columns.length }, options);
   const rows = extractRows($, table, columns);
 
-  return rows
+  const parsed = rows
     .filter(row => row['Team'] !== 'Team' && row['Team'] !== '')
     .map(row => ({
       ...row,
       Team: stripSeed(row['Team'])
-    })) as EfficiencyData[];
+    }));
+
+  const result = coerceRows(normalizeTeams(parsed), options, TEAM_TEXT_COLUMNS);
+  return withWarnings(result, warnings, options) as Coerced<C, EfficiencyData, NumericEfficiencyData>[];
 }
 
 // ============================================================================
@@ -220,9 +629,13 @@ export function parseEfficiency(html: string, season: number | null): Efficiency
  * Fixed 24 columns.
  *
  * @param html - HTML content
+ * @param options - Parser options (coerce)
  * @returns Parsed four factors data
  */
-export function parseFourFactors(html: string): FourFactorsData[] {
+export function parseFourFactors<C extends boolean = false>(
+  html: string,
+  options: ParseOptions<C> = {}
+): Coerced<C, FourFactorsData, NumericFourFactorsData>[] {
   const { $, table } = getTable(html, 0);
 
   const columns = [
@@ -235,14 +648,18 @@ export function parseFourFactors(html: string): FourFactorsData[] {
     'Def-OR%', 'Def-OR%.Rank', 'Def-FTRate', 'Def-FTRate.Rank'
   ];
 
+  const warnings = checkTable($, table, { headers: ['Team', 'Conf'], cells: columns.length }, options);
   const rows = extractRows($, table, columns);
 
-  return rows
+  const parsed = rows
     .filter(row => row['Team'] !== 'Team' && row['Team'] !== '')
     .map(row => ({
       ...row,
       Team: stripSeed(row['Team'])
-    })) as FourFactorsData[];
+    }));
+
+  const result = coerceRows(normalizeTeams(parsed), options, TEAM_TEXT_COLUMNS);
+  return withWarnings(result, warnings, options) as Coerced<C, FourFactorsData, NumericFourFactorsData>[];
 }
 
 // ============================================================================
@@ -255,9 +672,14 @@ export function parseFourFactors(html: string): FourFactorsData[] {
  *
  * @param html - HTML content
  * @param defense - Whether this is defensive stats
+ * @param options - Parser options (coerce)
  * @returns Parsed team stats
  */
-export function parseTeamStats(html: string, defense: boolean = false): TeamStatsData[] {
+export function parseTeamStats<C extends boolean = false>(
+  html: string,
+  defense: boolean = false,
+  options: ParseOptions<C> = {}
+): Coerced<C, TeamStatsData, NumericTeamStatsData>[] {
   const { $, table } = getTable(html, 0);
 
   const lastCol = defense ? 'AdjDE' : 'AdjOE';
@@ -269,14 +691,18 @@ export function parseTeamStats(html: string, defense: boolean = false): TeamStat
     lastCol, `${lastCol}.Rank`
   ];
 
+  const warnings = checkTable($, table, { headers: ['Team', 'Conf'], cells: columns.length }, options);
   const rows = extractRows($, table, columns);
 
-  return rows
+  const parsed = rows
     .filter(row => row['Team'] !== 'Team' && row['Team'] !== '')
     .map(row => ({
       ...row,
       Team: stripSeed(row['Team'])
-    })) as TeamStatsData[];
+    }));
+
+  const result = coerceRows(normalizeTeams(parsed), options, TEAM_TEXT_COLUMNS);
+  return withWarnings(result, warnings, options) as Coerced<C, TeamStatsData, NumericTeamStatsData>[];
 }
 
 // ============================================================================
@@ -288,9 +714,13 @@ export function parseTeamStats(html: string, defense: boolean = false): TeamStat
  * Fixed 14 columns.
  *
  * @param html - HTML content
+ * @param options - Parser options (coerce)
  * @returns Parsed point distribution data
  */
-export function parsePointDist(html: string): PointDistData[] {
+export function parsePointDist<C extends boolean = false>(
+  html: string,
+  options: ParseOptions<C> = {}
+): Coerced<C, PointDistData, NumericPointDistData>[] {
   const { $, table } = getTable(html, 0);
 
   const columns = [
@@ -299,14 +729,18 @@ export function parsePointDist(html: string): PointDistData[] {
     'Def-FT', 'Def-FT.Rank', 'Def-2P', 'Def-2P.Rank', 'Def-3P', 'Def-3P.Rank'
   ];
 
+  const warnings = checkTable($, table, { headers: ['Team', 'Conf'], cells: columns.length }, options);
   const rows = extractRows($, table, columns);
 
-  return rows
+  const parsed = rows
     .filter(row => row['Team'] !== 'Team' && row['Team'] !== '')
     .map(row => ({
       ...row,
       Team: stripSeed(row['Team'])
-    })) as PointDistData[];
+    }));
+
+  const result = coerceRows(normalizeTeams(parsed), options, TEAM_TEXT_COLUMNS);
+  return withWarnings(result, warnings, options) as Coerced<C, PointDistData, NumericPointDistData>[];
 }
 
 // ============================================================================
@@ -319,9 +753,14 @@ export function parsePointDist(html: string): PointDistData[] {
  *
  * @param html - HTML content
  * @param season - Season year
+ * @param options - Parser options (coerce)
  * @returns Parsed height data
  */
-export function parseHeight(html: string, season: number | null): HeightData[] {
+export function parseHeight<C extends boolean = false>(
+  html: string,
+  season: number | null,
+  options: ParseOptions<C> = {}
+): Coerced<C, HeightData, NumericHeightData>[] {
   const { $, table } = getTable(html, 0);
 
   // KenPom added Continuity columns in 2008
@@ -347,20 +786,27 @@ export function parseHeight(html: string, season: number | null): HeightData[] {
     ];
   }
 
+  const warnings = checkTable($, table, { headers: ['Team', 'Conf'], cells: columns.length }, options);
   const rows = extractRows($, table, columns);
 
-  return rows
+  const parsed = rows
     .filter(row => row['Team'] !== 'Team' && row['Team'] !== '')
     .map(row => ({
       ...row,
       Team: stripSeed(row['Team'])
-    })) as HeightData[];
+    }));
+
+  const result = coerceRows(normalizeTeams(parsed), options, TEAM_TEXT_COLUMNS);
+  return withWarnings(result, warnings, options) as Coerced<C, HeightData, NumericHeightData>[];
 }
 
 // ============================================================================
 // PLAYER STATS PARSER
 // ============================================================================
 
+// Text columns of the player stats tables
+const PLAYER_TEXT_COLUMNS = ['Player', 'PlayerID', 'Team', 'Ht', 'Yr'];
+
 /**
  * Parse player stats table.
  * ORtg metric returns special format with Poss%.
@@ -368,10 +814,15 @@ export function parseHeight(html: string, season: number | null): HeightData[] {
  *
  * @param html - HTML content
  * @param metric - Player stat metric
+ * @param options - Parser options (coerce)
  * @returns Parsed player stats
  *   (ORtg returns array of 4 tables for different possession thresholds)
  */
-export function parsePlayerStats(html: string, metric: string = 'eFG'): PlayerStats[] {
+export function parsePlayerStats<C extends boolean = false>(
+  html: string,
+  metric: string = 'eFG',
+  options: ParseOptions<C> = {}
+): Coerced<C, PlayerStats, NumericPlayerStats>[] {
   const { $, table } = getTable(html, 0);
 
   // Column structure depends on metric type:
@@ -391,7 +842,8 @@ export function parsePlayerStats(html: string, metric: string = 'eFG'): PlayerSt
 
   columns.push('Ht', 'Wt', 'Yr');
 
-  const rows = extractRows($, table, columns);
+  const warnings = checkTable($, table, { headers: ['', 'Player', 'Team'], cells: columns.length }, options);
+  const rows = extractRows($, table, columns, [PLAYER_ID]);
 
   // Filter header rows and empty ranks
   let filtered = rows.filter(row =>
@@ -413,25 +865,32 @@ export function parsePlayerStats(html: string, metric: string = 'eFG'): PlayerSt
     });
   }
 
-  return filtered as PlayerStats[];
+  const result = coerceRows(normalizeTeams(filtered), options, PLAYER_TEXT_COLUMNS);
+  return withWarnings(result, warnings, options) as Coerced<C, PlayerStats, NumericPlayerStats>[];
 }
 
 /**
  * Parse all player stats tables (for ORtg which has 4 tables).
  *
  * @param html - HTML content
+ * @param options - Parser options (coerce)
  * @returns Array of 4 parsed tables
  */
-export function parseAllPlayerStatsTables(html: string): PlayerStats[][] {
+export function parseAllPlayerStatsTables<C extends boolean = false>(
+  html: string,
+  options: ParseOptions<C> = {}
+): Coerced<C, PlayerStats, NumericPlayerStats>[][] {
   const $ = cheerio.load(html);
   const tables = $('table');
   const results: PlayerStats[][] = [];
+  const warnings: StructureWarning[] = [];
 
   const columns = ['Rank', 'Player', 'Team', 'ORtg', 'Ht', 'Wt', 'Yr'];
 
   tables.each((i, tableEl) => {
     const rows: PlayerStats[] = [];
     const table = $(tableEl);
+    warnings.push(...checkTable($, table, { headers: ['', 'Player', 'Team'], cells: columns.length }, options));
     const tbody = table.find('tbody');
     const bodyRows = tbody.length > 0 ? tbody.find('tr') : table.find('tr').slice(1);
 
@@ -444,6 +903,7 @@ export function parseAllPlayerStatsTables(html: string): PlayerStats[][] {
         const col = columns[k];
         if (col !== undefined) {
           rowData[col] = $(cell).text().trim();
+          if (col === PLAYER_ID.column) rowData[PLAYER_ID.key] = cellLinkId($, cell, PLAYER_ID);
         }
       });
 
@@ -462,7 +922,8 @@ export function parseAllPlayerStatsTables(html: string): PlayerStats[][] {
     }
   });
 
-  return results;
+  const result = results.map(rows => coerceRows(normalizeTeams(rows), options, PLAYER_TEXT_COLUMNS));
+  return withWarnings(result, warnings, options) as Coerced<C, PlayerStats, NumericPlayerStats>[][];
 }
 
 // ============================================================================
@@ -475,14 +936,21 @@ export function parseAllPlayerStatsTables(html: string): PlayerStats[][] {
  *
  * @param html - HTML content
  * @param season - Season year
+ * @param options - Parser options (coerce)
  * @returns KPOY and MVP data
  */
-export function parseKpoy(html: string, season: number | null): KpoyResult {
+export function parseKpoy<C extends boolean = false>(
+  html: string,
+  season: number | null,
+  options: ParseOptions<C> = {}
+): Coerced<C, KpoyResult, NumericKpoyResult> {
   const $ = cheerio.load(html);
   const tables = $('table');
+  const warnings: StructureWarning[] = [];
 
   const parseKpoyTable = (table: CheerioElement): KpoyPlayer[] => {
     const rows: KpoyPlayer[] = [];
+    warnings.push(...checkTable($, table, { headers: [], cells: 3 }, options));
     const tbody = table.find('tbody');
     const bodyRows = tbody.length > 0 ? tbody.find('tr') : table.find('tr').slice(1);
 
@@ -546,7 +1014,12 @@ export function parseKpoy(html: string, season: number | null): KpoyResult {
     result.mvp = parseKpoyTable(tables.eq(tables.length - 1));
   }
 
-  return result;
+  const textColumns = ['Player', 'Team', 'Height', 'Year', 'Hometown'];
+  const coerced = {
+    kpoy: coerceRows(normalizeTeams(result.kpoy), options, textColumns),
+    mvp: result.mvp && coerceRows(normalizeTeams(result.mvp), options, textColumns),
+  };
+  return withWarnings(coerced, warnings, options) as Coerced<C, KpoyResult, NumericKpoyResult>;
 }
 
 // ============================================================================
@@ -557,18 +1030,23 @@ export function parseKpoy(html: string, season: number | null): KpoyResult {
  * Parse referee rankings table.
  *
  * @param html - HTML content
+ * @param options - Parser options (coerce)
  * @returns Parsed referee data
  */
-export function parseRefs(html: string): RefData[] {
+export function parseRefs<C extends boolean = false>(
+  html: string,
+  options: ParseOptions<C> = {}
+): Coerced<C, RefData, NumericRefData>[] {
   const { $, table } = getTable(html, 0);
 
   // Columns: Rank, Name, Rating, Games, Last Game, Game Score, Box
   // We drop Box column
   const columns = ['Rank', 'Name', 'Rating', 'Games', 'Last Game', 'Game Score', 'Box'];
 
+  const warnings = checkTable($, table, { headers: ['', 'Name'], cells: columns.length }, options);
   const rows = extractRows($, table, columns);
 
-  return rows
+  const refs = rows
     .filter(row => row['Rating'] !== 'Rating' && row['Rank'] !== '')
     .map(row => {
       return {
@@ -580,6 +1058,9 @@ export function parseRefs(html: string): RefData[] {
         'Game Score': row['Game Score'] ?? ''
       } as RefData;
     });
+
+  const result = coerceRows(refs, options, ['Name', 'Last Game']);
+  return withWarnings(result, warnings, options) as Coerced<C, RefData, NumericRefData>[];
 }
 
 // ============================================================================
@@ -590,9 +1071,13 @@ export function parseRefs(html: string): RefData[] {
  * Parse home court advantage table.
  *
  * @param html - HTML content
+ * @param options - Parser options (coerce)
  * @returns Parsed HCA data
  */
-export function parseHca(html: string): HcaData[] {
+export function parseHca<C extends boolean = false>(
+  html: string,
+  options: ParseOptions<C> = {}
+): Coerced<C, HcaData, NumericHcaData>[] {
   const { $, table } = getTable(html, 0);
 
   const columns = [
@@ -605,11 +1090,13 @@ export function parseHca(html: string): HcaData[] {
     'Elev', 'Elev.Rank'
   ];
 
+  const warnings = checkTable($, table, { headers: ['Team', 'Conf'], cells: columns.length }, options);
   const rows = extractRows($, table, columns);
 
-  return rows
-    .filter(row => row['Team'] !== 'Team' && row['Team'] !== '')
-    .map(row => row as unknown as HcaData);
+  const hca = rows.filter(row => row['Team'] !== 'Team' && row['Team'] !== '');
+
+  const result = coerceRows(normalizeTeams(hca), options, TEAM_TEXT_COLUMNS);
+  return withWarnings(result, warnings, options) as Coerced<C, HcaData, NumericHcaData>[];
 }
 
 // ============================================================================
@@ -621,16 +1108,21 @@ export function parseHca(html: string): HcaData[] {
  * Splits Arena and Alternate columns to extract capacity.
  *
  * @param html - HTML content
+ * @param options - Parser options (coerce)
  * @returns Parsed arena data
  */
-export function parseArenas(html: string): ArenaData[] {
+export function parseArenas<C extends boolean = false>(
+  html: string,
+  options: ParseOptions<C> = {}
+): Coerced<C, ArenaData, NumericArenaData>[] {
   const { $, table } = getTable(html, 0);
 
   const columns = ['Rank', 'Team', 'Conference', 'Arena', 'Alternate'];
 
+  const warnings = checkTable($, table, { headers: ['', 'Team', 'Conf', 'Arena', 'Alternate'], cells: columns.length }, options);
   const rows = extractRows($, table, columns);
 
-  return rows
+  const arenas = rows
     .filter(row => row['Team'] !== 'Team' && row['Rank'] !== '')
     .map(row => {
       // Split Arena on ' (' to get name and capacity
@@ -647,6 +1139,9 @@ export function parseArenas(html: string): ArenaData[] {
         'Alternate.Capacity': altMatch?.[2] ?? ''
       } as ArenaData;
     });
+
+  const result = coerceRows(normalizeTeams(arenas), options, ['Team', 'Conference', 'Arena', 'Alternate']);
+  return withWarnings(result, warnings, options) as Coerced<C, ArenaData, NumericArenaData>[];
 }
 
 // ============================================================================
@@ -658,17 +1153,22 @@ export function parseArenas(html: string): ArenaData[] {
  * Splits Location to extract Arena name.
  *
  * @param html - HTML content
+ * @param options - Parser options (coerce)
  * @returns Parsed game attributes
  */
-export function parseGameAttribs(html: string): GameAttribData[] {
+export function parseGameAttribs<C extends boolean = false>(
+  html: string,
+  options: ParseOptions<C> = {}
+): Coerced<C, GameAttribData, NumericGameAttribData>[] {
   const { $, table } = getTable(html, 0);
 
   // Columns: Rank, Date, Game, Box, Location, Conf.Matchup, Value
   const columns = ['Rank', 'Date', 'Game', 'Box', 'Location', 'Conf.Matchup', 'Value'];
 
+  const warnings = checkTable($, table, { headers: ['', 'Date', 'Game'], cells: columns.length }, options);
   const rows = extractRows($, table, columns);
 
-  return rows
+  const games = rows
     .filter(row => row['Rank'] !== 'Rank' && row['Rank'] !== '')
     .map(row => {
       // Split Location on ' (' to get location and arena
@@ -684,6 +1184,9 @@ export function parseGameAttribs(html: string): GameAttribData[] {
         Value: row['Value'] ?? ''
       } as GameAttribData;
     });
+
+  const result = coerceRows(games, options, ['Date', 'Game', 'Location', 'Arena', 'Conf.Matchup']);
+  return withWarnings(result, warnings, options) as Coerced<C, GameAttribData, NumericGameAttribData>[];
 }
 
 // ============================================================================
@@ -694,9 +1197,13 @@ export function parseGameAttribs(html: string): GameAttribData[] {
  * Parse program ratings table.
  *
  * @param html - HTML content
+ * @param options - Parser options (coerce)
  * @returns Parsed program ratings
  */
-export function parseProgramRatings(html: string): ProgramRatingData[] {
+export function parseProgramRatings<C extends boolean = false>(
+  html: string,
+  options: ParseOptions<C> = {}
+): Coerced<C, ProgramRatingData, NumericProgramRatingData>[] {
   const { $, table } = getTable(html, 0);
 
   const columns = [
@@ -709,9 +1216,123 @@ export function parseProgramRatings(html: string): ProgramRatingData[] {
     'Change'
   ];
 
+  const warnings = checkTable($, table, { headers: ['', 'Team', 'Conf'], cells: columns.length }, options);
   const rows = extractRows($, table, columns);
 
-  return rows.filter(row => row['Team'] !== 'Team' && row['Rank'] !== '') as unknown as ProgramRatingData[];
+  const ratings = rows.filter(row => row['Team'] !== 'Team' && row['Rank'] !== '');
+
+  const result = coerceRows(normalizeTeams(ratings), options, TEAM_TEXT_COLUMNS);
+  return withWarnings(result, warnings, options) as Coerced<C, ProgramRatingData, NumericProgramRatingData>[];
+}
+
+// ============================================================================
+// TEAM HISTORY PARSER
+// ============================================================================
+
+/**
+ * Parse a program's season-by-season history table.
+ *
+ * @param html - HTML content
+ * @param options - Parser options (coerce, lenient)
+ * @returns Season rows, newest first as listed on the page, with columns:
+ *   Season, Rank, AdjEM, AdjO, AdjD, AdjT (with ranks), W-L, Conference,
+ *   Coach, Tournament
+ */
+export function parseTeamHistory<C extends boolean = false>(
+  html: string,
+  options: ParseOptions<C> = {}
+): Coerced<C, TeamHistorySeason, NumericTeamHistorySeason>[] {
+  const { $, table } = getTable(html, 0);
+
+  const columns = [
+    'Season', 'Rank', 'AdjEM', 'AdjO', 'AdjO.Rank', 'AdjD', 'AdjD.Rank',
+    'AdjT', 'AdjT.Rank', 'W-L', 'Conference', 'Coach', 'Tournament'
+  ];
+
+  const warnings = checkTable($, table, { headers: ['', 'Rk', 'AdjEM'], cells: columns.length }, options);
+  const rows = extractRows($, table, columns);
+
+  // Season cells hold a four-digit year; anything else is a repeated header
+  const seasons = rows.filter(row => /^\d{4}$/.test(row['Season'] ?? ''));
+
+  const result = coerceRows(seasons, options, ['Conference', 'Coach', 'Tournament']);
+  return withWarnings(result, warnings, options) as Coerced<C, TeamHistorySeason, NumericTeamHistorySeason>[];
+}
+
+// ============================================================================
+// COACH PARSER
+// ============================================================================
+
+/**
+ * Parse a coach page: one row per season coached, plus career totals.
+ *
+ * @param html - HTML content
+ * @param options - Parser options (coerce, lenient)
+ * @returns Seasons with columns:
+ *   Season, Team, Conference, Rank, AdjEM, AdjO, AdjD, AdjT (with ranks),
+ *   W-L, Tournament; and career Seasons, Wins, Losses and Teams
+ */
+export function parseCoach<C extends boolean = false>(
+  html: string,
+  options: ParseOptions<C> = {}
+): Coerced<C, CoachResult, NumericCoachResult> {
+  const { $, table } = getTable(html, 0);
+
+  const columns = [
+    'Season', 'Team', 'Conference', 'Rank', 'AdjEM', 'AdjO', 'AdjO.Rank',
+    'AdjD', 'AdjD.Rank', 'AdjT', 'AdjT.Rank', 'W-L', 'Tournament'
+  ];
+
+  const warnings = checkTable($, table, { headers: ['', 'Team', 'Conf'], cells: columns.length }, options);
+  const rows = extractRows($, table, columns);
+
+  // Season cells hold a four-digit year; anything else is a repeated header
+  const seasons = normalizeTeams(rows.filter(row => /^\d{4}$/.test(row['Season'] ?? ''))) as unknown as CoachSeason[];
+
+  const career = { Seasons: seasons.length, Wins: 0, Losses: 0, Teams: [] as string[] };
+  for (const season of seasons) {
+    const { Wins, Losses } = splitRecord(season['W-L']);
+    career.Wins += Wins ?? 0;
+    career.Losses += Losses ?? 0;
+    if (season.Team && !career.Teams.includes(season.Team)) career.Teams.push(season.Team);
+  }
+
+  const result = {
+    seasons: coerceRows(seasons, options, ['Team', 'Conference', 'Tournament']),
+    career,
+  };
+  return withWarnings(result, warnings, options) as Coerced<C, CoachResult, NumericCoachResult>;
+}
+
+/**
+ * Build a program's coaching-change table from its season-by-season rows
+ * (getTeamHistory output, coerced or not). The first season listed is not
+ * a change, since the previous coach is unknown.
+ *
+ * @param history - Season rows with Season and Coach
+ * @returns One row per change, oldest first
+ */
+export function buildCoachingChanges(
+  history: readonly { Season: string | number | null; Coach: string }[]
+): CoachingChange[] {
+  const seasons = history
+    .map(row => ({ Season: parseInt(String(row.Season)), Coach: row.Coach.trim() }))
+    .filter(row => !isNaN(row.Season) && row.Coach)
+    .sort((a, b) => a.Season - b.Season);
+
+  const changes: CoachingChange[] = [];
+  let tenure = 0;
+
+  seasons.forEach((row, i) => {
+    const previous = seasons[i - 1];
+    if (previous && previous.Coach !== row.Coach) {
+      changes.push({ Season: row.Season, Coach: row.Coach, PreviousCoach: previous.Coach, PreviousTenure: tenure });
+      tenure = 0;
+    }
+    tenure++;
+  });
+
+  return changes;
 }
 
 // ============================================================================
@@ -722,9 +1343,13 @@ export function parseProgramRatings(html: string): ProgramRatingData[] {
  * Parse trends table.
  *
  * @param html - HTML content
+ * @param options - Parser options (coerce)
  * @returns Parsed trends data
  */
-export function parseTrends(html: string): TrendsData[] {
+export function parseTrends<C extends boolean = false>(
+  html: string,
+  options: ParseOptions<C> = {}
+): Coerced<C, TrendsData, NumericTrendsData>[] {
   const { $, table } = getTable(html, 0);
 
   // Extract headers from the table
@@ -736,28 +1361,89 @@ export function parseTrends(html: string): TrendsData[] {
   const rows = extractRows($, table, headers);
 
   // Drop last 5 rows which contain summary/totals, matching kenpompy behavior
-  return rows.slice(0, -5) as TrendsData[];
+  return coerceRows(rows.slice(0, -5), options, null) as Coerced<C, TrendsData, NumericTrendsData>[];
 }
 
 // ============================================================================
 // SCHEDULE PARSER
 // ============================================================================
 
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
 /**
- * Parse team schedule table.
- * Uses table index 1 (second table on page).
- * Handles year-dependent columns and postseason tracking.
- *
- * @param html - HTML content
- * @param season - Season year
- * @returns Parsed schedule
+ * Turn a schedule date such as "Sat Nov 9" into YYYY-MM-DD. Seasons run
+ * from November to April, so July-December dates fall in the year before
+ * the season year.
+ * @private
  */
-export function parseSchedule(html: string, season: number | null): ScheduleGame[] {
-  const $ = cheerio.load(html);
+function scheduleDate(date: string, season: number | null): string | null {
+  const match = date.match(/\b([A-Z][a-z]{2})[a-z]*\.?\s+(\d{1,2})\b/);
+  const month = match?.[1] ? MONTHS.indexOf(match[1]) : -1;
+  if (!season || !match?.[2] || month < 0) return null;
+
+  const year = month >= 6 ? season - 1 : season;
+  return `${year}-${String(month + 1).padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+}
+
+/**
+ * Normalize a schedule Location ("Home", "Away", "Neutral", "Semi-Home",
+ * or their initials). Semi-home and semi-away games are on neutral courts.
+ * @private
+ */
+function scheduleVenue(location: string): GameVenue | null {
+  if (/^semi/i.test(location)) return 'neutral';
+  if (/^h/i.test(location)) return 'home';
+  if (/^a/i.test(location)) return 'away';
+  if (/^n/i.test(location)) return 'neutral';
+  return null;
+}
+
+/**
+ * Derive the structured result fields from a raw schedule row. A row is
+ * unplayed when its Result has no outcome or it shows a win probability.
+ * @private
+ */
+function scheduleResult(row: TableRow, season: number | null): ScheduleResult {
+  const result = (row['Result'] ?? '').match(/^([WL])\b\W*(\d+)-(\d+)(?:\s+\(?(\d*)OT\)?)?/);
+  const unplayed = !result || (row['A'] ?? '').includes('%');
+  const possessions = unplayed ? null : toNumber(row['Possession Number']);
+
+  // Winner's score is the higher one whichever way the page orders them
+  const high = result ? Math.max(Number(result[2]), Number(result[3])) : null;
+  const low = result ? Math.min(Number(result[2]), Number(result[3])) : null;
+  const teamScore = unplayed ? null : result[1] === 'W' ? high : low;
+  const opponentScore = unplayed ? null : result[1] === 'W' ? low : high;
+  const efficiency = (points: number | null) =>
+    points !== null && possessions ? Math.round((points / possessions) * 1000) / 10 : null;
+
+  return {
+    GameDate: scheduleDate(row['Date'] ?? '', season),
+    Outcome: unplayed ? null : result[1] as 'W' | 'L',
+    TeamScore: teamScore,
+    OpponentScore: opponentScore,
+    Overtimes: unplayed ? null : result[4] !== undefined ? parseInt(result[4] || '1') : 0,
+    Margin: teamScore !== null && opponentScore !== null ? teamScore - opponentScore : null,
+    Venue: scheduleVenue(row['Location'] ?? ''),
+    Possessions: possessions,
+    Unplayed: unplayed,
+    OffEff: efficiency(teamScore),
+    DefEff: efficiency(opponentScore),
+  };
+}
+
+/**
+ * Parse the schedule table of a loaded team page (see parseSchedule).
+ * @private
+ */
+function scheduleFrom<C extends boolean>(
+  $: CheerioAPI,
+  season: number | null,
+  options: ParseOptions<C>
+): Coerced<C, ScheduleGame, NumericScheduleGame>[] {
   const tables = $('table');
 
   if (tables.length < 2) {
-    throw new Error('Schedule table not found (need at least 2 tables)');
+    throw new ParseError('Schedule table not found (need at least 2 tables)');
   }
 
   // Schedule is the second table on team page (index 1); first table is team stats
@@ -777,7 +1463,9 @@ export function parseSchedule(html: string, season: number | null): ScheduleGame
     ];
   }
 
-  const rows: ScheduleGame[] = [];
+  const warnings = checkTable($, table, { headers: ['Date'], cells: columns.length }, options);
+  const rows: TableRow[] = [];
+  const results: ScheduleResult[] = [];
   let currentTournament = '';
 
   const tbody = table.find('tbody');
@@ -809,6 +1497,8 @@ export function parseSchedule(html: string, season: number | null): ScheduleGame
 
     // Add tournament info
     rowData['Tournament'] = currentTournament;
+    rowData['GameID'] = rowGameId($, row);
+    const result = scheduleResult(rowData, season);
 
     // Remove unused columns A and B
     delete rowData['A'];
@@ -820,11 +1510,300 @@ export function parseSchedule(html: string, season: number | null): ScheduleGame
     }
 
     if (Object.keys(rowData).length > 0) {
-      rows.push(rowData as unknown as ScheduleGame);
+      rows.push(rowData);
+      results.push(result);
     }
   });
 
-  return rows;
+  const textColumns = [
+    'Date', 'Opponent Name', 'Result', 'Location', 'Record', 'Conference', 'Tournament', 'GameID'
+  ];
+  const games = coerceRows(rows, options, textColumns).map((row, i) => ({ ...(row as object), ...results[i] }));
+  return withWarnings(games, warnings, options) as Coerced<C, ScheduleGame, NumericScheduleGame>[];
+}
+
+/**
+ * Parse team schedule table.
+ * Uses table index 1 (second table on page).
+ * Handles year-dependent columns and postseason tracking, and adds the
+ * structured ScheduleResult fields (date, score, venue, efficiency) to
+ * every game.
+ *
+ * @param html - HTML content
+ * @param season - Season year (GameDate is null without it)
+ * @param options - Parser options (coerce; records stay as text)
+ * @returns Parsed schedule
+ */
+export function parseSchedule<C extends boolean = false>(
+  html: string,
+  season: number | null,
+  options: ParseOptions<C> = {}
+): Coerced<C, ScheduleGame, NumericScheduleGame>[] {
+  return scheduleFrom(cheerio.load(html), season, options);
+}
+
+// ============================================================================
+// ROSTER PARSER
+// ============================================================================
+
+/**
+ * Split "made-attempted" shooting columns (FTM-A, 2PM-A, 3PM-A) into made
+ * and attempted columns, keeping the column order.
+ * @private
+ */
+function splitMadeAttempted(row: TableRow): TableRow {
+  const result: TableRow = {};
+
+  for (const [key, value] of Object.entries(row)) {
+    const split = key.match(/^(FT|2P|3P)M-A$/);
+    if (split) {
+      const [made = '', attempted = ''] = value.split('-');
+      result[`${split[1]}M`] = made;
+      result[`${split[1]}A`] = attempted;
+    } else {
+      result[key] = value;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Parse the roster table of a loaded team page (see parseRoster).
+ * @private
+ */
+function rosterFrom<C extends boolean>(
+  $: CheerioAPI,
+  season: number | null,
+  options: ParseOptions<C>
+): Coerced<C, RosterPlayer, NumericRosterPlayer>[] {
+  const table = $('table#player-table');
+
+  if (table.length === 0) {
+    throw new ParseError('Roster table not found');
+  }
+
+  // Pre-2010 pages have no jersey number column
+  const columns = [
+    'Player', 'Ht', 'Wt', 'Yr', 'G', '%Min', 'ORtg', '%Poss', '%Shots',
+    'eFG%', 'TS%', 'OR%', 'DR%', 'ARate', 'TORate', 'Blk%', 'Stl%',
+    'FC/40', 'FD/40', 'FTRate', 'FTM-A', 'FT%', '2PM-A', '2P%', '3PM-A', '3P%'
+  ];
+  if (!season || season >= 2010) {
+    columns.unshift('Number');
+  }
+
+  const warnings = checkTable($, table, { headers: [], cells: columns.length }, options);
+  const rows = extractRows($, table, columns, [PLAYER_ID]);
+
+  const players = rows
+    // Skip repeated headers and class section rows (a single spanning cell)
+    .filter(row => row['3P%'] !== undefined && row['Player'] !== 'Player')
+    .map(row => ({ Number: '', ...splitMadeAttempted(row) }) as unknown as RosterPlayer);
+
+  const result = coerceRows(players, options, ['Player', 'PlayerID', 'Ht', 'Yr']);
+  return withWarnings(result, warnings, options) as Coerced<C, RosterPlayer, NumericRosterPlayer>[];
+}
+
+/**
+ * Parse team roster (player) table from the team page.
+ * Handles year-dependent columns and splits made-attempted shooting columns.
+ *
+ * @param html - HTML content
+ * @param season - Season year
+ * @param options - Parser options (coerce)
+ * @returns Parsed roster
+ */
+export function parseRoster<C extends boolean = false>(
+  html: string,
+  season: number | null,
+  options: ParseOptions<C> = {}
+): Coerced<C, RosterPlayer, NumericRosterPlayer>[] {
+  return rosterFrom(cheerio.load(html), season, options);
+}
+
+// ============================================================================
+// PLAYER PAGE PARSER
+// ============================================================================
+
+/**
+ * Extract the rows of a table named by its own headers, skipping repeated
+ * header rows and section rows, with shooting columns split.
+ * @private
+ */
+function extractHeaderRows(
+  $: CheerioAPI,
+  table: CheerioElement,
+  headers: string[],
+  links: readonly LinkId[] = []
+): TableRow[] {
+  const first = headers[0] ?? '';
+  const last = headers[headers.length - 1] ?? '';
+
+  return extractRows($, table, headers, links)
+    .filter(row => row[last] !== undefined && row[first] !== first)
+    .map(splitMadeAttempted);
+}
+
+/**
+ * Read the bio from the player page title block.
+ * @private
+ */
+function parsePlayerBio($: CheerioAPI): PlayerBio {
+  const title = $('#title-container');
+  const text = title.text().replace(/\s+/g, ' ');
+
+  return {
+    Name: title.find('h5').first().text().replace(/#\d+/, '').trim(),
+    Team: normalizeTeamName(title.find('a[href*="team.php"]').first().text().trim()),
+    Number: text.match(/#(\d+)/)?.[1] ?? '',
+    Ht: text.match(/\b(\d-\d{1,2})\b/)?.[1] ?? '',
+    Wt: text.match(/\b(\d{2,3}) ?lbs\b/)?.[1] ?? '',
+    Yr: text.match(/\b(Fr|So|Jr|Sr)\b/)?.[1] ?? '',
+    Hometown: text.match(/Hometown: ([^·|]+)/)?.[1]?.trim() ?? '',
+  };
+}
+
+/**
+ * Parse a player page: bio, season-by-season lines from the career table
+ * and the game log. Both tables keep the page's column headers.
+ *
+ * @param html - HTML content
+ * @param options - Parser options (coerce)
+ * @returns Player bio, seasons and games
+ * @throws ParseError if the page has neither a career table nor a game log
+ */
+export function parsePlayer<C extends boolean = false>(
+  html: string,
+  options: ParseOptions<C> = {}
+): Coerced<C, PlayerPageResult, NumericPlayerPageResult> {
+  const $ = cheerio.load(html);
+  let seasons: TableRow[] | null = null;
+  let games: TableRow[] | null = null;
+
+  // Tell the tables apart by their headers: the career table starts with
+  // the season, the game log has an opponent column
+  $('table').each((_i, el) => {
+    const table = $(el);
+    const headers = readHeaders($, table);
+
+    if (!seasons && /^(Season|Year)$/i.test(headers[0] ?? '')) {
+      seasons = extractHeaderRows($, table, headers);
+    } else if (!games && headers.some(header => /^Opp/i.test(header))) {
+      games = extractHeaderRows($, table, headers);
+    }
+  });
+
+  if (!seasons && !games) {
+    throw new ParseError('Player tables not found');
+  }
+
+  const bio = parsePlayerBio($);
+  const result = {
+    bio: options.coerce ? coerceRow(bio, ['Name', 'Team', 'Ht', 'Yr', 'Hometown']) : bio,
+    seasons: coerceRows(normalizeTeams(seasons ?? []), options, null) as PlayerSeason[],
+    games: coerceRows(games ?? [], options, null) as PlayerGame[],
+  };
+  return result as Coerced<C, PlayerPageResult, NumericPlayerPageResult>;
+}
+
+// ============================================================================
+// GAME PAGE PARSER
+// ============================================================================
+
+// Attribute labels on the game page, by GameAttributes key
+const GAME_ATTRIBUTE_LABELS: Record<keyof GameAttributes, RegExp> = {
+  Excitement: /Excitement\W*(-?\d+(?:\.\d+)?)/i,
+  Tension: /Tension\W*(-?\d+(?:\.\d+)?)/i,
+  Dominance: /Dominance\W*(-?\d+(?:\.\d+)?)/i,
+  ComeBack: /Come ?back\W*(-?\d+(?:\.\d+)?)/i,
+  FanMatch: /FanMatch\W*(-?\d+(?:\.\d+)?)/i,
+};
+
+/**
+ * Read the win probability chart data from the page scripts: the first
+ * array of [minutes, probability, score1?, score2?] points.
+ * @private
+ */
+function parseWinProbability($: CheerioAPI): WinProbabilityPoint[] {
+  const arrays = /=\s*(\[\s*\[[\d.,\s\-[\]]*\]\s*\])\s*;/g;
+
+  for (const el of $('script').toArray()) {
+    const script = $(el).html() ?? '';
+    let match;
+    while ((match = arrays.exec(script)) !== null) {
+      let data: unknown;
+      try {
+        data = JSON.parse(match[1] ?? '');
+      } catch {
+        continue;
+      }
+
+      const points = (data as unknown[]).filter(
+        (point): point is number[] => Array.isArray(point) && point.length >= 2 && point.every(Number.isFinite)
+      );
+      if (points.length === 0) continue;
+
+      return points.map(([elapsed = 0, winProb = 0, score1, score2]) => ({
+        Elapsed: elapsed,
+        WinProb: winProb,
+        Score1: score1 ?? null,
+        Score2: score2 ?? null,
+      }));
+    }
+  }
+
+  return [];
+}
+
+/**
+ * Parse a game page: win probability chart data, each team's box score
+ * and the excitement/tension breakdown.
+ *
+ * @param html - HTML content
+ * @param options - Parser options (coerce)
+ * @returns Game details
+ * @throws ParseError if the page has neither box scores nor win probability data
+ */
+export function parseGame<C extends boolean = false>(
+  html: string,
+  options: ParseOptions<C> = {}
+): Coerced<C, GameDetailResult, NumericGameDetailResult> {
+  const $ = cheerio.load(html);
+
+  // Box score tables have a Player column; the team is the caption or the heading before the table
+  const boxScores: BoxScore[] = [];
+  $('table').each((_i, el) => {
+    const table = $(el);
+    const headers = readHeaders($, table);
+    if (!headers.some(header => /^Player$/i.test(header))) return;
+
+    const caption = table.find('caption').first().text().trim();
+    const players = extractHeaderRows($, table, headers, [PLAYER_ID]) as BoxScoreLine[];
+    boxScores.push({
+      Team: normalizeTeamName(caption || table.prevAll('h1, h2, h3, h4, h5').first().text().trim()),
+      players: coerceRows(players, options, null) as BoxScoreLine[],
+    });
+  });
+
+  const winProbability = parseWinProbability($);
+  if (boxScores.length === 0 && winProbability.length === 0) {
+    throw new ParseError('Game data not found');
+  }
+
+  const text = $('body').text().replace(/\s+/g, ' ');
+  const attributes = {} as GameAttributes;
+  for (const [key, pattern] of Object.entries(GAME_ATTRIBUTE_LABELS) as [keyof GameAttributes, RegExp][]) {
+    attributes[key] = text.match(pattern)?.[1] ?? '';
+  }
+
+  const result = {
+    Game: $('#title-container h5').first().text().replace(/\s+/g, ' ').trim(),
+    winProbability,
+    boxScores,
+    attributes: options.coerce ? coerceRow(attributes, []) : attributes,
+  };
+  return result as Coerced<C, GameDetailResult, NumericGameDetailResult>;
 }
 
 // ============================================================================
@@ -836,9 +1815,13 @@ export function parseSchedule(html: string, season: number | null): ScheduleGame
  * Complex parsing matching kenpompy output format.
  *
  * @param html - HTML content
+ * @param options - Parser options (coerce)
  * @returns FanMatch games and summary
  */
-export function parseFanMatch(html: string): FanMatchResult {
+export function parseFanMatch<C extends boolean = false>(
+  html: string,
+  options: ParseOptions<C> = {}
+): Coerced<C, FanMatchResult, NumericFanMatchResult> {
   const $ = cheerio.load(html);
 
   // Check for no games message
@@ -852,6 +1835,7 @@ export function parseFanMatch(html: string): FanMatchResult {
   }
 
   const table = tables.eq(0);
+  const warnings = checkTable($, table, { headers: ['Game', 'Prediction'] }, options);
 
   // Get header row to determine column names
   const headerRow = table.find('thead tr, tr').first();
@@ -910,7 +1894,7 @@ export function parseFanMatch(html: string): FanMatchResult {
 
     if (!rowData['Game'] || rowData['Game'] === 'Game') return;
 
-    gameRows.push(rowData);
+    gameRows.push({ ...rowData, GameID: rowGameId($, row) });
   });
 
   // Parse summary stats from extra rows
@@ -946,6 +1930,7 @@ export function parseFanMatch(html: string): FanMatchResult {
 
     // Keep original Game string
     game.Game = rowData['Game'] ?? '';
+    game.GameID = rowData['GameID'] || null;
 
     // Extract MVP if present in Game string
     const mvpMatch = game.Game.match(/\s*MVP:\s*(.+)$/);
@@ -1049,7 +2034,15 @@ export function parseFanMatch(html: string): FanMatchResult {
     return game as FanMatchGame;
   });
 
-  return { games, summary: summary.ppg ? summary : null };
+  const textColumns = [
+    'Game', 'GameID', 'MVP', 'Tournament', 'PredictedWinner', 'PredictedScore',
+    'Winner', 'Loser', 'OT', 'PredictedLoser'
+  ];
+  const result = {
+    games: coerceRows(games, options, textColumns),
+    summary: summary.ppg ? summary : null
+  };
+  return withWarnings(result, warnings, options) as Coerced<C, FanMatchResult, NumericFanMatchResult>;
 }
 
 /**
@@ -1206,7 +2199,7 @@ export function parseValidTeams(html: string): string[] {
   // Teams are in links to team.php
   $('a[href*="team.php"]').each((i, el) => {
     let team = $(el).text().trim();
-    team = stripSeed(team);
+    team = normalizeTeamName(stripSeed(team));
     if (team && team !== 'Team' && !teams.includes(team)) {
       teams.push(team);
     }
@@ -1243,16 +2236,20 @@ const DEFAULT_SCOUTING_STATS: ScoutingReportStats = {
 };
 
 /**
- * Parse scouting report from inline JavaScript.
- * Extracts team stats from JavaScript code embedded in the team page.
- *
- * @param html - HTML content
- * @param conferenceOnly - Extract only conference stats
- * @returns Scouting report stats with values and ranks
+ * Parse the scouting report scripts of a loaded team page (see parseScoutingReport).
+ * @private
  */
-export function parseScoutingReport(html: string, conferenceOnly: boolean = false): ScoutingReportStats {
-  const $ = cheerio.load(html);
+function scoutingFrom<C extends boolean>(
+  $: CheerioAPI,
+  conferenceOnly: boolean,
+  options: ParseOptions<C>
+): Coerced<C, ScoutingReportStats, NumericScoutingReportStats> {
   const stats: ScoutingReportStats = { ...DEFAULT_SCOUTING_STATS };
+  const finish = () => coerceRows([stats], options, [])[0] as Coerced<
+    C,
+    ScoutingReportStats,
+    NumericScoutingReportStats
+  >;
 
   // Find inline JavaScript (script without src)
   let scriptContent = '';
@@ -1264,7 +2261,7 @@ export function parseScoutingReport(html: string, conferenceOnly: boolean = fals
   });
 
   if (!scriptContent) {
-    return stats;
+    return finish();
   }
 
   // Pattern to find the right function block
@@ -1274,7 +2271,7 @@ export function parseScoutingReport(html: string, conferenceOnly: boolean = fals
 
   const functionMatch = scriptContent.match(functionPattern);
   if (!functionMatch?.[1]) {
-    return stats;
+    return finish();
   }
 
   const functionBlock = functionMatch[1];
@@ -1305,7 +2302,76 @@ export function parseScoutingReport(html: string, conferenceOnly: boolean = fals
     }
   }
 
-  return stats;
+  return finish();
+}
+
+/**
+ * Parse scouting report from inline JavaScript.
+ * Extracts team stats from JavaScript code embedded in the team page.
+ *
+ * @param html - HTML content
+ * @param conferenceOnly - Extract only conference stats
+ * @param options - Parser options (coerce; missing stats become null)
+ * @returns Scouting report stats with values and ranks
+ */
+export function parseScoutingReport<C extends boolean = false>(
+  html: string,
+  conferenceOnly: boolean = false,
+  options: ParseOptions<C> = {}
+): Coerced<C, ScoutingReportStats, NumericScoutingReportStats> {
+  return scoutingFrom(cheerio.load(html), conferenceOnly, options);
+}
+
+// ============================================================================
+// TEAM PAGE PARSER
+// ============================================================================
+
+/**
+ * Parse everything on a team page: schedule, scouting report stats for
+ * all games and conference games, roster, head coach, conference and record.
+ * Pages without a roster table (before 2004) give an empty roster.
+ *
+ * @param html - HTML content
+ * @param season - Season year
+ * @param options - Parser options (coerce, lenient)
+ * @returns Team page contents
+ */
+export function parseTeamPage<C extends boolean = false>(
+  html: string,
+  season: number | null,
+  options: ParseOptions<C> = {}
+): Coerced<C, TeamPageResult, NumericTeamPageResult> {
+  const $ = cheerio.load(html);
+
+  const schedule = scheduleFrom($, season, options) as ScheduleGame[];
+  const roster = $('table#player-table').length > 0
+    ? rosterFrom($, season, options) as RosterPlayer[]
+    : [];
+
+  // The title block links to the coach and conference pages
+  const title = $('#title-container').length > 0 ? $('#title-container') : $.root();
+  const coach = title.find('a[href*="coach.php"]').first();
+  const conference = title.find('a[href*="conf.php"]').first();
+
+  // Running records: the last game that shows one has the current record
+  const latest = (column: 'Record' | 'Conference') =>
+    schedule.map(game => game[column]).filter(Boolean).pop() ?? '';
+
+  const page: TeamPageResult = {
+    coach: coach.text().trim(),
+    conference: linkParam(conference.attr('href'), 'c') ?? conference.text().trim(),
+    record: latest('Record'),
+    conferenceRecord: latest('Conference'),
+    schedule,
+    scouting: {
+      all: scoutingFrom($, false, options) as ScoutingReportStats,
+      conference: scoutingFrom($, true, options) as ScoutingReportStats,
+    },
+    roster,
+  };
+
+  const warnings = [...getParseWarnings(schedule), ...getParseWarnings(roster)];
+  return withWarnings(page, warnings, options) as Coerced<C, TeamPageResult, NumericTeamPageResult>;
 }
 
 // ============================================================================
@@ -1316,9 +2382,13 @@ export function parseScoutingReport(html: string, conferenceOnly: boolean = fals
  * Parse conference standings table.
  *
  * @param html - HTML content
+ * @param options - Parser options (coerce)
  * @returns Conference standings
  */
-export function parseConferenceStandings(html: string): ConferenceStandingsData[] {
+export function parseConferenceStandings<C extends boolean = false>(
+  html: string,
+  options: ParseOptions<C> = {}
+): Coerced<C, ConferenceStandingsData, NumericConferenceStandingsData>[] {
   const { $, table } = getTable(html, 0);
 
   const rows: ConferenceStandingsData[] = [];
@@ -1335,6 +2405,9 @@ export function parseConferenceStandings(html: string): ConferenceStandingsData[
     headers.push(text);
   });
 
+  // Rows are keyed by these headers, so only the row widths can drift
+  const warnings = checkTable($, table, { headers: [], cells: headers.length }, options);
+
   bodyRows.each((_i: number, row: CheerioNode) => {
     const cells = $(row).find('td');
     if (cells.length === 0) return;
@@ -1359,35 +2432,62 @@ export function parseConferenceStandings(html: string): ConferenceStandingsData[
     }
   });
 
-  return rows;
+  const result = coerceRows(normalizeTeams(rows), options, null);
+  return withWarnings(result, warnings, options) as Coerced<
+    C,
+    ConferenceStandingsData,
+    NumericConferenceStandingsData
+  >[];
 }
 
 /**
  * Parse conference offense table (index 1).
  *
  * @param html - HTML content
+ * @param options - Parser options (coerce)
  * @returns Conference offense stats
  */
-export function parseConferenceOffense(html: string): ConferenceStatsData[] {
+export function parseConferenceOffense<C extends boolean = false>(
+  html: string,
+  options: ParseOptions<C> = {}
+): Coerced<C, ConferenceStatsData, NumericConferenceStatsData>[] {
   const { $, table } = getTable(html, 1);
-  return parseConferenceTable($, table);
+  const { rows, warnings } = parseConferenceTable($, table, options);
+  return withWarnings(coerceRows(rows, options, null), warnings, options) as Coerced<
+    C,
+    ConferenceStatsData,
+    NumericConferenceStatsData
+  >[];
 }
 
 /**
  * Parse conference defense table (index 2).
  *
  * @param html - HTML content
+ * @param options - Parser options (coerce)
  * @returns Conference defense stats
  */
-export function parseConferenceDefense(html: string): ConferenceStatsData[] {
+export function parseConferenceDefense<C extends boolean = false>(
+  html: string,
+  options: ParseOptions<C> = {}
+): Coerced<C, ConferenceStatsData, NumericConferenceStatsData>[] {
   const { $, table } = getTable(html, 2);
-  return parseConferenceTable($, table);
+  const { rows, warnings } = parseConferenceTable($, table, options);
+  return withWarnings(coerceRows(rows, options, null), warnings, options) as Coerced<
+    C,
+    ConferenceStatsData,
+    NumericConferenceStatsData
+  >[];
 }
 
 /**
  * Helper to parse conference offense/defense tables.
  */
-function parseConferenceTable($: CheerioAPI, table: CheerioElement): ConferenceStatsData[] {
+function parseConferenceTable(
+  $: CheerioAPI,
+  table: CheerioElement,
+  options: ParseOptions
+): { rows: ConferenceStatsData[]; warnings: StructureWarning[] } {
   const rows: ConferenceStatsData[] = [];
   const tbody = table.find('tbody');
   const bodyRows = tbody.length > 0 ? tbody.find('tr') : table.find('tr').slice(1);
@@ -1402,6 +2502,8 @@ function parseConferenceTable($: CheerioAPI, table: CheerioElement): ConferenceS
     headers.push(text);
   });
 
+  const warnings = checkTable($, table, { headers: [], cells: headers.length }, options);
+
   bodyRows.each((_i: number, row: CheerioNode) => {
     const cells = $(row).find('td');
     if (cells.length === 0) return;
@@ -1419,7 +2521,7 @@ function parseConferenceTable($: CheerioAPI, table: CheerioElement): ConferenceS
     }
   });
 
-  return rows;
+  return { rows, warnings };
 }
 
 /**
@@ -1428,9 +2530,18 @@ function parseConferenceTable($: CheerioAPI, table: CheerioElement): ConferenceS
  *
  * @param html - HTML content
  * @param singleConf - Whether parsing single conference page
+ * @param options - Parser options (coerce)
  * @returns Aggregate stats
  */
-export function parseConferenceAggregateStats(html: string, singleConf: boolean = false): (ConferenceAggregateData | ConferenceStatsData)[] {
+export function parseConferenceAggregateStats<C extends boolean = false>(
+  html: string,
+  singleConf: boolean = false,
+  options: ParseOptions<C> = {}
+): Coerced<
+  C,
+  ConferenceAggregateData | ConferenceStatsData,
+  NumericConferenceAggregateData | NumericConferenceStatsData
+>[] {
   const $ = cheerio.load(html);
   const tables = $('table');
 
@@ -1440,19 +2551,29 @@ export function parseConferenceAggregateStats(html: string, singleConf: boolean
     const mainTable = tables.eq(tables.length - 3);
     const pctTable = tables.eq(tables.length - 2);
 
+    const warnings = [
+      ...checkTable($, mainTable, { headers: [], cells: 3 }, options),
+      ...checkTable($, pctTable, { headers: [], cells: 3 }, options),
+    ];
     const mainRows = parseConferenceStatsTable($, mainTable);
     const pctRows = parseConferenceStatsTable($, pctTable);
 
     // Combine and format
-    return [...mainRows, ...pctRows].map(row => ({
+    const stats = [...mainRows, ...pctRows].map(row => ({
       Stat: row['Stat'] ? row['Stat'].split(' (')[0] ?? '' : '',
       Value: row['Value'] ?? '',
       Rank: row['Rank'] ?? ''
     }));
+    const result = coerceRows(stats, options, ['Stat']);
+    return withWarnings(result, warnings, options) as Coerced<C, ConferenceAggregateData, NumericConferenceAggregateData>[];
   } else {
     // All conferences: first table from confstats.php
-    const table = tables.eq(0);
-    return parseConferenceTable($, table);
+    const { rows, warnings } = parseConferenceTable($, tables.eq(0), options);
+    return withWarnings(coerceRows(rows, options, null), warnings, options) as Coerced<
+      C,
+      ConferenceStatsData,
+      NumericConferenceStatsData
+    >[];
   }
 }
 
@@ -0,0 +1,197 @@
+/**
+ * KenPom Team Registry
+ *
+ * Stable team IDs and the names each team goes by: KenPom's current name,
+ * the names it used in earlier seasons, and aliases used elsewhere
+ * ("UConn", "Ole Miss", "Ohio State"). Parsers normalize their Team
+ * columns through this registry, and team endpoints accept any alias.
+ */
+
+import { ValidationError } from './errors.js';
+import type { TeamEntry, TeamIdentity } from './types.js';
+
+// ============================================================================
+// BUILT-IN TEAMS
+// ============================================================================
+
+/**
+ * Teams whose names differ across sites or seasons. Teams not listed here
+ * still resolve: their ID comes from the name (see resolveTeam).
+ */
+export const TEAMS: readonly TeamEntry[] = [
+  { id: 'byu', name: 'BYU', aliases: ['Brigham Young'] },
+  { id: 'connecticut', name: 'Connecticut', aliases: ['UConn'] },
+  { id: 'east-tennessee-st', name: 'East Tennessee St.', aliases: ['ETSU'] },
+  { id: 'east-texas-am', name: 'East Texas A&M', history: [{ name: 'Texas A&M Commerce', until: 2024 }] },
+  { id: 'fiu', name: 'FIU', aliases: ['Florida International'] },
+  { id: 'houston-christian', name: 'Houston Christian', history: [{ name: 'Houston Baptist', until: 2022 }] },
+  { id: 'kansas-city', name: 'Kansas City', history: [{ name: 'UMKC', until: 2019 }] },
+  { id: 'liu', name: 'LIU', aliases: ['Long Island'], history: [{ name: 'LIU Brooklyn', until: 2019 }] },
+  {
+    id: 'little-rock',
+    name: 'Little Rock',
+    aliases: ['UALR'],
+    history: [{ name: 'Arkansas Little Rock', until: 2016 }],
+  },
+  { id: 'louisiana', name: 'Louisiana', aliases: ['Louisiana Lafayette', 'UL Lafayette'] },
+  { id: 'louisiana-monroe', name: 'Louisiana Monroe', aliases: ['UL Monroe', 'ULM'] },
+  { id: 'loyola-chicago', name: 'Loyola Chicago', aliases: ['Loyola IL'] },
+  { id: 'loyola-md', name: 'Loyola MD', aliases: ['Loyola Maryland'] },
+  { id: 'lsu', name: 'LSU', aliases: ['Louisiana St.'] },
+  { id: 'massachusetts', name: 'Massachusetts', aliases: ['UMass'] },
+  { id: 'miami-fl', name: 'Miami FL', aliases: ['Miami', 'Miami Florida'] },
+  { id: 'miami-oh', name: 'Miami OH', aliases: ['Miami Ohio'] },
+  { id: 'mississippi', name: 'Mississippi', aliases: ['Ole Miss'] },
+  { id: 'nc-st', name: 'N.C. State', aliases: ['North Carolina St.'] },
+  { id: 'north-carolina', name: 'North Carolina', aliases: ['UNC'] },
+  { id: 'penn', name: 'Penn', aliases: ['Pennsylvania'] },
+  { id: 'pittsburgh', name: 'Pittsburgh', aliases: ['Pitt'] },
+  {
+    id: 'purdue-fort-wayne',
+    name: 'Purdue Fort Wayne',
+    aliases: ['PFW'],
+    history: [{ name: 'IPFW', until: 2016 }, { name: 'Fort Wayne', until: 2018 }],
+  },
+  { id: 'smu', name: 'SMU', aliases: ['Southern Methodist'] },
+  { id: 'southern-miss', name: 'Southern Miss', aliases: ['Southern Mississippi'] },
+  { id: 'tcu', name: 'TCU', aliases: ['Texas Christian'] },
+  { id: 'texas-st', name: 'Texas St.', history: [{ name: 'Southwest Texas St.', until: 2003 }] },
+  { id: 'uab', name: 'UAB', aliases: ['Alabama Birmingham'] },
+  { id: 'ucf', name: 'UCF', aliases: ['Central Florida'] },
+  { id: 'umbc', name: 'UMBC', aliases: ['Maryland Baltimore County'] },
+  { id: 'unlv', name: 'UNLV', aliases: ['Nevada Las Vegas'] },
+  { id: 'usc', name: 'USC', aliases: ['Southern California', 'Southern Cal'] },
+  {
+    id: 'ut-rio-grande-valley',
+    name: 'UT Rio Grande Valley',
+    aliases: ['UTRGV'],
+    history: [{ name: 'Texas Pan American', until: 2015 }],
+  },
+  { id: 'utah-tech', name: 'Utah Tech', history: [{ name: 'Dixie St.', until: 2022 }] },
+  { id: 'utep', name: 'UTEP', aliases: ['Texas El Paso'] },
+  { id: 'utsa', name: 'UTSA', aliases: ['Texas San Antonio'] },
+  { id: 'vcu', name: 'VCU', aliases: ['Virginia Commonwealth'] },
+  { id: 'william-mary', name: 'William & Mary', aliases: ['William and Mary'] },
+];
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+/** Registered teams by ID */
+const entries = new Map<string, TeamEntry>();
+
+/** Team IDs by name key (names, former names and aliases) */
+const index = new Map<string, string>();
+
+/**
+ * Reduce a name to the form used for lookups: lowercase, without
+ * punctuation, with "Saint"/"State" folded into "st" and "&" dropped, so
+ * "St. John's", "Saint John's" and "st johns" share a key.
+ * @private
+ */
+function teamKey(name: string): string {
+  return name
+    .toLowerCase()
+    .replace(/[.'’()&]/g, '')
+    .replace(/-/g, ' ')
+    .replace(/\b(saint|state)\b/g, 'st')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Register a team, or add names to a registered one. Later registrations
+ * win when two teams claim the same alias.
+ *
+ * @param entry - Team ID, current KenPom name, aliases and former names
+ * @throws ValidationError if the ID or name is missing
+ *
+ * @example
+ * registerTeam({ id: 'connecticut', name: 'Connecticut', aliases: ['Connecticut Huskies'] });
+ */
+export function registerTeam(entry: TeamEntry): void {
+  if (!entry.id || !entry.name) {
+    throw new ValidationError('Team ID and name are required');
+  }
+
+  const existing = entries.get(entry.id);
+  const merged: TeamEntry = {
+    id: entry.id,
+    name: entry.name,
+    aliases: [...(existing?.aliases ?? []), ...(entry.aliases ?? [])],
+    history: [...(existing?.history ?? []), ...(entry.history ?? [])].sort((a, b) => a.until - b.until),
+  };
+  entries.set(entry.id, merged);
+
+  const names = [merged.name, ...(merged.aliases ?? []), ...(merged.history ?? []).map(h => h.name)];
+  for (const name of names) {
+    index.set(teamKey(name), entry.id);
+  }
+}
+
+for (const team of TEAMS) registerTeam(team);
+
+/**
+ * Look up a registered team by any of its names.
+ *
+ * @param name - Team name, former name or alias
+ * @returns Registry entry, or null when the name is not registered
+ */
+export function findTeam(name: string): TeamEntry | null {
+  const id = index.get(teamKey(name));
+  return id ? entries.get(id) ?? null : null;
+}
+
+/**
+ * Resolve a team name to its stable ID and current KenPom name.
+ * Unregistered names follow KenPom's spelling ("Ohio State" becomes
+ * "Ohio St.") and take their ID from that name.
+ *
+ * @param name - Team name, former name or alias
+ * @returns Team identity, or null for a blank name
+ *
+ * @example
+ * resolveTeam('UConn');       // { id: 'connecticut', name: 'Connecticut' }
+ * resolveTeam('Ohio State');  // { id: 'ohio-st', name: 'Ohio St.' }
+ */
+export function resolveTeam(name: string): TeamIdentity | null {
+  const trimmed = name.trim();
+  if (!trimmed) return null;
+
+  const entry = findTeam(trimmed);
+  if (entry) return { id: entry.id, name: entry.name };
+
+  const kenpomName = trimmed.replace(/\bState$/, 'St.');
+  return { id: teamKey(kenpomName).replace(/ /g, '-'), name: kenpomName };
+}
+
+/**
+ * Get a team's current KenPom name, leaving blank names as they are.
+ *
+ * @param name - Team name, former name or alias
+ * @returns Current KenPom name
+ */
+export function normalizeTeamName(name: string): string {
+  return resolveTeam(name)?.name ?? name;
+}
+
+/**
+ * Get the name KenPom used for a team in a season, for building URLs to
+ * that season's pages.
+ *
+ * @param name - Team name, former name or alias
+ * @param season - Season year (default: current name)
+ * @returns KenPom name for the season
+ *
+ * @example
+ * teamNameForSeason('UTRGV', 2014);  // 'Texas Pan American'
+ */
+export function teamNameForSeason(name: string, season: number | null = null): string {
+  const team = resolveTeam(name);
+  if (!team) return name;
+
+  const history = findTeam(team.name)?.history ?? [];
+  const former = season ? history.find(h => season <= h.until) : undefined;
+  return former?.name ?? team.name;
+}
@@ -0,0 +1,521 @@
+/**
+ * KenPom API Transports
+ *
+ * Built-in HTTP transports used by KenpomAPI. A transport submits the login
+ * form, fetches pages and closes its client; KenpomAPI handles login
+ * verification, response checks, retries, rate limiting and session
+ * persistence on top.
+ *
+ * - FetchTransport ('fetch'): Node's built-in fetch with a cookie jar
+ * - CloudscraperTransport ('tier1'): cloudscraper, solves Cloudflare challenges
+ * - PuppeteerTransport ('tier2'): headless Chromium with stealth
+ * - RecordingTransport: wraps another transport and saves every page
+ * - ReplayTransport ('replay'): serves saved pages without network access
+ *
+ * Custom transports implement the Transport interface from types.ts.
+ *
+ * @example
+ * const api = new KenpomAPI({ transport: [new ProxyTransport(), 'tier2'] });
+ */
+
+import { BASE_URL, ENDPOINTS, DEFAULT_BROWSER_OPTIONS, isChallengePage } from './config.js';
+import { KenpomError, CloudflareError, HttpError, RateLimitError, ValidationError } from './errors.js';
+import {
+  createFetchClient,
+  createCloudscraperClient,
+  createPuppeteerClient,
+  exportJarCookies,
+  importJarCookies,
+  saveFixture,
+  loadFixture,
+} from './utils.js';
+import type {
+  Transport,
+  TransportOption,
+  TransportCredentials,
+  TransportResponse,
+  TransportRequestOptions,
+  FetchSession,
+  CloudscraperInstance,
+  PuppeteerClient,
+  BrowserPage,
+  BrowserOptions,
+  SessionCookie,
+} from './types.js';
+
+/** Tier names tried in order by 'auto' */
+export const AUTO_TIERS = ['fetch', 'tier1', 'tier2'] as const;
+
+// ============================================================================
+// FETCH TRANSPORT
+// ============================================================================
+
+/**
+ * Transport using Node's built-in fetch with its own cookie jar.
+ * Does not solve Cloudflare challenges.
+ */
+export class FetchTransport implements Transport {
+  readonly name = 'fetch';
+  readonly description = 'Fetch (native)';
+  private session: FetchSession | null = null;
+
+  async login({ email, password }: TransportCredentials): Promise<void> {
+    const session = this._session();
+    await session.get(`${BASE_URL}/index.php`);
+    await session.post(`${BASE_URL}${ENDPOINTS.LOGIN_HANDLER}`, {
+      email,
+      password,
+      submit: 'Login!',
+    });
+  }
+
+  async get(url: string, options: TransportRequestOptions = {}): Promise<TransportResponse> {
+    const { status, body } = await this._session().get(url, options);
+    return { status, body };
+  }
+
+  async close(): Promise<void> {
+    this.session = null;
+  }
+
+  async exportCookies(): Promise<SessionCookie[]> {
+    return this.session?.getCookies() ?? [];
+  }
+
+  async importCookies(cookies: SessionCookie[]): Promise<void> {
+    this._session().setCookies(cookies);
+  }
+
+  private _session(): FetchSession {
+    this.session ??= createFetchClient().client;
+    return this.session;
+  }
+}
+
+// ============================================================================
+// CLOUDSCRAPER TRANSPORT (TIER 1)
+// ============================================================================
+
+/**
+ * Convert a cloudscraper failure into a typed error.
+ * Cloudscraper reports challenges by error name and HTTP failures by status code.
+ */
+function toCloudscraperError(error: unknown, url: string): KenpomError {
+  const err = error as { name?: string; message?: string; statusCode?: number; response?: { statusCode?: number } };
+  const message = err?.message ?? String(error);
+  const status = err?.statusCode ?? err?.response?.statusCode ?? null;
+  const context = { url, tier: 'tier1', cause: error };
+
+  if (err?.name === 'CloudflareError' || err?.name === 'CaptchaError') {
+    return new CloudflareError(message, context);
+  }
+  if (status === 429) {
+    return new RateLimitError(message, { ...context, status });
+  }
+  return new HttpError(message, { ...context, status });
+}
+
+/**
+ * Transport using cloudscraper, which solves Cloudflare's JavaScript challenges.
+ */
+export class CloudscraperTransport implements Transport {
+  readonly name = 'tier1';
+  readonly description = 'Tier 1 (lightweight)';
+  private session: CloudscraperInstance | null = null;
+
+  async login({ email, password }: TransportCredentials): Promise<void> {
+    const session = await this._session();
+
+    // Step 1: GET initial page
+    await this.get(`${BASE_URL}/index.php`);
+
+    // Step 2: POST login credentials
+    await new Promise<string>((resolve, reject) => {
+      session.post({
+        uri: `${BASE_URL}${ENDPOINTS.LOGIN_HANDLER}`,
+        formData: {
+          email,
+          password,
+          submit: 'Login!',
+        },
+        followAllRedirects: true,
+      }, (err: Error | null, response: unknown, body: string) => {
+        if (err) reject(toCloudscraperError(err, `${BASE_URL}${ENDPOINTS.LOGIN_HANDLER}`));
+        else resolve(body);
+      });
+    });
+  }
+
+  async get(url: string, { signal }: TransportRequestOptions = {}): Promise<TransportResponse> {
+    const session = await this._session();
+    signal?.throwIfAborted();
+
+    return new Promise((resolve, reject) => {
+      let request: { abort?: () => void } | void;
+      const onAbort = (): void => {
+        request?.abort?.();
+        reject(signal?.reason);
+      };
+
+      request = session.get(url, (err: Error | null, response: unknown, body: string) => {
+        signal?.removeEventListener('abort', onAbort);
+        if (err) {
+          reject(toCloudscraperError(err, url));
+          return;
+        }
+        const status = (response as { statusCode?: number } | null)?.statusCode ?? null;
+        resolve({ status, body: body ?? '' });
+      });
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  async close(): Promise<void> {
+    this.session = null;
+  }
+
+  async exportCookies(): Promise<SessionCookie[]> {
+    const jar = this.session?.defaultParams?.jar;
+    return jar ? exportJarCookies(jar, BASE_URL) : [];
+  }
+
+  async importCookies(cookies: SessionCookie[]): Promise<void> {
+    const jar = (await this._session()).defaultParams?.jar;
+    if (jar) importJarCookies(jar, BASE_URL, cookies);
+  }
+
+  private async _session(): Promise<CloudscraperInstance> {
+    if (!this.session) {
+      const { client } = await createCloudscraperClient();
+      this.session = client.create_scraper ? client.create_scraper() : client;
+    }
+    return this.session;
+  }
+}
+
+// ============================================================================
+// PUPPETEER TRANSPORT (TIER 2)
+// ============================================================================
+
+/**
+ * Transport using headless Chromium with the stealth plugin.
+ * Keeps a pool of pages in one browser context, so they share the login
+ * session and can fetch in parallel. Requires the optional puppeteer-extra
+ * dependencies.
+ */
+export class PuppeteerTransport implements Transport {
+  readonly name = 'tier2';
+  readonly description = 'Tier 2 (headless browser)';
+  private options: Required<BrowserOptions>;
+  private client: Promise<PuppeteerClient> | null = null;
+  private idle: BrowserPage[] = [];
+  private pageCount = 0;
+  private waiting: Array<{ resolve: (page: BrowserPage) => void; reject: (error: Error) => void }> = [];
+
+  /**
+   * @param options - Browser settings (pool size, resource blocking, wait strategy)
+   */
+  constructor(options: BrowserOptions = {}) {
+    this.options = { ...DEFAULT_BROWSER_OPTIONS, ...options };
+    this.options.pages = Math.max(1, Math.floor(this.options.pages));
+  }
+
+  async login({ email, password }: TransportCredentials): Promise<void> {
+    await this._withPage(async page => {
+      // Step 1: Navigate to homepage
+      await page.goto(`${BASE_URL}/index.php`, { waitUntil: 'networkidle2' });
+
+      // Step 2: Fill login form
+      await page.type('input[name="email"]', email);
+      await page.type('input[name="password"]', password);
+
+      // Step 3: Submit form
+      await Promise.all([
+        page.click('input[type="submit"]'),
+        page.waitForNavigation({ waitUntil: 'networkidle2' }),
+      ]);
+    });
+  }
+
+  async get(url: string, { signal }: TransportRequestOptions = {}): Promise<TransportResponse> {
+    signal?.throwIfAborted();
+    const page = await this._acquirePage();
+    const client = this.client;
+    if (signal?.aborted) {
+      this._releasePage(page, client);
+      throw signal.reason;
+    }
+
+    // Closing the page is the only way to stop a navigation; it then leaves the pool
+    let closed = false;
+    const onAbort = (): void => {
+      closed = true;
+      page.close().catch(() => undefined);
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    try {
+      const response = await page.goto(url, { waitUntil: this.options.waitUntil });
+      let status = response?.status() ?? null;
+      let body = await page.content();
+
+      // The faster wait strategies return before a challenge redirects; give it time to
+      if (isChallengePage(body)) {
+        const redirected = await page.waitForNavigation({ waitUntil: 'networkidle2' }).catch(() => null);
+        if (redirected) status = redirected.status();
+        body = await page.content();
+      }
+
+      return { status, body };
+    } catch (error) {
+      throw signal?.aborted ? signal.reason : error;
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+      if (closed) this._dropPage(client);
+      else this._releasePage(page, client);
+    }
+  }
+
+  async close(): Promise<void> {
+    const client = this.client;
+    this.client = null;
+    this.idle = [];
+    this.pageCount = 0;
+
+    const waiting = this.waiting;
+    this.waiting = [];
+    for (const waiter of waiting) {
+      waiter.reject(new KenpomError('Browser closed while waiting for a page', { tier: this.name }));
+    }
+
+    if (client) await (await client).close();
+  }
+
+  async exportCookies(): Promise<SessionCookie[]> {
+    return this.client ? await this._withPage(page => page.cookies()) : [];
+  }
+
+  async importCookies(cookies: SessionCookie[]): Promise<void> {
+    await this._withPage(page => page.setCookie(...cookies));
+  }
+
+  private _client(): Promise<PuppeteerClient> {
+    if (!this.client) {
+      const client = createPuppeteerClient({ blockResources: this.options.blockResources });
+      this.client = client;
+      this.idle = [];
+      this.pageCount = 0;
+      client.then(({ page }) => {
+        if (this.client !== client) return;
+        this.pageCount++;
+        this._releasePage(page, client);
+      }, () => {
+        if (this.client === client) this.client = null;
+      });
+    }
+    return this.client;
+  }
+
+  /**
+   * Take an idle page, open a new one while under the pool size, or wait for one.
+   */
+  private async _acquirePage(): Promise<BrowserPage> {
+    const client = await this._client();
+
+    const idle = this.idle.pop();
+    if (idle) return idle;
+
+    if (this.pageCount < this.options.pages) {
+      this.pageCount++;
+      try {
+        return await client.newPage();
+      } catch (error) {
+        this.pageCount--;
+        throw error;
+      }
+    }
+
+    return new Promise((resolve, reject) => this.waiting.push({ resolve, reject }));
+  }
+
+  /**
+   * Run a task on a pooled page. Pages share cookies, so any page will do.
+   */
+  private async _withPage<T>(task: (page: BrowserPage) => Promise<T>): Promise<T> {
+    const page = await this._acquirePage();
+    const client = this.client;
+    try {
+      return await task(page);
+    } finally {
+      this._releasePage(page, client);
+    }
+  }
+
+  /**
+   * Forget a page closed by an abort, opening a replacement for the next waiter.
+   */
+  private _dropPage(client: Promise<PuppeteerClient> | null): void {
+    if (!client || client !== this.client) return;
+
+    this.pageCount--;
+    const waiter = this.waiting.shift();
+    if (!waiter) return;
+
+    this.pageCount++;
+    client.then(({ newPage }) => newPage()).then(waiter.resolve, (error: Error) => {
+      this.pageCount--;
+      waiter.reject(error);
+    });
+  }
+
+  /**
+   * Hand a page to the next waiter or return it to the pool.
+   * Pages of a browser that has since been closed are dropped.
+   */
+  private _releasePage(page: BrowserPage, client: Promise<PuppeteerClient> | null): void {
+    if (!client || client !== this.client) return;
+
+    const waiter = this.waiting.shift();
+    if (waiter) waiter.resolve(page);
+    else this.idle.push(page);
+  }
+}
+
+// ============================================================================
+// RECORD / REPLAY
+// ============================================================================
+
+/**
+ * Transport that saves every page fetched by another transport.
+ * Identity, login and cookies pass straight through, so saved sessions
+ * and error tiers are those of the wrapped transport.
+ */
+export class RecordingTransport implements Transport {
+  readonly name: string;
+  readonly description: string;
+  readonly exportCookies?: () => Promise<SessionCookie[]>;
+  readonly importCookies?: (cookies: SessionCookie[]) => Promise<void>;
+  private inner: Transport;
+  private dir: string;
+
+  /**
+   * @param inner - Transport to record
+   * @param dir - Fixtures directory
+   */
+  constructor(inner: Transport, dir: string) {
+    this.inner = inner;
+    this.dir = dir;
+    this.name = inner.name;
+    this.description = `${inner.description}, recording to ${dir}`;
+    if (inner.exportCookies) this.exportCookies = () => inner.exportCookies!();
+    if (inner.importCookies) this.importCookies = (cookies) => inner.importCookies!(cookies);
+  }
+
+  login(credentials: TransportCredentials): Promise<void> {
+    return this.inner.login(credentials);
+  }
+
+  async get(url: string, options: TransportRequestOptions = {}): Promise<TransportResponse> {
+    const response = await this.inner.get(url, options);
+    saveFixture(this.dir, {
+      url,
+      status: response.status,
+      tier: this.inner.name,
+      recordedAt: new Date().toISOString(),
+      body: response.body,
+    });
+    return response;
+  }
+
+  close(): Promise<void> {
+    return this.inner.close();
+  }
+}
+
+/**
+ * Transport that serves pages saved by RecordingTransport.
+ * Needs no network or credentials; unrecorded URLs throw.
+ */
+export class ReplayTransport implements Transport {
+  readonly name = 'replay';
+  readonly description: string;
+  private dir: string;
+
+  /**
+   * @param dir - Fixtures directory
+   */
+  constructor(dir: string) {
+    this.dir = dir;
+    this.description = `Replay from ${dir}`;
+  }
+
+  async login(): Promise<void> {
+    // Nothing to submit; login verification replays the recorded home page
+  }
+
+  async get(url: string): Promise<TransportResponse> {
+    const page = loadFixture(this.dir, url);
+    if (!page) {
+      throw new KenpomError(
+        `No recorded response for ${url} in ${this.dir}. Record it first with the record option (--record).`,
+        { url, tier: this.name }
+      );
+    }
+    return { status: page.status, body: page.body };
+  }
+
+  async close(): Promise<void> {}
+}
+
+// ============================================================================
+// TRANSPORT RESOLUTION
+// ============================================================================
+
+/**
+ * Create a built-in transport by tier name.
+ * Accepts the legacy names 'cloudscraper' and 'puppeteer'.
+ *
+ * @param tier - Tier name
+ * @param browser - Settings for tier 2 browsers
+ * @returns New transport instance
+ * @throws ValidationError for unknown tier names
+ */
+export function createTransport(tier: string, browser: BrowserOptions = {}): Transport {
+  switch (tier) {
+    case 'fetch':
+      return new FetchTransport();
+    case 'tier1':
+    case 'cloudscraper':
+      return new CloudscraperTransport();
+    case 'tier2':
+    case 'puppeteer':
+      return new PuppeteerTransport(browser);
+    default:
+      throw new ValidationError(
+        `Unknown client tier: '${tier}'. Valid tiers are: 'fetch', 'tier1', 'tier2', or 'auto'.`,
+        { tier }
+      );
+  }
+}
+
+/**
+ * Resolve a transport option into the ordered list of transports to try.
+ * Tier names create fresh built-in transports; 'auto' expands to all tiers.
+ *
+ * @param option - Transport, tier name, or list of them
+ * @param browser - Settings for tier 2 browsers
+ * @returns Transports in the order to try them
+ * @throws ValidationError for unknown tier names
+ */
+export function resolveTransports(
+  option: TransportOption | TransportOption[],
+  browser: BrowserOptions = {}
+): Transport[] {
+  const options = Array.isArray(option) ? option : [option];
+
+  return options.flatMap(entry => {
+    if (typeof entry !== 'string') return [entry];
+    if (entry === 'auto') return AUTO_TIERS.map(tier => createTransport(tier, browser));
+    return [createTransport(entry, browser)];
+  });
+}
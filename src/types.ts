@@ -6,16 +6,33 @@
 
 // Puppeteer types - using minimal interfaces to avoid optional dependency issues
 interface Browser {
+  newPage(): Promise<Page>;
   close(): Promise<void>;
 }
 
+interface HTTPResponse {
+  status(): number;
+}
+
+interface HTTPRequest {
+  url(): string;
+  resourceType(): string;
+  abort(): Promise<void>;
+  continue(): Promise<void>;
+}
+
 interface Page {
-  goto(url: string, options?: { waitUntil?: string }): Promise<unknown>;
+  goto(url: string, options?: { waitUntil?: string }): Promise<HTTPResponse | null>;
   content(): Promise<string>;
   type(selector: string, text: string): Promise<void>;
   click(selector: string): Promise<void>;
-  waitForNavigation(options?: { waitUntil?: string }): Promise<unknown>;
+  waitForNavigation(options?: { waitUntil?: string }): Promise<HTTPResponse | null>;
   setUserAgent(userAgent: string): Promise<void>;
+  setRequestInterception(enabled: boolean): Promise<void>;
+  on(event: 'request', handler: (request: HTTPRequest) => void): unknown;
+  cookies(): Promise<SessionCookie[]>;
+  setCookie(...cookies: SessionCookie[]): Promise<void>;
+  close(): Promise<void>;
 }
 
 // ============================================================================
@@ -25,8 +42,26 @@ interface Page {
 /** Logging levels supported by the API */
 export type LogLevel = 'DEBUG' | 'INFO' | 'WARNING' | 'ERROR' | 'NONE';
 
+/** Structured fields logged with a message (endpoint, season, url, tier, ...) */
+export type LogMeta = Record<string, unknown>;
+
+/**
+ * Logger accepted by KenpomAPI. Each method takes a plain message and
+ * structured metadata, matching winston and console; wrap loggers that take
+ * the metadata first (such as pino) in an adapter.
+ */
+export interface Logger {
+  debug(message: string, meta?: LogMeta): void;
+  info(message: string, meta?: LogMeta): void;
+  warn(message: string, meta?: LogMeta): void;
+  error(message: string, meta?: LogMeta): void;
+}
+
+/** Factory for a child logger, called once per instance with bindings identifying the package */
+export type LoggerFactory = (bindings: LogMeta) => Logger;
+
 /** HTTP client tiers for handling Cloudflare protection */
-export type ClientTier = 'tier1' | 'tier2' | 'auto' | 'cloudscraper' | 'puppeteer';
+export type ClientTier = 'fetch' | 'tier1' | 'tier2' | 'auto' | 'cloudscraper' | 'puppeteer';
 
 /** Valid player statistics metrics */
 export const PLAYER_METRICS = [
@@ -64,10 +99,12 @@ export interface MinSeasons {
   POINT_DIST: number;
   VALID_TEAMS: number;
   SCHEDULE: number;
+  ROSTER: number;
   PLAYER_STATS: number;
   HEIGHT: number;
   ARENAS: number;
   GAME_ATTRIBS: number;
+  GAME: number;
   KPOY: number;
   FANMATCH: number;
   REFS: number;
@@ -84,8 +121,235 @@ export type EndpointKey = keyof MinSeasons;
 export interface KenpomAPIOptions {
   email?: string | null;
   password?: string | null;
+  /** Level for the default console logger; ignored when logger is set */
   logLevel?: LogLevel | string;
+  /** Logger, or child-logger factory, to use instead of the default console logger */
+  logger?: Logger | LoggerFactory | null;
   clientTier?: ClientTier;
+  /** Transport, tier name, or ordered list of them to try; takes precedence over clientTier */
+  transport?: TransportOption | TransportOption[];
+  sessionFile?: string | null;
+  /** Directory to save every fetched page to */
+  record?: string | null;
+  /** Directory to serve recorded pages from, without network or credentials */
+  replay?: string | null;
+  retry?: RetryOptions | false;
+  rateLimit?: RateLimitOptions | false;
+  /** On-disk response cache, or its directory; disabled by default */
+  cache?: CacheOptions | string | false | null;
+  /** Tier escalation after a Cloudflare challenge, or false to disable */
+  escalation?: EscalationOptions | false;
+  /** Return typed numeric rows (see NumericPomeroyRating and friends) instead of strings */
+  coerce?: boolean;
+  /** Return data with warnings instead of throwing when a page's table structure changed */
+  lenient?: boolean;
+  /** Maximum requests in flight at once (default: 1) */
+  concurrency?: number;
+  /** Tier 2 browser settings */
+  browser?: BrowserOptions;
+}
+
+/** Navigation event a browser page waits for before reading content */
+export type PageWaitUntil = 'load' | 'domcontentloaded' | 'networkidle0' | 'networkidle2';
+
+/** Tier 2 headless browser settings */
+export interface BrowserOptions {
+  /** Pages fetching in parallel; KenpomAPI defaults this to its concurrency (default: 1) */
+  pages?: number;
+  /** Skip images, fonts, media and analytics requests (default: true) */
+  blockResources?: boolean;
+  /** Navigation event to wait for when fetching pages (default: 'domcontentloaded') */
+  waitUntil?: PageWaitUntil;
+}
+
+/** Switching to the next transport when Cloudflare challenges the current one */
+export interface EscalationOptions {
+  /** Return to the transport login() chose after this many milliseconds (default: null, stay escalated) */
+  cooldownMs?: number | null;
+}
+
+/** On-disk response cache for endpoint pages */
+export interface CacheOptions {
+  /** Directory cached pages are stored in */
+  dir: string;
+  /** Lifetime of current-season and season-less pages in milliseconds (default: 1 hour) */
+  currentTtlMs?: number;
+  /** Lifetime of FanMatch pages for recent dates in milliseconds (default: 5 minutes) */
+  liveTtlMs?: number;
+}
+
+/** Per-call options accepted by every endpoint method */
+export interface RequestOptions {
+  /** Set false to neither read nor write the response cache */
+  cache?: boolean;
+  /** Fetch the page even when a fresh copy is cached, then update the cache */
+  refresh?: boolean;
+  /** Cancel the call; it rejects with AbortError */
+  signal?: AbortSignal;
+  /** Reject with TimeoutError if the call takes longer, including queueing and retries */
+  timeoutMs?: number;
+}
+
+/** Options accepted by the parser functions */
+export interface ParseOptions<C extends boolean = boolean> {
+  /** Return numbers for numeric columns, split W-L into Wins/Losses and use null for blanks */
+  coerce?: C;
+  /**
+   * Return rows even when the table structure does not match the expected
+   * schema, with the problems attached as non-enumerable `warnings`
+   * (see getParseWarnings). Default: throw StructureChangedError.
+   */
+  lenient?: boolean;
+}
+
+/** Table structure problem found by a parser in lenient mode */
+export interface StructureWarning {
+  /** Description of the mismatch */
+  message: string;
+  /** Expected leading headers ('' matches any header) */
+  expected: string[];
+  /** Headers found on the page (spanned headers repeated per column) */
+  actual: string[];
+}
+
+/** Request rate limit shared by all requests of one KenpomAPI instance */
+export interface RateLimitOptions {
+  /** Sustained request rate (default: 20) */
+  requestsPerMinute?: number;
+  /** Requests allowed back-to-back before the rate applies (default: 1) */
+  burst?: number;
+  /** Random extra delay per request as [min, max] milliseconds (default: [0, 4000]) */
+  jitterMs?: [number, number];
+}
+
+/** Error kinds that a retry policy can retry */
+export type RetryableErrorKind = 'http' | 'rateLimit' | 'cloudflare' | 'parse';
+
+/** Retry policy applied to endpoint requests */
+export interface RetryOptions {
+  /** Total attempts including the first (default: 3) */
+  maxAttempts?: number;
+  /** Delay before the first retry, doubled on each attempt (default: 1000) */
+  baseDelayMs?: number;
+  /** Upper bound for a single delay (default: 30000) */
+  maxDelayMs?: number;
+  /** Error kinds to retry (default: http, rateLimit, cloudflare) */
+  retryOn?: RetryableErrorKind[];
+}
+
+/** Payload of the 'sessionRefresh' event emitted after an automatic re-login */
+export interface SessionRefreshEvent {
+  url: string;
+  /** Name of the transport that logged in again */
+  tier: string | null;
+}
+
+/** Payload of the 'tierChange' event emitted when the live transport changes after login */
+export interface TierChangeEvent {
+  /** Name of the transport that was replaced */
+  from: string;
+  /** Name of the transport now in use */
+  to: string;
+  /** Request that triggered the change */
+  url: string;
+  /** 'challenge' when escalating after a Cloudflare challenge, 'cooldown' when returning */
+  reason: 'challenge' | 'cooldown';
+}
+
+/** Payload of the 'loginStart' event emitted before logging in with a transport */
+export interface LoginStartEvent {
+  /** Name of the transport logging in */
+  tier: string;
+}
+
+/** Payload of the 'loginSuccess' event */
+export interface LoginSuccessEvent {
+  tier: string;
+  durationMs: number;
+  /** true when a saved session was reused instead of submitting credentials */
+  restored: boolean;
+}
+
+/** Payload of the 'loginFailure' event */
+export interface LoginFailureEvent {
+  tier: string;
+  durationMs: number;
+  error: Error;
+}
+
+/** Payload of the 'requestStart' event emitted when a transport starts fetching a page */
+export interface RequestStartEvent {
+  url: string;
+  tier: string;
+}
+
+/** Payload of the 'requestEnd' event emitted when a transport fetch finishes or fails */
+export interface RequestEndEvent {
+  url: string;
+  tier: string;
+  /** HTTP status, or null when unknown or the request failed */
+  status: number | null;
+  /** Size of the response body in bytes (0 when the request failed) */
+  bytes: number;
+  durationMs: number;
+  /** KenpomError for failed requests and rejected responses, otherwise null */
+  error: Error | null;
+}
+
+/** Payload of the 'cacheHit' and 'cacheMiss' events */
+export interface CacheEvent {
+  url: string;
+  endpoint: string;
+}
+
+/** Payload of the 'retry' event emitted before waiting to retry a failed attempt */
+export interface RetryEvent {
+  url: string;
+  endpoint: string;
+  /** Attempt that failed, starting at 1 */
+  attempt: number;
+  maxAttempts: number;
+  delayMs: number;
+  error: Error;
+}
+
+/** Payload of the 'parseStart' event */
+export interface ParseStartEvent {
+  url: string;
+  endpoint: string;
+  /** true when parsing a page served from the response cache */
+  fromCache: boolean;
+}
+
+/** Payload of the 'parseEnd' event */
+export interface ParseEndEvent extends ParseStartEvent {
+  /** Rows parsed across all tables, or null for results that are not tables */
+  rows: number | null;
+  durationMs: number;
+  /** ParseError when the parser failed, otherwise null */
+  error: Error | null;
+}
+
+/** Payload of the 'parseWarning' event (lenient mode only) */
+export interface ParseWarningEvent extends ParseStartEvent {
+  warnings: StructureWarning[];
+}
+
+/** Events emitted by KenpomAPI, with their listener arguments */
+export interface KenpomAPIEvents {
+  loginStart: [LoginStartEvent];
+  loginSuccess: [LoginSuccessEvent];
+  loginFailure: [LoginFailureEvent];
+  requestStart: [RequestStartEvent];
+  requestEnd: [RequestEndEvent];
+  cacheHit: [CacheEvent];
+  cacheMiss: [CacheEvent];
+  retry: [RetryEvent];
+  parseStart: [ParseStartEvent];
+  parseEnd: [ParseEndEvent];
+  parseWarning: [ParseWarningEvent];
+  sessionRefresh: [SessionRefreshEvent];
+  tierChange: [TierChangeEvent];
 }
 
 /** KenPom credentials */
@@ -112,10 +376,11 @@ export interface CloudscraperClient {
 
 /** Cloudscraper instance interface (runtime type from cloudscraper) */
 export interface CloudscraperInstance {
+  /** Returns the underlying request, which can be aborted */
   get: (
     url: string,
     callback: (err: Error | null, response: unknown, body: string) => void
-  ) => void;
+  ) => { abort?: () => void } | void;
   post: (
     options: {
       uri: string;
@@ -125,6 +390,23 @@ export interface CloudscraperInstance {
     callback: (err: Error | null, response: unknown, body: string) => void
   ) => void;
   create_scraper?: () => CloudscraperInstance;
+  defaultParams?: {
+    jar?: CookieJar;
+  };
+}
+
+/** Cookie jar interface (runtime type from request/tough-cookie) */
+export interface CookieJar {
+  getCookies: (url: string) => Array<{
+    key: string;
+    value: string;
+    domain: string | null;
+    path: string | null;
+    expires: Date | 'Infinity';
+    httpOnly: boolean;
+    secure: boolean;
+  }>;
+  setCookie: (cookie: string, url: string) => unknown;
 }
 
 /** Puppeteer client interface */
@@ -132,11 +414,157 @@ export interface PuppeteerClient {
   type: 'puppeteer';
   browser: Browser;
   page: Page;
+  /** Open another page in the same browser context, set up like the first */
+  newPage: () => Promise<Page>;
   close: () => Promise<void>;
 }
 
+/** Page of a tier 2 browser */
+export type BrowserPage = PuppeteerClient['page'];
+
+/** Native fetch client interface */
+export interface FetchClient {
+  type: 'fetch';
+  client: FetchSession;
+}
+
+/** Native fetch session with its own cookie jar */
+export interface FetchSession {
+  /** GET a URL, following redirects */
+  get: (url: string, options?: TransportRequestOptions) => Promise<FetchResult>;
+  /** POST form fields to a URL, following redirects */
+  post: (url: string, form: Record<string, string>) => Promise<FetchResult>;
+  /** Cookies currently held by the session */
+  getCookies: () => SessionCookie[];
+  /** Add cookies to the session */
+  setCookies: (cookies: SessionCookie[]) => void;
+}
+
+/** Response from a native fetch session */
+export interface FetchResult {
+  /** HTTP status of the final response */
+  status: number;
+  /** Final URL after redirects */
+  url: string;
+  body: string;
+}
+
 /** Union type for HTTP clients */
-export type HttpClient = CloudscraperClient | PuppeteerClient;
+export type HttpClient = FetchClient | CloudscraperClient | PuppeteerClient;
+
+// ============================================================================
+// TRANSPORT TYPES
+// ============================================================================
+
+/** Login credentials passed to a transport */
+export interface TransportCredentials {
+  email: string;
+  password: string;
+}
+
+/** Page returned by a transport */
+export interface TransportResponse {
+  /** HTTP status of the final response, or null if the transport cannot tell */
+  status: number | null;
+  body: string;
+}
+
+/**
+ * HTTP transport used by KenpomAPI to reach kenpom.com.
+ *
+ * KenpomAPI verifies the login, checks responses for challenges and error
+ * statuses, retries, rate limits and persists sessions; a transport only
+ * moves bytes. Errors thrown by a transport that are not KenpomErrors are
+ * wrapped as HttpError.
+ */
+export interface Transport {
+  /** Short identifier used in logs, errors and saved sessions (e.g. 'tier1') */
+  readonly name: string;
+  /** Human-readable description for logs */
+  readonly description: string;
+  /** Submit the login form; KenpomAPI verifies the result */
+  login(credentials: TransportCredentials): Promise<void>;
+  /** GET a page; should stop and reject when the signal aborts */
+  get(url: string, options?: TransportRequestOptions): Promise<TransportResponse>;
+  /** Release the client; the transport may be logged in again afterwards */
+  close(): Promise<void>;
+  /** Export cookies for session persistence (optional) */
+  exportCookies?(): Promise<SessionCookie[]>;
+  /** Import saved cookies before a login attempt (optional) */
+  importCookies?(cookies: SessionCookie[]): Promise<void>;
+}
+
+/** Per-request options passed to Transport.get */
+export interface TransportRequestOptions {
+  /** Aborted when the caller cancels the request or its timeout expires */
+  signal?: AbortSignal;
+}
+
+/** Transport instance or built-in tier name */
+export type TransportOption = Transport | ClientTier;
+
+// ============================================================================
+// REQUEST & ERROR TYPES
+// ============================================================================
+
+/** Context of a single endpoint request */
+export interface RequestContext {
+  endpoint: keyof Endpoints;
+  url: string;
+  season: number | null;
+}
+
+/** Context attached to errors thrown by the API */
+export interface ErrorContext {
+  url?: string | null;
+  endpoint?: string | null;
+  season?: number | null;
+  tier?: string | null;
+  cause?: unknown;
+}
+
+// ============================================================================
+// SESSION TYPES
+// ============================================================================
+
+/** Cookie persisted with a saved session (Puppeteer cookie shape) */
+export interface SessionCookie {
+  name: string;
+  value: string;
+  domain: string;
+  path: string;
+  /** Unix timestamp in seconds, -1 for session cookies */
+  expires: number;
+  httpOnly: boolean;
+  secure: boolean;
+}
+
+/** Page saved by record mode and served by replay mode */
+export interface RecordedPage {
+  url: string;
+  /** HTTP status reported by the transport that recorded it */
+  status: number | null;
+  /** Name of the transport that recorded it */
+  tier: string;
+  recordedAt: string;
+  body: string;
+}
+
+/** Metadata stored next to each page in the response cache */
+export interface CachedPageMeta {
+  url: string;
+  storedAt: string;
+  /** ISO timestamp after which the page is stale, or null if it never expires */
+  expiresAt: string | null;
+}
+
+/** Authenticated session saved to disk between process runs */
+export interface StoredSession {
+  /** Name of the transport that created the session */
+  tier: string;
+  savedAt: string;
+  cookies: SessionCookie[];
+}
 
 // ============================================================================
 // DATA TYPES - RATINGS & EFFICIENCY
@@ -168,6 +596,12 @@ export interface PomeroyRating {
   Seed: string;
 }
 
+/** Pomeroy Ratings row as it stood on an archive date */
+export type ArchivedPomeroyRating = PomeroyRating & {
+  /** Archive date the ratings were taken from (YYYY-MM-DD) */
+  AsOf: string;
+};
+
 /** Efficiency data row (structure varies by year) */
 export interface EfficiencyData {
   Team: string;
@@ -302,6 +736,8 @@ export interface HeightData {
 export interface PlayerStatsBase {
   Rank: string;
   Player: string;
+  /** Player page ID ('' when the row has no player link) */
+  PlayerID: string;
   Team: string;
   Ht: string;
   Wt: string;
@@ -418,12 +854,106 @@ export interface ProgramRatingData {
 /** Trends data row (dynamic columns) */
 export type TrendsData = Record<string, string>;
 
+/** Season row from a program's history page */
+export interface TeamHistorySeason {
+  Season: string;
+  Rank: string;
+  AdjEM: string;
+  AdjO: string;
+  'AdjO.Rank': string;
+  AdjD: string;
+  'AdjD.Rank': string;
+  AdjT: string;
+  'AdjT.Rank': string;
+  'W-L': string;
+  Conference: string;
+  Coach: string;
+  /** Postseason finish ('' when the team missed the postseason) */
+  Tournament: string;
+}
+
+/** Season row from a coach's page */
+export interface CoachSeason {
+  Season: string;
+  Team: string;
+  Conference: string;
+  Rank: string;
+  AdjEM: string;
+  AdjO: string;
+  'AdjO.Rank': string;
+  AdjD: string;
+  'AdjD.Rank': string;
+  AdjT: string;
+  'AdjT.Rank': string;
+  'W-L': string;
+  /** Postseason finish ('' when the team missed the postseason) */
+  Tournament: string;
+}
+
+/** Career totals over a coach's listed seasons */
+export interface CoachCareer {
+  Seasons: number;
+  Wins: number;
+  Losses: number;
+  /** Teams coached, in the order first coached */
+  Teams: string[];
+}
+
+/** Everything parsed from one coach page */
+export interface CoachResult {
+  seasons: CoachSeason[];
+  career: CoachCareer;
+}
+
+/** Coach page API response (with metadata) */
+export interface CoachPage extends CoachResult {
+  name: string;
+  url: string;
+}
+
+/** A program's change of head coach */
+export interface CoachingChange {
+  /** First season under the new coach */
+  Season: number;
+  Coach: string;
+  PreviousCoach: string;
+  /** Seasons the previous coach held the job (counted from the first season listed) */
+  PreviousTenure: number;
+}
+
 // ============================================================================
 // DATA TYPES - TEAM SCHEDULE
 // ============================================================================
 
+/** Where a game was played, from the team's point of view */
+export type GameVenue = 'home' | 'away' | 'neutral';
+
+/**
+ * Structured fields derived from a schedule row. Score fields are null for
+ * unplayed games.
+ */
+export interface ScheduleResult {
+  /** Game date (YYYY-MM-DD), inferred from the season; null when unknown */
+  GameDate: string | null;
+  Outcome: 'W' | 'L' | null;
+  TeamScore: number | null;
+  OpponentScore: number | null;
+  /** Number of overtime periods (0 in regulation) */
+  Overtimes: number | null;
+  /** TeamScore minus OpponentScore */
+  Margin: number | null;
+  Venue: GameVenue | null;
+  Possessions: number | null;
+  /** True for future games, whose Result is a prediction */
+  Unplayed: boolean;
+  /** Points scored per 100 possessions */
+  OffEff: number | null;
+  /** Points allowed per 100 possessions */
+  DefEff: number | null;
+}
+
 /** Team schedule data row */
-export interface ScheduleGame {
+export interface ScheduleGame extends ScheduleResult {
   Date: string;
   'Team Rank': string;
   'Opponent Rank': string;
@@ -434,6 +964,169 @@ export interface ScheduleGame {
   Record: string;
   Conference: string;
   Tournament: string;
+  /** Game page ID ('' when the row has no game link) */
+  GameID: string;
+}
+
+// ============================================================================
+// DATA TYPES - TEAM ROSTER
+// ============================================================================
+
+/** Team roster row; shooting splits are separated into made and attempted */
+export interface RosterPlayer {
+  /** Jersey number (empty before 2010) */
+  Number: string;
+  Player: string;
+  /** Player page ID ('' when the row has no player link) */
+  PlayerID: string;
+  Ht: string;
+  Wt: string;
+  Yr: string;
+  G: string;
+  '%Min': string;
+  ORtg: string;
+  '%Poss': string;
+  '%Shots': string;
+  'eFG%': string;
+  'TS%': string;
+  'OR%': string;
+  'DR%': string;
+  ARate: string;
+  TORate: string;
+  'Blk%': string;
+  'Stl%': string;
+  'FC/40': string;
+  'FD/40': string;
+  FTRate: string;
+  FTM: string;
+  FTA: string;
+  'FT%': string;
+  '2PM': string;
+  '2PA': string;
+  '2P%': string;
+  '3PM': string;
+  '3PA': string;
+  '3P%': string;
+}
+
+// ============================================================================
+// DATA TYPES - PLAYER PAGE
+// ============================================================================
+
+/** Player bio from the player page header; missing details are '' */
+export interface PlayerBio {
+  Name: string;
+  Team: string;
+  Number: string;
+  Ht: string;
+  Wt: string;
+  Yr: string;
+  Hometown: string;
+}
+
+/** Season line from a player's career table; columns follow the page headers */
+export interface PlayerSeason {
+  Season: string;
+  Team: string;
+  [stat: string]: string;
+}
+
+/**
+ * Game from a player's game log; columns follow the page headers, with
+ * made-attempted shooting columns split (FTM-A into FTM and FTA)
+ */
+export interface PlayerGame {
+  Date: string;
+  Opponent: string;
+  Result: string;
+  Min: string;
+  ORtg: string;
+  '%Poss': string;
+  [stat: string]: string;
+}
+
+/** Everything parsed from one player page */
+export interface PlayerPageResult {
+  bio: PlayerBio;
+  seasons: PlayerSeason[];
+  games: PlayerGame[];
+}
+
+/** Player page API response (with metadata) */
+export interface PlayerPage extends PlayerPageResult {
+  playerId: string;
+  season: number | null;
+  url: string;
+}
+
+/** Player lookup by name on a team's roster */
+export interface PlayerLookup {
+  name: string;
+  team: string;
+}
+
+// ============================================================================
+// TEAM REGISTRY TYPES
+// ============================================================================
+
+/** A name a team played under, up to and including a season */
+export interface TeamNameHistory {
+  name: string;
+  /** Last season the team used this name on KenPom */
+  until: number;
+}
+
+/** Team registry entry */
+export interface TeamEntry {
+  /** Stable team ID (lowercase, hyphenated) */
+  id: string;
+  /** Current KenPom name */
+  name: string;
+  /** Other names for the team (nicknames, abbreviations, other sites' spellings) */
+  aliases?: string[];
+  /** Former KenPom names, oldest first */
+  history?: TeamNameHistory[];
+}
+
+/** A team name resolved against the registry */
+export interface TeamIdentity {
+  id: string;
+  /** Current KenPom name */
+  name: string;
+}
+
+// ============================================================================
+// DATA TYPES - TEAM PAGE
+// ============================================================================
+
+/** Scouting report stats for all games and for conference games only */
+export interface TeamScouting {
+  all: ScoutingReportStats;
+  conference: ScoutingReportStats;
+}
+
+/** Everything parsed from one team page */
+export interface TeamPageResult {
+  coach: string;
+  conference: string;
+  record: string;
+  conferenceRecord: string;
+  schedule: ScheduleGame[];
+  scouting: TeamScouting;
+  roster: RosterPlayer[];
+}
+
+/** Team page API response (with metadata) */
+export interface TeamPage extends TeamPageResult {
+  /**
+   * Current KenPom name, matching the Team column of the rows. For a season
+   * before a rename the page is requested under the old name (see url).
+   */
+  team: string;
+  /** Stable team ID (see resolveTeam) */
+  teamId: string;
+  season: number | null;
+  url: string;
 }
 
 // ============================================================================
@@ -443,6 +1136,8 @@ export interface ScheduleGame {
 /** FanMatch game data */
 export interface FanMatchGame {
   Game: string;
+  /** Game page ID (null when the row has no game link) */
+  GameID: string | null;
   MVP: string | null;
   Tournament: string | null;
   Possessions: string | null;
@@ -508,6 +1203,59 @@ export interface GameResult {
   isAway: boolean;
 }
 
+// ============================================================================
+// DATA TYPES - GAME PAGE
+// ============================================================================
+
+/** Point on a game's win probability chart */
+export interface WinProbabilityPoint {
+  /** Minutes played */
+  Elapsed: number;
+  /** Win probability of the first team listed (0-1) */
+  WinProb: number;
+  /** Scores at that point, when the chart data has them */
+  Score1: number | null;
+  Score2: number | null;
+}
+
+/** Box score line; columns follow the page headers */
+export interface BoxScoreLine {
+  Player: string;
+  /** Player page ID ('' when the row has no player link) */
+  PlayerID: string;
+  [stat: string]: string;
+}
+
+/** One team's box score */
+export interface BoxScore {
+  Team: string;
+  players: BoxScoreLine[];
+}
+
+/** Game attribute breakdown; attributes missing from the page are '' */
+export interface GameAttributes {
+  Excitement: string;
+  Tension: string;
+  Dominance: string;
+  ComeBack: string;
+  FanMatch: string;
+}
+
+/** Everything parsed from one game page */
+export interface GameDetailResult {
+  Game: string;
+  winProbability: WinProbabilityPoint[];
+  boxScores: BoxScore[];
+  attributes: GameAttributes;
+}
+
+/** Game page API response (with metadata) */
+export interface GameDetail extends GameDetailResult {
+  gameId: string;
+  season: number | null;
+  url: string;
+}
+
 // ============================================================================
 // DATA TYPES - SCOUTING REPORT
 // ============================================================================
@@ -608,6 +1356,221 @@ export interface ConferenceAggregateData {
   Rank: string;
 }
 
+// ============================================================================
+// DATA TYPES - NUMERIC ROWS
+// ============================================================================
+
+/**
+ * Numeric form of a row: the text columns keep their type and every other
+ * column becomes a number, or null when the cell is blank.
+ */
+export type NumericRow<T, TextColumn extends keyof T> = {
+  [K in keyof T]: K extends TextColumn ? T[K] : number | null;
+};
+
+/** Wins and losses split out of a "W-L" column */
+export interface WinLoss {
+  Wins: number | null;
+  Losses: number | null;
+}
+
+/** Row type for a coerce setting: S for string rows, N for numeric rows */
+export type Coerced<C extends boolean, S, N> = C extends true ? N : S;
+
+/** Numeric Pomeroy Ratings row; W-L is split into Wins and Losses */
+export type NumericPomeroyRating = Omit<NumericRow<PomeroyRating, 'Team' | 'Conf'>, 'W-L'> & WinLoss;
+
+/** Numeric archived Pomeroy Ratings row */
+export type NumericArchivedPomeroyRating = NumericPomeroyRating & { AsOf: string };
+
+/** Numeric efficiency row */
+export type NumericEfficiencyData = NumericRow<EfficiencyData, 'Team' | 'Conference'>;
+
+/** Numeric four factors row */
+export type NumericFourFactorsData = NumericRow<FourFactorsData, 'Team' | 'Conference'>;
+
+/** Numeric team stats row */
+export type NumericTeamStatsData = NumericRow<TeamStatsData, 'Team' | 'Conference'>;
+
+/** Numeric point distribution row */
+export type NumericPointDistData = NumericRow<PointDistData, 'Team' | 'Conference'>;
+
+/** Numeric height/experience row */
+export type NumericHeightData = NumericRow<HeightData, 'Team' | 'Conference'>;
+
+/** Numeric player stats row (metric columns are numbers) */
+export interface NumericPlayerStats {
+  Rank: number | null;
+  Player: string;
+  PlayerID: string;
+  Team: string;
+  Ht: string;
+  Wt: number | null;
+  Yr: string;
+  [key: string]: string | number | null;
+}
+
+/** Numeric KPOY row */
+export type NumericKpoyPlayer = NumericRow<KpoyPlayer, 'Player' | 'Team' | 'Height' | 'Year' | 'Hometown'>;
+
+/** Numeric KPOY result */
+export interface NumericKpoyResult {
+  kpoy: NumericKpoyPlayer[];
+  mvp: NumericKpoyPlayer[] | null;
+}
+
+/** Numeric referee row */
+export type NumericRefData = NumericRow<RefData, 'Name' | 'Last Game'>;
+
+/** Numeric home court advantage row */
+export type NumericHcaData = NumericRow<HcaData, 'Team' | 'Conference'>;
+
+/** Numeric arena row */
+export type NumericArenaData = NumericRow<ArenaData, 'Team' | 'Conference' | 'Arena' | 'Alternate'>;
+
+/** Numeric game attributes row */
+export type NumericGameAttribData = NumericRow<
+  GameAttribData,
+  'Date' | 'Game' | 'Location' | 'Arena' | 'Conf.Matchup'
+>;
+
+/** Numeric program ratings row */
+export type NumericProgramRatingData = NumericRow<ProgramRatingData, 'Team' | 'Conference'>;
+
+/** Numeric team history row; W-L is split into Wins and Losses */
+export type NumericTeamHistorySeason = Omit<
+  NumericRow<TeamHistorySeason, 'Conference' | 'Coach' | 'Tournament'>,
+  'W-L'
+> & WinLoss;
+
+/** Numeric coach season row; W-L is split into Wins and Losses */
+export type NumericCoachSeason = Omit<
+  NumericRow<CoachSeason, 'Team' | 'Conference' | 'Tournament'>,
+  'W-L'
+> & WinLoss;
+
+/** Numeric coach page result */
+export interface NumericCoachResult {
+  seasons: NumericCoachSeason[];
+  career: CoachCareer;
+}
+
+/** Numeric coach page API response */
+export interface NumericCoachPage extends NumericCoachResult {
+  name: string;
+  url: string;
+}
+
+/** Numeric trends row */
+export type NumericTrendsData = Record<string, number | string | null>;
+
+/** Numeric schedule row; running records stay as "W-L" text */
+export type NumericScheduleGame = NumericRow<
+  Omit<ScheduleGame, keyof ScheduleResult>,
+  'Date' | 'Opponent Name' | 'Result' | 'Location' | 'Record' | 'Conference' | 'Tournament' | 'GameID'
+> & ScheduleResult;
+
+/** Numeric roster row */
+export type NumericRosterPlayer = NumericRow<RosterPlayer, 'Player' | 'PlayerID' | 'Ht' | 'Yr'>;
+
+/** Numeric box score line */
+export type NumericBoxScoreLine = Record<string, string | number | null>;
+
+/** Numeric game page result */
+export interface NumericGameDetailResult {
+  Game: string;
+  winProbability: WinProbabilityPoint[];
+  boxScores: { Team: string; players: NumericBoxScoreLine[] }[];
+  attributes: Record<keyof GameAttributes, number | null>;
+}
+
+/** Numeric game page API response */
+export interface NumericGameDetail extends NumericGameDetailResult {
+  gameId: string;
+  season: number | null;
+  url: string;
+}
+
+/** Numeric player bio */
+export type NumericPlayerBio = NumericRow<PlayerBio, 'Name' | 'Team' | 'Ht' | 'Yr' | 'Hometown'>;
+
+/** Numeric player season line or game; text cells such as Team and Result are kept */
+export type NumericPlayerRow = Record<string, string | number | null>;
+
+/** Numeric player page result */
+export interface NumericPlayerPageResult {
+  bio: NumericPlayerBio;
+  seasons: NumericPlayerRow[];
+  games: NumericPlayerRow[];
+}
+
+/** Numeric player page API response */
+export interface NumericPlayerPage extends NumericPlayerPageResult {
+  playerId: string;
+  season: number | null;
+  url: string;
+}
+
+/** Numeric team page scouting stats */
+export interface NumericTeamScouting {
+  all: NumericScoutingReportStats;
+  conference: NumericScoutingReportStats;
+}
+
+/** Numeric team page result; records stay as "W-L" text */
+export interface NumericTeamPageResult {
+  coach: string;
+  conference: string;
+  record: string;
+  conferenceRecord: string;
+  schedule: NumericScheduleGame[];
+  scouting: NumericTeamScouting;
+  roster: NumericRosterPlayer[];
+}
+
+/** Numeric team page API response */
+export interface NumericTeamPage extends NumericTeamPageResult {
+  team: string;
+  teamId: string;
+  season: number | null;
+  url: string;
+}
+
+/** Numeric FanMatch game */
+export type NumericFanMatchGame = NumericRow<
+  FanMatchGame,
+  | 'Game' | 'GameID' | 'MVP' | 'Tournament' | 'PredictedWinner' | 'PredictedScore'
+  | 'Winner' | 'Loser' | 'OT' | 'PredictedLoser'
+>;
+
+/** Numeric FanMatch result */
+export interface NumericFanMatchResult {
+  games: NumericFanMatchGame[];
+  summary: FanMatchSummary | null;
+}
+
+/** Numeric FanMatch API response */
+export interface NumericFanMatchResponse extends NumericFanMatchResult {
+  date: string;
+  url: string;
+}
+
+/** Numeric scouting report; stats missing from the page are null */
+export type NumericScoutingReportStats = Record<string, number | null>;
+
+/** Numeric conference standings row; a W-L column is split into Wins and Losses */
+export interface NumericConferenceStandingsData {
+  Team: string;
+  Seed: number | null;
+  [key: string]: string | number | null;
+}
+
+/** Numeric conference stats row (offense/defense) */
+export type NumericConferenceStatsData = Record<string, string | number | null>;
+
+/** Numeric conference aggregate stats row */
+export type NumericConferenceAggregateData = NumericRow<ConferenceAggregateData, 'Stat'>;
+
 // ============================================================================
 // UTILITY TYPES
 // ============================================================================
@@ -657,6 +1620,8 @@ export interface CliOptions {
   // Team endpoints
   validTeams?: boolean;
   schedule?: boolean;
+  roster?: boolean;
+  history?: boolean;
 
   // Date endpoints
   fanmatch?: boolean;
@@ -676,6 +1641,20 @@ export interface CliOptions {
   outputDir?: string;
   logLevel?: string;
   client?: string;
+  sessionFile?: string;
+  session?: boolean;
+  record?: string;
+  replay?: string;
+  rate?: number;
+  burst?: number;
+  jitter?: string;
+  rateLimit?: boolean;
+  cacheDir?: string;
+  cache?: boolean;
+  clearCache?: boolean;
+  escalation?: boolean;
+  cooldown?: number;
+  concurrency?: number;
   dryRun?: boolean;
   examples?: boolean;
 }
@@ -689,11 +1668,13 @@ export interface Endpoints {
   INDEX: string;
   LOGIN_HANDLER: string;
   POMEROY_RATINGS: string;
+  ARCHIVE: string;
   TRENDS: string;
   REFS: string;
   HCA: string;
   ARENAS: string;
   GAME_ATTRIBS: string;
+  GAME: string;
   PROGRAM_RATINGS: string;
   EFFICIENCY: string;
   FOUR_FACTORS: string;
@@ -701,7 +1682,10 @@ export interface Endpoints {
   POINT_DIST: string;
   HEIGHT: string;
   PLAYER_STATS: string;
+  HISTORY: string;
+  COACH: string;
   KPOY: string;
+  PLAYER: string;
   VALID_TEAMS: string;
   TEAM: string;
   FANMATCH: string;
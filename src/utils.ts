@@ -14,13 +14,29 @@ type CheerioElement = ReturnType<CheerioAPI>;
 type CheerioNode = any;
 import fs from 'fs';
 import path from 'path';
-import { DEFAULT_HEADERS } from './config.js';
+import { createHash } from 'crypto';
+import {
+  DEFAULT_HEADERS,
+  DEFAULT_RATE_LIMIT_OPTIONS,
+  DEFAULT_BROWSER_OPTIONS,
+  isBlockedResource,
+} from './config.js';
+import { KenpomError, ParseError, ValidationError } from './errors.js';
 import type {
   TableRow,
   FileFormat,
   SpinnerControl,
+  FetchClient,
+  FetchResult,
   CloudscraperClient,
   PuppeteerClient,
+  BrowserPage,
+  CookieJar,
+  SessionCookie,
+  StoredSession,
+  RecordedPage,
+  CachedPageMeta,
+  RateLimitOptions,
 } from './types.js';
 
 // ============================================================================
@@ -45,11 +61,11 @@ export function parseTable(
   const tables = $(selector);
 
   if (tables.length === 0) {
-    throw new Error(`No tables found matching selector: ${selector}`);
+    throw new ParseError(`No tables found matching selector: ${selector}`);
   }
 
   if (tableIndex >= tables.length) {
-    throw new Error(`Table index ${tableIndex} out of bounds. Found ${tables.length} tables.`);
+    throw new ParseError(`Table index ${tableIndex} out of bounds. Found ${tables.length} tables.`);
   }
 
   const table = tables.eq(tableIndex);
@@ -267,7 +283,7 @@ export function writeToFile(
  */
 export function readFromFile(filepath: string, format: FileFormat = 'auto'): unknown {
   if (!fs.existsSync(filepath)) {
-    throw new Error(`File not found: ${filepath}. Please check that the path is correct and the file exists.`);
+    throw new ValidationError(`File not found: ${filepath}. Please check that the path is correct and the file exists.`);
   }
 
   const content = fs.readFileSync(filepath, 'utf-8');
@@ -320,10 +336,338 @@ export async function randomPause(minMs: number = 2000, maxMs: number = 7000): P
   await pause(delay);
 }
 
+/**
+ * Exponential backoff delay with jitter for a retry attempt.
+ * The delay doubles each attempt up to maxMs, then a random value between
+ * half and all of it is used so parallel clients don't retry in lockstep.
+ *
+ * @param attempt - Failed attempt number (1 for the first failure)
+ * @param baseMs - Delay ceiling after the first failure
+ * @param maxMs - Maximum delay ceiling
+ * @returns Delay in milliseconds
+ */
+export function backoffDelay(attempt: number, baseMs: number = 1000, maxMs: number = 30000): number {
+  const ceiling = Math.min(maxMs, baseMs * 2 ** (attempt - 1));
+  return randomDelay(Math.floor(ceiling / 2), ceiling);
+}
+
+/**
+ * Token bucket request scheduler.
+ * Callers wait in order for a token; tokens refill at the configured rate
+ * up to the burst size, and each request adds a random jitter delay.
+ *
+ * @example
+ * const scheduler = new RequestScheduler({ requestsPerMinute: 30 });
+ * await scheduler.acquire();
+ * // make request
+ */
+export class RequestScheduler {
+  private intervalMs: number;
+  private burst: number;
+  private jitterMs: [number, number];
+  private tokens: number;
+  private lastRefill: number;
+  private queue: Promise<void> = Promise.resolve();
+
+  /**
+   * Create a request scheduler.
+   *
+   * @param options - Rate limit options
+   * @param options.requestsPerMinute - Sustained request rate
+   * @param options.burst - Requests allowed back-to-back
+   * @param options.jitterMs - Random extra delay per request as [min, max]
+   * @throws ValidationError if requestsPerMinute is not positive or burst is below 1
+   */
+  constructor(options: RateLimitOptions = {}) {
+    const { requestsPerMinute, burst, jitterMs } = { ...DEFAULT_RATE_LIMIT_OPTIONS, ...options };
+    if (!(requestsPerMinute > 0)) {
+      throw new ValidationError(`Invalid requestsPerMinute '${requestsPerMinute}'. Must be a positive number`);
+    }
+    if (!(burst >= 1)) {
+      throw new ValidationError(`Invalid burst '${burst}'. Must be at least 1`);
+    }
+
+    this.intervalMs = 60000 / requestsPerMinute;
+    this.burst = burst;
+    this.jitterMs = jitterMs;
+    this.tokens = this.burst;
+    this.lastRefill = Date.now();
+  }
+
+  /**
+   * Wait until a request may be made.
+   * Concurrent callers are served in the order they called.
+   */
+  acquire(): Promise<void> {
+    const slot = this.queue.then(() => this._take());
+    this.queue = slot.catch(() => undefined);
+    return slot;
+  }
+
+  private async _take(): Promise<void> {
+    this._refill();
+    if (this.tokens < 1) {
+      await pause(Math.ceil((1 - this.tokens) * this.intervalMs));
+      this._refill();
+    }
+    this.tokens -= 1;
+
+    const [minJitter, maxJitter] = this.jitterMs;
+    if (maxJitter > 0) {
+      await pause(randomDelay(minJitter, maxJitter));
+    }
+  }
+
+  private _refill(): void {
+    const now = Date.now();
+    this.tokens = Math.min(this.burst, this.tokens + (now - this.lastRefill) / this.intervalMs);
+    this.lastRefill = now;
+  }
+}
+
+/**
+ * Limit on how many requests may be in flight at once.
+ * Callers wait in order for a free slot.
+ *
+ * @example
+ * const limiter = new ConcurrencyLimiter(4);
+ * const release = await limiter.acquire();
+ * try {
+ *   // make request
+ * } finally {
+ *   release();
+ * }
+ */
+export class ConcurrencyLimiter {
+  readonly limit: number;
+  private active = 0;
+  private waiting: Array<() => void> = [];
+
+  /**
+   * @param limit - Maximum requests in flight (at least 1)
+   */
+  constructor(limit: number) {
+    this.limit = Math.max(1, Math.floor(limit));
+  }
+
+  /**
+   * Wait for a free slot.
+   *
+   * @returns Function that frees the slot; calling it more than once has no effect
+   */
+  async acquire(): Promise<() => void> {
+    if (this.active < this.limit) {
+      this.active++;
+    } else {
+      // The releasing caller hands its slot straight to us
+      await new Promise<void>(resolve => this.waiting.push(resolve));
+    }
+
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      const next = this.waiting.shift();
+      if (next) next();
+      else this.active--;
+    };
+  }
+}
+
 // ============================================================================
 // HTTP CLIENT FACTORY
 // ============================================================================
 
+/** Maximum redirects followed by the fetch client */
+const MAX_REDIRECTS = 10;
+
+/**
+ * Minimal cookie jar for the native fetch client.
+ * Handles Domain, Path, Expires, Max-Age and Secure; cookies are keyed by
+ * domain, path and name like a browser.
+ *
+ * @example
+ * const jar = new FetchCookieJar();
+ * jar.setCookie('PHPSESSID=abc; Path=/', 'https://kenpom.com/');
+ * jar.getCookieHeader('https://kenpom.com/index.php'); // 'PHPSESSID=abc'
+ */
+export class FetchCookieJar {
+  private cookies = new Map<string, { cookie: SessionCookie; hostOnly: boolean }>();
+
+  /**
+   * Store a cookie from a Set-Cookie header.
+   * Cookies for another domain are ignored; expired cookies are removed.
+   *
+   * @param header - Set-Cookie header value
+   * @param url - URL the header was received from
+   */
+  setCookie(header: string, url: string): void {
+    const { hostname, pathname } = new URL(url);
+    const [pair = '', ...attributes] = header.split(';');
+    const eq = pair.indexOf('=');
+    if (eq < 1) return;
+
+    const cookie: SessionCookie = {
+      name: pair.slice(0, eq).trim(),
+      value: pair.slice(eq + 1).trim(),
+      domain: hostname,
+      path: pathname.lastIndexOf('/') > 0 ? pathname.slice(0, pathname.lastIndexOf('/')) : '/',
+      expires: -1,
+      httpOnly: false,
+      secure: false,
+    };
+    let hostOnly = true;
+    let maxAge: number | null = null;
+
+    for (const attribute of attributes) {
+      const [rawKey = '', ...rest] = attribute.split('=');
+      const key = rawKey.trim().toLowerCase();
+      const value = rest.join('=').trim();
+
+      if (key === 'domain' && value) {
+        const domain = value.replace(/^\./, '').toLowerCase();
+        if (hostname !== domain && !hostname.endsWith(`.${domain}`)) return;
+        cookie.domain = domain;
+        hostOnly = false;
+      } else if (key === 'path' && value.startsWith('/')) {
+        cookie.path = value;
+      } else if (key === 'expires') {
+        const time = Date.parse(value);
+        if (!Number.isNaN(time)) cookie.expires = Math.floor(time / 1000);
+      } else if (key === 'max-age' && /^-?\d+$/.test(value)) {
+        maxAge = parseInt(value, 10);
+      } else if (key === 'secure') {
+        cookie.secure = true;
+      } else if (key === 'httponly') {
+        cookie.httpOnly = true;
+      }
+    }
+
+    if (maxAge !== null) {
+      cookie.expires = Math.floor(Date.now() / 1000) + maxAge;
+    }
+
+    const id = `${cookie.domain};${cookie.path};${cookie.name}`;
+    if (cookie.expires !== -1 && cookie.expires * 1000 <= Date.now()) {
+      this.cookies.delete(id);
+    } else {
+      this.cookies.set(id, { cookie, hostOnly });
+    }
+  }
+
+  /**
+   * Build the Cookie header for a request.
+   *
+   * @param url - Request URL
+   * @returns Cookie header value, or empty string if no cookies apply
+   */
+  getCookieHeader(url: string): string {
+    const { hostname, pathname, protocol } = new URL(url);
+    const now = Date.now();
+
+    return [...this.cookies.values()]
+      .filter(({ cookie, hostOnly }) =>
+        (hostOnly ? hostname === cookie.domain : hostname === cookie.domain || hostname.endsWith(`.${cookie.domain}`)) &&
+        (pathname === cookie.path || pathname.startsWith(cookie.path.endsWith('/') ? cookie.path : `${cookie.path}/`)) &&
+        (!cookie.secure || protocol === 'https:') &&
+        (cookie.expires === -1 || cookie.expires * 1000 > now)
+      )
+      .sort((a, b) => b.cookie.path.length - a.cookie.path.length)
+      .map(({ cookie }) => `${cookie.name}=${cookie.value}`)
+      .join('; ');
+  }
+
+  /**
+   * Get all unexpired cookies in session format.
+   *
+   * @returns Cookies
+   */
+  getCookies(): SessionCookie[] {
+    const now = Date.now();
+    return [...this.cookies.values()]
+      .map(({ cookie }) => ({ ...cookie }))
+      .filter(cookie => cookie.expires === -1 || cookie.expires * 1000 > now);
+  }
+
+  /**
+   * Add cookies in session format.
+   *
+   * @param cookies - Cookies to add
+   */
+  setCookies(cookies: SessionCookie[]): void {
+    for (const cookie of cookies) {
+      this.cookies.set(`${cookie.domain};${cookie.path};${cookie.name}`, { cookie: { ...cookie }, hostOnly: false });
+    }
+  }
+}
+
+/**
+ * Create a native fetch client with its own cookie jar.
+ * Sends DEFAULT_HEADERS and follows redirects manually so cookies set
+ * on intermediate responses (e.g. the login redirect) are kept. GET requests
+ * stop when their AbortSignal aborts.
+ *
+ * @returns Fetch session
+ */
+export function createFetchClient(): FetchClient {
+  const jar = new FetchCookieJar();
+
+  const request = async (
+    url: string,
+    method: 'GET' | 'POST',
+    body?: URLSearchParams,
+    signal?: AbortSignal
+  ): Promise<FetchResult> => {
+    let currentUrl = url;
+    let currentMethod = method;
+    let currentBody = body;
+
+    for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+      const headers: Record<string, string> = { ...DEFAULT_HEADERS };
+      const cookieHeader = jar.getCookieHeader(currentUrl);
+      if (cookieHeader) headers['Cookie'] = cookieHeader;
+
+      const response = await fetch(currentUrl, {
+        method: currentMethod,
+        headers,
+        redirect: 'manual',
+        ...(currentBody ? { body: currentBody } : {}),
+        ...(signal ? { signal } : {}),
+      });
+
+      for (const setCookie of response.headers.getSetCookie()) {
+        jar.setCookie(setCookie, currentUrl);
+      }
+
+      const location = response.headers.get('location');
+      if (response.status >= 300 && response.status < 400 && location) {
+        await response.body?.cancel();
+        currentUrl = new URL(location, currentUrl).toString();
+        // Browsers turn a POST into a GET after 301/302/303
+        if (response.status !== 307 && response.status !== 308) {
+          currentMethod = 'GET';
+          currentBody = undefined;
+        }
+        continue;
+      }
+
+      return { status: response.status, url: currentUrl, body: await response.text() };
+    }
+
+    throw new KenpomError(`Too many redirects fetching ${url}`, { url, tier: 'fetch' });
+  };
+
+  return {
+    type: 'fetch',
+    client: {
+      get: (url, options = {}) => request(url, 'GET', undefined, options.signal),
+      post: (url, form) => request(url, 'POST', new URLSearchParams(form)),
+      getCookies: () => jar.getCookies(),
+      setCookies: (cookies) => jar.setCookies(cookies),
+    },
+  };
+}
+
 /**
  * Create a cloudscraper client for handling Cloudflare protection.
  *
@@ -340,10 +684,18 @@ export async function createCloudscraperClient(): Promise<CloudscraperClient> {
 
 /**
  * Create a puppeteer client with stealth (Tier 2).
+ * Every page gets the default user agent and, unless disabled, skips
+ * images, fonts, media and analytics requests.
  *
- * @returns Puppeteer browser and page
+ * @param options - Client options
+ * @param options.blockResources - Skip requests that do not affect page content (default: true)
+ * @returns Puppeteer browser, its first page and a factory for more pages
  */
-export async function createPuppeteerClient(): Promise<PuppeteerClient> {
+export async function createPuppeteerClient(
+  options: { blockResources?: boolean } = {}
+): Promise<PuppeteerClient> {
+  const { blockResources = DEFAULT_BROWSER_OPTIONS.blockResources } = options;
+
   try {
     // Dynamic import with type assertions for optional dependencies
     // Using unknown first to avoid type inference issues with puppeteer-extra
@@ -353,17 +705,7 @@ export async function createPuppeteerClient(): Promise<PuppeteerClient> {
     // Type the modules explicitly
     const puppeteer = puppeteerExtraModule.default as unknown as {
       use: (plugin: unknown) => void;
-      launch: (options: { headless?: boolean | string; args?: string[] }) => Promise<{
-        newPage: () => Promise<{
-          setUserAgent: (ua: string) => Promise<void>;
-          goto: (url: string, options?: { waitUntil?: string }) => Promise<unknown>;
-          content: () => Promise<string>;
-          type: (selector: string, text: string) => Promise<void>;
-          click: (selector: string) => Promise<void>;
-          waitForNavigation: (options?: { waitUntil?: string }) => Promise<unknown>;
-        }>;
-        close: () => Promise<void>;
-      }>;
+      launch: (options: { headless?: boolean | string; args?: string[] }) => Promise<PuppeteerClient['browser']>;
     };
     const stealth = stealthModule.default as unknown as () => unknown;
 
@@ -378,18 +720,310 @@ export async function createPuppeteerClient(): Promise<PuppeteerClient> {
       ],
     });
 
-    const page = await browser.newPage();
-    await page.setUserAgent(DEFAULT_HEADERS['User-Agent'] ?? '');
+    const newPage = async (): Promise<BrowserPage> => {
+      const page = await browser.newPage();
+      await page.setUserAgent(DEFAULT_HEADERS['User-Agent'] ?? '');
+
+      if (blockResources) {
+        await page.setRequestInterception(true);
+        page.on('request', request => {
+          const skip = isBlockedResource(request.resourceType(), request.url());
+          (skip ? request.abort() : request.continue()).catch(() => undefined);
+        });
+      }
+
+      return page;
+    };
 
     return {
       type: 'puppeteer',
-      browser: browser as unknown as PuppeteerClient['browser'],
-      page: page as unknown as PuppeteerClient['page'],
+      browser,
+      page: await newPage(),
+      newPage,
       close: async () => await browser.close(),
     };
   } catch (e) {
     const error = e as Error;
-    throw new Error(`Puppeteer not available: ${error.message}. Install puppeteer-extra and puppeteer-extra-plugin-stealth.`);
+    throw new KenpomError(
+      `Puppeteer not available: ${error.message}. Install puppeteer-extra and puppeteer-extra-plugin-stealth.`,
+      { tier: 'tier2', cause: error }
+    );
+  }
+}
+
+// ============================================================================
+// SESSION PERSISTENCE
+// ============================================================================
+
+/**
+ * Load a saved session from disk.
+ * Returns null if the file is missing or malformed so callers can fall back
+ * to a fresh credential login.
+ *
+ * @param filepath - Path to the session file
+ * @returns Saved session or null
+ */
+export function loadSession(filepath: string): StoredSession | null {
+  if (!fs.existsSync(filepath)) return null;
+
+  try {
+    const session = JSON.parse(fs.readFileSync(filepath, 'utf-8')) as StoredSession;
+    if (!session || !Array.isArray(session.cookies)) return null;
+    return session;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Save a session to disk.
+ * The file holds live authentication cookies, so it is only readable by the
+ * owner. It is written to a new file and renamed into place, so an existing
+ * file with wider permissions is replaced rather than written through.
+ *
+ * @param filepath - Path to the session file
+ * @param session - Session to save
+ */
+export function saveSession(filepath: string, session: StoredSession): void {
+  const dir = path.dirname(filepath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  const tempPath = `${filepath}.${process.pid}.tmp`;
+  try {
+    fs.writeFileSync(tempPath, JSON.stringify(session, null, 2), { mode: 0o600 });
+    fs.renameSync(tempPath, filepath);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Export cookies for a URL from a tough-cookie jar.
+ *
+ * @param jar - Cookie jar (cloudscraper/request)
+ * @param url - URL the cookies apply to
+ * @returns Cookies in session format
+ */
+export function exportJarCookies(jar: CookieJar, url: string): SessionCookie[] {
+  const hostname = new URL(url).hostname;
+
+  return jar.getCookies(url).map(cookie => ({
+    name: cookie.key,
+    value: cookie.value,
+    domain: cookie.domain ?? hostname,
+    path: cookie.path ?? '/',
+    expires: cookie.expires instanceof Date ? Math.floor(cookie.expires.getTime() / 1000) : -1,
+    httpOnly: cookie.httpOnly,
+    secure: cookie.secure,
+  }));
+}
+
+/**
+ * Import saved cookies into a tough-cookie jar.
+ *
+ * @param jar - Cookie jar (cloudscraper/request)
+ * @param url - URL the cookies apply to
+ * @param cookies - Cookies in session format
+ */
+export function importJarCookies(jar: CookieJar, url: string, cookies: SessionCookie[]): void {
+  for (const cookie of cookies) {
+    const parts = [
+      `${cookie.name}=${cookie.value}`,
+      `Domain=${cookie.domain}`,
+      `Path=${cookie.path}`,
+    ];
+    if (cookie.expires > 0) parts.push(`Expires=${new Date(cookie.expires * 1000).toUTCString()}`);
+    if (cookie.secure) parts.push('Secure');
+    if (cookie.httpOnly) parts.push('HttpOnly');
+
+    jar.setCookie(parts.join('; '), url);
+  }
+}
+
+// ============================================================================
+// RECORDED PAGES
+// ============================================================================
+
+/**
+ * Build the file name (without extension) a URL is recorded under.
+ * A readable slug of the path and query plus a hash of the full URL.
+ *
+ * @param url - Page URL
+ * @returns Fixture key
+ *
+ * @example
+ * fixtureKey('https://kenpom.com/team.php?team=Duke'); // 'team.php_team_Duke-3f1c2a9b0d4e'
+ */
+export function fixtureKey(url: string): string {
+  const { pathname, search } = new URL(url);
+  const slug = `${pathname}${search}`
+    .replace(/^\//, '')
+    .replace(/[^A-Za-z0-9._-]+/g, '_')
+    .slice(0, 80) || 'index';
+  const hash = createHash('sha256').update(url).digest('hex').slice(0, 12);
+  return `${slug}-${hash}`;
+}
+
+/**
+ * Save a recorded page as `<key>.html` with its metadata in `<key>.json`.
+ *
+ * @param dir - Fixtures directory
+ * @param page - Recorded page
+ */
+export function saveFixture(dir: string, page: RecordedPage): void {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  const { body, ...meta } = page;
+  const key = fixtureKey(page.url);
+  fs.writeFileSync(path.join(dir, `${key}.html`), body);
+  fs.writeFileSync(path.join(dir, `${key}.json`), JSON.stringify(meta, null, 2));
+}
+
+/**
+ * Load a recorded page.
+ *
+ * @param dir - Fixtures directory
+ * @param url - Page URL
+ * @returns Recorded page, or null if the URL was not recorded
+ * @throws KenpomError if the metadata file is not valid JSON
+ */
+export function loadFixture(dir: string, url: string): RecordedPage | null {
+  const key = fixtureKey(url);
+  const metaPath = path.join(dir, `${key}.json`);
+  const bodyPath = path.join(dir, `${key}.html`);
+  if (!fs.existsSync(metaPath) || !fs.existsSync(bodyPath)) return null;
+
+  let meta: Omit<RecordedPage, 'body'>;
+  try {
+    meta = JSON.parse(fs.readFileSync(metaPath, 'utf-8')) as Omit<RecordedPage, 'body'>;
+  } catch (e) {
+    const error = e as Error;
+    throw new KenpomError(`Corrupt fixture metadata at ${metaPath}: ${error.message}. Re-record the page.`, {
+      url,
+      cause: error,
+    });
+  }
+  return { ...meta, body: fs.readFileSync(bodyPath, 'utf-8') };
+}
+
+// ============================================================================
+// RESPONSE CACHE
+// ============================================================================
+
+/**
+ * On-disk cache of fetched pages keyed by URL.
+ * Pages are stored like recorded fixtures (`<key>.html` plus `<key>.json`
+ * metadata) with an expiry time.
+ *
+ * @example
+ * const cache = new ResponseCache('~/.kenpom/cache');
+ * cache.set(url, html, Infinity);
+ * cache.get(url); // html
+ */
+export class ResponseCache {
+  readonly dir: string;
+
+  /**
+   * @param dir - Cache directory (created on first write)
+   */
+  constructor(dir: string) {
+    this.dir = dir;
+  }
+
+  /**
+   * Get a cached page.
+   *
+   * @param url - Page URL
+   * @param now - Current time in milliseconds
+   * @returns Page body, or null if it is not cached or has expired
+   */
+  get(url: string, now: number = Date.now()): string | null {
+    const key = fixtureKey(url);
+    const metaPath = path.join(this.dir, `${key}.json`);
+    const bodyPath = path.join(this.dir, `${key}.html`);
+    if (!fs.existsSync(metaPath) || !fs.existsSync(bodyPath)) return null;
+
+    try {
+      const meta = JSON.parse(fs.readFileSync(metaPath, 'utf-8')) as CachedPageMeta;
+      if (meta.url !== url) return null;
+      if (meta.expiresAt !== null && Date.parse(meta.expiresAt) <= now) return null;
+      return fs.readFileSync(bodyPath, 'utf-8');
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Store a page. Pages with a lifetime of zero or less are not stored.
+   *
+   * @param url - Page URL
+   * @param body - Page body
+   * @param ttlMs - Lifetime in milliseconds (Infinity to never expire)
+   * @param now - Current time in milliseconds
+   */
+  set(url: string, body: string, ttlMs: number, now: number = Date.now()): void {
+    if (!(ttlMs > 0)) return;
+
+    if (!fs.existsSync(this.dir)) {
+      fs.mkdirSync(this.dir, { recursive: true });
+    }
+
+    const meta: CachedPageMeta = {
+      url,
+      storedAt: new Date(now).toISOString(),
+      expiresAt: Number.isFinite(ttlMs) ? new Date(now + ttlMs).toISOString() : null,
+    };
+    const key = fixtureKey(url);
+    fs.writeFileSync(path.join(this.dir, `${key}.html`), body);
+    fs.writeFileSync(path.join(this.dir, `${key}.json`), JSON.stringify(meta, null, 2));
+  }
+
+  /**
+   * Remove every cached page. Only files the cache wrote are removed: a
+   * `.json` file counts as a cached page when it holds cache metadata for
+   * the URL its name was built from, so other files sharing the directory
+   * (fixtures, datasets, package.json) are left alone.
+   *
+   * @returns Number of pages removed
+   */
+  clear(): number {
+    if (!fs.existsSync(this.dir)) return 0;
+
+    let removed = 0;
+    for (const file of fs.readdirSync(this.dir)) {
+      if (!file.endsWith('.json')) continue;
+      const key = file.slice(0, -'.json'.length);
+      if (!isCachedPageMeta(path.join(this.dir, file), key)) continue;
+
+      fs.rmSync(path.join(this.dir, file), { force: true });
+      fs.rmSync(path.join(this.dir, `${key}.html`), { force: true });
+      removed++;
+    }
+    return removed;
+  }
+}
+
+/**
+ * Check that a metadata file was written by ResponseCache for the page
+ * stored under `key`.
+ * @private
+ */
+function isCachedPageMeta(metaPath: string, key: string): boolean {
+  try {
+    const meta = JSON.parse(fs.readFileSync(metaPath, 'utf-8')) as Partial<CachedPageMeta> | null;
+    return (
+      typeof meta?.url === 'string' &&
+      typeof meta.storedAt === 'string' &&
+      (meta.expiresAt === null || typeof meta.expiresAt === 'string') &&
+      fixtureKey(meta.url) === key
+    );
+  } catch {
+    return false;
   }
 }
 
@@ -4,23 +4,53 @@
 
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { KenpomAPI } from '../dist/api.js';
-
-// Mock utils module
-vi.mock('../dist/utils.js', () => ({
+import {
+  AuthenticationError,
+  CloudflareError,
+  HttpError,
+  RateLimitError,
+  ParseError,
+  ValidationError,
+  AbortError,
+  TimeoutError,
+} from '../dist/errors.js';
+
+// Mock utils module (the concurrency limiter is pure, so keep the real one)
+vi.mock('../dist/utils.js', async (importOriginal) => ({
+  ConcurrencyLimiter: (await importOriginal()).ConcurrencyLimiter,
+  generateDateRange: (await importOriginal()).generateDateRange,
   parseTable: vi.fn(() => [{ team: 'Duke', rank: 1 }]),
   parseAllTables: vi.fn(() => [[{ team: 'Duke' }], [{ team: 'UNC' }]]),
   extractText: vi.fn(() => 'sample text'),
   extractSeason: vi.fn(() => 2025),
   extractTeamNames: vi.fn(() => ['Duke', 'North Carolina', 'Kansas']),
+  createFetchClient: vi.fn(),
   createCloudscraperClient: vi.fn(),
   createPuppeteerClient: vi.fn(),
   pause: vi.fn(),
   randomPause: vi.fn(),
+  backoffDelay: vi.fn(() => 0),
+  RequestScheduler: vi.fn(function () {
+    this.acquire = vi.fn(async () => {});
+  }),
+  loadSession: vi.fn(() => null),
+  saveSession: vi.fn(),
+  exportJarCookies: vi.fn(() => []),
+  importJarCookies: vi.fn(),
+  saveFixture: vi.fn(),
+  loadFixture: vi.fn(() => null),
+  ResponseCache: vi.fn(function (dir) {
+    this.dir = dir;
+    this.get = vi.fn(() => null);
+    this.set = vi.fn();
+    this.clear = vi.fn(() => 3);
+  }),
 }));
 
 // Mock parsers module
 vi.mock('../dist/parsers.js', () => ({
   parsePomeroyRatings: vi.fn(() => [{ Rk: '1', Team: 'Duke', Conf: 'ACC', Seed: '1' }]),
+  parseRatingsArchive: vi.fn((html, asOf) => [{ Rk: '1', Team: 'Duke', Conf: 'ACC', Seed: '', AsOf: asOf }]),
   parseEfficiency: vi.fn(() => [{ Team: 'Duke', Conference: 'ACC' }]),
   parseFourFactors: vi.fn(() => [{ Team: 'Duke', Conference: 'ACC', AdjTempo: '70.5' }]),
   parseTeamStats: vi.fn(() => [{ Team: 'Duke', Conference: 'ACC' }]),
@@ -34,15 +64,51 @@ vi.mock('../dist/parsers.js', () => ({
   parseArenas: vi.fn(() => [{ Rank: '1', Team: 'Duke', Arena: 'Cameron Indoor' }]),
   parseGameAttribs: vi.fn(() => [{ Rank: '1', Date: '2025-01-01', Game: 'Duke vs UNC' }]),
   parseProgramRatings: vi.fn(() => [{ Rank: '1', Team: 'Duke', Rating: '25.5' }]),
+  parseTeamHistory: vi.fn(() => [{ Season: '2025', Rank: '1', Coach: 'Jon Scheyer' }]),
+  parseCoach: vi.fn(() => ({
+    seasons: [{ Season: '2025', Team: 'Duke', 'W-L': '35-4' }],
+    career: { Seasons: 1, Wins: 35, Losses: 4, Teams: ['Duke'] },
+  })),
+  buildCoachingChanges: vi.fn(() => [
+    { Season: 2023, Coach: 'Jon Scheyer', PreviousCoach: 'Mike Krzyzewski', PreviousTenure: 42 },
+  ]),
   parseTrends: vi.fn(() => [{ Season: '2025', Tempo: '68.5' }]),
+  parseTeamPage: vi.fn(() => ({
+    coach: 'Jon Scheyer',
+    conference: 'ACC',
+    record: '1-0',
+    conferenceRecord: '0-0',
+    schedule: [{ Date: 'Nov 4', 'Opponent Name': 'Maine' }],
+    scouting: {
+      all: { OE: 115.5, 'OE.Rank': 10, DE: 95.2, 'DE.Rank': 5 },
+      conference: { OE: 112.4, 'OE.Rank': 18, DE: 98.1, 'DE.Rank': 9 },
+    },
+    roster: [{ Number: '1', Player: 'John Doe', PlayerID: '12345', Ht: '6-5' }],
+  })),
   parseSchedule: vi.fn(() => [{ Date: 'Nov 4', 'Opponent Name': 'Maine' }]),
+  parseRoster: vi.fn(() => [{ Number: '1', Player: 'John Doe', PlayerID: '12345', Ht: '6-5' }]),
+  parseScoutingReport: vi.fn((html, conferenceOnly) => conferenceOnly
+    ? { OE: 112.4, 'OE.Rank': 18, DE: 98.1, 'DE.Rank': 9 }
+    : { OE: 115.5, 'OE.Rank': 10, DE: 95.2, 'DE.Rank': 5 }),
+  parsePlayer: vi.fn(() => ({
+    bio: { Name: 'John Doe', Team: 'Duke' },
+    seasons: [{ Season: '2020', Team: 'Duke' }],
+    games: [{ Date: 'Nov 4', Opponent: 'Maine' }],
+  })),
   parseFanMatch: vi.fn(() => ({ games: [{ Game: 'Duke vs UNC' }], summary: null })),
+  parseGame: vi.fn(() => ({
+    Game: 'Duke 85, North Carolina 78',
+    winProbability: [{ Elapsed: 0, WinProb: 0.62, Score1: 0, Score2: 0 }],
+    boxScores: [{ Team: 'Duke', players: [{ Player: 'John Doe', PlayerID: '12345' }] }],
+    attributes: { Excitement: '7.4', Tension: '5.1', Dominance: '', ComeBack: '2.0', FanMatch: '' },
+  })),
   parseValidTeams: vi.fn(() => ['Duke', 'North Carolina', 'Kansas']),
-  parseScoutingReport: vi.fn(() => ({ OE: 115.5, 'OE.Rank': 10, DE: 95.2, 'DE.Rank': 5 })),
   parseConferenceStandings: vi.fn(() => [{ Team: 'Duke', Seed: '1' }]),
   parseConferenceOffense: vi.fn(() => [{ Team: 'Duke', AdjOE: '115.5' }]),
   parseConferenceDefense: vi.fn(() => [{ Team: 'Duke', AdjDE: '95.2' }]),
   parseConferenceAggregateStats: vi.fn(() => [{ Stat: 'Tempo', Value: '68.5', Rank: '1' }]),
+  getParseWarnings: vi.fn(result => result?.warnings ?? []),
+  attachParseWarnings: vi.fn((result, warnings) => Object.assign(result, { warnings })),
 }));
 
 // Mock config module partially (keep validators)
@@ -57,6 +123,25 @@ vi.mock('../dist/config.js', async (importOriginal) => {
   };
 });
 
+// Page returned by a mock transport
+const page = (body, status = 200) => ({ status, body });
+
+// Transport with mocked methods; get() returns an empty page by default
+const mockTransport = (get = vi.fn(async () => page('<html></html>')), name = 'tier1') => ({
+  name,
+  description: `Mock ${name}`,
+  login: vi.fn(async () => {}),
+  get,
+  close: vi.fn(async () => {}),
+});
+
+// Install a transport as if login() had succeeded
+const useTransport = (instance, transport) => {
+  instance.transport = transport;
+  instance.isLoggedIn = true;
+  return transport;
+};
+
 describe('KenpomAPI', () => {
   let api;
 
@@ -66,7 +151,7 @@ describe('KenpomAPI', () => {
   });
 
   afterEach(async () => {
-    if (api?.client) {
+    if (api?.transport) {
       await api.close();
     }
   });
@@ -77,7 +162,7 @@ describe('KenpomAPI', () => {
       expect(instance.email).toBe('test@example.com');
       expect(instance.password).toBe('testpass');
       expect(instance.clientTier).toBe('auto');
-      expect(instance.client).toBeNull();
+      expect(instance.transport).toBeNull();
       expect(instance.isLoggedIn).toBe(false);
     });
 
@@ -95,177 +180,1251 @@ describe('KenpomAPI', () => {
       const instance = new KenpomAPI({ logLevel: 'NONE' });
       expect(instance.logger.transports[0].silent).toBe(true);
     });
+
+    it('should map the WARNING log level to winston warn', () => {
+      const instance = new KenpomAPI({ logLevel: 'WARNING' });
+      expect(instance.logger.level).toBe('warn');
+    });
+
+    it('should append metadata to default log lines', () => {
+      const instance = new KenpomAPI({ logLevel: 'NONE' });
+      const info = instance.logger.format.transform({
+        level: 'info',
+        message: 'Fetching page',
+        url: 'https://kenpom.com/',
+        season: null,
+        tier: 'fetch',
+      });
+
+      expect(info[Symbol.for('message')]).toMatch(/ - INFO - Fetching page \(url=https:\/\/kenpom\.com\/, tier=fetch\)$/);
+    });
+  });
+
+  describe('injected logger', () => {
+    const mockLogger = () => ({ debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() });
+
+    it('should log through a logger object with structured metadata', async () => {
+      const logger = mockLogger();
+      const instance = new KenpomAPI({ logger });
+      useTransport(instance, mockTransport());
+
+      await instance.getPomeroyRatings(2024);
+
+      expect(instance.logger).toBe(logger);
+      expect(logger.info).toHaveBeenCalledWith('KenpomAPI initialized');
+      expect(logger.debug).toHaveBeenCalledWith('Fetching page', {
+        endpoint: 'POMEROY_RATINGS',
+        url: 'https://kenpom.com/index.php?y=2024',
+        season: 2024,
+      });
+    });
+
+    it('should create a child logger from a factory', () => {
+      const logger = mockLogger();
+      const factory = vi.fn(() => logger);
+
+      const instance = new KenpomAPI({ logger: factory });
+
+      expect(factory).toHaveBeenCalledWith({ name: 'kenpom-api' });
+      expect(instance.logger).toBe(logger);
+    });
+
+    it('should pass tier and error as metadata on failures', async () => {
+      const logger = mockLogger();
+      const instance = new KenpomAPI({ logger, retry: { maxAttempts: 2 } });
+      useTransport(instance, mockTransport(vi.fn()
+        .mockRejectedValueOnce(new Error('ECONNRESET'))
+        .mockResolvedValueOnce(page('<html></html>'))));
+
+      await instance.getHca();
+
+      expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('Attempt 1/2 failed'), expect.objectContaining({
+        endpoint: 'HCA',
+        url: 'https://kenpom.com/hca.php',
+        tier: 'tier1',
+        error: 'ECONNRESET',
+      }));
+    });
+  });
+
+  describe('coerce option', () => {
+    it('should pass the coerce option to parsers', async () => {
+      const { parsePomeroyRatings, parseSchedule } = await import('../dist/parsers.js');
+      const instance = new KenpomAPI({ coerce: true, logLevel: 'NONE' });
+      useTransport(instance, mockTransport());
+
+      await instance.getPomeroyRatings(2024);
+      await instance.getSchedule('Duke', 2024);
+
+      expect(parsePomeroyRatings).toHaveBeenCalledWith('<html></html>', { coerce: true });
+      expect(parseSchedule).toHaveBeenCalledWith('<html></html>', 2024, { coerce: true });
+    });
+
+    it('should leave parsed text unchanged by default', async () => {
+      const { parseTeamStats } = await import('../dist/parsers.js');
+      useTransport(api, mockTransport());
+
+      await api.getTeamStats(2024, true);
+
+      expect(parseTeamStats).toHaveBeenCalledWith('<html></html>', true, {});
+    });
+  });
+
+  describe('lenient option', () => {
+    const warning = { message: 'Table structure changed', expected: ['Team'], actual: ['Tm'] };
+
+    it('should pass the lenient option to parsers', async () => {
+      const { parseHca } = await import('../dist/parsers.js');
+      const instance = new KenpomAPI({ lenient: true, logLevel: 'NONE' });
+      useTransport(instance, mockTransport());
+
+      await instance.getHca();
+
+      expect(parseHca).toHaveBeenCalledWith('<html></html>', { lenient: true });
+    });
+
+    it('should log and emit parser warnings', async () => {
+      const { parseHca } = await import('../dist/parsers.js');
+      const logger = { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+      const instance = new KenpomAPI({ lenient: true, logger });
+      useTransport(instance, mockTransport());
+      const listener = vi.fn();
+      instance.on('parseWarning', listener);
+      parseHca.mockReturnValueOnce(Object.assign([{ Team: 'Duke' }], { warnings: [warning] }));
+
+      const result = await instance.getHca();
+
+      expect(result.warnings).toEqual([warning]);
+      expect(listener).toHaveBeenCalledWith({
+        url: 'https://kenpom.com/hca.php',
+        endpoint: 'HCA',
+        fromCache: false,
+        warnings: [warning],
+      });
+      expect(logger.warn).toHaveBeenCalledWith('Page structure changed', expect.objectContaining({
+        endpoint: 'HCA',
+        url: 'https://kenpom.com/hca.php',
+        warnings: 'Table structure changed',
+      }));
+    });
+
+    it('should keep FanMatch warnings on the response', async () => {
+      const { parseFanMatch } = await import('../dist/parsers.js');
+      const instance = new KenpomAPI({ lenient: true, logLevel: 'NONE' });
+      useTransport(instance, mockTransport());
+      parseFanMatch.mockReturnValueOnce({ games: [], summary: null, warnings: [warning] });
+
+      const result = await instance.getFanMatch('2025-03-01');
+
+      expect(result.warnings).toEqual([warning]);
+    });
+
+    it('should not emit warnings for clean parses', async () => {
+      useTransport(api, mockTransport());
+      const listener = vi.fn();
+      api.on('parseWarning', listener);
+
+      await api.getHca();
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('_verifySession', () => {
+    it('should throw if transport is null', async () => {
+      await expect(api._verifySession()).rejects.toThrow('Not logged in. Call login() first.');
+    });
+
+    it('should throw if not logged in', async () => {
+      api.transport = mockTransport();
+      api.isLoggedIn = false;
+      await expect(api._verifySession()).rejects.toThrow('Not logged in. Call login() first.');
+    });
+
+    it('should not throw if logged in', async () => {
+      useTransport(api, mockTransport());
+      await expect(api._verifySession()).resolves.toBeUndefined();
+    });
+  });
+
+  describe('_getHtml', () => {
+    it('should fetch with the active transport', async () => {
+      const transport = useTransport(api, mockTransport(vi.fn(async () => page('<html>test</html>'))));
+
+      const html = await api._getHtml('https://kenpom.com/test');
+
+      expect(transport.get).toHaveBeenCalledWith('https://kenpom.com/test');
+      expect(html).toBe('<html>test</html>');
+    });
+
+    it('should wrap transport failures as HttpError', async () => {
+      useTransport(api, mockTransport(vi.fn().mockRejectedValue(new TypeError('fetch failed')), 'fetch'));
+
+      const error = await api._getHtml('https://kenpom.com/test').catch(e => e);
+
+      expect(error).toBeInstanceOf(HttpError);
+      expect(error.message).toBe('fetch failed');
+      expect(error.status).toBeNull();
+      expect(error.url).toBe('https://kenpom.com/test');
+      expect(error.tier).toBe('fetch');
+    });
+
+    it('should keep typed errors thrown by the transport', async () => {
+      const cfError = new CloudflareError('Captcha');
+      useTransport(api, mockTransport(vi.fn().mockRejectedValue(cfError)));
+
+      const error = await api._getHtml('https://kenpom.com/test').catch(e => e);
+
+      expect(error).toBe(cfError);
+      expect(error.tier).toBe('tier1');
+    });
+
+    it('should throw RateLimitError on HTTP 429', async () => {
+      useTransport(api, mockTransport(vi.fn(async () => page('Too Many Requests', 429))));
+
+      const error = await api._getHtml('https://kenpom.com/test').catch(e => e);
+
+      expect(error).toBeInstanceOf(RateLimitError);
+      expect(error.status).toBe(429);
+    });
+
+    it('should throw CloudflareError for challenge pages', async () => {
+      useTransport(api, mockTransport(vi.fn(async () => page('<title>Just a moment...</title>', 403)), 'tier2'));
+
+      await expect(api._getHtml('https://kenpom.com/test')).rejects.toBeInstanceOf(CloudflareError);
+    });
+
+    it('should throw HttpError with status for error responses', async () => {
+      useTransport(api, mockTransport(vi.fn(async () => page('<html>error</html>', 500))));
+
+      const error = await api._getHtml('https://kenpom.com/test').catch(e => e);
+
+      expect(error).toBeInstanceOf(HttpError);
+      expect(error.status).toBe(500);
+    });
+
+    it('should accept a null status', async () => {
+      useTransport(api, mockTransport(vi.fn(async () => page('<html>ok</html>', null))));
+
+      await expect(api._getHtml('https://kenpom.com/test')).resolves.toBe('<html>ok</html>');
+    });
+
+    it('should throw without an active transport', async () => {
+      await expect(api._getHtml('https://kenpom.com/test')).rejects.toThrow('No active transport. This is an internal error');
+    });
+  });
+
+  describe('session expiry', () => {
+    const loggedOutHtml = '<form action="handlers/login_handler.php"><input name="email"></form>';
+
+    const setupTransport = (...pages) => {
+      const get = vi.fn();
+      for (const body of pages) {
+        get.mockResolvedValueOnce(page(body));
+      }
+      return useTransport(api, mockTransport(get));
+    };
+
+    const mockRelogin = (transport) => vi.spyOn(api, 'login').mockImplementation(async () => {
+      useTransport(api, transport);
+    });
+
+    it('should log in again and retry when the session has expired', async () => {
+      const transport = setupTransport(loggedOutHtml, '<html>data</html>');
+      const login = mockRelogin(transport);
+      const onRefresh = vi.fn();
+      api.on('sessionRefresh', onRefresh);
+
+      const html = await api._getHtml('https://kenpom.com/test');
+
+      expect(html).toBe('<html>data</html>');
+      expect(login).toHaveBeenCalledTimes(1);
+      expect(transport.close).toHaveBeenCalledTimes(1);
+      expect(onRefresh).toHaveBeenCalledWith({ url: 'https://kenpom.com/test', tier: 'tier1' });
+    });
+
+    it('should throw if the page is still logged out after re-login', async () => {
+      mockRelogin(setupTransport(loggedOutHtml, loggedOutHtml));
+
+      await expect(api._getHtml('https://kenpom.com/test')).rejects.toThrow('re-login did not restore access');
+    });
+
+    it('should share one re-login between concurrent requests', async () => {
+      const transport = setupTransport(loggedOutHtml, loggedOutHtml, '<html>a</html>', '<html>b</html>');
+      const login = mockRelogin(transport);
+
+      const results = await Promise.all([
+        api._getHtml('https://kenpom.com/a'),
+        api._getHtml('https://kenpom.com/b'),
+      ]);
+
+      expect(results).toEqual(['<html>a</html>', '<html>b</html>']);
+      expect(login).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject instead of hanging when re-login verification fails', async () => {
+      const get = vi.fn()
+        .mockResolvedValueOnce(page('Logged in as test'))
+        .mockResolvedValue(page(loggedOutHtml));
+      const transport = mockTransport(get, 'proxy');
+      const instance = new KenpomAPI({ transport, retry: false, logLevel: 'NONE' });
+      await instance.login();
+
+      const error = await instance.getPomeroyRatings(2024).catch(e => e);
+
+      expect(error).toBeInstanceOf(AuthenticationError);
+      expect(error.message).toMatch('All login attempts failed');
+      expect(transport.login).toHaveBeenCalledTimes(2);
+      expect(instance._relogin).toBeNull();
+    });
+
+    it('should hold calls made during a re-login until it finishes', async () => {
+      let expired = false;
+      const transport = mockTransport(vi.fn(async (url) => {
+        if (url === 'https://kenpom.com') return page('Logged in as test');
+        return page(expired ? loggedOutHtml : '<html></html>');
+      }), 'proxy');
+      transport.close.mockImplementation(() => new Promise(resolve => setTimeout(resolve, 100)));
+      transport.login.mockImplementation(async () => {
+        expired = false;
+        await new Promise(resolve => setTimeout(resolve, 50));
+      });
+      const instance = new KenpomAPI({ transport, retry: false, logLevel: 'NONE' });
+      await instance.login();
+      expired = true;
+
+      const first = instance.getHca();
+      await vi.waitFor(() => expect(transport.close).toHaveBeenCalled());
+      const second = instance.getTrends();
+
+      await expect(Promise.all([first, second])).resolves.toHaveLength(2);
+      expect(transport.login).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not re-login while not logged in', async () => {
+      setupTransport(loggedOutHtml);
+      api.isLoggedIn = false;
+      const login = vi.spyOn(api, 'login');
+
+      const html = await api._getHtml('https://kenpom.com/test');
+
+      expect(html).toBe(loggedOutHtml);
+      expect(login).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('login', () => {
+    const mockFetchSession = (html) => ({
+      get: vi.fn(async (url) => ({ status: 200, url, body: html })),
+      post: vi.fn(async (url) => ({ status: 200, url, body: '' })),
+      getCookies: vi.fn(() => []),
+      setCookies: vi.fn(),
+    });
+
+    it('should try the fetch tier first when auto', async () => {
+      const { createFetchClient, createCloudscraperClient } = await import('../dist/utils.js');
+      const session = mockFetchSession('Logged in as test@example.com');
+      createFetchClient.mockReturnValueOnce({ type: 'fetch', client: session });
+
+      await api.login();
+
+      expect(api.transport.name).toBe('fetch');
+      expect(api.isLoggedIn).toBe(true);
+      expect(createCloudscraperClient).not.toHaveBeenCalled();
+      expect(session.post).toHaveBeenCalledWith('https://kenpom.com/handlers/login_handler.php', {
+        email: 'test@example.com',
+        password: 'testpass',
+        submit: 'Login!',
+      });
+    });
+
+    it('should fall back to tier1 when the fetch tier is challenged', async () => {
+      const { createFetchClient, createCloudscraperClient } = await import('../dist/utils.js');
+      createFetchClient.mockReturnValueOnce({
+        type: 'fetch',
+        client: mockFetchSession('<html><title>Just a moment...</title></html>'),
+      });
+      createCloudscraperClient.mockResolvedValueOnce({
+        client: {
+          get: vi.fn((url, callback) => callback(null, { statusCode: 200 }, 'Logged in as test')),
+          post: vi.fn((options, callback) => callback(null, {}, '')),
+        },
+      });
+
+      await api.login();
+
+      expect(api.transport.name).toBe('tier1');
+    });
+
+    it('should use only the fetch tier when requested', async () => {
+      const { createFetchClient } = await import('../dist/utils.js');
+      createFetchClient.mockReturnValueOnce({ type: 'fetch', client: mockFetchSession('<html></html>') });
+
+      const instance = new KenpomAPI({ clientTier: 'fetch', logLevel: 'NONE' });
+      const error = await instance.login().catch(e => e);
+
+      expect(error).toBeInstanceOf(AuthenticationError);
+      expect(error.tier).toBe('fetch');
+    });
+
+    it('should try tiers in order when auto', async () => {
+      const { createFetchClient, createCloudscraperClient, createPuppeteerClient } = await import('../dist/utils.js');
+
+      // First tiers fail
+      createFetchClient.mockImplementationOnce(() => { throw new Error('Fetch failed'); });
+      createCloudscraperClient.mockRejectedValueOnce(new Error('Cloudscraper failed'));
+
+      // Second tier succeeds
+      const mockPage = {
+        goto: vi.fn(),
+        type: vi.fn(),
+        click: vi.fn(),
+        waitForNavigation: vi.fn(),
+        content: vi.fn().mockResolvedValue('Logged in as test@example.com'),
+      };
+      createPuppeteerClient.mockResolvedValueOnce({
+        browser: {},
+        page: mockPage,
+        close: vi.fn(),
+      });
+
+      await api.login();
+
+      expect(createFetchClient).toHaveBeenCalled();
+      expect(createCloudscraperClient).toHaveBeenCalled();
+      expect(createPuppeteerClient).toHaveBeenCalled();
+      expect(api.transport.name).toBe('tier2');
+      expect(api.isLoggedIn).toBe(true);
+    });
+
+    it('should use only specified tier when not auto', async () => {
+      const { createPuppeteerClient } = await import('../dist/utils.js');
+
+      const mockPage = {
+        goto: vi.fn(),
+        type: vi.fn(),
+        click: vi.fn(),
+        waitForNavigation: vi.fn(),
+        content: vi.fn().mockResolvedValue('Logged in as test@example.com'),
+      };
+      createPuppeteerClient.mockResolvedValueOnce({
+        browser: {},
+        page: mockPage,
+        close: vi.fn(),
+      });
+
+      const instance = new KenpomAPI({ clientTier: 'tier2', logLevel: 'NONE' });
+      await instance.login();
+
+      expect(createPuppeteerClient).toHaveBeenCalled();
+      expect(instance.transport.name).toBe('tier2');
+    });
+
+    it('should throw if all tiers fail', async () => {
+      const { createFetchClient, createCloudscraperClient, createPuppeteerClient } = await import('../dist/utils.js');
+
+      createFetchClient.mockImplementationOnce(() => { throw new Error('Fetch failed'); });
+      createCloudscraperClient.mockRejectedValueOnce(new Error('Cloudscraper failed'));
+      createPuppeteerClient.mockRejectedValueOnce(new Error('Puppeteer failed'));
+
+      await expect(api.login()).rejects.toThrow('All login attempts failed');
+    });
+
+    it('should throw AuthenticationError with the last tier error as cause', async () => {
+      const { createFetchClient, createCloudscraperClient, createPuppeteerClient } = await import('../dist/utils.js');
+
+      createFetchClient.mockImplementationOnce(() => { throw new Error('Fetch failed'); });
+      createCloudscraperClient.mockRejectedValueOnce(new Error('Cloudscraper failed'));
+      const lastError = new Error('Puppeteer failed');
+      createPuppeteerClient.mockRejectedValueOnce(lastError);
+
+      const error = await api.login().catch(e => e);
+
+      expect(error).toBeInstanceOf(AuthenticationError);
+      expect(error.cause).toBe(lastError);
+      expect(error.tier).toBe('tier2');
+    });
+
+    it('should log in with a custom transport', async () => {
+      const transport = mockTransport(vi.fn(async () => page('Logged in as test')), 'proxy');
+      const instance = new KenpomAPI({ transport, logLevel: 'NONE' });
+
+      await instance.login();
+
+      expect(transport.login).toHaveBeenCalledWith({ email: 'test@example.com', password: 'testpass' });
+      expect(transport.get).toHaveBeenCalledWith('https://kenpom.com');
+      expect(instance.transport).toBe(transport);
+      expect(instance.isLoggedIn).toBe(true);
+    });
+
+    it('should try a list of transports and tier names in order', async () => {
+      const { createCloudscraperClient } = await import('../dist/utils.js');
+      const failing = mockTransport(vi.fn(async () => page('<html></html>')), 'proxy');
+      createCloudscraperClient.mockResolvedValueOnce({
+        client: {
+          get: vi.fn((url, callback) => callback(null, { statusCode: 200 }, 'Logged in as test')),
+          post: vi.fn((options, callback) => callback(null, {}, '')),
+        },
+      });
+
+      const instance = new KenpomAPI({ transport: [failing, 'tier1'], logLevel: 'NONE' });
+      await instance.login();
+
+      expect(failing.login).toHaveBeenCalled();
+      expect(failing.close).toHaveBeenCalled();
+      expect(instance.transport.name).toBe('tier1');
+    });
+
+    it('should close the open transport when logging in again', async () => {
+      const { createFetchClient } = await import('../dist/utils.js');
+      const live = useTransport(api, mockTransport());
+      createFetchClient.mockReturnValueOnce({ type: 'fetch', client: mockFetchSession('Logged in as test') });
+
+      await api.login();
+
+      expect(live.close).toHaveBeenCalledTimes(1);
+      expect(api.transport.name).toBe('fetch');
+    });
+
+    it('should prefer the transport option over clientTier', async () => {
+      const { createPuppeteerClient } = await import('../dist/utils.js');
+      const transport = mockTransport(vi.fn(async () => page('Logged in as test')), 'proxy');
+
+      const instance = new KenpomAPI({ clientTier: 'tier2', transport, logLevel: 'NONE' });
+      await instance.login();
+
+      expect(createPuppeteerClient).not.toHaveBeenCalled();
+      expect(instance.transport).toBe(transport);
+    });
+
+    it('should throw ValidationError for unknown tier names', async () => {
+      const instance = new KenpomAPI({ clientTier: 'invalid', logLevel: 'NONE' });
+
+      const error = await instance.login().catch(e => e);
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.message).toContain("Unknown client tier: 'invalid'. Valid tiers are:");
+    });
+  });
+
+  describe('session persistence', () => {
+    const savedSession = {
+      tier: 'tier1',
+      savedAt: '2025-01-01T00:00:00.000Z',
+      cookies: [{ name: 'PHPSESSID', value: 'abc', domain: 'kenpom.com', path: '/', expires: -1, httpOnly: true, secure: true }],
+    };
+
+    const mockScraper = (loggedIn) => ({
+      get: vi.fn((url, callback) => callback(null, {}, loggedIn ? 'Logged in as test' : '<html></html>')),
+      post: vi.fn((options, callback) => callback(null, {}, '')),
+      defaultParams: { jar: {} },
+    });
+
+    it('should reuse a saved session without posting credentials', async () => {
+      const { createCloudscraperClient, loadSession, importJarCookies } = await import('../dist/utils.js');
+      const scraper = mockScraper(true);
+      createCloudscraperClient.mockResolvedValueOnce({ type: 'cloudscraper', client: scraper });
+      loadSession.mockReturnValueOnce(savedSession);
+
+      const instance = new KenpomAPI({ clientTier: 'tier1', sessionFile: '/tmp/session.json', logLevel: 'NONE' });
+      await instance.login();
+
+      expect(importJarCookies).toHaveBeenCalledWith(scraper.defaultParams.jar, 'https://kenpom.com', savedSession.cookies);
+      expect(scraper.post).not.toHaveBeenCalled();
+      expect(instance.isLoggedIn).toBe(true);
+    });
+
+    it('should log in with credentials when the saved session is stale', async () => {
+      const { createCloudscraperClient, loadSession } = await import('../dist/utils.js');
+      const scraper = mockScraper(false);
+      // Stale on restore, logged in after posting credentials
+      scraper.get
+        .mockImplementationOnce((url, callback) => callback(null, {}, '<html></html>'))
+        .mockImplementation((url, callback) => callback(null, {}, 'Logged in as test'));
+      createCloudscraperClient.mockResolvedValueOnce({ type: 'cloudscraper', client: scraper });
+      loadSession.mockReturnValueOnce(savedSession);
+
+      const instance = new KenpomAPI({ clientTier: 'tier1', sessionFile: '/tmp/session.json', logLevel: 'NONE' });
+      await instance.login();
+
+      expect(scraper.post).toHaveBeenCalled();
+      expect(instance.isLoggedIn).toBe(true);
+    });
+
+    it('should ignore a saved session from another tier', async () => {
+      const { createCloudscraperClient, loadSession, importJarCookies } = await import('../dist/utils.js');
+      const scraper = mockScraper(true);
+      createCloudscraperClient.mockResolvedValueOnce({ type: 'cloudscraper', client: scraper });
+      loadSession.mockReturnValueOnce({ ...savedSession, tier: 'tier2' });
+
+      const instance = new KenpomAPI({ clientTier: 'tier1', sessionFile: '/tmp/session.json', logLevel: 'NONE' });
+      await instance.login();
+
+      expect(importJarCookies).not.toHaveBeenCalled();
+      expect(scraper.post).toHaveBeenCalled();
+    });
+
+    it('should restore a saved fetch session into its cookie jar', async () => {
+      const { createFetchClient, loadSession } = await import('../dist/utils.js');
+      const session = {
+        get: vi.fn(async (url) => ({ status: 200, url, body: 'Logged in as test' })),
+        post: vi.fn(),
+        getCookies: vi.fn(() => []),
+        setCookies: vi.fn(),
+      };
+      createFetchClient.mockReturnValueOnce({ type: 'fetch', client: session });
+      loadSession.mockReturnValueOnce({ ...savedSession, tier: 'fetch' });
+
+      const instance = new KenpomAPI({ clientTier: 'fetch', sessionFile: '/tmp/session.json', logLevel: 'NONE' });
+      await instance.login();
+
+      expect(session.setCookies).toHaveBeenCalledWith(savedSession.cookies);
+      expect(session.post).not.toHaveBeenCalled();
+    });
+
+    it('should save the session after login', async () => {
+      const { createCloudscraperClient, saveSession, exportJarCookies } = await import('../dist/utils.js');
+      createCloudscraperClient.mockResolvedValueOnce({ type: 'cloudscraper', client: mockScraper(true) });
+      exportJarCookies.mockReturnValueOnce(savedSession.cookies);
+
+      const instance = new KenpomAPI({ clientTier: 'tier1', sessionFile: '/tmp/session.json', logLevel: 'NONE' });
+      await instance.login();
+
+      expect(saveSession).toHaveBeenCalledWith('/tmp/session.json', expect.objectContaining({
+        tier: 'tier1',
+        cookies: savedSession.cookies,
+      }));
+    });
+
+    it('should skip persistence for transports without cookie support', async () => {
+      const { loadSession, saveSession } = await import('../dist/utils.js');
+      const transport = mockTransport(vi.fn(async () => page('Logged in as test')), 'proxy');
+
+      const instance = new KenpomAPI({ transport, sessionFile: '/tmp/session.json', logLevel: 'NONE' });
+      await instance.login();
+
+      expect(transport.login).toHaveBeenCalled();
+      expect(loadSession).not.toHaveBeenCalled();
+      expect(saveSession).not.toHaveBeenCalled();
+    });
+
+    it('should not touch the session file when none is configured', async () => {
+      const { createCloudscraperClient, loadSession, saveSession } = await import('../dist/utils.js');
+      createCloudscraperClient.mockResolvedValueOnce({ type: 'cloudscraper', client: mockScraper(true) });
+
+      const instance = new KenpomAPI({ clientTier: 'tier1', logLevel: 'NONE' });
+      await instance.login();
+
+      expect(loadSession).not.toHaveBeenCalled();
+      expect(saveSession).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('record and replay', () => {
+    afterEach(async () => {
+      const { loadFixture } = await import('../dist/utils.js');
+      loadFixture.mockImplementation(() => null);
+    });
+
+    it('should replay recorded pages without credentials or network', async () => {
+      const { getKenpomCredentials } = await import('../dist/config.js');
+      const { loadFixture, createFetchClient } = await import('../dist/utils.js');
+      getKenpomCredentials.mockClear();
+      loadFixture.mockImplementation((dir, url) => ({
+        url,
+        status: 200,
+        tier: 'tier1',
+        recordedAt: '2025-01-01T00:00:00.000Z',
+        body: url === 'https://kenpom.com' ? 'Logged in as test' : '<html><table></table></html>',
+      }));
+
+      const instance = new KenpomAPI({ replay: '/tmp/fixtures', logLevel: 'NONE' });
+      await instance.login();
+      const result = await instance.getHca();
+
+      expect(getKenpomCredentials).not.toHaveBeenCalled();
+      expect(createFetchClient).not.toHaveBeenCalled();
+      expect(instance.transport.name).toBe('replay');
+      expect(instance.scheduler).toBeNull();
+      expect(result).toEqual([{ Team: 'Duke', Conference: 'ACC', HCA: '4.5' }]);
+    });
+
+    it('should fail without retrying on unrecorded URLs', async () => {
+      const { loadFixture } = await import('../dist/utils.js');
+      const instance = new KenpomAPI({ replay: '/tmp/fixtures', logLevel: 'NONE' });
+      useTransport(instance, instance._resolveTransports()[0]);
+
+      await expect(instance.getHca()).rejects.toThrow('No recorded response for https://kenpom.com/hca.php');
+      expect(loadFixture).toHaveBeenCalledTimes(1);
+    });
+
+    it('should record pages fetched through every tier', async () => {
+      const { saveFixture } = await import('../dist/utils.js');
+      const transport = mockTransport(vi.fn(async () => page('Logged in as test')), 'proxy');
+
+      const instance = new KenpomAPI({ transport, record: '/tmp/fixtures', logLevel: 'NONE' });
+      await instance.login();
+
+      expect(instance.transport.name).toBe('proxy');
+      expect(saveFixture).toHaveBeenCalledWith('/tmp/fixtures', expect.objectContaining({
+        url: 'https://kenpom.com',
+        tier: 'proxy',
+        body: 'Logged in as test',
+      }));
+    });
+
+    it('should reject record and replay together', () => {
+      expect(() => new KenpomAPI({ record: 'a', replay: 'b', logLevel: 'NONE' })).toThrow(ValidationError);
+    });
+  });
+
+  describe('tier escalation', () => {
+    const challengeHtml = '<html><title>Just a moment...</title></html>';
+
+    // Transport that logs in fine and is challenged on data pages once `challenged` is set
+    const tier = (name) => {
+      const transport = mockTransport(vi.fn(async (url) => {
+        if (url === 'https://kenpom.com') return page('Logged in as test');
+        return page(transport.challenged ? challengeHtml : `<html>${name}</html>`);
+      }), name);
+      transport.challenged = false;
+      return transport;
+    };
+
+    let first;
+    let second;
+
+    const loggedIn = async (options = {}) => {
+      const instance = new KenpomAPI({ transport: [first, second], retry: false, logLevel: 'NONE', ...options });
+      await instance.login();
+      return instance;
+    };
+
+    beforeEach(() => {
+      first = tier('first');
+      second = tier('second');
+    });
+
+    it('should switch to the next tier and retry when challenged', async () => {
+      const instance = await loggedIn();
+      const onTierChange = vi.fn();
+      instance.on('tierChange', onTierChange);
+      first.challenged = true;
+
+      const result = await instance.getHca();
+
+      expect(result).toEqual([{ Team: 'Duke', Conference: 'ACC', HCA: '4.5' }]);
+      expect(instance.transport).toBe(second);
+      expect(second.get).toHaveBeenCalledWith('https://kenpom.com/hca.php');
+      expect(first.close).toHaveBeenCalled();
+      expect(onTierChange).toHaveBeenCalledWith({
+        from: 'first',
+        to: 'second',
+        url: 'https://kenpom.com/hca.php',
+        reason: 'challenge',
+      });
+    });
+
+    it('should throw the challenge when no later tier is left', async () => {
+      const instance = await loggedIn();
+      first.challenged = true;
+      second.challenged = true;
+
+      await expect(instance.getHca()).rejects.toThrow(CloudflareError);
+      expect(instance.transport).toBe(second);
+      expect(instance.isLoggedIn).toBe(true);
+    });
+
+    it('should keep the current tier when the next one fails to log in', async () => {
+      const instance = await loggedIn();
+      first.challenged = true;
+      second.login.mockRejectedValueOnce(new Error('browser missing'));
+
+      await expect(instance.getHca()).rejects.toThrow(CloudflareError);
+      expect(instance.transport).toBe(first);
+      expect(instance.isLoggedIn).toBe(true);
+      expect(second.close).toHaveBeenCalled();
+      expect(first.close).not.toHaveBeenCalled();
+    });
+
+    it('should not escalate when disabled', async () => {
+      const instance = await loggedIn({ escalation: false });
+      first.challenged = true;
+
+      await expect(instance.getHca()).rejects.toThrow(CloudflareError);
+      expect(second.login).not.toHaveBeenCalled();
+    });
+
+    it('should not escalate during login verification', async () => {
+      first.challenged = true;
+      first.get.mockResolvedValueOnce(page(challengeHtml));
+
+      const instance = await loggedIn();
+
+      expect(instance.transport).toBe(second);
+      expect(instance.baseTransport).toBe(second);
+    });
+
+    it('should share one escalation between concurrent requests', async () => {
+      const instance = await loggedIn();
+      first.challenged = true;
+
+      await Promise.all([instance.getHca(), instance.getTrends()]);
+
+      expect(second.login).toHaveBeenCalledTimes(1);
+      expect(instance.transport).toBe(second);
+    });
+
+    it('should hold calls made during an escalation until it finishes', async () => {
+      const instance = await loggedIn();
+      second.login.mockImplementation(() => new Promise(resolve => setTimeout(resolve, 50)));
+      first.challenged = true;
+
+      const escalating = instance.getHca();
+      await vi.waitFor(() => expect(second.login).toHaveBeenCalled());
+      const during = instance.getTrends();
+
+      await expect(Promise.all([escalating, during])).resolves.toHaveLength(2);
+      expect(second.get).toHaveBeenCalledWith('https://kenpom.com/trends.php');
+      expect(first.get).not.toHaveBeenCalledWith('https://kenpom.com/trends.php');
+    });
+
+    it('should return to the original tier after the cool-down', async () => {
+      const instance = await loggedIn({ escalation: { cooldownMs: 1000 } });
+      const onTierChange = vi.fn();
+      instance.on('tierChange', onTierChange);
+      first.challenged = true;
+      await instance.getHca();
+
+      first.challenged = false;
+      instance.escalatedAt = Date.now() - 1000;
+      await instance.getTrends();
+
+      expect(instance.transport).toBe(first);
+      expect(instance.escalatedAt).toBeNull();
+      expect(first.login).toHaveBeenCalledTimes(2);
+      expect(onTierChange).toHaveBeenLastCalledWith(expect.objectContaining({
+        from: 'second',
+        to: 'first',
+        reason: 'cooldown',
+      }));
+    });
+
+    it('should stay escalated without a cool-down', async () => {
+      const instance = await loggedIn();
+      first.challenged = true;
+      await instance.getHca();
+
+      first.challenged = false;
+      instance.escalatedAt = Date.now() - 24 * 60 * 60 * 1000;
+      await instance.getTrends();
+
+      expect(instance.transport).toBe(second);
+    });
+  });
+
+  describe('concurrency', () => {
+    // Transport whose requests stay in flight until finished by the test
+    const heldTransport = () => {
+      const pending = [];
+      const transport = mockTransport(vi.fn(() => new Promise(resolve => {
+        pending.push(() => resolve(page('<html></html>')));
+      })));
+      return { transport, pending };
+    };
+    const settle = () => new Promise(resolve => setTimeout(resolve, 10));
+
+    it('should send one request at a time by default', async () => {
+      const { transport, pending } = heldTransport();
+      useTransport(api, transport);
+
+      const requests = [api.getHca(), api.getTrends()];
+      await vi.waitFor(() => expect(transport.get).toHaveBeenCalledTimes(1));
+      await settle();
+      expect(transport.get).toHaveBeenCalledTimes(1);
+
+      pending[0]();
+      await vi.waitFor(() => expect(transport.get).toHaveBeenCalledTimes(2));
+      pending[1]();
+      await Promise.all(requests);
+    });
+
+    it('should keep up to the concurrency limit in flight', async () => {
+      const instance = new KenpomAPI({ concurrency: 2, logLevel: 'NONE' });
+      const { transport, pending } = heldTransport();
+      useTransport(instance, transport);
+
+      const requests = [instance.getHca(), instance.getTrends(), instance.getProgramRatings()];
+      await vi.waitFor(() => expect(transport.get).toHaveBeenCalledTimes(2));
+      await settle();
+      expect(transport.get).toHaveBeenCalledTimes(2);
+
+      pending[0]();
+      await vi.waitFor(() => expect(transport.get).toHaveBeenCalledTimes(3));
+      pending[1]();
+      pending[2]();
+      await Promise.all(requests);
+    });
+
+    it('should still wait for the rate limiter on every request', async () => {
+      const instance = new KenpomAPI({ concurrency: 3, logLevel: 'NONE' });
+      useTransport(instance, mockTransport(vi.fn(async () => page('<html></html>'))));
+
+      await Promise.all([instance.getHca(), instance.getTrends(), instance.getProgramRatings()]);
+
+      expect(instance.scheduler.acquire).toHaveBeenCalledTimes(3);
+    });
+
+    it('should size the tier 2 page pool to the concurrency', () => {
+      const instance = new KenpomAPI({ concurrency: 4, clientTier: 'tier2', logLevel: 'NONE' });
+      expect(instance._resolveTransports()[0].options.pages).toBe(4);
+
+      const custom = new KenpomAPI({ concurrency: 4, clientTier: 'tier2', browser: { pages: 2 }, logLevel: 'NONE' });
+      expect(custom._resolveTransports()[0].options.pages).toBe(2);
+    });
+  });
+
+  describe('cancellation', () => {
+    // Transport whose requests never finish
+    const hangingTransport = () => mockTransport(vi.fn(() => new Promise(() => {})));
+
+    it('should reject an already aborted call without a request', async () => {
+      const transport = useTransport(api, mockTransport());
+
+      await expect(api.getHca({ signal: AbortSignal.abort() })).rejects.toBeInstanceOf(AbortError);
+      expect(transport.get).not.toHaveBeenCalled();
+    });
+
+    it('should reject as soon as the signal aborts', async () => {
+      const transport = useTransport(api, hangingTransport());
+      const controller = new AbortController();
+
+      const pending = api.getHca({ signal: controller.signal });
+      await vi.waitFor(() => expect(transport.get).toHaveBeenCalled());
+      controller.abort();
+
+      const error = await pending.catch(e => e);
+      expect(error).toBeInstanceOf(AbortError);
+      expect(error.endpoint).toBe('HCA');
+    });
+
+    it('should reject with TimeoutError after timeoutMs', async () => {
+      useTransport(api, hangingTransport());
+
+      const error = await api.getHca({ timeoutMs: 20 }).catch(e => e);
+
+      expect(error).toBeInstanceOf(TimeoutError);
+      expect(error.timeoutMs).toBe(20);
+      expect(error.message).toBe('Request timed out after 20ms');
+    });
+
+    it('should reject invalid timeouts', async () => {
+      useTransport(api, mockTransport());
+
+      await expect(api.getHca({ timeoutMs: 0 })).rejects.toBeInstanceOf(ValidationError);
+      await expect(api.getHca({ timeoutMs: -5 })).rejects.toBeInstanceOf(ValidationError);
+    });
+
+    it('should pass the signal to the transport', async () => {
+      const transport = useTransport(api, mockTransport());
+      const { signal } = new AbortController();
+
+      await api.getHca({ signal });
+      await api.getTrends();
+
+      expect(transport.get).toHaveBeenNthCalledWith(1, 'https://kenpom.com/hca.php', { signal });
+      expect(transport.get).toHaveBeenNthCalledWith(2, 'https://kenpom.com/trends.php');
+    });
+
+    it('should not retry an aborted request', async () => {
+      const controller = new AbortController();
+      const transport = useTransport(api, mockTransport(vi.fn(async () => {
+        controller.abort();
+        throw new Error('socket hang up');
+      })));
+
+      await expect(api.getHca({ signal: controller.signal })).rejects.toBeInstanceOf(AbortError);
+      expect(transport.get).toHaveBeenCalledTimes(1);
+    });
+
+    it('should apply one timeout to all metrics of getAllPlayerStats', async () => {
+      useTransport(api, hangingTransport());
+
+      await expect(api.getAllPlayerStats(2025, null, false, { timeoutMs: 20 })).rejects.toBeInstanceOf(TimeoutError);
+    });
   });
 
-  describe('_verifySession', () => {
-    it('should throw if client is null', () => {
-      expect(() => api._verifySession()).toThrow('Not logged in. Call login() first.');
+  describe('response cache', () => {
+    let instance;
+    let transport;
+
+    beforeEach(() => {
+      instance = new KenpomAPI({ cache: '/tmp/cache', retry: false, logLevel: 'NONE' });
+      transport = useTransport(instance, mockTransport(vi.fn(async () => page('<html>fetched</html>'))));
     });
 
-    it('should throw if not logged in', () => {
-      api.client = {};
-      api.isLoggedIn = false;
-      expect(() => api._verifySession()).toThrow('Not logged in. Call login() first.');
+    it('should be disabled by default', () => {
+      expect(api.cache).toBeNull();
     });
 
-    it('should not throw if logged in', () => {
-      api.client = {};
-      api.isLoggedIn = true;
-      expect(() => api._verifySession()).not.toThrow();
+    it('should serve fresh cached pages without fetching', async () => {
+      const { parsePomeroyRatings } = await import('../dist/parsers.js');
+      instance.cache.get.mockReturnValueOnce('<html>cached</html>');
+
+      const result = await instance.getPomeroyRatings(2012);
+
+      expect(result).toEqual([{ Rk: '1', Team: 'Duke', Conf: 'ACC', Seed: '1' }]);
+      expect(instance.cache.get).toHaveBeenCalledWith('https://kenpom.com/index.php?y=2012');
+      expect(parsePomeroyRatings).toHaveBeenCalledWith('<html>cached</html>', {});
+      expect(transport.get).not.toHaveBeenCalled();
     });
-  });
 
-  describe('_getHtml', () => {
-    it('should fetch with tier1 client', async () => {
-      const mockGet = vi.fn((url, callback) => {
-        callback(null, {}, '<html>test</html>');
-      });
-      api.client = { get: mockGet };
-      api.clientType = 'tier1';
+    it('should store completed seasons indefinitely and current pages briefly', async () => {
+      await instance.getPomeroyRatings(2012);
+      await instance.getTrends();
 
-      const html = await api._getHtml('https://kenpom.com/test');
+      expect(instance.cache.set).toHaveBeenCalledWith(
+        'https://kenpom.com/index.php?y=2012', '<html>fetched</html>', Infinity
+      );
+      expect(instance.cache.set).toHaveBeenCalledWith(
+        'https://kenpom.com/trends.php', '<html>fetched</html>', 60 * 60 * 1000
+      );
+    });
 
-      expect(mockGet).toHaveBeenCalledWith('https://kenpom.com/test', expect.any(Function));
-      expect(html).toBe('<html>test</html>');
+    it('should apply custom lifetimes', async () => {
+      instance = new KenpomAPI({ cache: { dir: '/tmp/cache', currentTtlMs: 1000 }, logLevel: 'NONE' });
+      useTransport(instance, transport);
+
+      await instance.getHca();
+
+      expect(instance.cache.set).toHaveBeenCalledWith('https://kenpom.com/hca.php', '<html>fetched</html>', 1000);
     });
 
-    it('should handle tier1 errors', async () => {
-      const mockGet = vi.fn((url, callback) => {
-        callback(new Error('Network error'), null, null);
-      });
-      api.client = { get: mockGet };
-      api.clientType = 'tier1';
+    it('should fetch and update the cache on refresh', async () => {
+      instance.cache.get.mockReturnValue('<html>cached</html>');
+
+      await instance.getPomeroyRatings(2012, { refresh: true });
 
-      await expect(api._getHtml('https://kenpom.com/test')).rejects.toThrow('Network error');
+      expect(instance.cache.get).not.toHaveBeenCalled();
+      expect(transport.get).toHaveBeenCalledTimes(1);
+      expect(instance.cache.set).toHaveBeenCalled();
     });
 
-    it('should fetch with tier2 client', async () => {
-      const mockPage = {
-        goto: vi.fn(),
-        content: vi.fn().mockResolvedValue('<html>tier2</html>'),
-      };
-      api.client = { page: mockPage };
-      api.clientType = 'tier2';
+    it('should neither read nor write the cache when cache is false', async () => {
+      await instance.getSchedule('Duke', 2012, { cache: false });
 
-      const html = await api._getHtml('https://kenpom.com/test');
+      expect(instance.cache.get).not.toHaveBeenCalled();
+      expect(instance.cache.set).not.toHaveBeenCalled();
+      expect(transport.get).toHaveBeenCalledTimes(1);
+    });
+
+    it('should pass request options through getAllPlayerStats', async () => {
+      await instance.getAllPlayerStats(2012, null, false, { cache: false });
 
-      expect(mockPage.goto).toHaveBeenCalledWith('https://kenpom.com/test', { waitUntil: 'networkidle2' });
-      expect(html).toBe('<html>tier2</html>');
+      expect(instance.cache.get).not.toHaveBeenCalled();
+      expect(transport.get).toHaveBeenCalled();
     });
 
-    it('should throw for unknown client type', async () => {
-      api.client = {};
-      api.clientType = 'unknown';
+    it('should not cache pages that fail to parse', async () => {
+      const { parseHca } = await import('../dist/parsers.js');
+      parseHca.mockImplementationOnce(() => { throw new Error('No tables found'); });
 
-      await expect(api._getHtml('https://kenpom.com/test')).rejects.toThrow("Unknown client type: 'unknown'. This is an internal error");
+      await expect(instance.getHca()).rejects.toThrow(ParseError);
+      expect(instance.cache.set).not.toHaveBeenCalled();
     });
-  });
 
-  describe('login', () => {
-    it('should try tiers in order when auto', async () => {
-      const { createCloudscraperClient, createPuppeteerClient } = await import('../dist/utils.js');
+    it('should fetch again when the cached copy fails to parse', async () => {
+      const { parseHca } = await import('../dist/parsers.js');
+      instance.cache.get.mockReturnValueOnce('<html>old layout</html>');
+      parseHca.mockImplementationOnce(() => { throw new Error('No tables found'); });
 
-      // First tier fails
-      createCloudscraperClient.mockRejectedValueOnce(new Error('Cloudscraper failed'));
+      const result = await instance.getHca();
 
-      // Second tier succeeds
-      const mockPage = {
-        goto: vi.fn(),
-        type: vi.fn(),
-        click: vi.fn(),
-        waitForNavigation: vi.fn(),
-        content: vi.fn().mockResolvedValue('Logged in as test@example.com'),
-      };
-      createPuppeteerClient.mockResolvedValueOnce({
-        browser: {},
-        page: mockPage,
-        close: vi.fn(),
-      });
+      expect(result).toEqual([{ Team: 'Duke', Conference: 'ACC', HCA: '4.5' }]);
+      expect(transport.get).toHaveBeenCalledTimes(1);
+      expect(instance.cache.set).toHaveBeenCalled();
+    });
 
-      await api.login();
+    it('should not read the cache in record mode', async () => {
+      instance = new KenpomAPI({ cache: '/tmp/cache', record: '/tmp/fixtures', logLevel: 'NONE' });
+      useTransport(instance, transport);
+      instance.cache.get.mockReturnValue('<html>cached</html>');
 
-      expect(createCloudscraperClient).toHaveBeenCalled();
-      expect(createPuppeteerClient).toHaveBeenCalled();
-      expect(api.clientType).toBe('tier2');
-      expect(api.isLoggedIn).toBe(true);
+      await instance.getHca();
+
+      expect(instance.cache.get).not.toHaveBeenCalled();
+      expect(transport.get).toHaveBeenCalledTimes(1);
     });
 
-    it('should use only specified tier when not auto', async () => {
-      const { createPuppeteerClient } = await import('../dist/utils.js');
+    it('should be disabled in replay mode', () => {
+      instance = new KenpomAPI({ cache: '/tmp/cache', replay: '/tmp/fixtures', logLevel: 'NONE' });
+      expect(instance.cache).toBeNull();
+    });
 
-      const mockPage = {
-        goto: vi.fn(),
-        type: vi.fn(),
-        click: vi.fn(),
-        waitForNavigation: vi.fn(),
-        content: vi.fn().mockResolvedValue('Logged in as test@example.com'),
-      };
-      createPuppeteerClient.mockResolvedValueOnce({
-        browser: {},
-        page: mockPage,
-        close: vi.fn(),
+    it('should clear the cache', () => {
+      expect(instance.clearCache()).toBe(3);
+      expect(api.clearCache()).toBe(0);
+    });
+  });
+
+  describe('lifecycle events', () => {
+    // Record every lifecycle event as [name, payload]
+    const recordEvents = (instance) => {
+      const events = [];
+      for (const name of [
+        'loginStart', 'loginSuccess', 'loginFailure', 'requestStart', 'requestEnd',
+        'cacheHit', 'cacheMiss', 'retry', 'parseStart', 'parseEnd',
+      ]) {
+        instance.on(name, payload => events.push([name, payload]));
+      }
+      return events;
+    };
+
+    it('should emit login events per tier', async () => {
+      const instance = new KenpomAPI({
+        transport: [
+          mockTransport(vi.fn(async () => page('<html>Logged out</html>')), 'proxy'),
+          mockTransport(vi.fn(async () => page('Logged in as test')), 'tier1'),
+        ],
+        logLevel: 'NONE',
       });
+      const events = recordEvents(instance);
 
-      const instance = new KenpomAPI({ clientTier: 'tier2', logLevel: 'NONE' });
       await instance.login();
 
-      expect(createPuppeteerClient).toHaveBeenCalled();
-      expect(instance.clientType).toBe('tier2');
+      const logins = events.filter(([name]) => name.startsWith('login'));
+      expect(logins.map(([name, { tier }]) => [name, tier])).toEqual([
+        ['loginStart', 'proxy'],
+        ['loginFailure', 'proxy'],
+        ['loginStart', 'tier1'],
+        ['loginSuccess', 'tier1'],
+      ]);
+      expect(logins[1][1].error).toBeInstanceOf(AuthenticationError);
+      expect(logins[3][1]).toEqual({ tier: 'tier1', durationMs: expect.any(Number), restored: false });
     });
 
-    it('should throw if all tiers fail', async () => {
-      const { createCloudscraperClient, createPuppeteerClient } = await import('../dist/utils.js');
+    it('should emit request and parse events with sizes and row counts', async () => {
+      useTransport(api, mockTransport(vi.fn(async () => page('<html>héllo</html>'))));
+      const events = recordEvents(api);
+
+      await api.getHca();
+
+      expect(events).toEqual([
+        ['requestStart', { url: 'https://kenpom.com/hca.php', tier: 'tier1' }],
+        ['requestEnd', {
+          url: 'https://kenpom.com/hca.php',
+          tier: 'tier1',
+          status: 200,
+          bytes: 19,
+          durationMs: expect.any(Number),
+          error: null,
+        }],
+        ['parseStart', { url: 'https://kenpom.com/hca.php', endpoint: 'HCA', fromCache: false }],
+        ['parseEnd', {
+          url: 'https://kenpom.com/hca.php',
+          endpoint: 'HCA',
+          fromCache: false,
+          rows: 1,
+          durationMs: expect.any(Number),
+          error: null,
+        }],
+      ]);
+    });
 
-      createCloudscraperClient.mockRejectedValueOnce(new Error('Cloudscraper failed'));
-      createPuppeteerClient.mockRejectedValueOnce(new Error('Puppeteer failed'));
+    it('should report rejected responses and parse failures', async () => {
+      const { parseHca } = await import('../dist/parsers.js');
+      const instance = new KenpomAPI({ retry: false, logLevel: 'NONE' });
+      useTransport(instance, mockTransport(vi.fn()
+        .mockResolvedValueOnce(page('<html></html>', 500))
+        .mockResolvedValueOnce(page('<html></html>'))));
+      const events = recordEvents(instance);
+
+      await expect(instance.getHca()).rejects.toBeInstanceOf(HttpError);
+      parseHca.mockImplementationOnce(() => { throw new Error('No tables found'); });
+      await expect(instance.getHca()).rejects.toBeInstanceOf(ParseError);
+
+      const [failedRequest] = events.filter(([name]) => name === 'requestEnd');
+      expect(failedRequest[1]).toMatchObject({ status: 500, error: expect.any(HttpError) });
+      const [, parseEnd] = events.find(([name]) => name === 'parseEnd');
+      expect(parseEnd).toMatchObject({ rows: null, error: expect.any(ParseError) });
+    });
 
-      await expect(api.login()).rejects.toThrow('All login attempts failed');
+    it('should emit retry events before each backoff', async () => {
+      useTransport(api, mockTransport(vi.fn()
+        .mockRejectedValueOnce(new Error('ECONNRESET'))
+        .mockResolvedValueOnce(page('<html></html>'))));
+      const events = recordEvents(api);
+
+      await api.getHca();
+
+      const retries = events.filter(([name]) => name === 'retry').map(([, payload]) => payload);
+      expect(retries).toEqual([{
+        url: 'https://kenpom.com/hca.php',
+        endpoint: 'HCA',
+        attempt: 1,
+        maxAttempts: 3,
+        delayMs: 0,
+        error: expect.any(HttpError),
+      }]);
     });
-  });
 
-  describe('_loginWithTier', () => {
-    it('should throw for unknown tier', async () => {
-      await expect(api._loginWithTier('invalid')).rejects.toThrow("Unknown client tier: 'invalid'. Valid tiers are:");
+    it('should emit cache hits and misses', async () => {
+      const instance = new KenpomAPI({ cache: '/tmp/cache', logLevel: 'NONE' });
+      useTransport(instance, mockTransport());
+      const events = recordEvents(instance);
+      instance.cache.get.mockReturnValueOnce('<html>cached</html>');
+
+      await instance.getHca();
+      await instance.getHca();
+
+      const cacheEvents = events.filter(([name]) => name.startsWith('cache'));
+      expect(cacheEvents).toEqual([
+        ['cacheHit', { url: 'https://kenpom.com/hca.php', endpoint: 'HCA' }],
+        ['cacheMiss', { url: 'https://kenpom.com/hca.php', endpoint: 'HCA' }],
+      ]);
+      expect(events.find(([name]) => name === 'parseStart')[1].fromCache).toBe(true);
+    });
+
+    it('should not emit cache events without a cache', async () => {
+      useTransport(api, mockTransport());
+      const events = recordEvents(api);
+
+      await api.getHca();
+
+      expect(events.some(([name]) => name.startsWith('cache'))).toBe(false);
     });
   });
 
   describe('close', () => {
-    it('should close tier2 client', async () => {
-      const mockClose = vi.fn();
-      api.client = {};
-      api.clientType = 'tier2';
-      api._closePuppeteer = mockClose;
-      api.isLoggedIn = true;
+    it('should close the transport', async () => {
+      const transport = useTransport(api, mockTransport());
 
       await api.close();
 
-      expect(mockClose).toHaveBeenCalled();
-      expect(api.client).toBeNull();
+      expect(transport.close).toHaveBeenCalled();
+      expect(api.transport).toBeNull();
       expect(api.isLoggedIn).toBe(false);
     });
 
-    it('should handle tier1 clients', async () => {
-      api.client = {};
-      api.clientType = 'tier1';
-      api.isLoggedIn = true;
+    it('should handle a transport that fails to close', async () => {
+      const transport = useTransport(api, mockTransport());
+      transport.close.mockRejectedValueOnce(new Error('browser gone'));
 
       await api.close();
 
-      expect(api.client).toBeNull();
+      expect(api.transport).toBeNull();
       expect(api.isLoggedIn).toBe(false);
     });
+
+    it('should do nothing when not logged in', async () => {
+      await expect(api.close()).resolves.toBeUndefined();
+    });
   });
 
   describe('endpoint methods', () => {
     beforeEach(() => {
       // Setup logged-in state
-      api.client = {
-        get: vi.fn((url, callback) => {
-          callback(null, {}, '<html><table></table></html>');
-        }),
-      };
-      api.clientType = 'tier1';
-      api.isLoggedIn = true;
+      useTransport(api, mockTransport(vi.fn(async () => page('<html><table></table></html>'))));
     });
 
     describe('getPomeroyRatings', () => {
@@ -284,6 +1443,52 @@ describe('KenpomAPI', () => {
       });
     });
 
+    describe('getRatingsArchive', () => {
+      it('should fetch the ratings for a date', async () => {
+        const transport = useTransport(api, mockTransport());
+
+        const result = await api.getRatingsArchive('2025-01-15');
+
+        expect(transport.get).toHaveBeenCalledWith('https://kenpom.com/archive.php?d=2025-01-15');
+        expect(result).toEqual([{ Rk: '1', Team: 'Duke', Conf: 'ACC', Seed: '', AsOf: '2025-01-15' }]);
+      });
+
+      it('should tag errors with the season the date falls in', async () => {
+        useTransport(api, mockTransport(vi.fn().mockResolvedValue(page('', 500))));
+
+        const error = await api.getRatingsArchive('2024-11-01').catch(e => e);
+
+        expect(error.season).toBe(2025);
+      });
+
+      it('should throw for dates before the archive starts', async () => {
+        await expect(api.getRatingsArchive('2010-01-01')).rejects.toThrow('before the ratings archive starts');
+      });
+    });
+
+    describe('getRatingsArchiveRange', () => {
+      it('should yield the ratings for each date in order', async () => {
+        const transport = useTransport(api, mockTransport());
+
+        const days = [];
+        for await (const { date, ratings } of api.getRatingsArchiveRange('2025-01-30', '2025-02-01')) {
+          days.push([date, ratings[0].AsOf]);
+        }
+
+        expect(days).toEqual([
+          ['2025-01-30', '2025-01-30'],
+          ['2025-01-31', '2025-01-31'],
+          ['2025-02-01', '2025-02-01'],
+        ]);
+        expect(transport.get).toHaveBeenCalledTimes(3);
+      });
+
+      it('should throw if the start date is after the end date', async () => {
+        const range = api.getRatingsArchiveRange('2025-02-01', '2025-01-30');
+        await expect(range.next()).rejects.toThrow('Start date 2025-02-01 is after end date 2025-01-30');
+      });
+    });
+
     describe('getTrends', () => {
       it('should fetch trends', async () => {
         const result = await api.getTrends();
@@ -418,6 +1623,47 @@ describe('KenpomAPI', () => {
       });
     });
 
+    describe('getPlayer', () => {
+      it('should fetch a player page by ID', async () => {
+        const transport = useTransport(api, mockTransport());
+
+        const result = await api.getPlayer(12345, 2020);
+
+        expect(transport.get).toHaveBeenCalledWith('https://kenpom.com/player.php?p=12345&y=2020');
+        expect(result).toMatchObject({
+          playerId: '12345',
+          season: 2020,
+          url: 'https://kenpom.com/player.php?p=12345&y=2020',
+          bio: { Name: 'John Doe', Team: 'Duke' },
+        });
+        expect(result.games).toEqual([{ Date: 'Nov 4', Opponent: 'Maine' }]);
+      });
+
+      it('should find the player ID on the team roster', async () => {
+        const transport = useTransport(api, mockTransport());
+
+        const result = await api.getPlayer({ name: 'john doe', team: 'Duke' }, 2020);
+
+        expect(result.playerId).toBe('12345');
+        expect(transport.get).toHaveBeenNthCalledWith(1, 'https://kenpom.com/team.php?team=Duke&y=2020');
+        expect(transport.get).toHaveBeenNthCalledWith(2, 'https://kenpom.com/player.php?p=12345&y=2020');
+      });
+
+      it('should throw if the player is not on the roster', async () => {
+        await expect(api.getPlayer({ name: 'Nobody', team: 'Duke' }, 2020))
+          .rejects.toThrow("Player 'Nobody' not found on the Duke roster");
+      });
+
+      it('should throw if no player is given', async () => {
+        await expect(api.getPlayer('')).rejects.toThrow('Player ID is required');
+        await expect(api.getPlayer({ name: 'John Doe' })).rejects.toThrow('Player name and team are required');
+      });
+
+      it('should throw for season before 2004', async () => {
+        await expect(api.getPlayer(12345, 2003)).rejects.toThrow('before minimum year 2004');
+      });
+    });
+
     describe('getKpoy', () => {
       it('should fetch KPOY data', async () => {
         const result = await api.getKpoy(2020);
@@ -438,6 +1684,16 @@ describe('KenpomAPI', () => {
         expect(result).toEqual([{ Date: 'Nov 4', 'Opponent Name': 'Maine' }]);
       });
 
+      it('should parse only the schedule table', async () => {
+        const { parseSchedule, parseRoster } = await import('../dist/parsers.js');
+
+        const result = await api.getSchedule('Duke', 2020);
+
+        expect(result).toHaveLength(1);
+        expect(parseSchedule).toHaveBeenCalledWith('<html><table></table></html>', 2020, {});
+        expect(parseRoster).not.toHaveBeenCalled();
+      });
+
       it('should throw if team is not provided', async () => {
         await expect(api.getSchedule(null)).rejects.toThrow('Team name is required');
       });
@@ -447,6 +1703,107 @@ describe('KenpomAPI', () => {
       });
     });
 
+    describe('getTeamPage', () => {
+      it('should parse the team page once', async () => {
+        const { parseTeamPage } = await import('../dist/parsers.js');
+        const transport = useTransport(api, mockTransport());
+        parseTeamPage.mockClear();
+
+        const result = await api.getTeamPage('Duke', 2020);
+
+        expect(transport.get).toHaveBeenCalledTimes(1);
+        expect(parseTeamPage).toHaveBeenCalledTimes(1);
+        expect(parseTeamPage).toHaveBeenCalledWith('<html></html>', 2020, {});
+        expect(result).toMatchObject({
+          team: 'Duke',
+          season: 2020,
+          url: 'https://kenpom.com/team.php?team=Duke&y=2020',
+          coach: 'Jon Scheyer',
+          conference: 'ACC',
+          record: '1-0',
+          conferenceRecord: '0-0',
+        });
+        expect(result.schedule).toEqual([{ Date: 'Nov 4', 'Opponent Name': 'Maine' }]);
+        expect(result.scouting.conference.OE).toBe(112.4);
+        expect(result.roster).toHaveLength(1);
+      });
+
+      it('should use and report the page season when none is given', async () => {
+        const { parseTeamPage } = await import('../dist/parsers.js');
+        useTransport(api, mockTransport());
+        parseTeamPage.mockClear();
+
+        const result = await api.getTeamPage('Duke');
+
+        expect(parseTeamPage).toHaveBeenCalledWith('<html></html>', 2025, {});
+        expect(result.season).toBe(2025);
+      });
+
+      it('should request the name KenPom used that season and return the current name', async () => {
+        const transport = useTransport(api, mockTransport());
+
+        const current = await api.getTeamPage('UConn', 2024);
+        const renamed = await api.getTeamPage('UTRGV', 2014);
+
+        expect(transport.get).toHaveBeenNthCalledWith(1, 'https://kenpom.com/team.php?team=Connecticut&y=2024');
+        expect(transport.get).toHaveBeenNthCalledWith(2, 'https://kenpom.com/team.php?team=Texas+Pan+American&y=2014');
+        expect(current).toMatchObject({ team: 'Connecticut', teamId: 'connecticut' });
+        expect(renamed).toMatchObject({ team: 'UT Rio Grande Valley', teamId: 'ut-rio-grande-valley' });
+      });
+
+      it('should throw if team is not provided', async () => {
+        await expect(api.getTeamPage(null)).rejects.toThrow('Team name is required');
+      });
+
+      it('should throw for season before 1999', async () => {
+        await expect(api.getTeamPage('Duke', 1998)).rejects.toThrow('before minimum year 1999');
+      });
+    });
+
+    describe('getRoster', () => {
+      it('should fetch team roster from the team page', async () => {
+        const transport = useTransport(api, mockTransport());
+
+        const result = await api.getRoster('Duke', 2020);
+
+        expect(result).toEqual([{ Number: '1', Player: 'John Doe', PlayerID: '12345', Ht: '6-5' }]);
+        expect(transport.get).toHaveBeenCalledWith('https://kenpom.com/team.php?team=Duke&y=2020');
+      });
+
+      it('should throw if team is not provided', async () => {
+        await expect(api.getRoster(null)).rejects.toThrow('Team name is required');
+      });
+
+      it('should reject seasons before 2004', async () => {
+        await expect(api.getRoster('Duke', 2003)).rejects.toThrow(ValidationError);
+      });
+    });
+
+    describe('getGame', () => {
+      it('should fetch a game page', async () => {
+        const transport = useTransport(api, mockTransport());
+
+        const result = await api.getGame(2931, 2025);
+
+        expect(transport.get).toHaveBeenCalledWith('https://kenpom.com/winprob.php?g=2931&y=2025');
+        expect(result).toMatchObject({
+          gameId: '2931',
+          season: 2025,
+          url: 'https://kenpom.com/winprob.php?g=2931&y=2025',
+          Game: 'Duke 85, North Carolina 78',
+        });
+        expect(result.boxScores[0].Team).toBe('Duke');
+      });
+
+      it('should throw if game ID is not provided', async () => {
+        await expect(api.getGame('')).rejects.toThrow('Game ID is required');
+      });
+
+      it('should throw for season before 2010', async () => {
+        await expect(api.getGame(2931, 2009)).rejects.toThrow('before minimum year 2010');
+      });
+    });
+
     describe('getFanMatch', () => {
       it('should fetch fanmatch data', async () => {
         const result = await api.getFanMatch('2025-03-15');
@@ -462,6 +1819,60 @@ describe('KenpomAPI', () => {
       });
     });
 
+    describe('getTeamHistory', () => {
+      it('should fetch team history', async () => {
+        const transport = useTransport(api, mockTransport());
+
+        const result = await api.getTeamHistory('Duke');
+
+        expect(transport.get).toHaveBeenCalledWith('https://kenpom.com/history.php?t=Duke');
+        expect(result).toEqual([{ Season: '2025', Rank: '1', Coach: 'Jon Scheyer' }]);
+      });
+
+      it('should look up the history page by current name', async () => {
+        const transport = useTransport(api, mockTransport());
+
+        await api.getTeamHistory('IPFW');
+
+        expect(transport.get).toHaveBeenCalledWith('https://kenpom.com/history.php?t=Purdue+Fort+Wayne');
+      });
+
+      it('should throw if team is not provided', async () => {
+        await expect(api.getTeamHistory('')).rejects.toThrow('Team name is required');
+      });
+    });
+
+    describe('getCoachingChanges', () => {
+      it('should build changes from the team history', async () => {
+        const { buildCoachingChanges } = await import('../dist/parsers.js');
+
+        const result = await api.getCoachingChanges('Duke');
+
+        expect(buildCoachingChanges).toHaveBeenCalledWith([{ Season: '2025', Rank: '1', Coach: 'Jon Scheyer' }]);
+        expect(result[0].PreviousCoach).toBe('Mike Krzyzewski');
+      });
+    });
+
+    describe('getCoach', () => {
+      it('should fetch a coach page', async () => {
+        const transport = useTransport(api, mockTransport());
+
+        const result = await api.getCoach('Jon Scheyer');
+
+        expect(transport.get).toHaveBeenCalledWith('https://kenpom.com/coach.php?c=Jon+Scheyer');
+        expect(result).toMatchObject({
+          name: 'Jon Scheyer',
+          url: 'https://kenpom.com/coach.php?c=Jon+Scheyer',
+          career: { Seasons: 1, Wins: 35, Losses: 4, Teams: ['Duke'] },
+        });
+        expect(result.seasons).toHaveLength(1);
+      });
+
+      it('should throw if name is not provided', async () => {
+        await expect(api.getCoach(' ')).rejects.toThrow('Coach name is required');
+      });
+    });
+
     describe('getScoutingReport', () => {
       it('should fetch scouting report', async () => {
         const result = await api.getScoutingReport('Duke', 2020);
@@ -469,6 +1880,58 @@ describe('KenpomAPI', () => {
         expect(result['OE.Rank']).toBe(10);
       });
 
+      it('should return conference-only stats when requested', async () => {
+        const result = await api.getScoutingReport('Duke', 2020, true);
+        expect(result.OE).toBe(112.4);
+        expect(result['DE.Rank']).toBe(9);
+      });
+
+      it('should share one request with a concurrent getSchedule', async () => {
+        const transport = useTransport(api, mockTransport());
+
+        const [schedule, report] = await Promise.all([
+          api.getSchedule('Duke', 2020),
+          api.getScoutingReport('Duke', 2020),
+        ]);
+
+        expect(transport.get).toHaveBeenCalledTimes(1);
+        expect(schedule).toHaveLength(1);
+        expect(report.OE).toBe(115.5);
+      });
+
+      it('should fetch separately when a call has its own signal', async () => {
+        const transport = useTransport(api, mockTransport());
+        const { signal } = new AbortController();
+
+        await Promise.all([
+          api.getSchedule('Duke', 2020, { signal }),
+          api.getScoutingReport('Duke', 2020),
+        ]);
+
+        expect(transport.get).toHaveBeenCalledTimes(2);
+      });
+
+      it('should not depend on the schedule or roster tables', async () => {
+        const { parseSchedule, parseRoster, parseTeamPage } = await import('../dist/parsers.js');
+
+        const result = await api.getScoutingReport('Duke', 2020);
+
+        expect(result.OE).toBe(115.5);
+        expect(parseSchedule).not.toHaveBeenCalled();
+        expect(parseRoster).not.toHaveBeenCalled();
+        expect(parseTeamPage).not.toHaveBeenCalled();
+      });
+
+      it('should accept team aliases', async () => {
+        const transport = useTransport(api, mockTransport());
+
+        await api.getScoutingReport('Texas A&M', 2020);
+        await api.getSchedule('Ohio State', 2020);
+
+        expect(transport.get).toHaveBeenNthCalledWith(1, 'https://kenpom.com/team.php?team=Texas+A%26M&y=2020');
+        expect(transport.get).toHaveBeenNthCalledWith(2, 'https://kenpom.com/team.php?team=Ohio+St.&y=2020');
+      });
+
       it('should throw if team is not provided', async () => {
         await expect(api.getScoutingReport(null)).rejects.toThrow('Team name is required');
       });
@@ -530,6 +1993,170 @@ describe('KenpomAPI', () => {
     });
   });
 
+  describe('error context', () => {
+    beforeEach(() => {
+      useTransport(api, mockTransport());
+    });
+
+    it('should attach endpoint, season and URL to parse errors', async () => {
+      const { parsePomeroyRatings } = await import('../dist/parsers.js');
+      parsePomeroyRatings.mockImplementationOnce(() => { throw new Error('No tables found'); });
+
+      const error = await api.getPomeroyRatings(2025).catch(e => e);
+
+      expect(error).toBeInstanceOf(ParseError);
+      expect(error.message).toBe('No tables found');
+      expect(error.endpoint).toBe('POMEROY_RATINGS');
+      expect(error.season).toBe(2025);
+      expect(error.url).toBe('https://kenpom.com/index.php?y=2025');
+      expect(error.tier).toBe('tier1');
+    });
+
+    it('should attach endpoint and season to request errors', async () => {
+      api.transport.get.mockRejectedValue(new Error('ECONNRESET'));
+
+      const error = await api.getEfficiency(2024).catch(e => e);
+
+      expect(error).toBeInstanceOf(HttpError);
+      expect(error.endpoint).toBe('EFFICIENCY');
+      expect(error.season).toBe(2024);
+    });
+
+    it('should throw ValidationError for invalid arguments', async () => {
+      await expect(api.getSchedule('')).rejects.toBeInstanceOf(ValidationError);
+      await expect(api.getConferenceStandings('INVALID')).rejects.toBeInstanceOf(ValidationError);
+      await expect(api.getPlayerStats(2020, 'Invalid')).rejects.toBeInstanceOf(ValidationError);
+    });
+
+    it('should throw AuthenticationError when not logged in', async () => {
+      api.isLoggedIn = false;
+      await expect(api.getTrends()).rejects.toBeInstanceOf(AuthenticationError);
+    });
+  });
+
+  describe('retry policy', () => {
+    const failingClient = (...outcomes) => {
+      const get = vi.fn();
+      for (const outcome of outcomes) {
+        if (outcome instanceof Error) get.mockRejectedValueOnce(outcome);
+        else get.mockResolvedValueOnce(page(outcome.html ?? '<html></html>', outcome.status ?? 200));
+      }
+      return mockTransport(get);
+    };
+
+    const login = useTransport;
+
+    it('should retry transient network errors and succeed', async () => {
+      const { pause } = await import('../dist/utils.js');
+      const client = failingClient(new Error('ECONNRESET'), new Error('ETIMEDOUT'), {});
+      login(api, client);
+
+      const result = await api.getHca();
+
+      expect(result).toEqual([{ Team: 'Duke', Conference: 'ACC', HCA: '4.5' }]);
+      expect(client.get).toHaveBeenCalledTimes(3);
+      expect(pause).toHaveBeenCalledTimes(2);
+    });
+
+    it('should give up after maxAttempts', async () => {
+      const client = failingClient(new Error('a'), new Error('b'), new Error('c'), new Error('d'));
+      login(api, client);
+
+      await expect(api.getHca()).rejects.toBeInstanceOf(HttpError);
+      expect(client.get).toHaveBeenCalledTimes(3);
+    });
+
+    it('should use the configured backoff', async () => {
+      const { backoffDelay } = await import('../dist/utils.js');
+      const instance = new KenpomAPI({
+        logLevel: 'NONE',
+        retry: { maxAttempts: 2, baseDelayMs: 50, maxDelayMs: 500 },
+      });
+      login(instance, failingClient({ status: 429 }, {}));
+
+      await instance.getHca();
+
+      expect(backoffDelay).toHaveBeenCalledWith(1, 50, 500);
+    });
+
+    it('should not retry HTTP 4xx errors other than 429', async () => {
+      const client = failingClient({ status: 404 }, {});
+      login(api, client);
+
+      await expect(api.getHca()).rejects.toBeInstanceOf(HttpError);
+      expect(client.get).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not retry parse errors by default', async () => {
+      const { parseHca } = await import('../dist/parsers.js');
+      parseHca.mockImplementationOnce(() => { throw new Error('No tables found'); });
+      const client = failingClient({}, {});
+      login(api, client);
+
+      await expect(api.getHca()).rejects.toBeInstanceOf(ParseError);
+      expect(client.get).toHaveBeenCalledTimes(1);
+    });
+
+    it('should retry parse errors when configured', async () => {
+      const { parseHca } = await import('../dist/parsers.js');
+      parseHca.mockImplementationOnce(() => { throw new Error('No tables found'); });
+      const instance = new KenpomAPI({ logLevel: 'NONE', retry: { retryOn: ['parse'] } });
+      const client = failingClient({}, {});
+      login(instance, client);
+
+      await expect(instance.getHca()).resolves.toEqual([{ Team: 'Duke', Conference: 'ACC', HCA: '4.5' }]);
+      expect(client.get).toHaveBeenCalledTimes(2);
+    });
+
+    it('should fail fast on validation errors', async () => {
+      const client = failingClient({});
+      login(api, client);
+
+      await expect(api.getConferenceStandings('INVALID')).rejects.toBeInstanceOf(ValidationError);
+      expect(client.get).not.toHaveBeenCalled();
+    });
+
+    it('should not retry when disabled', async () => {
+      const instance = new KenpomAPI({ logLevel: 'NONE', retry: false });
+      const client = failingClient(new Error('ECONNRESET'), {});
+      login(instance, client);
+
+      await expect(instance.getHca()).rejects.toBeInstanceOf(HttpError);
+      expect(client.get).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('rate limiting', () => {
+    it('should create a scheduler with the configured options', async () => {
+      const { RequestScheduler } = await import('../dist/utils.js');
+      const rateLimit = { requestsPerMinute: 10, burst: 2, jitterMs: [0, 500] };
+
+      const instance = new KenpomAPI({ logLevel: 'NONE', rateLimit });
+
+      expect(RequestScheduler).toHaveBeenCalledWith(rateLimit);
+      expect(instance.scheduler).not.toBeNull();
+    });
+
+    it('should wait for the scheduler before every request, including retries', async () => {
+      const get = vi.fn()
+        .mockRejectedValueOnce(new Error('ECONNRESET'))
+        .mockResolvedValueOnce(page('<html></html>'));
+      useTransport(api, mockTransport(get));
+
+      await api.getHca();
+
+      expect(api.scheduler.acquire).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not pace requests when disabled', async () => {
+      const instance = new KenpomAPI({ logLevel: 'NONE', rateLimit: false });
+      useTransport(instance, mockTransport());
+
+      await expect(instance.getHca()).resolves.toBeDefined();
+      expect(instance.scheduler).toBeNull();
+    });
+  });
+
   describe('session verification on endpoints', () => {
     it('should throw for all endpoints when not logged in', async () => {
       const endpoints = [
@@ -547,9 +2174,17 @@ describe('KenpomAPI', () => {
         ['getHeight', []],
         ['getPlayerStats', []],
         ['getKpoy', []],
+        ['getPlayer', [12345]],
         ['getValidTeams', []],
+        ['getTeamPage', ['Duke']],
         ['getSchedule', ['Duke']],
+        ['getRoster', ['Duke']],
+        ['getTeamHistory', ['Duke']],
+        ['getCoachingChanges', ['Duke']],
+        ['getCoach', ['Jon Scheyer']],
+        ['getRatingsArchive', ['2025-01-15']],
         ['getFanMatch', []],
+        ['getGame', [2931]],
         ['getScoutingReport', ['Duke']],
         ['getConferenceStandings', ['ACC']],
         ['getConferenceOffense', ['ACC']],
@@ -15,8 +15,16 @@ import {
   validatePlayerMetric,
   validateGameAttribMetric,
   validateConference,
+  validateArchiveDate,
+  ARCHIVE_START_DATE,
   encodeTeamName,
   buildUrl,
+  isLoggedOutPage,
+  seasonForDate,
+  seasonForDay,
+  cacheTtl,
+  isBlockedResource,
+  DEFAULT_CACHE_TTLS,
 } from '../dist/config.js';
 
 describe('config', () => {
@@ -32,6 +40,10 @@ describe('config', () => {
       expect(ENDPOINTS.EFFICIENCY).toBe('/summary.php');
       expect(ENDPOINTS.FOUR_FACTORS).toBe('/stats.php');
       expect(ENDPOINTS.PLAYER_STATS).toBe('/playerstats.php');
+      expect(ENDPOINTS.PLAYER).toBe('/player.php');
+      expect(ENDPOINTS.GAME).toBe('/winprob.php');
+      expect(ENDPOINTS.HISTORY).toBe('/history.php');
+      expect(ENDPOINTS.COACH).toBe('/coach.php');
     });
 
     it('should have all player metrics', () => {
@@ -142,6 +154,26 @@ describe('config', () => {
     });
   });
 
+  describe('validateArchiveDate', () => {
+    const now = new Date('2025-02-10T12:00:00Z');
+
+    it('should accept dates from the archive start through today', () => {
+      expect(ARCHIVE_START_DATE).toBe('2011-11-01');
+      expect(() => validateArchiveDate('2011-11-01', now)).not.toThrow();
+      expect(() => validateArchiveDate('2025-02-10', now)).not.toThrow();
+    });
+
+    it('should throw for malformed dates', () => {
+      expect(() => validateArchiveDate('2025-2-1', now)).toThrow("Invalid date '2025-2-1'");
+      expect(() => validateArchiveDate('2025-02-30', now)).toThrow("Invalid date '2025-02-30'");
+    });
+
+    it('should throw for dates outside the archive', () => {
+      expect(() => validateArchiveDate('2011-10-31', now)).toThrow('before the ratings archive starts (2011-11-01)');
+      expect(() => validateArchiveDate('2025-02-11', now)).toThrow('Date 2025-02-11 is in the future');
+    });
+  });
+
   describe('validateConference', () => {
     it('should not throw for valid conferences', () => {
       expect(() => validateConference('ACC')).not.toThrow();
@@ -194,4 +226,96 @@ describe('config', () => {
       expect(url).toContain('c=ACC');
     });
   });
+
+  describe('isLoggedOutPage', () => {
+    it('should detect the login form', () => {
+      expect(isLoggedOutPage('<form action="handlers/login_handler.php"></form>')).toBe(true);
+    });
+
+    it('should detect the subscription paywall', () => {
+      expect(isLoggedOutPage('<a href="register-kenpom.php">Subscribe</a>')).toBe(true);
+    });
+
+    it('should treat logged-in pages as logged in', () => {
+      expect(isLoggedOutPage('Logged in as user <a href="handlers/login_handler.php">')).toBe(false);
+    });
+
+    it('should not flag pages without markers', () => {
+      expect(isLoggedOutPage('<html><table></table></html>')).toBe(false);
+    });
+  });
+
+  describe('seasonForDate', () => {
+    it('should name seasons for the year they end in', () => {
+      expect(seasonForDate(new Date(2025, 2, 15))).toBe(2025);
+      expect(seasonForDate(new Date(2025, 7, 1))).toBe(2025);
+      expect(seasonForDate(new Date(2025, 10, 4))).toBe(2026);
+    });
+  });
+
+  describe('seasonForDay', () => {
+    it('should start a season on November 1 in any time zone', () => {
+      expect(seasonForDay('2024-10-31')).toBe(2024);
+      expect(seasonForDay('2024-11-01')).toBe(2025);
+      expect(seasonForDay('2025-04-07')).toBe(2025);
+    });
+  });
+
+  describe('cacheTtl', () => {
+    const now = new Date('2025-02-10T12:00:00Z');
+    const context = (endpoint, season, url = 'https://kenpom.com/index.php') => ({ endpoint, url, season });
+
+    it('should cache completed seasons indefinitely', () => {
+      expect(cacheTtl(context('POMEROY_RATINGS', 2012), DEFAULT_CACHE_TTLS, now)).toBe(Infinity);
+      expect(cacheTtl(context('TEAM', 2024), DEFAULT_CACHE_TTLS, now)).toBe(Infinity);
+    });
+
+    it('should cache the current season and season-less pages briefly', () => {
+      expect(cacheTtl(context('POMEROY_RATINGS', 2025), DEFAULT_CACHE_TTLS, now)).toBe(DEFAULT_CACHE_TTLS.currentTtlMs);
+      expect(cacheTtl(context('POMEROY_RATINGS', null), DEFAULT_CACHE_TTLS, now)).toBe(DEFAULT_CACHE_TTLS.currentTtlMs);
+      expect(cacheTtl(context('TRENDS', null), DEFAULT_CACHE_TTLS, now)).toBe(DEFAULT_CACHE_TTLS.currentTtlMs);
+    });
+
+    it('should cache recent FanMatch dates briefly and older ones indefinitely', () => {
+      const fanmatch = date => context('FANMATCH', null, `https://kenpom.com/fanmatch.php?d=${date}`);
+      expect(cacheTtl(fanmatch('2025-02-10'), DEFAULT_CACHE_TTLS, now)).toBe(DEFAULT_CACHE_TTLS.liveTtlMs);
+      expect(cacheTtl(fanmatch('2025-02-09'), DEFAULT_CACHE_TTLS, now)).toBe(DEFAULT_CACHE_TTLS.liveTtlMs);
+      expect(cacheTtl(fanmatch('2025-02-01'), DEFAULT_CACHE_TTLS, now)).toBe(Infinity);
+    });
+
+    it('should cache archive dates like FanMatch dates', () => {
+      const archive = date => context('ARCHIVE', 2025, `https://kenpom.com/archive.php?d=${date}`);
+      expect(cacheTtl(archive('2025-02-10'), DEFAULT_CACHE_TTLS, now)).toBe(DEFAULT_CACHE_TTLS.liveTtlMs);
+      expect(cacheTtl(archive('2025-02-01'), DEFAULT_CACHE_TTLS, now)).toBe(Infinity);
+    });
+
+    it('should use custom lifetimes', () => {
+      const ttls = { currentTtlMs: 1000, liveTtlMs: 10 };
+      expect(cacheTtl(context('EFFICIENCY', 2025), ttls, now)).toBe(1000);
+      expect(cacheTtl(context('FANMATCH', null, 'https://kenpom.com/fanmatch.php?d=2025-02-10'), ttls, now)).toBe(10);
+    });
+  });
+
+  describe('isBlockedResource', () => {
+    it('should block images, fonts and media', () => {
+      expect(isBlockedResource('image', 'https://kenpom.com/logo.png')).toBe(true);
+      expect(isBlockedResource('font', 'https://fonts.example.com/a.woff2')).toBe(true);
+      expect(isBlockedResource('media', 'https://kenpom.com/clip.mp4')).toBe(true);
+    });
+
+    it('should block analytics hosts and their subdomains', () => {
+      expect(isBlockedResource('script', 'https://www.google-analytics.com/analytics.js')).toBe(true);
+      expect(isBlockedResource('script', 'https://googletagmanager.com/gtag/js')).toBe(true);
+    });
+
+    it('should allow page content and Cloudflare scripts', () => {
+      expect(isBlockedResource('document', 'https://kenpom.com/index.php')).toBe(false);
+      expect(isBlockedResource('script', 'https://challenges.cloudflare.com/turnstile/v0/api.js')).toBe(false);
+      expect(isBlockedResource('stylesheet', 'https://kenpom.com/css/kenpom.css')).toBe(false);
+    });
+
+    it('should not block unparseable URLs by host', () => {
+      expect(isBlockedResource('script', 'not a url')).toBe(false);
+    });
+  });
 });
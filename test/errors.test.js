@@ -0,0 +1,220 @@
+/**
+ * Errors module tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  KenpomError,
+  AuthenticationError,
+  CloudflareError,
+  HttpError,
+  RateLimitError,
+  ParseError,
+  ValidationError,
+  StructureChangedError,
+  AbortError,
+  TimeoutError,
+  toKenpomError,
+  toAbortError,
+  retryableKind,
+} from '../dist/errors.js';
+import { validateSeason, validateConference, getKenpomCredentials } from '../dist/config.js';
+import { parsePomeroyRatings, parseSchedule } from '../dist/parsers.js';
+import { parseTable, readFromFile } from '../dist/utils.js';
+
+describe('errors', () => {
+  describe('KenpomError', () => {
+    it('should carry request context', () => {
+      const error = new KenpomError('boom', {
+        url: 'https://kenpom.com/index.php?y=2025',
+        endpoint: 'POMEROY_RATINGS',
+        season: 2025,
+        tier: 'tier1',
+      });
+
+      expect(error).toBeInstanceOf(Error);
+      expect(error.message).toBe('boom');
+      expect(error.url).toBe('https://kenpom.com/index.php?y=2025');
+      expect(error.endpoint).toBe('POMEROY_RATINGS');
+      expect(error.season).toBe(2025);
+      expect(error.tier).toBe('tier1');
+    });
+
+    it('should default missing context to null', () => {
+      const error = new KenpomError('boom');
+      expect(error.url).toBeNull();
+      expect(error.endpoint).toBeNull();
+      expect(error.season).toBeNull();
+      expect(error.tier).toBeNull();
+    });
+
+    it('should keep the cause', () => {
+      const cause = new Error('socket hang up');
+      expect(new KenpomError('boom', { cause }).cause).toBe(cause);
+    });
+
+    it('should fill only missing fields with withContext', () => {
+      const error = new ParseError('No tables found', { season: 2024 });
+      error.withContext({ url: 'https://kenpom.com/', season: 2025, endpoint: 'INDEX' });
+
+      expect(error.url).toBe('https://kenpom.com/');
+      expect(error.season).toBe(2024);
+      expect(error.endpoint).toBe('INDEX');
+    });
+  });
+
+  describe('subclasses', () => {
+    it.each([
+      [AuthenticationError, 'AuthenticationError'],
+      [CloudflareError, 'CloudflareError'],
+      [HttpError, 'HttpError'],
+      [RateLimitError, 'RateLimitError'],
+      [ParseError, 'ParseError'],
+      [ValidationError, 'ValidationError'],
+      [StructureChangedError, 'StructureChangedError'],
+      [AbortError, 'AbortError'],
+      [TimeoutError, 'TimeoutError'],
+    ])('%o should extend KenpomError and set its name', (ErrorClass, name) => {
+      const error = new ErrorClass('boom');
+      expect(error).toBeInstanceOf(KenpomError);
+      expect(error.name).toBe(name);
+    });
+
+    it('should treat RateLimitError as an HttpError with status', () => {
+      const error = new RateLimitError('slow down', { status: 429 });
+      expect(error).toBeInstanceOf(HttpError);
+      expect(error.status).toBe(429);
+    });
+
+    it('should default HttpError status to null', () => {
+      expect(new HttpError('ECONNRESET').status).toBeNull();
+    });
+
+    it('should record the expired timeout on TimeoutError', () => {
+      expect(new TimeoutError('too slow', { timeoutMs: 5000 }).timeoutMs).toBe(5000);
+      expect(new TimeoutError('too slow').timeoutMs).toBeNull();
+    });
+
+    it('should record expected and actual headers on StructureChangedError', () => {
+      const error = new StructureChangedError('moved', { expected: ['Team'], actual: ['Rk'], url: 'https://kenpom.com/' });
+      expect(error).toBeInstanceOf(ParseError);
+      expect(error.expected).toEqual(['Team']);
+      expect(error.actual).toEqual(['Rk']);
+      expect(error.url).toBe('https://kenpom.com/');
+      expect(new StructureChangedError('moved').expected).toEqual([]);
+    });
+  });
+
+  describe('toAbortError', () => {
+    it('should keep KenpomError reasons and add context', () => {
+      const reason = new TimeoutError('Request timed out after 100ms', { timeoutMs: 100 });
+      const error = toAbortError(reason, { url: 'https://kenpom.com/' });
+
+      expect(error).toBe(reason);
+      expect(error.url).toBe('https://kenpom.com/');
+    });
+
+    it('should map AbortSignal.timeout reasons to TimeoutError', () => {
+      const reason = new DOMException('The operation timed out.', 'TimeoutError');
+      const error = toAbortError(reason, {});
+
+      expect(error).toBeInstanceOf(TimeoutError);
+      expect(error.cause).toBe(reason);
+    });
+
+    it('should wrap any other reason as AbortError', () => {
+      const controller = new AbortController();
+      controller.abort();
+      const error = toAbortError(controller.signal.reason, { endpoint: 'HCA' });
+
+      expect(error).toBeInstanceOf(AbortError);
+      expect(error.endpoint).toBe('HCA');
+      expect(toAbortError('user cancelled', {})).toBeInstanceOf(AbortError);
+    });
+  });
+
+  describe('toKenpomError', () => {
+    it('should wrap plain errors with the fallback class', () => {
+      const cause = new Error('ECONNRESET');
+      const error = toKenpomError(cause, { url: 'https://kenpom.com/' }, HttpError);
+
+      expect(error).toBeInstanceOf(HttpError);
+      expect(error.message).toBe('ECONNRESET');
+      expect(error.url).toBe('https://kenpom.com/');
+      expect(error.cause).toBe(cause);
+    });
+
+    it('should keep existing KenpomErrors and add context', () => {
+      const original = new CloudflareError('challenge');
+      const error = toKenpomError(original, { endpoint: 'HCA' }, HttpError);
+
+      expect(error).toBe(original);
+      expect(error.endpoint).toBe('HCA');
+    });
+
+    it('should wrap non-Error values', () => {
+      const error = toKenpomError('bad', {});
+      expect(error).toBeInstanceOf(KenpomError);
+      expect(error.message).toBe('bad');
+    });
+  });
+
+  describe('retryableKind', () => {
+    it('should classify retryable errors', () => {
+      expect(retryableKind(new RateLimitError('slow', { status: 429 }))).toBe('rateLimit');
+      expect(retryableKind(new CloudflareError('challenge'))).toBe('cloudflare');
+      expect(retryableKind(new HttpError('ECONNRESET'))).toBe('http');
+      expect(retryableKind(new HttpError('bad gateway', { status: 502 }))).toBe('http');
+      expect(retryableKind(new ParseError('No tables found'))).toBe('parse');
+    });
+
+    it('should return null for errors that should fail fast', () => {
+      expect(retryableKind(new HttpError('not found', { status: 404 }))).toBeNull();
+      expect(retryableKind(new AuthenticationError('bad credentials'))).toBeNull();
+      expect(retryableKind(new ValidationError('bad season'))).toBeNull();
+      expect(retryableKind(new AbortError('Request aborted'))).toBeNull();
+      expect(retryableKind(new TimeoutError('Request timed out'))).toBeNull();
+      expect(retryableKind(new StructureChangedError('Table structure changed'))).toBeNull();
+      expect(retryableKind(new Error('plain'))).toBeNull();
+    });
+  });
+
+  describe('thrown by helpers', () => {
+    it('should throw ValidationError from validators', () => {
+      expect(() => validateSeason(1998, 'POMEROY_RATINGS')).toThrow(ValidationError);
+      expect(() => validateConference('INVALID')).toThrow(ValidationError);
+    });
+
+    it('should include endpoint and season on season validation errors', () => {
+      try {
+        validateSeason(2003, 'PLAYER_STATS');
+        expect.unreachable();
+      } catch (error) {
+        expect(error.endpoint).toBe('PLAYER_STATS');
+        expect(error.season).toBe(2003);
+      }
+    });
+
+    it('should throw AuthenticationError for missing credentials', () => {
+      const { KENPOM_EMAIL, KENPOM_PASSWORD } = process.env;
+      delete process.env.KENPOM_EMAIL;
+      delete process.env.KENPOM_PASSWORD;
+      try {
+        expect(() => getKenpomCredentials()).toThrow(AuthenticationError);
+      } finally {
+        if (KENPOM_EMAIL !== undefined) process.env.KENPOM_EMAIL = KENPOM_EMAIL;
+        if (KENPOM_PASSWORD !== undefined) process.env.KENPOM_PASSWORD = KENPOM_PASSWORD;
+      }
+    });
+
+    it('should throw ParseError from parsers', () => {
+      expect(() => parsePomeroyRatings('<html></html>')).toThrow(ParseError);
+      expect(() => parseSchedule('<table></table>', 2025)).toThrow(ParseError);
+    });
+
+    it('should throw typed errors from utils', () => {
+      expect(() => parseTable('<html></html>')).toThrow(ParseError);
+      expect(() => readFromFile('/nonexistent/file.json')).toThrow(ValidationError);
+    });
+  });
+});
@@ -10,6 +10,7 @@ import {
   stripSeed,
   extractSeed,
   parsePomeroyRatings,
+  parseRatingsArchive,
   parseEfficiency,
   parseFourFactors,
   parseTeamStats,
@@ -22,17 +23,29 @@ import {
   parseArenas,
   parseGameAttribs,
   parseProgramRatings,
+  parseTeamHistory,
+  parseCoach,
+  buildCoachingChanges,
   parseTrends,
   parseSchedule,
+  parseRoster,
+  parsePlayer,
+  parseGame,
   parseFanMatch,
   parseGameResult,
   parseValidTeams,
   parseScoutingReport,
+  parseTeamPage,
   parseConferenceStandings,
   parseConferenceOffense,
   parseConferenceDefense,
-  parseConferenceAggregateStats
+  parseConferenceAggregateStats,
+  toNumber,
+  splitRecord,
+  coerceRow,
+  getParseWarnings
 } from '../dist/parsers.js';
+import { StructureChangedError } from '../dist/errors.js';
 
 // ============================================================================
 // HELPER FUNCTION TESTS
@@ -96,6 +109,54 @@ describe('extractSeed', () => {
   });
 });
 
+describe('toNumber', () => {
+  it('should parse signed values, percentages and thousands separators', () => {
+    expect(toNumber('+32.45')).toBe(32.45);
+    expect(toNumber('-0.02')).toBe(-0.02);
+    expect(toNumber('54.3%')).toBe(54.3);
+    expect(toNumber('16,400')).toBe(16400);
+    expect(toNumber('.512')).toBe(0.512);
+  });
+
+  it('should return null for blank and non-numeric values', () => {
+    expect(toNumber('')).toBe(null);
+    expect(toNumber(null)).toBe(null);
+    expect(toNumber(undefined)).toBe(null);
+    expect(toNumber('Duke')).toBe(null);
+    expect(toNumber('31-3')).toBe(null);
+  });
+
+  it('should pass numbers through', () => {
+    expect(toNumber(7)).toBe(7);
+    expect(toNumber(NaN)).toBe(null);
+  });
+});
+
+describe('splitRecord', () => {
+  it('should split a W-L record', () => {
+    expect(splitRecord('31-3')).toEqual({ Wins: 31, Losses: 3 });
+  });
+
+  it('should return nulls for blank or malformed records', () => {
+    expect(splitRecord('')).toEqual({ Wins: null, Losses: null });
+    expect(splitRecord('n/a')).toEqual({ Wins: null, Losses: null });
+  });
+});
+
+describe('coerceRow', () => {
+  it('should keep text columns and null non-numeric values elsewhere', () => {
+    const row = { Team: 'Duke', 'W-L': '30-5', AdjEM: '+32.50', Seed: '' };
+
+    expect(coerceRow(row, ['Team'])).toEqual({ Team: 'Duke', Wins: 30, Losses: 5, AdjEM: 32.5, Seed: null });
+  });
+
+  it('should decide per cell without text columns', () => {
+    const row = { Team: 'Duke', 'Conf W-L': '15-4', AdjEM: '+32.5', Seed: '' };
+
+    expect(coerceRow(row, null)).toEqual({ Team: 'Duke', 'Conf W-L': '15-4', AdjEM: 32.5, Seed: null });
+  });
+});
+
 // ============================================================================
 // POMEROY RATINGS PARSER TESTS
 // ============================================================================
@@ -150,6 +211,174 @@ describe('parsePomeroyRatings', () => {
   it('should throw error when no tables found', () => {
     expect(() => parsePomeroyRatings('<div>No tables here</div>')).toThrow('No tables found');
   });
+
+  it('should normalize team names through the team registry', () => {
+    const html = sampleHtml.replace('<td>Kansas</td>', '<td>Texas Pan American</td>');
+    const result = parsePomeroyRatings(html);
+
+    expect(result[1].Team).toBe('UT Rio Grande Valley');
+  });
+
+  it('should coerce numeric columns when requested', () => {
+    const result = parsePomeroyRatings(sampleHtml, { coerce: true });
+
+    expect(result[0]).toMatchObject({ Rk: 1, Team: 'Duke', Conf: 'ACC', Wins: 30, Losses: 5, AdjEM: 32.5, Luck: 0.05, Seed: 1 });
+    expect(result[0]).not.toHaveProperty('W-L');
+    expect(result[1]).toMatchObject({ Luck: -0.02, Seed: null });
+  });
+});
+
+describe('parseRatingsArchive', () => {
+  const sampleHtml = `
+    <table>
+      <thead>
+        <tr><th>Rk</th><th>Team</th><th>Conf</th><th>W-L</th><th>AdjEM</th><th>AdjO</th><th>AdjO Rank</th><th>AdjD</th><th>AdjD Rank</th><th>AdjT</th><th>AdjT Rank</th><th>Luck</th><th>Luck Rank</th><th>SOS AdjEM</th><th>SOS AdjEM Rank</th><th>SOS OppO</th><th>SOS OppO Rank</th><th>SOS OppD</th><th>SOS OppD Rank</th><th>NCSOS AdjEM</th><th>NCSOS AdjEM Rank</th></tr>
+      </thead>
+      <tbody>
+        <tr><td>1</td><td>Duke</td><td>ACC</td><td>14-2</td><td>+30.10</td><td>119.4</td><td>2</td><td>89.3</td><td>3</td><td>66.0</td><td>250</td><td>+0.01</td><td>160</td><td>+8.2</td><td>30</td><td>112.0</td><td>25</td><td>103.8</td><td>40</td><td>+3.1</td><td>20</td></tr>
+      </tbody>
+    </table>
+  `;
+
+  it('should add the archive date to every row', () => {
+    const result = parseRatingsArchive(sampleHtml, '2025-01-15');
+
+    expect(result).toHaveLength(1);
+    expect(result[0]).toMatchObject({ Rk: '1', Team: 'Duke', 'W-L': '14-2', Seed: '', AsOf: '2025-01-15' });
+  });
+
+  it('should keep AsOf as text when coercing', () => {
+    const result = parseRatingsArchive(sampleHtml, '2025-01-15', { coerce: true });
+
+    expect(result[0]).toMatchObject({ Rk: 1, Wins: 14, Losses: 2, AdjEM: 30.1, AsOf: '2025-01-15' });
+  });
+
+  describe('archive layout', () => {
+    // Ratings on the date, then the season's final ratings; no record, luck or schedule columns
+    const archiveHtml = `
+      <table>
+        <thead>
+          <tr><th colspan="3"></th><th colspan="7">Ratings on January 15</th><th colspan="8">Final Ratings</th></tr>
+          <tr><th>Rk</th><th>Team</th><th>Conf</th><th>AdjEM</th><th colspan="2">AdjO</th><th colspan="2">AdjD</th><th colspan="2">AdjT</th><th>Rk</th><th>AdjEM</th><th colspan="2">AdjO</th><th colspan="2">AdjD</th><th colspan="2">AdjT</th></tr>
+        </thead>
+        <tbody>
+          <tr><td>3</td><td>Duke 1</td><td>ACC</td><td>+27.50</td><td>118.0</td><td>4</td><td>90.5</td><td>5</td><td>66.2</td><td>240</td><td>1</td><td>+38.20</td><td>129.0</td><td>3</td><td>90.8</td><td>4</td><td>66.1</td><td>300</td></tr>
+        </tbody>
+      </table>
+    `;
+
+    it('should name the ratings on the date and skip the final ratings', () => {
+      const [row] = parseRatingsArchive(archiveHtml, '2025-01-15');
+
+      expect(row).toMatchObject({
+        Rk: '3',
+        Team: 'Duke',
+        Seed: '1',
+        AdjEM: '+27.50',
+        AdjO: '118.0',
+        'AdjO.Rank': '4',
+        'AdjT.Rank': '240',
+        'W-L': '',
+        Luck: '',
+        AsOf: '2025-01-15',
+      });
+    });
+
+    it('should not require the ratings page columns', () => {
+      const [row] = parseRatingsArchive(archiveHtml, '2025-01-15', { coerce: true });
+
+      expect(row).toMatchObject({ Rk: 3, AdjEM: 27.5, 'AdjD.Rank': 5, Luck: null, AsOf: '2025-01-15' });
+    });
+  });
+});
+
+// ============================================================================
+// STRUCTURE VALIDATION TESTS
+// ============================================================================
+
+describe('structure validation', () => {
+  const ratingsHeaders = ['Rk', 'Team', 'Conf', 'W-L', 'NetRtg'];
+  const ratingsTable = (headers, cells) => `
+    <table>
+      <thead><tr>${headers.map(h => `<th>${h}</th>`).join('')}</tr></thead>
+      <tbody>
+        <tr><td>1</td><td>Duke 1</td><td>ACC</td><td>30-5</td>${'<td>1</td>'.repeat(cells - 4)}</tr>
+      </tbody>
+    </table>
+  `;
+
+  it('should accept headers that span several columns', () => {
+    const html = `
+      <table>
+        <thead>
+          <tr><th colspan="4"></th><th colspan="17">Ratings</th></tr>
+          <tr><th>Rk</th><th>Team</th><th>Conf</th><th>W-L</th><th>NetRtg</th><th colspan="2">ORtg</th><th colspan="14">Other</th></tr>
+        </thead>
+        <tbody>
+          <tr><td>1</td><td>Duke 1</td><td>ACC</td><td>30-5</td>${'<td>1</td>'.repeat(17)}</tr>
+        </tbody>
+      </table>
+    `;
+
+    const result = parsePomeroyRatings(html);
+
+    expect(result).toHaveLength(1);
+    expect(getParseWarnings(result)).toEqual([]);
+  });
+
+  it('should throw StructureChangedError when a column is added', () => {
+    let error;
+    try {
+      parsePomeroyRatings(ratingsTable(ratingsHeaders, 22));
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error).toBeInstanceOf(StructureChangedError);
+    expect(error.message).toBe('Table structure changed: 1 row(s) have 22 cells, expected 21');
+  });
+
+  it('should report expected and actual headers when headers move', () => {
+    const headers = ['Rk', 'Conf', 'Team', 'W-L', 'NetRtg'];
+
+    expect(() => parsePomeroyRatings(ratingsTable(headers, 21))).toThrow(expect.objectContaining({
+      name: 'StructureChangedError',
+      expected: ['Rk', 'Team', 'Conf', 'W-L'],
+      actual: headers,
+    }));
+  });
+
+  it('should return rows with warnings in lenient mode', () => {
+    const result = parsePomeroyRatings(ratingsTable(ratingsHeaders, 22), { lenient: true });
+
+    expect(result).toHaveLength(1);
+    expect(result[0].Team).toBe('Duke');
+    expect(getParseWarnings(result)).toEqual([{
+      message: 'Table structure changed: 1 row(s) have 22 cells, expected 21',
+      expected: ['Rk', 'Team', 'Conf', 'W-L'],
+      actual: ratingsHeaders,
+    }]);
+    expect(JSON.parse(JSON.stringify(result))[0]).not.toHaveProperty('warnings');
+  });
+
+  it('should attach an empty warning list to clean lenient parses', () => {
+    const result = parsePomeroyRatings(ratingsTable(ratingsHeaders, 21), { lenient: true });
+
+    expect(getParseWarnings(result)).toEqual([]);
+    expect(result).toHaveProperty('warnings', []);
+  });
+
+  it('should check row widths of tables keyed by their headers', () => {
+    const html = `
+      <table>
+        <thead><tr><th>Team</th><th>AdjEM</th></tr></thead>
+        <tbody><tr><td>Duke</td><td>+32.5</td><td>1</td></tr></tbody>
+      </table>
+    `;
+
+    expect(() => parseConferenceStandings(html)).toThrow(StructureChangedError);
+    expect(getParseWarnings(parseConferenceStandings(html, { lenient: true }))).toHaveLength(1);
+  });
 });
 
 // ============================================================================
@@ -206,14 +435,14 @@ describe('parseEfficiency', () => {
   it('should filter header rows', () => {
     const htmlWithHeaderInBody = `
       <table>
-        <thead><tr><th>Team</th><th>Conference</th></tr></thead>
+        <thead><tr><th>Team</th><th>Conference</th>${'<th>Stat</th>'.repeat(12)}</tr></thead>
         <tbody>
-          <tr><td>Team</td><td>Conference</td></tr>
-          <tr><td>Duke</td><td>ACC</td></tr>
+          <tr><td>Team</td><td>Conference</td>${'<td>Stat</td>'.repeat(12)}</tr>
+          <tr><td>Duke</td><td>ACC</td>${'<td>1</td>'.repeat(12)}</tr>
         </tbody>
       </table>
     `;
-    const result = parseEfficiency(htmlWithHeaderInBody, 2025);
+    const result = parseEfficiency(htmlWithHeaderInBody, 2009);
     expect(result).toHaveLength(1);
     expect(result[0].Team).toBe('Duke');
   });
@@ -454,6 +683,15 @@ describe('parsePlayerStats', () => {
     expect(result).toHaveLength(1);
     expect(result[0].Player).toBe('Real Player');
   });
+
+  it('should capture player IDs from player links', () => {
+    const html = eFGHtml.replace('<td>John Smith</td>', '<td><a href="player.php?p=60123">John Smith</a></td>');
+    const result = parsePlayerStats(html, 'eFG', { coerce: true });
+
+    expect(result[0].Player).toBe('John Smith');
+    expect(result[0].PlayerID).toBe('60123');
+    expect(result[1].PlayerID).toBe('');
+  });
 });
 
 // ============================================================================
@@ -656,6 +894,147 @@ describe('parseProgramRatings', () => {
   });
 });
 
+// ============================================================================
+// TEAM HISTORY PARSER TESTS
+// ============================================================================
+
+describe('parseTeamHistory', () => {
+  const sampleHtml = `
+    <table>
+      <thead>
+        <tr><th>Season</th><th>Rk</th><th>AdjEM</th><th colspan="2">AdjO</th><th colspan="2">AdjD</th><th colspan="2">AdjT</th><th>W-L</th><th>Conf</th><th>Coach</th><th>Tourney</th></tr>
+      </thead>
+      <tbody>
+        <tr><td>2025</td><td>1</td><td>+38.2</td><td>129.0</td><td>3</td><td>90.8</td><td>4</td><td>66.1</td><td>300</td><td>35-4</td><td>ACC</td><td>Jon Scheyer</td><td>NCAA F4</td></tr>
+        <tr><td>Season</td><td>Rk</td><td>AdjEM</td><td>AdjO</td><td></td><td>AdjD</td><td></td><td>AdjT</td><td></td><td>W-L</td><td>Conf</td><td>Coach</td><td>Tourney</td></tr>
+        <tr><td>2024</td><td>9</td><td>+24.9</td><td>121.7</td><td>6</td><td>96.8</td><td>40</td><td>65.0</td><td>310</td><td>27-9</td><td>ACC</td><td>Jon Scheyer</td><td></td></tr>
+      </tbody>
+    </table>
+  `;
+
+  it('should parse season rows', () => {
+    const result = parseTeamHistory(sampleHtml);
+
+    expect(result).toHaveLength(2);
+    expect(result[0]).toMatchObject({
+      Season: '2025',
+      Rank: '1',
+      AdjEM: '+38.2',
+      'AdjO.Rank': '3',
+      'W-L': '35-4',
+      Conference: 'ACC',
+      Coach: 'Jon Scheyer',
+      Tournament: 'NCAA F4',
+    });
+    expect(result[1].Tournament).toBe('');
+  });
+
+  it('should coerce numbers and split W-L when requested', () => {
+    const [season] = parseTeamHistory(sampleHtml, { coerce: true });
+
+    expect(season.Season).toBe(2025);
+    expect(season.AdjEM).toBe(38.2);
+    expect(season.Wins).toBe(35);
+    expect(season.Losses).toBe(4);
+    expect(season.Coach).toBe('Jon Scheyer');
+  });
+
+  it('should throw StructureChangedError when columns change', () => {
+    const html = sampleHtml.replace('<th>Rk</th>', '<th>Rating</th>');
+    expect(() => parseTeamHistory(html)).toThrow(StructureChangedError);
+  });
+});
+
+// ============================================================================
+// COACH PARSER TESTS
+// ============================================================================
+
+describe('parseCoach', () => {
+  const sampleHtml = `
+    <table>
+      <thead>
+        <tr><th>Season</th><th>Team</th><th>Conf</th><th>Rk</th><th>AdjEM</th><th colspan="2">AdjO</th><th colspan="2">AdjD</th><th colspan="2">AdjT</th><th>W-L</th><th>Tourney</th></tr>
+      </thead>
+      <tbody>
+        <tr><td>2024</td><td>Duke</td><td>ACC</td><td>9</td><td>+24.9</td><td>121.7</td><td>6</td><td>96.8</td><td>40</td><td>65.0</td><td>310</td><td>27-9</td><td>NCAA E8</td></tr>
+        <tr><td>2025</td><td>Duke</td><td>ACC</td><td>1</td><td>+38.2</td><td>129.0</td><td>3</td><td>90.8</td><td>4</td><td>66.1</td><td>300</td><td>35-4</td><td>NCAA F4</td></tr>
+      </tbody>
+    </table>
+  `;
+
+  it('should parse coached seasons', () => {
+    const result = parseCoach(sampleHtml);
+
+    expect(result.seasons).toHaveLength(2);
+    expect(result.seasons[1]).toMatchObject({
+      Season: '2025',
+      Team: 'Duke',
+      Conference: 'ACC',
+      Rank: '1',
+      'W-L': '35-4',
+      Tournament: 'NCAA F4',
+    });
+  });
+
+  it('should total the career record', () => {
+    const result = parseCoach(sampleHtml);
+
+    expect(result.career).toEqual({ Seasons: 2, Wins: 62, Losses: 13, Teams: ['Duke'] });
+  });
+
+  it('should list a renamed school once, under its current name', () => {
+    const html = sampleHtml
+      .replace('<td>2024</td><td>Duke</td>', '<td>2014</td><td>Texas Pan American</td>')
+      .replace('<td>2025</td><td>Duke</td>', '<td>2016</td><td>UT Rio Grande Valley</td>');
+    const result = parseCoach(html);
+
+    expect(result.career.Teams).toEqual(['UT Rio Grande Valley']);
+    expect(result.seasons.map(season => season.Team)).toEqual(['UT Rio Grande Valley', 'UT Rio Grande Valley']);
+  });
+
+  it('should coerce season rows when requested', () => {
+    const result = parseCoach(sampleHtml, { coerce: true });
+
+    expect(result.seasons[0].Season).toBe(2024);
+    expect(result.seasons[0].Wins).toBe(27);
+    expect(result.seasons[0].Team).toBe('Duke');
+  });
+});
+
+describe('buildCoachingChanges', () => {
+  it('should list each change with the previous coach and tenure', () => {
+    const history = [
+      { Season: '2025', Coach: 'Jon Scheyer' },
+      { Season: '2023', Coach: 'Jon Scheyer' },
+      { Season: '2024', Coach: 'Jon Scheyer' },
+      { Season: '2022', Coach: 'Mike Krzyzewski' },
+      { Season: '2021', Coach: 'Mike Krzyzewski' },
+    ];
+
+    expect(buildCoachingChanges(history)).toEqual([
+      { Season: 2023, Coach: 'Jon Scheyer', PreviousCoach: 'Mike Krzyzewski', PreviousTenure: 2 },
+    ]);
+  });
+
+  it('should accept coerced seasons and skip rows without a coach', () => {
+    const history = [
+      { Season: 2019, Coach: 'A' },
+      { Season: 2020, Coach: '' },
+      { Season: 2021, Coach: 'B' },
+      { Season: 2022, Coach: 'C' },
+    ];
+
+    expect(buildCoachingChanges(history)).toEqual([
+      { Season: 2021, Coach: 'B', PreviousCoach: 'A', PreviousTenure: 1 },
+      { Season: 2022, Coach: 'C', PreviousCoach: 'B', PreviousTenure: 1 },
+    ]);
+  });
+
+  it('should return no changes for a single coach', () => {
+    expect(buildCoachingChanges([{ Season: '2025', Coach: 'A' }])).toEqual([]);
+  });
+});
+
 // ============================================================================
 // TRENDS PARSER TESTS
 // ============================================================================
@@ -755,11 +1134,317 @@ describe('parseSchedule', () => {
     expect(result[0].B).toBeUndefined();
   });
 
+  it('should capture game IDs from result links', () => {
+    const html = post2010Html.replace('<td>W 85-52</td>', '<td><a href="winprob.php?g=417&y=2025">W 85-52</a></td>');
+    const result = parseSchedule(html, 2025, { coerce: true });
+
+    expect(result[0].Result).toBe('W 85-52');
+    expect(result[0].GameID).toBe('417');
+    expect(result[1].GameID).toBe('');
+  });
+
+  it('should add structured results', () => {
+    const result = parseSchedule(post2010Html, 2025);
+
+    expect(result[0]).toMatchObject({
+      GameDate: '2024-11-06',
+      Outcome: 'W',
+      TeamScore: 85,
+      OpponentScore: 52,
+      Overtimes: 0,
+      Margin: 33,
+      Venue: 'home',
+      Possessions: 75,
+      Unplayed: false,
+      OffEff: 113.3,
+      DefEff: 69.3,
+    });
+    expect(result[1]).toMatchObject({ GameDate: '2025-03-12', Venue: 'neutral', Margin: 7 });
+  });
+
+  it('should parse losses, overtimes and full location names', () => {
+    const html = post2010Html
+      .replace('<td>W 85-52</td>', '<td>L, 80-78 2OT</td>')
+      .replace('<td>H</td>', '<td>Away</td>')
+      .replace('<td>Nov 6</td>', '<td>Sat Jan 4</td>');
+    const [game] = parseSchedule(html, 2025);
+
+    expect(game).toMatchObject({
+      GameDate: '2025-01-04',
+      Outcome: 'L',
+      TeamScore: 78,
+      OpponentScore: 80,
+      Overtimes: 2,
+      Margin: -2,
+      Venue: 'away',
+    });
+  });
+
+  it('should count overtimes written in parentheses', () => {
+    const single = parseSchedule(post2010Html.replace('<td>W 85-52</td>', '<td>W 85-82 (OT)</td>'), 2025);
+    const double = parseSchedule(post2010Html.replace('<td>W 85-52</td>', '<td>L 80-78 (2OT)</td>'), 2025);
+
+    expect(single[0]).toMatchObject({ Outcome: 'W', TeamScore: 85, Overtimes: 1 });
+    expect(double[0]).toMatchObject({ Outcome: 'L', TeamScore: 78, Overtimes: 2 });
+  });
+
+  it('should flag unplayed games and leave their results empty', () => {
+    const html = post2010Html.replace('<td>75</td><td>-</td>', '<td>70</td><td>81%</td>');
+    const [game] = parseSchedule(html, 2025, { coerce: true });
+
+    expect(game).toMatchObject({
+      Result: 'W 85-52',
+      'Possession Number': 70,
+      Unplayed: true,
+      Outcome: null,
+      TeamScore: null,
+      Margin: null,
+      Possessions: null,
+      OffEff: null,
+      GameDate: '2024-11-06',
+    });
+  });
+
+  it('should leave GameDate empty without a season', () => {
+    const result = parseSchedule(post2010Html, null);
+
+    expect(result[0].GameDate).toBeNull();
+    expect(result[0].Outcome).toBe('W');
+  });
+
   it('should throw error if less than 2 tables', () => {
     expect(() => parseSchedule('<table></table>', 2025)).toThrow('Schedule table not found');
   });
 });
 
+// ============================================================================
+// ROSTER PARSER TESTS
+// ============================================================================
+
+describe('parseRoster', () => {
+  const stats = '<td>6-9</td><td>235</td><td>Fr</td><td>33</td><td>78.2</td><td>124.5</td><td>24.1</td><td>22.8</td>' +
+    '<td>55.1</td><td>60.2</td><td>8.4</td><td>15.3</td><td>12.0</td><td>14.2</td><td>1.5</td><td>2.3</td>' +
+    '<td>2.1</td><td>5.4</td><td>48.7</td><td>150-210</td><td>71.4</td><td>200-350</td><td>57.1</td><td>20-64</td><td>31.3</td>';
+
+  const post2010Html = `
+    <table id="player-table">
+      <thead>
+        <tr><th>#</th><th>Player</th><th>Ht</th><th>Wt</th><th>Yr</th><th>G</th><th>%Min</th><th>ORtg</th><th>%Poss</th><th>%Shots</th><th>eFG%</th><th>TS%</th><th>OR%</th><th>DR%</th><th>ARate</th><th>TORate</th><th>Blk%</th><th>Stl%</th><th>FC/40</th><th>FD/40</th><th>FTRate</th><th>FTM-A</th><th>FT%</th><th>2PM-A</th><th>2P%</th><th>3PM-A</th><th>3P%</th></tr>
+      </thead>
+      <tbody>
+        <tr><td colspan="27">Freshmen</td></tr>
+        <tr><td>1</td><td>Cooper Flagg</td>${stats}</tr>
+        <tr><th>#</th><th>Player</th></tr>
+        <tr><td>5</td><td>Tyrese Proctor</td>${stats}</tr>
+      </tbody>
+    </table>
+  `;
+
+  const pre2010Html = `
+    <table id="player-table">
+      <tbody>
+        <tr><td colspan="26">Seniors</td></tr>
+        <tr><td>Greg Paulus</td>${stats}</tr>
+      </tbody>
+    </table>
+  `;
+
+  it('should parse 2010+ roster with jersey numbers', () => {
+    const result = parseRoster(post2010Html, 2025);
+
+    expect(result).toHaveLength(2);
+    expect(result[0].Number).toBe('1');
+    expect(result[0].Player).toBe('Cooper Flagg');
+    expect(result[0].Ht).toBe('6-9');
+    expect(result[0]['3P%']).toBe('31.3');
+    expect(result[1].Player).toBe('Tyrese Proctor');
+  });
+
+  it('should parse pre-2010 roster without jersey numbers', () => {
+    const result = parseRoster(pre2010Html, 2008);
+
+    expect(result).toHaveLength(1);
+    expect(result[0].Number).toBe('');
+    expect(result[0].Player).toBe('Greg Paulus');
+  });
+
+  it('should split made-attempted columns', () => {
+    const [player] = parseRoster(post2010Html, 2025);
+
+    expect(player.FTM).toBe('150');
+    expect(player.FTA).toBe('210');
+    expect(player['2PM']).toBe('200');
+    expect(player['2PA']).toBe('350');
+    expect(player['3PM']).toBe('20');
+    expect(player['3PA']).toBe('64');
+    expect(player['FTM-A']).toBeUndefined();
+  });
+
+  it('should coerce numeric columns when requested', () => {
+    const [player] = parseRoster(post2010Html, 2025, { coerce: true });
+
+    expect(player.Number).toBe(1);
+    expect(player.Ht).toBe('6-9');
+    expect(player.Yr).toBe('Fr');
+    expect(player.Wt).toBe(235);
+    expect(player.FTA).toBe(210);
+  });
+
+  it('should capture player IDs from player links', () => {
+    const html = post2010Html.replace('<td>Cooper Flagg</td>', '<td><a href="player.php?p=71234">Cooper Flagg</a></td>');
+    const result = parseRoster(html, 2025);
+
+    expect(result[0].Player).toBe('Cooper Flagg');
+    expect(result[0].PlayerID).toBe('71234');
+  });
+
+  it('should throw error if roster table is missing', () => {
+    expect(() => parseRoster('<table></table>', 2025)).toThrow('Roster table not found');
+  });
+});
+
+// ============================================================================
+// PLAYER PAGE PARSER TESTS
+// ============================================================================
+
+describe('parsePlayer', () => {
+  const html = `
+    <div id="title-container">
+      <h5>#1 Cooper Flagg</h5>
+      <div><a href="team.php?team=Duke">Duke</a> · 6-9 · 205 lbs · Fr · Hometown: Newport, ME</div>
+    </div>
+    <table>
+      <thead><tr><th>Season</th><th>Team</th><th>G</th><th>ORtg</th><th>FTM-A</th><th>FT%</th></tr></thead>
+      <tbody>
+        <tr><td>2025</td><td>Duke</td><td>37</td><td>126.0</td><td>150-178</td><td>84.3</td></tr>
+      </tbody>
+    </table>
+    <table>
+      <thead><tr><th>Date</th><th>Opponent</th><th>Result</th><th>Min</th><th>ORtg</th><th>%Poss</th><th>2PM-A</th><th>3PM-A</th></tr></thead>
+      <tbody>
+        <tr><td>Nov 4</td><td>Maine</td><td>W 96-62</td><td>30</td><td>118</td><td>27.1</td><td>5-9</td><td>1-4</td></tr>
+        <tr><td colspan="8">ACC Tournament</td></tr>
+        <tr><th>Date</th><th>Opponent</th></tr>
+        <tr><td>Mar 14</td><td>Georgia Tech</td><td>W 78-70</td><td>34</td><td>131</td><td>29.5</td><td>7-12</td><td>2-5</td></tr>
+      </tbody>
+    </table>
+  `;
+
+  it('should parse the bio from the title block', () => {
+    const { bio } = parsePlayer(html);
+
+    expect(bio).toEqual({
+      Name: 'Cooper Flagg',
+      Team: 'Duke',
+      Number: '1',
+      Ht: '6-9',
+      Wt: '205',
+      Yr: 'Fr',
+      Hometown: 'Newport, ME',
+    });
+  });
+
+  it('should parse season lines with split shooting columns', () => {
+    const { seasons } = parsePlayer(html);
+
+    expect(seasons).toHaveLength(1);
+    expect(seasons[0].Season).toBe('2025');
+    expect(seasons[0].ORtg).toBe('126.0');
+    expect(seasons[0].FTM).toBe('150');
+    expect(seasons[0].FTA).toBe('178');
+  });
+
+  it('should parse the game log, skipping section and header rows', () => {
+    const { games } = parsePlayer(html);
+
+    expect(games).toHaveLength(2);
+    expect(games[0]).toMatchObject({ Date: 'Nov 4', Opponent: 'Maine', Result: 'W 96-62', Min: '30', '%Poss': '27.1' });
+    expect(games[1]['2PM']).toBe('7');
+    expect(games[1]['3PA']).toBe('5');
+  });
+
+  it('should coerce numeric cells when requested', () => {
+    const { bio, games } = parsePlayer(html, { coerce: true });
+
+    expect(bio.Wt).toBe(205);
+    expect(bio.Ht).toBe('6-9');
+    expect(games[0].Min).toBe(30);
+    expect(games[0].Opponent).toBe('Maine');
+  });
+
+  it('should throw error if the player tables are missing', () => {
+    expect(() => parsePlayer('<table><tr><th>Rank</th></tr></table>')).toThrow('Player tables not found');
+  });
+});
+
+// ============================================================================
+// GAME PAGE PARSER TESTS
+// ============================================================================
+
+describe('parseGame', () => {
+  const boxScore = (team, player, id) => `
+    <table>
+      <caption>${team}</caption>
+      <thead><tr><th>Player</th><th>Min</th><th>ORtg</th><th>2PM-A</th><th>Pts</th></tr></thead>
+      <tbody>
+        <tr><td><a href="player.php?p=${id}">${player}</a></td><td>32</td><td>128</td><td>6-9</td><td>21</td></tr>
+        <tr><td>Totals</td><td>200</td><td>115</td><td>30-55</td><td>85</td></tr>
+      </tbody>
+    </table>
+  `;
+
+  const html = `
+    <div id="title-container"><h5>Duke 85, North Carolina 78</h5></div>
+    <script type="text/javascript">
+      var labels = ["start", "end"];
+      var wpdata = [[0, 0.62, 0, 0], [20, 0.71, 40, 35], [40, 1, 85, 78]];
+    </script>
+    ${boxScore('Duke', 'Cooper Flagg', 71234)}
+    ${boxScore('North Carolina', 'RJ Davis', 65432)}
+    <table><tr><td>Excitement</td><td>7.4</td></tr><tr><td>Tension</td><td>5.1</td></tr><tr><td>Comeback</td><td>2.0</td></tr></table>
+  `;
+
+  it('should parse the win probability chart data', () => {
+    const result = parseGame(html);
+
+    expect(result.Game).toBe('Duke 85, North Carolina 78');
+    expect(result.winProbability).toHaveLength(3);
+    expect(result.winProbability[1]).toEqual({ Elapsed: 20, WinProb: 0.71, Score1: 40, Score2: 35 });
+  });
+
+  it('should parse a box score per team', () => {
+    const result = parseGame(html);
+
+    expect(result.boxScores).toHaveLength(2);
+    expect(result.boxScores[0].Team).toBe('Duke');
+    expect(result.boxScores[0].players[0]).toMatchObject({
+      Player: 'Cooper Flagg',
+      PlayerID: '71234',
+      Min: '32',
+      '2PM': '6',
+      '2PA': '9',
+    });
+    expect(result.boxScores[1].players[1].Player).toBe('Totals');
+  });
+
+  it('should parse the game attributes', () => {
+    const result = parseGame(html, { coerce: true });
+
+    expect(result.attributes).toEqual({
+      Excitement: 7.4,
+      Tension: 5.1,
+      Dominance: null,
+      ComeBack: 2,
+      FanMatch: null,
+    });
+    expect(result.boxScores[0].players[0].Pts).toBe(21);
+  });
+
+  it('should throw error if the page has no game data', () => {
+    expect(() => parseGame('<html><p>No game</p></html>')).toThrow('Game data not found');
+  });
+});
+
 // ============================================================================
 // FANMATCH PARSER TESTS
 // ============================================================================
@@ -790,6 +1475,15 @@ describe('parseFanMatch', () => {
     expect(result.games[0].ActualMOV).toBe(7);
   });
 
+  it('should capture game IDs from game links', () => {
+    const html = sampleHtml.replace('<td>1 Duke 85, 25 UNC 78</td>', '<td><a href="winprob.php?g=2931&y=2025">1 Duke 85, 25 UNC 78</a></td>');
+    const result = parseFanMatch(html);
+
+    expect(result.games[0].Game).toBe('1 Duke 85, 25 UNC 78');
+    expect(result.games[0].GameID).toBe('2931');
+    expect(result.games[1].GameID).toBeNull();
+  });
+
   it('should parse predictions', () => {
     const result = parseFanMatch(sampleHtml);
 
@@ -1097,6 +1791,13 @@ describe('parseScoutingReport', () => {
     expect(result['OE.Rank']).toBe('');
   });
 
+  it('should return null for missing stats when coercing', () => {
+    const result = parseScoutingReport('<html></html>', false, { coerce: true });
+
+    expect(result.OE).toBe(null);
+    expect(result['OE.Rank']).toBe(null);
+  });
+
   it('should return default stats when script has no tableStart function', () => {
     const html = '<html><script type="text/javascript">var x = 1;</script></html>';
     const result = parseScoutingReport(html, false);
@@ -1148,6 +1849,85 @@ describe('parseScoutingReport', () => {
   // verifying the default structure and edge case handling.
 });
 
+// ============================================================================
+// TEAM PAGE PARSER TESTS
+// ============================================================================
+
+describe('parseTeamPage', () => {
+  const script = `
+    <script type="text/javascript">
+      function tableStart() {
+        $("td#OE").html("<a href='summary.php'>120.4</a><span class="seed">3</span>");
+      }
+      $(':checkbox').click(function() {
+        $("td#OE").html("<a href='summary.php'>116.2</a><span class="seed">12</span>");
+      });
+    </script>
+  `;
+
+  const schedule = `
+    <table></table>
+    <table>
+      <thead>
+        <tr><th>Date</th><th>Team Rank</th><th>Opponent Rank</th><th>Opponent Name</th><th>Result</th><th>Possession Number</th><th>A</th><th>Location</th><th>Record</th><th>Conference</th><th>B</th></tr>
+      </thead>
+      <tbody>
+        <tr><td>Nov 6</td><td>1</td><td>150</td><td>Maine</td><td>W 85-52</td><td>75</td><td>-</td><td>H</td><td>1-0</td><td></td><td>-</td></tr>
+        <tr><td>Jan 4</td><td>2</td><td>25</td><td>Virginia</td><td>L 60-65</td><td>68</td><td>-</td><td>A</td><td>1-1</td><td>0-1</td><td>-</td></tr>
+        <tr><td>Jan 8</td><td>2</td><td>40</td><td>Clemson</td><td></td><td></td><td>-</td><td>H</td><td></td><td></td><td>-</td></tr>
+      </tbody>
+    </table>
+  `;
+
+  const html = `
+    <div id="title-container">
+      <h5><span class="rank">2</span> Duke</h5>
+      <span class="coach">Head coach: <a href="coach.php?c=Jon%20Scheyer">Jon Scheyer</a></span>
+      <a href="conf.php?c=ACC&y=2025">Atlantic Coast Conference</a>
+    </div>
+    ${schedule}
+    <table id="player-table">
+      <tbody>
+        <tr><td>1</td><td>Cooper Flagg</td>${'<td>1</td>'.repeat(25)}</tr>
+      </tbody>
+    </table>
+    ${script}
+  `;
+
+  it('should parse coach, conference and records', () => {
+    const result = parseTeamPage(html, 2025);
+
+    expect(result.coach).toBe('Jon Scheyer');
+    expect(result.conference).toBe('ACC');
+    expect(result.record).toBe('1-1');
+    expect(result.conferenceRecord).toBe('0-1');
+  });
+
+  it('should parse schedule, roster and both scouting reports', () => {
+    const result = parseTeamPage(html, 2025);
+
+    expect(result.schedule).toHaveLength(3);
+    expect(result.schedule[1]['Opponent Name']).toBe('Virginia');
+    expect(result.roster).toHaveLength(1);
+    expect(result.roster[0].Player).toBe('Cooper Flagg');
+    expect(result.scouting.all.OE).toBe(120.4);
+    expect(result.scouting.all['OE.Rank']).toBe(3);
+    expect(result.scouting.conference.OE).toBe(116.2);
+  });
+
+  it('should return an empty roster when the page has none', () => {
+    const result = parseTeamPage(schedule, 2025);
+
+    expect(result.roster).toEqual([]);
+    expect(result.coach).toBe('');
+    expect(result.conference).toBe('');
+  });
+
+  it('should throw error if schedule table is missing', () => {
+    expect(() => parseTeamPage('<table></table>', 2025)).toThrow('Schedule table not found');
+  });
+});
+
 // ============================================================================
 // CONFERENCE PARSERS TESTS
 // ============================================================================
@@ -1180,6 +1960,12 @@ describe('parseConferenceStandings', () => {
     expect(result[0].AdjEM).toBe('+32.5');
     expect(result[0]['AdjEM.Rank']).toBe('1');
   });
+
+  it('should coerce numeric cells and keep records as text', () => {
+    const result = parseConferenceStandings(sampleHtml, { coerce: true });
+
+    expect(result[1]).toMatchObject({ Team: 'North Carolina', 'Conf W-L': '14-5', AdjEM: 28.2, 'AdjEM.Rank': 3, Seed: null });
+  });
 });
 
 describe('parseConferenceOffense', () => {
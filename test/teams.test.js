@@ -0,0 +1,94 @@
+/**
+ * Team registry tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  TEAMS,
+  registerTeam,
+  findTeam,
+  resolveTeam,
+  normalizeTeamName,
+  teamNameForSeason,
+} from '../dist/teams.js';
+import { ValidationError } from '../dist/errors.js';
+
+describe('teams', () => {
+  describe('TEAMS', () => {
+    it('should give every team a unique ID', () => {
+      const ids = TEAMS.map(team => team.id);
+      expect(new Set(ids).size).toBe(ids.length);
+    });
+  });
+
+  describe('resolveTeam', () => {
+    it('should resolve aliases and former names to the current KenPom name', () => {
+      expect(resolveTeam('UConn')).toEqual({ id: 'connecticut', name: 'Connecticut' });
+      expect(resolveTeam('Ole Miss')).toEqual({ id: 'mississippi', name: 'Mississippi' });
+      expect(resolveTeam('Texas Pan American')).toEqual({ id: 'ut-rio-grande-valley', name: 'UT Rio Grande Valley' });
+    });
+
+    it('should ignore case, punctuation and Saint/State spellings', () => {
+      expect(resolveTeam('nc state')).toEqual({ id: 'nc-st', name: 'N.C. State' });
+      expect(resolveTeam('Louisiana State')?.name).toBe('LSU');
+      expect(resolveTeam('Loyola (IL)')?.name).toBe('Loyola Chicago');
+    });
+
+    it('should give unregistered teams an ID from their KenPom name', () => {
+      expect(resolveTeam('Duke')).toEqual({ id: 'duke', name: 'Duke' });
+      expect(resolveTeam('Ohio State')).toEqual({ id: 'ohio-st', name: 'Ohio St.' });
+      expect(resolveTeam("St. John's")).toEqual({ id: 'st-johns', name: "St. John's" });
+      expect(resolveTeam('Texas A&M')?.id).toBe('texas-am');
+    });
+
+    it('should return null for blank names', () => {
+      expect(resolveTeam('  ')).toBeNull();
+    });
+  });
+
+  describe('normalizeTeamName', () => {
+    it('should return the current KenPom name', () => {
+      expect(normalizeTeamName('UNC')).toBe('North Carolina');
+      expect(normalizeTeamName('Kansas')).toBe('Kansas');
+      expect(normalizeTeamName('')).toBe('');
+    });
+  });
+
+  describe('teamNameForSeason', () => {
+    it('should use the name KenPom showed that season', () => {
+      expect(teamNameForSeason('UTRGV', 2014)).toBe('Texas Pan American');
+      expect(teamNameForSeason('UTRGV', 2016)).toBe('UT Rio Grande Valley');
+      expect(teamNameForSeason('Purdue Fort Wayne', 2016)).toBe('IPFW');
+      expect(teamNameForSeason('IPFW', 2018)).toBe('Fort Wayne');
+      expect(teamNameForSeason('IPFW', 2025)).toBe('Purdue Fort Wayne');
+      expect(teamNameForSeason('East Texas A&M', 2024)).toBe('Texas A&M Commerce');
+      expect(teamNameForSeason('Texas A&M Commerce', 2025)).toBe('East Texas A&M');
+    });
+
+    it('should use the current name without a season', () => {
+      expect(teamNameForSeason('Texas Pan American')).toBe('UT Rio Grande Valley');
+      expect(teamNameForSeason('Ohio State', 2010)).toBe('Ohio St.');
+    });
+  });
+
+  describe('registerTeam', () => {
+    it('should add aliases to a registered team', () => {
+      registerTeam({ id: 'connecticut', name: 'Connecticut', aliases: ['Connecticut Huskies'] });
+
+      expect(resolveTeam('Connecticut Huskies')?.id).toBe('connecticut');
+      expect(findTeam('UConn')?.aliases).toEqual(['UConn', 'Connecticut Huskies']);
+    });
+
+    it('should register new teams', () => {
+      registerTeam({ id: 'duke', name: 'Duke', aliases: ['Duke Blue Devils'] });
+
+      expect(normalizeTeamName('Duke Blue Devils')).toBe('Duke');
+      expect(findTeam('duke')?.id).toBe('duke');
+    });
+
+    it('should require an ID and name', () => {
+      expect(() => registerTeam({ id: '', name: 'Duke' })).toThrow(ValidationError);
+      expect(() => registerTeam({ id: 'duke', name: '' })).toThrow('Team ID and name are required');
+    });
+  });
+});
@@ -0,0 +1,550 @@
+/**
+ * Transports module tests
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  FetchTransport,
+  CloudscraperTransport,
+  PuppeteerTransport,
+  RecordingTransport,
+  ReplayTransport,
+  createTransport,
+  resolveTransports,
+} from '../dist/transports.js';
+import { KenpomError, CloudflareError, HttpError, RateLimitError, ValidationError } from '../dist/errors.js';
+
+vi.mock('../dist/utils.js', () => ({
+  createFetchClient: vi.fn(),
+  createCloudscraperClient: vi.fn(),
+  createPuppeteerClient: vi.fn(),
+  exportJarCookies: vi.fn(() => []),
+  importJarCookies: vi.fn(),
+  saveFixture: vi.fn(),
+  loadFixture: vi.fn(() => null),
+}));
+
+const {
+  createFetchClient,
+  createCloudscraperClient,
+  createPuppeteerClient,
+  exportJarCookies,
+  importJarCookies,
+  saveFixture,
+  loadFixture,
+} = await import('../dist/utils.js');
+
+const credentials = { email: 'test@example.com', password: 'testpass' };
+const cookies = [{ name: 'PHPSESSID', value: 'abc', domain: 'kenpom.com', path: '/', expires: -1, httpOnly: true, secure: true }];
+
+describe('transports', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('FetchTransport', () => {
+    const mockSession = () => ({
+      get: vi.fn(async (url) => ({ status: 200, url, body: '<html>page</html>' })),
+      post: vi.fn(async (url) => ({ status: 200, url, body: '' })),
+      getCookies: vi.fn(() => cookies),
+      setCookies: vi.fn(),
+    });
+
+    it('should submit the login form', async () => {
+      const session = mockSession();
+      createFetchClient.mockReturnValueOnce({ type: 'fetch', client: session });
+      const transport = new FetchTransport();
+
+      await transport.login(credentials);
+
+      expect(session.get).toHaveBeenCalledWith('https://kenpom.com/index.php');
+      expect(session.post).toHaveBeenCalledWith('https://kenpom.com/handlers/login_handler.php', {
+        ...credentials,
+        submit: 'Login!',
+      });
+    });
+
+    it('should return status and body', async () => {
+      createFetchClient.mockReturnValueOnce({ type: 'fetch', client: mockSession() });
+      const transport = new FetchTransport();
+
+      expect(await transport.get('https://kenpom.com/')).toEqual({ status: 200, body: '<html>page</html>' });
+    });
+
+    it('should pass the abort signal to the session', async () => {
+      const session = mockSession();
+      createFetchClient.mockReturnValueOnce({ type: 'fetch', client: session });
+      const { signal } = new AbortController();
+
+      await new FetchTransport().get('https://kenpom.com/', { signal });
+
+      expect(session.get).toHaveBeenCalledWith('https://kenpom.com/', { signal });
+    });
+
+    it('should import and export cookies', async () => {
+      const session = mockSession();
+      createFetchClient.mockReturnValueOnce({ type: 'fetch', client: session });
+      const transport = new FetchTransport();
+
+      await transport.importCookies(cookies);
+
+      expect(session.setCookies).toHaveBeenCalledWith(cookies);
+      expect(await transport.exportCookies()).toEqual(cookies);
+    });
+
+    it('should start a fresh session after close', async () => {
+      createFetchClient
+        .mockReturnValueOnce({ type: 'fetch', client: mockSession() })
+        .mockReturnValueOnce({ type: 'fetch', client: mockSession() });
+      const transport = new FetchTransport();
+
+      await transport.get('https://kenpom.com/');
+      await transport.close();
+      await transport.get('https://kenpom.com/');
+
+      expect(createFetchClient).toHaveBeenCalledTimes(2);
+      expect(await new FetchTransport().exportCookies()).toEqual([]);
+    });
+  });
+
+  describe('CloudscraperTransport', () => {
+    const mockScraper = (getImpl = (url, callback) => callback(null, { statusCode: 200 }, '<html>page</html>')) => ({
+      get: vi.fn(getImpl),
+      post: vi.fn((options, callback) => callback(null, {}, '')),
+      defaultParams: { jar: {} },
+    });
+
+    it('should submit the login form', async () => {
+      const scraper = mockScraper();
+      createCloudscraperClient.mockResolvedValueOnce({ type: 'cloudscraper', client: scraper });
+      const transport = new CloudscraperTransport();
+
+      await transport.login(credentials);
+
+      expect(scraper.get).toHaveBeenCalledWith('https://kenpom.com/index.php', expect.any(Function));
+      expect(scraper.post).toHaveBeenCalledWith(expect.objectContaining({
+        uri: 'https://kenpom.com/handlers/login_handler.php',
+        formData: { ...credentials, submit: 'Login!' },
+      }), expect.any(Function));
+    });
+
+    it('should use create_scraper when available', async () => {
+      const scraper = mockScraper();
+      createCloudscraperClient.mockResolvedValueOnce({ type: 'cloudscraper', client: { create_scraper: () => scraper } });
+
+      await new CloudscraperTransport().get('https://kenpom.com/');
+
+      expect(scraper.get).toHaveBeenCalled();
+    });
+
+    it('should return status and body', async () => {
+      createCloudscraperClient.mockResolvedValueOnce({ type: 'cloudscraper', client: mockScraper() });
+
+      const response = await new CloudscraperTransport().get('https://kenpom.com/');
+
+      expect(response).toEqual({ status: 200, body: '<html>page</html>' });
+    });
+
+    it('should wrap network errors as HttpError', async () => {
+      createCloudscraperClient.mockResolvedValueOnce({
+        type: 'cloudscraper',
+        client: mockScraper((url, callback) => callback(new Error('ECONNRESET'), null, null)),
+      });
+
+      const error = await new CloudscraperTransport().get('https://kenpom.com/test').catch(e => e);
+
+      expect(error).toBeInstanceOf(HttpError);
+      expect(error.url).toBe('https://kenpom.com/test');
+      expect(error.tier).toBe('tier1');
+    });
+
+    it('should throw CloudflareError for challenge errors', async () => {
+      const cfError = Object.assign(new Error('Captcha'), { name: 'CaptchaError' });
+      createCloudscraperClient.mockResolvedValueOnce({
+        type: 'cloudscraper',
+        client: mockScraper((url, callback) => callback(cfError, null, null)),
+      });
+
+      await expect(new CloudscraperTransport().get('https://kenpom.com/')).rejects.toBeInstanceOf(CloudflareError);
+    });
+
+    it('should throw RateLimitError for 429 errors', async () => {
+      const rateError = Object.assign(new Error('Too Many Requests'), { statusCode: 429 });
+      createCloudscraperClient.mockResolvedValueOnce({
+        type: 'cloudscraper',
+        client: mockScraper((url, callback) => callback(rateError, null, null)),
+      });
+
+      const error = await new CloudscraperTransport().get('https://kenpom.com/').catch(e => e);
+
+      expect(error).toBeInstanceOf(RateLimitError);
+      expect(error.status).toBe(429);
+    });
+
+    it('should abort the request when the signal fires', async () => {
+      const request = { abort: vi.fn() };
+      createCloudscraperClient.mockResolvedValueOnce({
+        type: 'cloudscraper',
+        client: mockScraper(() => request),
+      });
+      const controller = new AbortController();
+      const reason = new Error('stop');
+
+      const pending = new CloudscraperTransport().get('https://kenpom.com/', { signal: controller.signal });
+      await vi.waitFor(() => expect(createCloudscraperClient).toHaveBeenCalled());
+      await new Promise(resolve => setTimeout(resolve, 0));
+      controller.abort(reason);
+
+      await expect(pending).rejects.toBe(reason);
+      expect(request.abort).toHaveBeenCalled();
+    });
+
+    it('should not send a request for an aborted signal', async () => {
+      const scraper = mockScraper();
+      createCloudscraperClient.mockResolvedValueOnce({ type: 'cloudscraper', client: scraper });
+
+      await expect(new CloudscraperTransport().get('https://kenpom.com/', { signal: AbortSignal.abort() }))
+        .rejects.toThrow();
+      expect(scraper.get).not.toHaveBeenCalled();
+    });
+
+    it('should import and export cookies through the jar', async () => {
+      const scraper = mockScraper();
+      createCloudscraperClient.mockResolvedValueOnce({ type: 'cloudscraper', client: scraper });
+      exportJarCookies.mockReturnValueOnce(cookies);
+      const transport = new CloudscraperTransport();
+
+      await transport.importCookies(cookies);
+
+      expect(importJarCookies).toHaveBeenCalledWith(scraper.defaultParams.jar, 'https://kenpom.com', cookies);
+      expect(await transport.exportCookies()).toEqual(cookies);
+    });
+  });
+
+  describe('PuppeteerTransport', () => {
+    const mockPage = (status = 200, html = '<html>tier2</html>') => ({
+      goto: vi.fn().mockResolvedValue({ status: () => status }),
+      content: vi.fn().mockResolvedValue(html),
+      type: vi.fn(),
+      click: vi.fn(),
+      waitForNavigation: vi.fn(),
+      cookies: vi.fn().mockResolvedValue(cookies),
+      setCookie: vi.fn(),
+      close: vi.fn().mockResolvedValue(undefined),
+    });
+
+    const mockBrowser = (status = 200, html = '<html>tier2</html>') => {
+      const pages = [mockPage(status, html)];
+      const newPage = vi.fn(async () => {
+        const page = mockPage(status, html);
+        pages.push(page);
+        return page;
+      });
+      return { type: 'puppeteer', browser: {}, page: pages[0], pages, newPage, close: vi.fn() };
+    };
+
+    // Make page.goto wait until the returned function is called
+    const holdNavigation = (page) => {
+      let finish;
+      page.goto.mockImplementationOnce(() => new Promise(resolve => {
+        finish = () => resolve({ status: () => 200 });
+      }));
+      return () => finish();
+    };
+
+    it('should fill and submit the login form', async () => {
+      const client = mockBrowser();
+      createPuppeteerClient.mockResolvedValueOnce(client);
+
+      await new PuppeteerTransport().login(credentials);
+
+      expect(client.page.goto).toHaveBeenCalledWith('https://kenpom.com/index.php', { waitUntil: 'networkidle2' });
+      expect(client.page.type).toHaveBeenCalledWith('input[name="email"]', 'test@example.com');
+      expect(client.page.type).toHaveBeenCalledWith('input[name="password"]', 'testpass');
+      expect(client.page.click).toHaveBeenCalledWith('input[type="submit"]');
+    });
+
+    it('should return the navigation status and page content', async () => {
+      const client = mockBrowser(500, '<html>error</html>');
+      createPuppeteerClient.mockResolvedValueOnce(client);
+
+      const response = await new PuppeteerTransport().get('https://kenpom.com/test');
+
+      expect(client.page.goto).toHaveBeenCalledWith('https://kenpom.com/test', { waitUntil: 'domcontentloaded' });
+      expect(response).toEqual({ status: 500, body: '<html>error</html>' });
+    });
+
+    it('should pass browser settings to the client and navigation', async () => {
+      const client = mockBrowser();
+      createPuppeteerClient.mockResolvedValueOnce(client);
+
+      await new PuppeteerTransport({ blockResources: false, waitUntil: 'load' }).get('https://kenpom.com/test');
+
+      expect(createPuppeteerClient).toHaveBeenCalledWith({ blockResources: false });
+      expect(client.page.goto).toHaveBeenCalledWith('https://kenpom.com/test', { waitUntil: 'load' });
+    });
+
+    it('should wait for a challenge page to redirect', async () => {
+      const client = mockBrowser(503, '<html><title>Just a moment...</title></html>');
+      client.page.content.mockResolvedValueOnce('<html><title>Just a moment...</title></html>');
+      client.page.content.mockResolvedValueOnce('<html>ratings</html>');
+      client.page.waitForNavigation.mockResolvedValueOnce({ status: () => 200 });
+      createPuppeteerClient.mockResolvedValueOnce(client);
+
+      const response = await new PuppeteerTransport().get('https://kenpom.com/');
+
+      expect(client.page.waitForNavigation).toHaveBeenCalledWith({ waitUntil: 'networkidle2' });
+      expect(response).toEqual({ status: 200, body: '<html>ratings</html>' });
+    });
+
+    it('should fetch on up to the configured number of pages in parallel', async () => {
+      const client = mockBrowser();
+      createPuppeteerClient.mockResolvedValueOnce(client);
+      const transport = new PuppeteerTransport({ pages: 2 });
+      const finishFirst = holdNavigation(client.page);
+
+      const first = transport.get('https://kenpom.com/a');
+      const second = transport.get('https://kenpom.com/b');
+      const third = transport.get('https://kenpom.com/c');
+      await vi.waitFor(() => expect(client.newPage).toHaveBeenCalledTimes(1));
+      await Promise.all([second, third]);
+
+      // The second page served both later requests while the first was busy
+      expect(client.pages[1].goto).toHaveBeenCalledTimes(2);
+      finishFirst();
+      await first;
+
+      expect(client.newPage).toHaveBeenCalledTimes(1);
+      expect(client.page.goto).toHaveBeenCalledWith('https://kenpom.com/a', { waitUntil: 'domcontentloaded' });
+    });
+
+    it('should queue requests when every page is busy', async () => {
+      const client = mockBrowser();
+      createPuppeteerClient.mockResolvedValueOnce(client);
+      const transport = new PuppeteerTransport();
+      const finishFirst = holdNavigation(client.page);
+
+      const first = transport.get('https://kenpom.com/a');
+      const second = transport.get('https://kenpom.com/b');
+      await vi.waitFor(() => expect(client.page.goto).toHaveBeenCalledTimes(1));
+      expect(client.page.goto).toHaveBeenCalledTimes(1);
+
+      finishFirst();
+      await Promise.all([first, second]);
+
+      expect(client.page.goto).toHaveBeenCalledTimes(2);
+      expect(client.newPage).not.toHaveBeenCalled();
+    });
+
+    it('should reject queued requests when closed', async () => {
+      const client = mockBrowser();
+      createPuppeteerClient.mockResolvedValueOnce(client);
+      const transport = new PuppeteerTransport();
+      holdNavigation(client.page);
+
+      transport.get('https://kenpom.com/a');
+      const queued = transport.get('https://kenpom.com/b');
+      await vi.waitFor(() => expect(client.page.goto).toHaveBeenCalledTimes(1));
+      await transport.close();
+
+      await expect(queued).rejects.toThrow('Browser closed');
+    });
+
+    it('should close the page when the signal aborts a navigation', async () => {
+      const client = mockBrowser();
+      createPuppeteerClient.mockResolvedValueOnce(client);
+      const transport = new PuppeteerTransport();
+      // Closing a page fails its navigation, as in Puppeteer
+      let detach;
+      client.page.goto.mockImplementationOnce(() => new Promise((resolve, reject) => { detach = reject; }));
+      client.page.close.mockImplementationOnce(async () => detach(new Error('Target closed')));
+      const controller = new AbortController();
+      const reason = new Error('stop');
+
+      const aborted = transport.get('https://kenpom.com/a', { signal: controller.signal });
+      const queued = transport.get('https://kenpom.com/b');
+      await vi.waitFor(() => expect(client.page.goto).toHaveBeenCalledTimes(1));
+      controller.abort(reason);
+
+      await expect(aborted).rejects.toBe(reason);
+      expect(client.page.close).toHaveBeenCalled();
+
+      // The queued request gets a fresh page in place of the closed one
+      await queued;
+      expect(client.newPage).toHaveBeenCalledTimes(1);
+      expect(client.pages[1].goto).toHaveBeenCalledWith('https://kenpom.com/b', { waitUntil: 'domcontentloaded' });
+    });
+
+    it('should not launch a browser for an aborted signal', async () => {
+      await expect(new PuppeteerTransport().get('https://kenpom.com/', { signal: AbortSignal.abort() }))
+        .rejects.toThrow();
+      expect(createPuppeteerClient).not.toHaveBeenCalled();
+    });
+
+    it('should launch one browser for concurrent first requests', async () => {
+      createPuppeteerClient.mockResolvedValueOnce(mockBrowser());
+      const transport = new PuppeteerTransport({ pages: 2 });
+
+      await Promise.all([transport.get('https://kenpom.com/a'), transport.get('https://kenpom.com/b')]);
+
+      expect(createPuppeteerClient).toHaveBeenCalledTimes(1);
+    });
+
+    it('should report a null status when navigation has no response', async () => {
+      const client = mockBrowser();
+      client.page.goto.mockResolvedValueOnce(null);
+      createPuppeteerClient.mockResolvedValueOnce(client);
+
+      expect((await new PuppeteerTransport().get('https://kenpom.com/')).status).toBeNull();
+    });
+
+    it('should close the browser once', async () => {
+      const client = mockBrowser();
+      createPuppeteerClient.mockResolvedValueOnce(client);
+      const transport = new PuppeteerTransport();
+      await transport.get('https://kenpom.com/');
+
+      await transport.close();
+      await transport.close();
+
+      expect(client.close).toHaveBeenCalledTimes(1);
+    });
+
+    it('should import and export page cookies', async () => {
+      const client = mockBrowser();
+      createPuppeteerClient.mockResolvedValueOnce(client);
+      const transport = new PuppeteerTransport();
+
+      await transport.importCookies(cookies);
+
+      expect(client.page.setCookie).toHaveBeenCalledWith(...cookies);
+      expect(await transport.exportCookies()).toEqual(cookies);
+    });
+  });
+
+  describe('RecordingTransport', () => {
+    const inner = () => ({
+      name: 'tier1',
+      description: 'Tier 1 (lightweight)',
+      login: vi.fn(async () => {}),
+      get: vi.fn(async () => ({ status: 200, body: '<html>page</html>' })),
+      close: vi.fn(async () => {}),
+      exportCookies: vi.fn(async () => cookies),
+      importCookies: vi.fn(async () => {}),
+    });
+
+    it('should save every fetched page', async () => {
+      const transport = new RecordingTransport(inner(), '/tmp/fixtures');
+
+      const response = await transport.get('https://kenpom.com/index.php?y=2025');
+
+      expect(response).toEqual({ status: 200, body: '<html>page</html>' });
+      expect(saveFixture).toHaveBeenCalledWith('/tmp/fixtures', expect.objectContaining({
+        url: 'https://kenpom.com/index.php?y=2025',
+        status: 200,
+        tier: 'tier1',
+        body: '<html>page</html>',
+      }));
+    });
+
+    it('should not save failed requests', async () => {
+      const wrapped = inner();
+      wrapped.get.mockRejectedValueOnce(new Error('ECONNRESET'));
+      const transport = new RecordingTransport(wrapped, '/tmp/fixtures');
+
+      await expect(transport.get('https://kenpom.com/')).rejects.toThrow('ECONNRESET');
+      expect(saveFixture).not.toHaveBeenCalled();
+    });
+
+    it('should pass identity, login, cookies and close through', async () => {
+      const wrapped = inner();
+      const transport = new RecordingTransport(wrapped, '/tmp/fixtures');
+
+      await transport.login(credentials);
+      await transport.importCookies(cookies);
+      await transport.close();
+
+      expect(transport.name).toBe('tier1');
+      expect(wrapped.login).toHaveBeenCalledWith(credentials);
+      expect(wrapped.importCookies).toHaveBeenCalledWith(cookies);
+      expect(await transport.exportCookies()).toEqual(cookies);
+      expect(wrapped.close).toHaveBeenCalled();
+    });
+
+    it('should omit cookie methods the wrapped transport lacks', () => {
+      const { exportCookies, importCookies, ...bare } = inner();
+      const transport = new RecordingTransport(bare, '/tmp/fixtures');
+
+      expect(transport.exportCookies).toBeUndefined();
+      expect(transport.importCookies).toBeUndefined();
+    });
+  });
+
+  describe('ReplayTransport', () => {
+    it('should serve recorded pages', async () => {
+      loadFixture.mockReturnValueOnce({
+        url: 'https://kenpom.com/',
+        status: 200,
+        tier: 'tier1',
+        recordedAt: '2025-01-01T00:00:00.000Z',
+        body: '<html>recorded</html>',
+      });
+
+      const response = await new ReplayTransport('/tmp/fixtures').get('https://kenpom.com/');
+
+      expect(loadFixture).toHaveBeenCalledWith('/tmp/fixtures', 'https://kenpom.com/');
+      expect(response).toEqual({ status: 200, body: '<html>recorded</html>' });
+    });
+
+    it('should throw for unrecorded URLs', async () => {
+      const error = await new ReplayTransport('/tmp/fixtures').get('https://kenpom.com/missing').catch(e => e);
+
+      expect(error).toBeInstanceOf(KenpomError);
+      expect(error).not.toBeInstanceOf(HttpError);
+      expect(error.message).toContain('No recorded response for https://kenpom.com/missing');
+      expect(error.tier).toBe('replay');
+    });
+
+    it('should log in without credentials', async () => {
+      await expect(new ReplayTransport('/tmp/fixtures').login()).resolves.toBeUndefined();
+    });
+  });
+
+  describe('createTransport', () => {
+    it('should create built-in transports by tier name', () => {
+      expect(createTransport('fetch')).toBeInstanceOf(FetchTransport);
+      expect(createTransport('tier1')).toBeInstanceOf(CloudscraperTransport);
+      expect(createTransport('tier2')).toBeInstanceOf(PuppeteerTransport);
+      expect(createTransport('tier2', { pages: 4 }).options.pages).toBe(4);
+    });
+
+    it('should accept legacy tier names', () => {
+      expect(createTransport('cloudscraper').name).toBe('tier1');
+      expect(createTransport('puppeteer').name).toBe('tier2');
+    });
+
+    it('should throw ValidationError for unknown tiers', () => {
+      expect(() => createTransport('invalid')).toThrow(ValidationError);
+    });
+  });
+
+  describe('resolveTransports', () => {
+    it('should expand auto to all tiers in order', () => {
+      expect(resolveTransports('auto').map(t => t.name)).toEqual(['fetch', 'tier1', 'tier2']);
+    });
+
+    it('should keep transport instances and resolve tier names in a list', () => {
+      const custom = { name: 'proxy', description: 'Proxy', login: vi.fn(), get: vi.fn(), close: vi.fn() };
+
+      const transports = resolveTransports([custom, 'tier2']);
+
+      expect(transports[0]).toBe(custom);
+      expect(transports[1]).toBeInstanceOf(PuppeteerTransport);
+    });
+
+    it('should wrap a single transport in a list', () => {
+      const custom = { name: 'proxy', description: 'Proxy', login: vi.fn(), get: vi.fn(), close: vi.fn() };
+      expect(resolveTransports(custom)).toEqual([custom]);
+    });
+  });
+});
@@ -6,6 +6,7 @@ import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
+import http from 'http';
 import {
   parseTable,
   parseTableElement,
@@ -22,10 +23,24 @@ import {
   readFromFile,
   pause,
   randomPause,
+  backoffDelay,
+  RequestScheduler,
+  ConcurrencyLimiter,
   createPuppeteerClient,
+  createFetchClient,
+  FetchCookieJar,
   createCloudscraperClient,
+  loadSession,
+  saveSession,
+  exportJarCookies,
+  importJarCookies,
+  fixtureKey,
+  saveFixture,
+  loadFixture,
+  ResponseCache,
   ProgressReporter,
 } from '../dist/utils.js';
+import { KenpomError, ValidationError } from '../dist/errors.js';
 
 describe('utils', () => {
   describe('parseTable', () => {
@@ -441,6 +456,110 @@ describe('utils', () => {
     });
   });
 
+  describe('backoffDelay', () => {
+    it('should stay within half and all of the exponential ceiling', () => {
+      for (let i = 0; i < 20; i++) {
+        const delay = backoffDelay(3, 100, 10000);
+        expect(delay).toBeGreaterThanOrEqual(200);
+        expect(delay).toBeLessThanOrEqual(400);
+      }
+    });
+
+    it('should cap the ceiling at maxMs', () => {
+      for (let i = 0; i < 20; i++) {
+        expect(backoffDelay(10, 1000, 5000)).toBeLessThanOrEqual(5000);
+      }
+    });
+  });
+
+  describe('ConcurrencyLimiter', () => {
+    it('should allow up to the limit at once', async () => {
+      const limiter = new ConcurrencyLimiter(2);
+      await limiter.acquire();
+      await limiter.acquire();
+
+      let third = false;
+      limiter.acquire().then(() => { third = true; });
+      await pause(10);
+
+      expect(third).toBe(false);
+    });
+
+    it('should hand freed slots to waiters in order', async () => {
+      const limiter = new ConcurrencyLimiter(1);
+      const release = await limiter.acquire();
+      const order = [];
+      const a = limiter.acquire().then(next => { order.push('a'); next(); });
+      const b = limiter.acquire().then(next => { order.push('b'); next(); });
+
+      release();
+      await Promise.all([a, b]);
+
+      expect(order).toEqual(['a', 'b']);
+    });
+
+    it('should ignore repeated releases', async () => {
+      const limiter = new ConcurrencyLimiter(1);
+      const release = await limiter.acquire();
+      release();
+      release();
+
+      await limiter.acquire();
+      let second = false;
+      limiter.acquire().then(() => { second = true; });
+      await pause(10);
+
+      expect(second).toBe(false);
+    });
+
+    it('should treat limits below 1 as 1', () => {
+      expect(new ConcurrencyLimiter(0).limit).toBe(1);
+    });
+  });
+
+  describe('RequestScheduler', () => {
+    it('should reject a rate or burst that cannot pace requests', () => {
+      expect(() => new RequestScheduler({ requestsPerMinute: 0 })).toThrow(ValidationError);
+      expect(() => new RequestScheduler({ requestsPerMinute: -5 })).toThrow('Invalid requestsPerMinute');
+      expect(() => new RequestScheduler({ requestsPerMinute: NaN })).toThrow(ValidationError);
+      expect(() => new RequestScheduler({ burst: 0 })).toThrow('Invalid burst');
+      expect(() => new RequestScheduler({ burst: -1 })).toThrow(ValidationError);
+    });
+
+    it('should allow a burst without waiting', async () => {
+      const scheduler = new RequestScheduler({ requestsPerMinute: 60, burst: 3, jitterMs: [0, 0] });
+      const start = Date.now();
+      await Promise.all([scheduler.acquire(), scheduler.acquire(), scheduler.acquire()]);
+      expect(Date.now() - start).toBeLessThan(100);
+    });
+
+    it('should space requests beyond the burst by the rate interval', async () => {
+      // 1200 rpm = one request every 50ms
+      const scheduler = new RequestScheduler({ requestsPerMinute: 1200, burst: 1, jitterMs: [0, 0] });
+      const start = Date.now();
+      await scheduler.acquire();
+      await scheduler.acquire();
+      await scheduler.acquire();
+      expect(Date.now() - start).toBeGreaterThanOrEqual(90);
+    });
+
+    it('should serve concurrent callers in order', async () => {
+      const scheduler = new RequestScheduler({ requestsPerMinute: 6000, burst: 1, jitterMs: [0, 0] });
+      const order = [];
+      await Promise.all([1, 2, 3].map((n) => scheduler.acquire().then(() => order.push(n))));
+      expect(order).toEqual([1, 2, 3]);
+    });
+
+    it('should add jitter within range', async () => {
+      const scheduler = new RequestScheduler({ requestsPerMinute: 60, burst: 1, jitterMs: [40, 60] });
+      const start = Date.now();
+      await scheduler.acquire();
+      const elapsed = Date.now() - start;
+      expect(elapsed).toBeGreaterThanOrEqual(35);
+      expect(elapsed).toBeLessThan(200);
+    });
+  });
+
   describe('createPuppeteerClient', () => {
     it('should throw if puppeteer dependencies are missing', async () => {
       // puppeteer-extra is not installed as a production dependency
@@ -467,6 +586,332 @@ describe('utils', () => {
     });
   });
 
+  describe('FetchCookieJar', () => {
+    it('should send cookies back to the same host', () => {
+      const jar = new FetchCookieJar();
+      jar.setCookie('PHPSESSID=abc; Path=/; HttpOnly', 'https://kenpom.com/index.php');
+      jar.setCookie('theme=dark', 'https://kenpom.com/index.php');
+
+      expect(jar.getCookieHeader('https://kenpom.com/team.php')).toBe('PHPSESSID=abc; theme=dark');
+      expect(jar.getCookieHeader('https://example.com/')).toBe('');
+    });
+
+    it('should match domain cookies on subdomains', () => {
+      const jar = new FetchCookieJar();
+      jar.setCookie('a=1; Domain=.kenpom.com', 'https://kenpom.com/');
+      jar.setCookie('b=2; Domain=example.com', 'https://kenpom.com/');
+
+      expect(jar.getCookieHeader('https://www.kenpom.com/')).toBe('a=1');
+      expect(jar.getCookies()).toHaveLength(1);
+    });
+
+    it('should respect Path and Secure', () => {
+      const jar = new FetchCookieJar();
+      jar.setCookie('a=1; Path=/handlers', 'https://kenpom.com/');
+      jar.setCookie('b=2; Secure', 'https://kenpom.com/');
+
+      expect(jar.getCookieHeader('https://kenpom.com/handlers/login_handler.php')).toBe('a=1; b=2');
+      expect(jar.getCookieHeader('https://kenpom.com/handlersx')).toBe('b=2');
+      expect(jar.getCookieHeader('http://kenpom.com/')).toBe('');
+    });
+
+    it('should expire cookies by Max-Age and Expires', () => {
+      const jar = new FetchCookieJar();
+      jar.setCookie('a=1', 'https://kenpom.com/');
+      jar.setCookie('b=2; Max-Age=3600', 'https://kenpom.com/');
+      jar.setCookie('a=deleted; Expires=Thu, 01 Jan 1970 00:00:00 GMT', 'https://kenpom.com/');
+
+      const cookies = jar.getCookies();
+      expect(cookies.map(c => c.name)).toEqual(['b']);
+      expect(cookies[0].expires).toBeGreaterThan(Date.now() / 1000);
+    });
+
+    it('should round-trip cookies in session format', () => {
+      const jar = new FetchCookieJar();
+      jar.setCookie('PHPSESSID=abc; Path=/; Secure; HttpOnly', 'https://kenpom.com/');
+
+      const restored = new FetchCookieJar();
+      restored.setCookies(jar.getCookies());
+
+      expect(restored.getCookies()).toEqual([
+        { name: 'PHPSESSID', value: 'abc', domain: 'kenpom.com', path: '/', expires: -1, httpOnly: true, secure: true },
+      ]);
+      expect(restored.getCookieHeader('https://kenpom.com/')).toBe('PHPSESSID=abc');
+    });
+  });
+
+  describe('createFetchClient', () => {
+    let server;
+    let baseUrl;
+    let requests;
+
+    beforeEach(async () => {
+      requests = [];
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+          if (req.url === '/login') {
+            res.writeHead(302, { 'Set-Cookie': 'PHPSESSID=abc; Path=/', Location: '/index.php' });
+            res.end();
+          } else {
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            res.end(`<html>${req.headers.cookie ?? 'no cookie'}</html>`);
+          }
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    it('should create a fetch client', () => {
+      const client = createFetchClient();
+      expect(client.type).toBe('fetch');
+      expect(typeof client.client.get).toBe('function');
+    });
+
+    it('should reject when the signal aborts', async () => {
+      const { client } = createFetchClient();
+      const reason = new Error('stop');
+
+      await expect(client.get(`${baseUrl}/index.php`, { signal: AbortSignal.abort(reason) })).rejects.toBe(reason);
+      expect(requests).toHaveLength(0);
+    });
+
+    it('should send default headers', async () => {
+      const { client } = createFetchClient();
+      const result = await client.get(`${baseUrl}/index.php`);
+
+      expect(result).toEqual({ status: 200, url: `${baseUrl}/index.php`, body: '<html>no cookie</html>' });
+      expect(requests[0].headers['user-agent']).toContain('Mozilla/5.0');
+    });
+
+    it('should post a form and keep cookies set during redirects', async () => {
+      const { client } = createFetchClient();
+      const result = await client.post(`${baseUrl}/login`, { email: 'a@b.com', submit: 'Login!' });
+
+      expect(requests[0].method).toBe('POST');
+      expect(requests[0].body).toBe('email=a%40b.com&submit=Login%21');
+      expect(requests[1].method).toBe('GET');
+      expect(result.url).toBe(`${baseUrl}/index.php`);
+      expect(result.body).toBe('<html>PHPSESSID=abc</html>');
+      expect(client.getCookies().map(c => c.name)).toEqual(['PHPSESSID']);
+    });
+  });
+
+  describe('recorded pages', () => {
+    let testDir;
+    const recorded = {
+      url: 'https://kenpom.com/team.php?team=Duke&y=2025',
+      status: 200,
+      tier: 'tier1',
+      recordedAt: '2025-01-01T00:00:00.000Z',
+      body: '<html>Duke</html>',
+    };
+
+    beforeEach(() => {
+      testDir = path.join(os.tmpdir(), `kenpom-fixtures-${Date.now()}`);
+    });
+
+    afterEach(() => {
+      if (fs.existsSync(testDir)) {
+        fs.rmSync(testDir, { recursive: true });
+      }
+    });
+
+    it('should build a readable, URL-specific key', () => {
+      const key = fixtureKey(recorded.url);
+      expect(key).toMatch(/^team\.php_team_Duke_y_2025-[0-9a-f]{12}$/);
+      expect(fixtureKey('https://kenpom.com/team.php?team=Duke&y=2024')).not.toBe(key);
+      expect(fixtureKey('https://kenpom.com')).toMatch(/^index-/);
+    });
+
+    it('should round-trip a page with its metadata', () => {
+      saveFixture(testDir, recorded);
+
+      const key = fixtureKey(recorded.url);
+      expect(fs.readFileSync(path.join(testDir, `${key}.html`), 'utf-8')).toBe('<html>Duke</html>');
+      expect(JSON.parse(fs.readFileSync(path.join(testDir, `${key}.json`), 'utf-8'))).toEqual({
+        url: recorded.url,
+        status: 200,
+        tier: 'tier1',
+        recordedAt: recorded.recordedAt,
+      });
+      expect(loadFixture(testDir, recorded.url)).toEqual(recorded);
+    });
+
+    it('should return null for unrecorded URLs', () => {
+      expect(loadFixture(testDir, recorded.url)).toBeNull();
+    });
+
+    it('should name the file when the metadata is corrupt', () => {
+      saveFixture(testDir, recorded);
+      const metaPath = path.join(testDir, `${fixtureKey(recorded.url)}.json`);
+      fs.writeFileSync(metaPath, '{"url": "https://kenpom.com/te');
+
+      expect(() => loadFixture(testDir, recorded.url)).toThrow(KenpomError);
+      expect(() => loadFixture(testDir, recorded.url)).toThrow(metaPath);
+    });
+  });
+
+  describe('ResponseCache', () => {
+    let testDir;
+    let cache;
+    const url = 'https://kenpom.com/index.php?y=2012';
+    const now = Date.parse('2025-01-01T00:00:00.000Z');
+
+    beforeEach(() => {
+      testDir = path.join(os.tmpdir(), `kenpom-cache-${Date.now()}`);
+      cache = new ResponseCache(testDir);
+    });
+
+    afterEach(() => {
+      if (fs.existsSync(testDir)) {
+        fs.rmSync(testDir, { recursive: true });
+      }
+    });
+
+    it('should return null for uncached URLs', () => {
+      expect(cache.get(url)).toBeNull();
+    });
+
+    it('should serve pages until they expire', () => {
+      cache.set(url, '<html>2012</html>', 60000, now);
+
+      expect(cache.get(url, now + 59999)).toBe('<html>2012</html>');
+      expect(cache.get(url, now + 60000)).toBeNull();
+    });
+
+    it('should keep pages with an infinite lifetime forever', () => {
+      cache.set(url, '<html>2012</html>', Infinity, now);
+
+      const meta = JSON.parse(fs.readFileSync(path.join(testDir, `${fixtureKey(url)}.json`), 'utf-8'));
+      expect(meta).toEqual({ url, storedAt: '2025-01-01T00:00:00.000Z', expiresAt: null });
+      expect(cache.get(url, now + 1e12)).toBe('<html>2012</html>');
+    });
+
+    it('should not store pages with no lifetime', () => {
+      cache.set(url, '<html>2012</html>', 0, now);
+      expect(fs.existsSync(testDir)).toBe(false);
+    });
+
+    it('should treat unreadable metadata as a miss', () => {
+      cache.set(url, '<html>2012</html>', Infinity, now);
+      fs.writeFileSync(path.join(testDir, `${fixtureKey(url)}.json`), '{not json');
+
+      expect(cache.get(url)).toBeNull();
+    });
+
+    it('should clear all pages and report how many were removed', () => {
+      cache.set(url, 'a', Infinity, now);
+      cache.set('https://kenpom.com/index.php?y=2013', 'b', Infinity, now);
+      fs.writeFileSync(path.join(testDir, 'notes.txt'), 'keep');
+
+      expect(cache.clear()).toBe(2);
+      expect(cache.get(url)).toBeNull();
+      expect(fs.readdirSync(testDir)).toEqual(['notes.txt']);
+    });
+
+    it('should leave files the cache did not write', () => {
+      cache.set(url, 'a', Infinity, now);
+      fs.writeFileSync(path.join(testDir, 'package.json'), '{"name": "my-project"}');
+      fs.writeFileSync(path.join(testDir, 'ratings.json'), '[]');
+      fs.writeFileSync(path.join(testDir, 'broken.json'), '{');
+      fs.writeFileSync(path.join(testDir, 'report.html'), '<html></html>');
+      // Cache-shaped metadata under a name that does not match its URL
+      fs.writeFileSync(
+        path.join(testDir, 'renamed.json'),
+        JSON.stringify({ url, storedAt: new Date(now).toISOString(), expiresAt: null })
+      );
+
+      expect(cache.clear()).toBe(1);
+      expect(fs.readdirSync(testDir).sort()).toEqual([
+        'broken.json', 'package.json', 'ratings.json', 'renamed.json', 'report.html',
+      ]);
+    });
+
+    it('should clear a missing directory without error', () => {
+      expect(cache.clear()).toBe(0);
+    });
+  });
+
+  describe('session persistence', () => {
+    let testDir;
+    const session = {
+      tier: 'tier1',
+      savedAt: '2025-01-01T00:00:00.000Z',
+      cookies: [{ name: 'PHPSESSID', value: 'abc', domain: 'kenpom.com', path: '/', expires: -1, httpOnly: true, secure: true }],
+    };
+
+    beforeEach(() => {
+      testDir = path.join(os.tmpdir(), `kenpom-test-${Date.now()}`);
+    });
+
+    afterEach(() => {
+      if (fs.existsSync(testDir)) {
+        fs.rmSync(testDir, { recursive: true });
+      }
+    });
+
+    it('should round-trip a session through disk', () => {
+      const filepath = path.join(testDir, 'nested', 'session.json');
+      saveSession(filepath, session);
+      expect(loadSession(filepath)).toEqual(session);
+    });
+
+    it('should write the session file readable by owner only', () => {
+      const filepath = path.join(testDir, 'session.json');
+      saveSession(filepath, session);
+      expect(fs.statSync(filepath).mode & 0o777).toBe(0o600);
+    });
+
+    it('should restrict an existing session file that was readable by others', () => {
+      const filepath = path.join(testDir, 'session.json');
+      fs.mkdirSync(testDir, { recursive: true });
+      fs.writeFileSync(filepath, '{}', { mode: 0o644 });
+      fs.chmodSync(filepath, 0o644);
+
+      saveSession(filepath, session);
+
+      expect(fs.statSync(filepath).mode & 0o777).toBe(0o600);
+      expect(loadSession(filepath)).toEqual(session);
+      expect(fs.readdirSync(testDir)).toEqual(['session.json']);
+    });
+
+    it('should return null for a missing session file', () => {
+      expect(loadSession(path.join(testDir, 'missing.json'))).toBeNull();
+    });
+
+    it('should return null for a malformed session file', () => {
+      const filepath = path.join(testDir, 'session.json');
+      fs.mkdirSync(testDir, { recursive: true });
+      fs.writeFileSync(filepath, 'not json');
+      expect(loadSession(filepath)).toBeNull();
+    });
+
+    it('should move cookies between a cloudscraper jar and session format', async () => {
+      const { client } = await createCloudscraperClient();
+      const jar = client.defaults({ jar: client.jar() }).defaultParams.jar;
+
+      importJarCookies(jar, 'https://kenpom.com', session.cookies);
+
+      const cookies = exportJarCookies(jar, 'https://kenpom.com');
+      expect(cookies).toEqual([expect.objectContaining({
+        name: 'PHPSESSID',
+        value: 'abc',
+        domain: 'kenpom.com',
+        path: '/',
+        expires: -1,
+        secure: true,
+      })]);
+    });
+  });
+
   describe('ProgressReporter', () => {
     let mockLog;
 